@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Forum Comment Migration
+ * Moves comments embedded in forum posts into the forum comments collection
+ * Comment ids are kept, so existing comment reports still point at the right comment
+ * Usage: node backend/scripts/migrate-forum-comments.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const mongoose = require('mongoose');
+
+// Import models
+const ForumPost = require('../src/models/ForumPost');
+const ForumComment = require('../src/models/ForumComment');
+
+async function migrateForumComments() {
+  try {
+    // Connect to database
+    const dbUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/egourd';
+    console.log('🔌 Connecting to database:', dbUri);
+
+    await mongoose.connect(dbUri);
+    console.log('✅ Connected to MongoDB');
+
+    // The embedded array is no longer in the schema, so read the raw collection
+    const collection = ForumPost.collection;
+    const cursor = collection.find({ comments: { $exists: true } });
+
+    let posts = 0;
+    let moved = 0;
+
+    for await (const post of cursor) {
+      const comments = post.comments || [];
+
+      if (comments.length > 0) {
+        // Upserts keep the script safe to run again after a partial run
+        await ForumComment.collection.bulkWrite(comments.map(comment => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                post: post._id,
+                parent: null,
+                root: comment._id,
+                depth: 0,
+                user: comment.user,
+                content: comment.content,
+                status: comment.status || 'active',
+                likes: comment.likes || [],
+                createdAt: comment.createdAt || post.createdAt,
+                updatedAt: comment.createdAt || post.createdAt
+              }
+            },
+            upsert: true
+          }
+        })));
+        moved += comments.length;
+      }
+
+      await collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+      await ForumComment.syncPostCommentCount(post._id);
+      posts += 1;
+    }
+
+    console.log(`✅ Moved ${moved} comment(s) from ${posts} post(s)`);
+
+    // Disconnect
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+
+  } catch (error) {
+    console.error('❌ Error migrating forum comments:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateForumComments();
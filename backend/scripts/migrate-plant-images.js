@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Plant Image Migration
+ * Moves the old single `image` on pollination records into the `images` gallery
+ * Usage: node backend/scripts/migrate-plant-images.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const mongoose = require('mongoose');
+
+// Import models
+const Pollination = require('../src/models/Pollination');
+
+async function migratePlantImages() {
+  try {
+    // Connect to database
+    const dbUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/egourd';
+    console.log('🔌 Connecting to database:', dbUri);
+
+    await mongoose.connect(dbUri);
+    console.log('✅ Connected to MongoDB');
+
+    // The old field is no longer in the schema, so read the raw collection
+    const collection = Pollination.collection;
+    const cursor = collection.find({ image: { $exists: true } });
+
+    let moved = 0;
+    let cleared = 0;
+
+    for await (const plant of cursor) {
+      const update = { $unset: { image: '' } };
+
+      if (plant.image?.url) {
+        const date = plant.image.uploadDate || plant.updatedAt || new Date();
+        update.$push = {
+          images: {
+            _id: new mongoose.Types.ObjectId(),
+            url: plant.image.url,
+            cloudinaryId: plant.image.cloudinaryId,
+            type: Pollination.getImageTypeForStatus(plant.status),
+            caption: plant.image.caption || '',
+            date,
+            uploadDate: date
+          }
+        };
+        moved += 1;
+      } else {
+        cleared += 1;
+      }
+
+      await collection.updateOne({ _id: plant._id }, update);
+    }
+
+    console.log(`✅ Moved ${moved} photo(s) into plant galleries`);
+    console.log(`🧹 Cleared ${cleared} empty image field(s)`);
+
+    // Disconnect
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+
+  } catch (error) {
+    console.error('❌ Error migrating plant images:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migratePlantImages();
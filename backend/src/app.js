@@ -8,6 +8,7 @@ const path = require('path');
 // Import configurations
 const database = require('./config/database');
 const { configureCloudinary } = require('./config/cloudinary');
+const { CropVariety } = require('./models');
 
 class App {
   constructor() {
@@ -134,7 +135,9 @@ class App {
           pollination: '/api/pollination',
           forum: '/api/forum',
           chatbot: '/api/chatbot',
-          admin: '/api/admin'
+          admin: '/api/admin',
+          models: '/api/models',
+          notifications: '/api/notifications'
         },
         documentation: '/api/docs'
       });
@@ -151,6 +154,8 @@ class App {
     this.app.use('/api/admin', require('./routes/admin'));
     this.app.use('/api/scans', require('./routes/scan'));
     this.app.use('/api/uploads', require('./routes/uploads'));
+    this.app.use('/api/models', require('./routes/models'));
+    this.app.use('/api/notifications', require('./routes/notifications'));
     // TODO: Add these when other route modules are created
     // this.app.use('/api/users', require('./routes/users'));
 
@@ -225,6 +230,9 @@ class App {
       // Configure Cloudinary
       configureCloudinary();
 
+      // Load the crop calendar (seeding the default gourds on first run)
+      await CropVariety.initializeCatalog();
+
       console.log('🚀 Application initialized successfully');
       return this.app;
     } catch (error) {
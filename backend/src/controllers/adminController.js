@@ -1,13 +1,67 @@
-const { User } = require('../models');
+const { User, Scan, Report, ForumComment } = require('../models');
 const ForumPost = require('../models/ForumPost');
 const News = require('../models/News');
 const mongoose = require('mongoose');
+const modelAnalyticsService = require('../services/modelAnalyticsService');
+const pollinationAnalyticsService = require('../services/pollinationAnalyticsService');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
 
 /**
  * Admin Controller
  * Handles admin dashboard operations including user management
  */
 
+// Scans at or below this confidence (0-100) are queued for expert review
+const LOW_CONFIDENCE_THRESHOLD = 65;
+
+const REVIEW_TYPES = ['conflict', 'low_confidence', 'all'];
+
+// Models disagreed, whether or not the scan was saved as an unresolved conflict
+const CONFLICT_FILTER = {
+  $or: [
+    { validationStatus: 'conflict' },
+    { 'aiPrediction.comparison.modelsAgree': false }
+  ]
+};
+
+/**
+ * Build the review queue query for a queue type
+ */
+const buildReviewFilter = ({ type, maxConfidence, includeResolved }) => {
+  const lowConfidence = { confidence: { $lte: maxConfidence } };
+  // Plant health scans have no flower label to review
+  const conditions = [{ scanType: { $ne: 'plant_health' } }];
+
+  if (type === 'conflict') {
+    conditions.push(CONFLICT_FILTER);
+  } else if (type === 'low_confidence') {
+    conditions.push(lowConfidence);
+  } else {
+    conditions.push({ $or: [...CONFLICT_FILTER.$or, lowConfidence] });
+  }
+
+  if (!includeResolved) {
+    conditions.push({ 'groundTruth.source': { $ne: 'expert' } });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * List why a scan is in the review queue
+ */
+const getReviewReasons = (scan, maxConfidence) => {
+  const reasons = [];
+  if (scan.validationStatus === 'conflict' || scan.aiPrediction?.comparison?.modelsAgree === false) {
+    reasons.push('conflict');
+  }
+  if (scan.confidence <= maxConfidence) {
+    reasons.push('low_confidence');
+  }
+  return reasons;
+};
+
 /**
  * Get admin dashboard overview
  * @route GET /api/admin/dashboard
@@ -77,6 +131,19 @@ exports.getDashboardOverview = async (req, res) => {
     const draftNews = await News.countDocuments({ status: 'draft' });
     const archivedNews = await News.countDocuments({ status: 'archived' });
 
+    // Get scan review queue stats
+    const totalScans = await Scan.countDocuments();
+    const conflictScans = await Scan.countDocuments(
+      buildReviewFilter({ type: 'conflict', includeResolved: false })
+    );
+    const lowConfidenceScans = await Scan.countDocuments(
+      buildReviewFilter({ type: 'low_confidence', maxConfidence: LOW_CONFIDENCE_THRESHOLD, includeResolved: false })
+    );
+    const pendingReviewScans = await Scan.countDocuments(
+      buildReviewFilter({ type: 'all', maxConfidence: LOW_CONFIDENCE_THRESHOLD, includeResolved: false })
+    );
+    const expertLabeledScans = await Scan.countDocuments({ 'groundTruth.source': 'expert' });
+
     // Get recent registrations (last 10)
     const recentRegistrations = await User.find()
       .select('username email firstName lastName createdAt provider isActive')
@@ -105,6 +172,13 @@ exports.getDashboardOverview = async (req, res) => {
           deletedPosts,
           pinnedPosts
         },
+        scanStats: {
+          totalScans,
+          conflictScans,
+          lowConfidenceScans,
+          pendingReviewScans,
+          expertLabeledScans
+        },
         newsStats: {
           totalNews,
           publishedNews,
@@ -338,7 +412,7 @@ exports.activateUser = async (req, res) => {
 
     const user = await User.findByIdAndUpdate(
       userId,
-      { $set: { isActive: true } },
+      { $set: { isActive: true, suspendedAt: null, suspendUntil: null, suspensionReason: null } },
       { new: true }
     ).select('-password -refreshTokens -verificationPin');
 
@@ -408,8 +482,11 @@ exports.deactivateUser = async (req, res) => {
       });
     }
 
-    // Update user status
+    // Update user status; a deactivation replaces any suspension
     user.isActive = false;
+    user.suspendedAt = null;
+    user.suspendUntil = null;
+    user.suspensionReason = null;
     if (reason) {
       user.deactivationReason = reason;
     }
@@ -475,7 +552,7 @@ exports.suspendUser = async (req, res) => {
           isActive: false,
           suspendedAt: new Date(),
           suspendUntil,
-          ...(reason && { suspensionReason: reason })
+          suspensionReason: reason || null
         }
       },
       { new: true }
@@ -488,6 +565,14 @@ exports.suspendUser = async (req, res) => {
       });
     }
 
+    // The inbox is only reachable once the account is active again, so the user is also emailed;
+    // while suspended, login and authenticated requests answer 403 with the reason and end date
+    await Promise.all([
+      notificationService.accountSuspended({ user, reason, suspendUntil }),
+      emailService.sendAccountSuspendedEmail(user.email, user.firstName || user.username || 'User', { reason, suspendUntil })
+        .catch(error => console.error('Failed to send suspension email:', error.message))
+    ]);
+
     res.status(200).json({
       success: true,
       message: `User account suspended${suspendUntil ? ` until ${suspendUntil.toISOString()}` : ''}`,
@@ -684,7 +769,7 @@ exports.bulkUpdateUsers = async (req, res) => {
 
     switch (action) {
       case 'activate':
-        update = { isActive: true };
+        update = { isActive: true, suspendedAt: null, suspendUntil: null, suspensionReason: null };
         message = 'Users activated successfully';
         break;
       case 'deactivate':
@@ -837,7 +922,6 @@ exports.getAllForumPosts = async (req, res) => {
     // Get posts with pagination
     const posts = await ForumPost.find(filter)
       .populate('author', 'username firstName lastName email emailVerified')
-      .populate('comments.user', 'username firstName lastName')
       .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit))
@@ -850,7 +934,7 @@ exports.getAllForumPosts = async (req, res) => {
     const formattedPosts = posts.map(post => ({
       ...post,
       likeCount: post.likes?.length || 0,
-      commentCount: post.comments?.length || 0,
+      commentCount: post.commentCount || 0,
     }));
 
     res.status(200).json({
@@ -897,7 +981,6 @@ exports.getForumPostById = async (req, res) => {
 
     const post = await ForumPost.findById(postId)
       .populate('author', 'username firstName lastName email emailVerified')
-      .populate('comments.user', 'username firstName lastName email')
       .populate('likes.user', 'username firstName lastName');
 
     if (!post) {
@@ -907,10 +990,16 @@ exports.getForumPostById = async (req, res) => {
       });
     }
 
+    // Admins see every comment and reply, including hidden ones, oldest first
+    const comments = await ForumComment.find({ post: post._id })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username firstName lastName email')
+      .lean();
+
     res.status(200).json({
       success: true,
       message: 'Forum post retrieved successfully',
-      data: { post }
+      data: { post: { ...post.toObject(), comments } }
     });
   } catch (error) {
     console.error('Get forum post error:', error);
@@ -1149,6 +1238,8 @@ exports.approvePost = async (req, res) => {
       });
     }
 
+    await notificationService.postModerated({ post, approved: true });
+
     res.status(200).json({
       success: true,
       message: 'Post approved and published to community',
@@ -1209,6 +1300,8 @@ exports.rejectPost = async (req, res) => {
       });
     }
 
+    await notificationService.postModerated({ post, approved: false, reason: reason.trim() });
+
     res.status(200).json({
       success: true,
       message: 'Post rejected',
@@ -1223,3 +1316,514 @@ exports.rejectPost = async (req, res) => {
     });
   }
 };
+
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned', 'all'];
+
+// Name shown for a post author, comment author or reporter
+const getDisplayName = (user) => (
+  user?.username ||
+  (user?.firstName && user?.lastName ? `${user.firstName} ${user.lastName}` : user?.email?.split('@')[0]) ||
+  'Anonymous'
+);
+
+/**
+ * Get forum reports grouped by the post or comment they are about, most reported first
+ * @route GET /api/admin/forum/reports
+ * @access Private/Admin
+ */
+exports.getForumReports = async (req, res) => {
+  try {
+    const { status = 'open', targetType = '', page = 1, limit = 20 } = req.query;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}`
+      });
+    }
+
+    const match = {};
+    if (status !== 'all') match.status = status;
+    if (targetType) match.targetType = targetType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { post: '$post', comment: '$comment' },
+          targetType: { $first: '$targetType' },
+          reportCount: { $sum: 1 },
+          latestReportAt: { $max: '$createdAt' },
+          reasons: { $push: '$reason' },
+          reports: {
+            $push: {
+              _id: '$_id',
+              reporter: '$reporter',
+              reason: '$reason',
+              details: '$details',
+              status: '$status',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $sort: { reportCount: -1, latestReportAt: -1 } },
+      {
+        $facet: {
+          groups: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const groups = result.groups;
+    const total = result.total[0]?.count || 0;
+
+    const [posts, comments, reporters] = await Promise.all([
+      ForumPost.find({ _id: { $in: groups.map(group => group._id.post) } })
+        .select('title content status author createdAt')
+        .populate('author', 'username firstName lastName email')
+        .lean(),
+      ForumComment.find({ _id: { $in: groups.map(group => group._id.comment).filter(Boolean) } })
+        .select('content status user createdAt')
+        .populate('user', 'username firstName lastName email')
+        .lean(),
+      User.find({ _id: { $in: groups.flatMap(group => group.reports.map(report => report.reporter)) } })
+        .select('username firstName lastName email')
+        .lean()
+    ]);
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+    const commentsById = new Map(comments.map(comment => [comment._id.toString(), comment]));
+    const reportersById = new Map(reporters.map(user => [user._id.toString(), user]));
+
+    const formattedGroups = groups.map(group => {
+      const post = postsById.get(group._id.post.toString());
+      const comment = group._id.comment ? commentsById.get(group._id.comment.toString()) : null;
+
+      return {
+        targetType: group.targetType,
+        postId: group._id.post,
+        commentId: group._id.comment,
+        post: post ? {
+          _id: post._id,
+          title: post.title,
+          content: post.content,
+          status: post.status,
+          author: getDisplayName(post.author),
+          createdAt: post.createdAt
+        } : null,
+        comment: comment ? {
+          _id: comment._id,
+          content: comment.content,
+          status: comment.status,
+          author: getDisplayName(comment.user),
+          createdAt: comment.createdAt
+        } : null,
+        reportCount: group.reportCount,
+        latestReportAt: group.latestReportAt,
+        reasonCounts: group.reasons.reduce((counts, reason) => {
+          counts[reason] = (counts[reason] || 0) + 1;
+          return counts;
+        }, {}),
+        reports: group.reports.map(report => ({
+          ...report,
+          reporter: getDisplayName(reportersById.get(report.reporter.toString()))
+        }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Forum reports retrieved successfully',
+      data: {
+        groups: formattedGroups,
+        flagThreshold: Report.getFlagThreshold(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalGroups: total,
+          hasNextPage: skip + groups.length < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get forum reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve forum reports',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resolve the open reports on a post or comment: dismiss them (restoring flagged content) or remove the content
+ * @route PATCH /api/admin/forum/posts/:postId/reports/resolve
+ * @route PATCH /api/admin/forum/posts/:postId/comments/:commentId/reports/resolve
+ * @access Private/Admin
+ */
+exports.resolveForumReports = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { action, note } = req.body;
+
+    // Validate ObjectIds
+    if (!mongoose.Types.ObjectId.isValid(postId) || (commentId && !mongoose.Types.ObjectId.isValid(commentId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post or comment ID format'
+      });
+    }
+
+    const post = await ForumPost.findById(postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Forum post not found'
+      });
+    }
+
+    const comment = commentId ? await ForumComment.findOne({ _id: commentId, post: post._id }) : null;
+    if (commentId && !comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const target = comment || post;
+    if (action === 'remove') {
+      if (comment) {
+        comment.status = 'removed';
+      } else {
+        post.status = 'deleted';
+        post.moderatedBy = req.user._id;
+        post.moderatedAt = new Date();
+        post.moderationNote = note || 'Removed after community reports';
+      }
+    } else if (target.status === 'flagged') {
+      // Reports dismissed: show the content again
+      target.status = 'active';
+    }
+    await target.save();
+    if (comment) {
+      await ForumComment.syncPostCommentCount(post._id);
+    }
+
+    const result = await Report.updateMany(
+      { post: post._id, comment: comment ? comment._id : null, status: 'open' },
+      {
+        $set: {
+          status: action === 'remove' ? 'actioned' : 'dismissed',
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          ...(note && { resolutionNote: note })
+        }
+      }
+    );
+
+    const targetLabel = comment ? 'Comment' : 'Post';
+    res.status(200).json({
+      success: true,
+      message: action === 'remove'
+        ? `${targetLabel} removed and reports closed`
+        : `Reports dismissed; ${targetLabel.toLowerCase()} kept`,
+      data: {
+        targetStatus: target.status,
+        resolvedReports: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Resolve forum reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve forum reports',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get scans needing expert review (model conflicts and low confidence)
+ * @route GET /api/admin/scans/review
+ * @access Private/Admin
+ */
+exports.getScanReviewQueue = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      type = 'all',
+      includeResolved = 'false',
+      sortOrder = 'desc'
+    } = req.query;
+
+    if (!REVIEW_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid review type. Must be one of: ${REVIEW_TYPES.join(', ')}`
+      });
+    }
+
+    const maxConfidence = req.query.maxConfidence !== undefined
+      ? parseFloat(req.query.maxConfidence)
+      : LOW_CONFIDENCE_THRESHOLD;
+
+    if (Number.isNaN(maxConfidence) || maxConfidence < 0 || maxConfidence > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxConfidence must be a number between 0 and 100'
+      });
+    }
+
+    const filter = buildReviewFilter({
+      type,
+      maxConfidence,
+      includeResolved: includeResolved === 'true'
+    });
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const scans = await Scan.find(filter)
+      .populate('userId', 'username firstName lastName email')
+      .populate('groundTruth.labeledBy', 'username firstName lastName')
+      .sort({ date: direction, _id: direction })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Scan.countDocuments(filter);
+
+    const formattedScans = scans.map(scan => ({
+      ...scan,
+      reviewReasons: getReviewReasons(scan, maxConfidence)
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan review queue retrieved successfully',
+      data: {
+        scans: formattedScans,
+        maxConfidence,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalScans: total,
+          scansPerPage: parseInt(limit),
+          hasNextPage: skip + scans.length < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scan review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scan review queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a scan with both model outputs for review
+ * @route GET /api/admin/scans/:scanId
+ * @access Private/Admin
+ */
+exports.getScanForReview = async (req, res) => {
+  try {
+    const { scanId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(scanId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scan ID format'
+      });
+    }
+
+    const scan = await Scan.findById(scanId)
+      .populate('userId', 'username firstName lastName email')
+      .populate('groundTruth.labeledBy', 'username firstName lastName')
+      .lean();
+
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scan not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan retrieved successfully',
+      data: {
+        scan: {
+          ...scan,
+          reviewReasons: getReviewReasons(scan, LOW_CONFIDENCE_THRESHOLD)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scan for review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assign the final (expert) label to a scan
+ * @route PATCH /api/admin/scans/:scanId/label
+ * @access Private/Admin
+ */
+exports.labelScan = async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const { variety, gender, notes } = req.body;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(scanId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scan ID format'
+      });
+    }
+
+    const scan = await Scan.findById(scanId);
+
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scan not found'
+      });
+    }
+
+    // Variety and gender labels only train the flower classifier
+    if (scan.scanType === 'plant_health') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only flower scans can be labeled'
+      });
+    }
+
+    scan.setGroundTruth({
+      variety,
+      gender,
+      source: 'expert',
+      labeledBy: req.user._id,
+      notes
+    });
+
+    // The expert decision settles a model disagreement
+    if (scan.validationStatus === 'conflict') {
+      scan.validationStatus = 'manual_override';
+    }
+
+    await scan.save();
+    await scan.populate('groundTruth.labeledBy', 'username firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan label saved',
+      data: {
+        scan,
+        predictionCorrect: scan.matchesGroundTruth()
+      }
+    });
+  } catch (error) {
+    console.error('Label scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save scan label',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get TFLite accuracy and latency analytics per model version
+ * @route GET /api/admin/analytics/models
+ * @access Private/Admin
+ */
+exports.getModelAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const range = {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    };
+
+    if ((range.startDate && isNaN(range.startDate)) || (range.endDate && isNaN(range.endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const models = await modelAnalyticsService.getModelVersionAnalytics(range);
+
+    res.status(200).json({
+      success: true,
+      message: 'Model analytics retrieved successfully',
+      data: { models }
+    });
+  } catch (error) {
+    console.error('Get model analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve model analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the anonymized community pollination success benchmark
+ * @route GET /api/admin/analytics/pollination
+ * @access Private/Admin
+ */
+exports.getPollinationBenchmark = async (req, res) => {
+  try {
+    const { variety, startDate, endDate } = req.query;
+
+    const range = {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    };
+
+    if ((range.startDate && isNaN(range.startDate)) || (range.endDate && isNaN(range.endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const benchmark = await pollinationAnalyticsService.getCommunityBenchmark({
+      variety: variety || undefined,
+      ...range
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Pollination benchmark retrieved successfully',
+      data: benchmark
+    });
+  } catch (error) {
+    console.error('Get pollination benchmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pollination benchmark',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const { CropVariety, Pollination } = require('../models');
+
+/**
+ * Crop Variety Controller
+ * Admin management of the crop calendar: flowering and pollination days, pollination hours,
+ * harvest days and display names that plants, notifications and scans read from
+ */
+
+// Fields an admin may set; `key` is only accepted on create
+const EDITABLE_FIELDS = [
+  'displayName',
+  'scanVariety',
+  'maleFlowering',
+  'femaleFlowering',
+  'pollination',
+  'harvest',
+  'pollinationWindow',
+  'isActive'
+];
+
+/**
+ * Respond to a Mongoose validation error with the first message
+ * @returns {boolean} true when a response was sent
+ */
+const handleSaveError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0].message
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: 'A crop with this key already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * List crop varieties with the number of plants using each
+ * @route GET /api/admin/crops
+ * @access Private/Admin
+ */
+exports.getCropVarieties = async (req, res) => {
+  try {
+    const [crops, plantCounts] = await Promise.all([
+      CropVariety.find().sort({ isActive: -1, key: 1 }),
+      Pollination.aggregate([{ $group: { _id: '$name', count: { $sum: 1 } } }])
+    ]);
+
+    const countsByKey = plantCounts.reduce((counts, entry) => {
+      counts[entry._id] = entry.count;
+      return counts;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Crop varieties retrieved successfully',
+      data: {
+        crops: crops.map(crop => ({
+          ...crop.toObject(),
+          plantCount: countsByKey[crop.key] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get crop varieties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve crop varieties',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a crop variety to the catalog
+ * @route POST /api/admin/crops
+ * @access Private/Admin
+ */
+exports.createCropVariety = async (req, res) => {
+  try {
+    const crop = new CropVariety({
+      key: req.body.key,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        crop.set(field, req.body[field]);
+      }
+    });
+
+    await crop.save();
+    await CropVariety.refreshCatalog();
+
+    res.status(201).json({
+      success: true,
+      message: `${crop.displayName.tagalog} added to the crop catalog`,
+      data: { crop }
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error('Create crop variety error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create crop variety',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a crop variety's timings, names or availability
+ * @route PUT /api/admin/crops/:cropId
+ * @access Private/Admin
+ */
+exports.updateCropVariety = async (req, res) => {
+  try {
+    const { cropId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(cropId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid crop ID format'
+      });
+    }
+
+    const crop = await CropVariety.findById(cropId);
+
+    if (!crop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Crop variety not found'
+      });
+    }
+
+    // Merge nested objects field by field so partial updates keep the other values
+    EDITABLE_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value === undefined) return;
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([subField, subValue]) => crop.set(`${field}.${subField}`, subValue));
+      } else {
+        crop.set(field, value);
+      }
+    });
+    crop.updatedBy = req.user._id;
+
+    await crop.save();
+    await CropVariety.refreshCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: `${crop.displayName.tagalog} updated successfully`,
+      data: { crop }
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error('Update crop variety error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update crop variety',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a crop variety that no plant uses (deactivate it otherwise)
+ * @route DELETE /api/admin/crops/:cropId
+ * @access Private/Admin
+ */
+exports.deleteCropVariety = async (req, res) => {
+  try {
+    const { cropId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(cropId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid crop ID format'
+      });
+    }
+
+    const crop = await CropVariety.findById(cropId);
+
+    if (!crop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Crop variety not found'
+      });
+    }
+
+    const plantCount = await Pollination.countDocuments({ name: crop.key });
+    if (plantCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${plantCount} plant(s) use ${crop.displayName.tagalog}. Deactivate it instead to hide it from new plants.`
+      });
+    }
+
+    await crop.deleteOne();
+    await CropVariety.refreshCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: `${crop.displayName.tagalog} removed from the crop catalog`
+    });
+  } catch (error) {
+    console.error('Delete crop variety error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete crop variety',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,11 @@
 const ForumPost = require('../models/ForumPost');
+const ForumComment = require('../models/ForumComment');
 const User = require('../models/User');
+const Report = require('../models/Report');
+const forumSearchService = require('../services/forumSearchService');
+const forumFeedService = require('../services/forumFeedService');
+const notificationService = require('../services/notificationService');
+const { escapeRegex } = require('../utils/helpers');
 const { cloudinary } = require('../config/cloudinary');
 const filter = require('leo-profanity');
 
@@ -29,10 +35,11 @@ exports.getAllPosts = async (req, res) => {
     }
 
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } },
+        { title: { $regex: pattern, $options: 'i' } },
+        { content: { $regex: pattern, $options: 'i' } },
+        { tags: { $in: [new RegExp(pattern, 'i')] } },
       ];
     }
 
@@ -58,7 +65,7 @@ exports.getAllPosts = async (req, res) => {
         sort.createdAt = -1;
         break;
       case 'mostCommented':
-        sort.comments = -1;
+        sort.commentCount = -1;
         sort.createdAt = -1;
         break;
       case 'views':
@@ -76,23 +83,27 @@ exports.getAllPosts = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('author', 'username firstName lastName email emailVerified')
-      .populate('comments.user', 'username firstName lastName email emailVerified')
       .lean();
 
     // Get total count for pagination
     const total = await ForumPost.countDocuments(query);
 
+    // Bookmarks are only known for signed-in users
+    const savedPostIds = req.user ? await getSavedPostIds(req.user._id) : null;
+
     // Format posts
     const formattedPosts = posts.map(post => ({
       _id: post._id,
       ...post,
       author: {
+        _id: post.author?._id,
         username: post.author?.username || (post.author?.firstName && post.author?.lastName ? `${post.author.firstName} ${post.author.lastName}` : post.author?.email?.split('@')[0]) || 'Anonymous',
         verified: post.author?.emailVerified || false,
       },
       likeCount: post.likes?.length || 0,
-      commentCount: post.comments?.length || 0,
+      commentCount: post.commentCount || 0,
       timestamp: getRelativeTime(post.createdAt),
+      ...(savedPostIds && { isBookmarked: savedPostIds.has(post._id.toString()) }),
     }));
 
     res.status(200).json({
@@ -115,6 +126,58 @@ exports.getAllPosts = async (req, res) => {
   }
 };
 
+// Search posts by relevance, with highlighted titles and snippets
+exports.searchPosts = async (req, res) => {
+  try {
+    const { category, author, from, to, hasImages } = req.query;
+    const q = req.query.q.trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const { posts, total, matchType } = await forumSearchService.searchPosts({
+      q,
+      category,
+      author: author?.trim(),
+      from,
+      to,
+      hasImages: hasImages === undefined ? undefined : hasImages === 'true',
+      page,
+      limit,
+    });
+
+    const formattedPosts = posts.map(post => ({
+      ...post,
+      author: {
+        username: getDisplayName(post.author),
+        verified: post.author?.emailVerified || false,
+      },
+      likeCount: post.likes?.length || 0,
+      commentCount: post.commentCount || 0,
+      timestamp: getRelativeTime(post.createdAt),
+      highlights: forumSearchService.buildHighlights(post, q),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: formattedPosts,
+      matchType,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        hasMore: (page - 1) * limit + posts.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Error searching forum posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search posts',
+      error: error.message,
+    });
+  }
+};
+
 // Get single post by ID
 exports.getPostById = async (req, res) => {
   try {
@@ -122,7 +185,6 @@ exports.getPostById = async (req, res) => {
 
     const post = await ForumPost.findById(id)
       .populate('author', 'username firstName lastName email emailVerified')
-      .populate('comments.user', 'username firstName lastName email emailVerified')
       .populate('likes.user', 'username firstName lastName');
 
     if (!post) {
@@ -136,24 +198,33 @@ exports.getPostById = async (req, res) => {
     post.views += 1;
     await post.save();
 
+    // Follow and bookmark state for the signed-in reader
+    let viewerState = {};
+    if (req.user) {
+      const authorId = post.author?._id;
+      const [savedPostIds, isFollowing] = await Promise.all([
+        getSavedPostIds(req.user._id),
+        authorId ? User.exists({ _id: req.user._id, 'following.user': authorId }) : null,
+      ]);
+      viewerState = {
+        isAuthor: Boolean(authorId) && authorId.toString() === req.user._id.toString(),
+        isFollowing: Boolean(isFollowing),
+        isBookmarked: savedPostIds.has(post._id.toString()),
+      };
+    }
+
     // Format response
     const formattedPost = {
       ...post.toObject(),
       author: {
+        _id: post.author?._id,
         username: post.author?.username || (post.author?.firstName && post.author?.lastName ? `${post.author.firstName} ${post.author.lastName}` : post.author?.email?.split('@')[0]) || 'Anonymous',
         verified: post.author?.emailVerified || false,
       },
       likes: post.likes?.length || 0,
-      comments: post.comments?.map(comment => ({
-        ...comment.toObject(),
-        user: {
-          username: comment.user?.username || (comment.user?.firstName && comment.user?.lastName ? `${comment.user.firstName} ${comment.user.lastName}` : comment.user?.email?.split('@')[0]) || 'Anonymous',
-          verified: comment.user?.emailVerified || false,
-        },
-        likes: comment.likes?.length || 0,
-        timestamp: getRelativeTime(comment.createdAt),
-      })) || [],
+      commentCount: post.commentCount || 0,
       timestamp: getRelativeTime(post.createdAt),
+      ...viewerState,
     };
 
     res.status(200).json({
@@ -401,6 +472,7 @@ exports.toggleLike = async (req, res) => {
     }
 
     await post.save();
+    await notificationService.postLikeChanged({ post, actor: req.user, liked: likeIndex === -1 });
 
     res.status(200).json({
       success: true,
@@ -420,20 +492,81 @@ exports.toggleLike = async (req, res) => {
   }
 };
 
-// Add comment
-exports.addComment = async (req, res) => {
+// Get a page of comment threads with nested replies
+exports.getComments = async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
-    const userId = req.user._id;
+    const { sort = 'oldest' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
+    const post = await ForumPost.findById(id).select('_id commentCount');
+
+    if (!post) {
+      return res.status(404).json({
         success: false,
-        message: 'Comment content is required',
+        message: 'Post not found',
       });
     }
 
+    // Hidden top-level comments stay in the list while they have visible replies
+    const threadsWithReplies = await ForumComment.distinct('root', {
+      post: id,
+      parent: { $ne: null },
+      status: 'active',
+    });
+    const query = {
+      post: id,
+      parent: null,
+      $or: [{ status: 'active' }, { _id: { $in: threadsWithReplies } }],
+    };
+
+    const skip = (page - 1) * limit;
+    const roots = await ForumComment.find(query)
+      .sort({ createdAt: sort === 'newest' ? -1 : 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'username firstName lastName email emailVerified')
+      .lean();
+
+    const replies = await ForumComment.find({
+      root: { $in: roots.map(root => root._id) },
+      parent: { $ne: null },
+    })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username firstName lastName email emailVerified')
+      .lean();
+
+    const total = await ForumComment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: buildCommentTree(roots, replies, req.user),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalThreads: total,
+        totalComments: post.commentCount || 0,
+        hasMore: skip + roots.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments',
+      error: error.message,
+    });
+  }
+};
+
+// Add comment, or a reply when parentId is given
+exports.addComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, parentId } = req.body;
+    const userId = req.user._id;
+
     const post = await ForumPost.findById(id);
 
     if (!post) {
@@ -450,32 +583,38 @@ exports.addComment = async (req, res) => {
       });
     }
 
-    // Filter profanity from comment content
-    const cleanContent = filter.clean(content.trim());
+    let parent = null;
+    if (parentId) {
+      parent = await ForumComment.findOne({ _id: parentId, post: post._id });
+
+      if (!parent || parent.status !== 'active') {
+        return res.status(404).json({
+          success: false,
+          message: 'The comment you are replying to was not found',
+        });
+      }
+    }
 
-    // Add comment
-    post.comments.push({
+    // Replies past the deepest level join the thread next to the comment they answer
+    const maxDepth = ForumComment.getMaxDepth();
+    const comment = new ForumComment({
+      post: post._id,
       user: userId,
-      content: cleanContent,
+      content: filter.clean(content.trim()),
+      parent: parent ? (parent.depth < maxDepth ? parent._id : parent.parent) : null,
+      root: parent ? parent.root : undefined,
+      depth: parent ? Math.min(parent.depth + 1, maxDepth) : 0,
     });
 
-    await post.save();
-    await post.populate('comments.user', 'username firstName lastName email emailVerified');
-
-    const newComment = post.comments[post.comments.length - 1];
+    await comment.save();
+    await ForumComment.syncPostCommentCount(post._id);
+    await notificationService.commentAdded({ post, comment, parent, actor: req.user });
+    await comment.populate('user', 'username firstName lastName email emailVerified');
 
     res.status(201).json({
       success: true,
-      message: 'Comment added successfully',
-      data: {
-        ...newComment.toObject(),
-        user: {
-          username: newComment.user?.username || (newComment.user?.firstName && newComment.user?.lastName ? `${newComment.user.firstName} ${newComment.user.lastName}` : newComment.user?.email?.split('@')[0]) || 'Anonymous',
-          avatar: newComment.user?.photoURL || null,
-          verified: newComment.user?.emailVerified || false,
-        },
-        timestamp: 'Just now',
-      },
+      message: parent ? 'Reply added successfully' : 'Comment added successfully',
+      data: { ...formatComment(comment.toObject(), req.user), replies: [] },
     });
   } catch (error) {
     console.error('Error adding comment:', error);
@@ -487,6 +626,354 @@ exports.addComment = async (req, res) => {
   }
 };
 
+// Edit a comment (author or admin)
+exports.updateComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { content } = req.body;
+
+    const comment = await ForumComment.findOne({ _id: commentId, post: id });
+
+    if (!comment || comment.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (!canManageComment(comment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments',
+      });
+    }
+
+    comment.content = filter.clean(content.trim());
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await comment.populate('user', 'username firstName lastName email emailVerified');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: formatComment(comment.toObject(), req.user),
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message,
+    });
+  }
+};
+
+// Delete a comment (author or admin); replies stay visible under a placeholder
+exports.deleteComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const comment = await ForumComment.findOne({ _id: commentId, post: id });
+
+    if (!comment || comment.status === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (!canManageComment(comment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    comment.status = 'deleted';
+    comment.deletedBy = req.user._id;
+
+    await comment.save();
+    const commentCount = await ForumComment.syncPostCommentCount(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { commentCount },
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message,
+    });
+  }
+};
+
+// Like/Unlike comment
+exports.toggleCommentLike = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = req.user._id;
+
+    const comment = await ForumComment.findOne({ _id: commentId, post: id });
+
+    if (!comment || comment.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    // Check if user already liked
+    const likeIndex = comment.likes.findIndex(
+      like => like.user.toString() === userId.toString()
+    );
+
+    if (likeIndex > -1) {
+      // Unlike
+      comment.likes.splice(likeIndex, 1);
+    } else {
+      // Like
+      comment.likes.push({ user: userId });
+    }
+
+    await comment.save();
+    await notificationService.commentLikeChanged({ comment, actor: req.user, liked: likeIndex === -1 });
+
+    res.status(200).json({
+      success: true,
+      message: likeIndex > -1 ? 'Comment unliked' : 'Comment liked',
+      data: {
+        likes: comment.likes.length,
+        isLiked: likeIndex === -1,
+      },
+    });
+  } catch (error) {
+    console.error('Error toggling comment like:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle comment like',
+      error: error.message,
+    });
+  }
+};
+
+// Get the personalized "For you" feed
+exports.getFeed = async (req, res) => {
+  try {
+    const { category } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const [{ posts, total, interests }, savedPostIds] = await Promise.all([
+      forumFeedService.getFeed({ userId: req.user._id, category, page, limit }),
+      getSavedPostIds(req.user._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: posts.map(post => formatPostSummary(post, savedPostIds)),
+      interests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasMore: (page - 1) * limit + posts.length < total,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching forum feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your feed',
+      error: error.message,
+    });
+  }
+};
+
+// Follow a user
+exports.followUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself',
+      });
+    }
+
+    const target = await User.findById(userId).select('username firstName lastName email isActive');
+
+    if (!target || !target.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const followed = await User.followUser(req.user._id, target._id);
+    if (followed) {
+      await notificationService.followChanged({ target, actor: req.user, following: true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You are now following ${getDisplayName(target)}`,
+      data: {
+        isFollowing: true,
+        followerCount: await User.countFollowers(target._id),
+      },
+    });
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to follow user',
+      error: error.message,
+    });
+  }
+};
+
+// Unfollow a user
+exports.unfollowUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const target = await User.findById(userId).select('username firstName lastName email');
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const unfollowed = await User.unfollowUser(req.user._id, target._id);
+    if (unfollowed) {
+      await notificationService.followChanged({ target, actor: req.user, following: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You unfollowed ${getDisplayName(target)}`,
+      data: {
+        isFollowing: false,
+        followerCount: await User.countFollowers(target._id),
+      },
+    });
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unfollow user',
+      error: error.message,
+    });
+  }
+};
+
+// Bookmark a post
+exports.bookmarkPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await ForumPost.findById(id).select('status');
+
+    if (!post || post.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    await User.savePost(req.user._id, post._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post saved',
+      data: { isBookmarked: true },
+    });
+  } catch (error) {
+    console.error('Error saving post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save post',
+      error: error.message,
+    });
+  }
+};
+
+// Remove a bookmark; works for posts that were removed since
+exports.removeBookmark = async (req, res) => {
+  try {
+    await User.unsavePost(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post removed from saved posts',
+      data: { isBookmarked: false },
+    });
+  } catch (error) {
+    console.error('Error removing saved post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove saved post',
+      error: error.message,
+    });
+  }
+};
+
+// Get the user's bookmarked posts, most recently saved first
+exports.getBookmarks = async (req, res) => {
+  try {
+    const { category } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const user = await User.findById(req.user._id).select('+savedPosts').lean();
+    const saved = [...(user?.savedPosts || [])].sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+
+    // Posts that were removed or archived since they were saved are left out
+    const query = { _id: { $in: saved.map(item => item.post) }, status: 'active' };
+    if (category && category !== 'all') {
+      query.category = category;
+    }
+
+    const posts = await ForumPost.find(query)
+      .populate('author', 'username firstName lastName email emailVerified')
+      .lean();
+
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+    const ordered = saved
+      .filter(item => postsById.has(item.post.toString()))
+      .map(item => ({ ...postsById.get(item.post.toString()), savedAt: item.savedAt }));
+
+    const skip = (page - 1) * limit;
+    const pagePosts = ordered.slice(skip, skip + limit);
+    const savedPostIds = new Set(saved.map(item => item.post.toString()));
+
+    res.status(200).json({
+      success: true,
+      data: pagePosts.map(post => formatPostSummary(post, savedPostIds)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(ordered.length / limit),
+        totalPosts: ordered.length,
+        hasMore: skip + pagePosts.length < ordered.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching saved posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved posts',
+      error: error.message,
+    });
+  }
+};
+
 // Get popular topics/tags
 exports.getPopularTopics = async (req, res) => {
   try {
@@ -520,6 +1007,91 @@ exports.getPopularTopics = async (req, res) => {
   }
 };
 
+// Display name for a populated user
+function getDisplayName(user) {
+  return user?.username || (user?.firstName && user?.lastName ? `${user.firstName} ${user.lastName}` : user?.email?.split('@')[0]) || 'Anonymous';
+}
+
+// Format a post with a populated author for the feed and saved posts lists
+function formatPostSummary(post, savedPostIds) {
+  return {
+    ...post,
+    author: {
+      _id: post.author?._id,
+      username: getDisplayName(post.author),
+      verified: post.author?.emailVerified || false,
+    },
+    likeCount: post.likes?.length || 0,
+    commentCount: post.commentCount || 0,
+    timestamp: getRelativeTime(post.createdAt),
+    isBookmarked: savedPostIds.has(post._id.toString()),
+  };
+}
+
+// Ids of the posts a user bookmarked, as strings
+async function getSavedPostIds(userId) {
+  const user = await User.findById(userId).select('+savedPosts').lean();
+  return new Set((user?.savedPosts || []).map(saved => saved.post.toString()));
+}
+
+// Comment authors can edit and delete their comments; admins can moderate any comment
+function canManageComment(comment, user) {
+  return user.role === 'admin' || comment.user.toString() === user._id.toString();
+}
+
+// Format a comment with a populated user; hidden comments only keep their place in the thread
+function formatComment(comment, viewer) {
+  const base = {
+    _id: comment._id,
+    post: comment.post,
+    parent: comment.parent,
+    depth: comment.depth,
+    status: comment.status,
+    createdAt: comment.createdAt,
+    timestamp: getRelativeTime(comment.createdAt),
+  };
+
+  if (comment.status !== 'active') {
+    return { ...base, content: null, user: null, likes: 0, isLiked: false, isAuthor: false };
+  }
+
+  const viewerId = viewer?._id?.toString();
+  return {
+    ...base,
+    content: comment.content,
+    user: {
+      username: getDisplayName(comment.user),
+      verified: comment.user?.emailVerified || false,
+    },
+    likes: comment.likes?.length || 0,
+    isLiked: Boolean(viewerId) && (comment.likes || []).some(like => like.user?.toString() === viewerId),
+    isAuthor: Boolean(viewerId) && comment.user?._id?.toString() === viewerId,
+    editedAt: comment.editedAt || null,
+  };
+}
+
+// Nest replies under their parents; hidden comments are dropped unless they still have visible replies
+function buildCommentTree(roots, replies, viewer) {
+  const nodes = new Map();
+  [...roots, ...replies].forEach(comment => {
+    nodes.set(comment._id.toString(), { ...formatComment(comment, viewer), replies: [] });
+  });
+
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  const prune = (node) => {
+    node.replies = node.replies.map(prune).filter(Boolean);
+    return node.status === 'active' || node.replies.length > 0 ? node : null;
+  };
+
+  return roots.map(root => prune(nodes.get(root._id.toString()))).filter(Boolean);
+}
+
 // Helper function for relative time
 function getRelativeTime(date) {
   const now = new Date();
@@ -573,7 +1145,7 @@ exports.getMyPosts = async (req, res) => {
       images: post.images,
       tags: post.tags,
       likeCount: post.likes?.length || 0,
-      commentCount: post.comments?.length || 0,
+      commentCount: post.commentCount || 0,
       views: post.views,
       isPinned: post.isPinned,
       isLocked: post.isLocked,
@@ -604,45 +1176,106 @@ exports.getMyPosts = async (req, res) => {
   }
 };
 
+// Record a report and hide the post or comment once enough distinct users reported it
+async function submitReport(req, res, post, comment) {
+  const { reason, details } = req.body;
+  const targetType = comment ? 'comment' : 'post';
+  const authorId = comment ? comment.user : post.author;
+
+  // Prevent users from reporting their own content
+  if (authorId.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: `You cannot report your own ${targetType}`,
+    });
+  }
+
+  try {
+    await Report.create({
+      targetType,
+      post: post._id,
+      comment: comment ? comment._id : null,
+      reporter: req.user._id,
+      reason,
+      details,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `You have already reported this ${targetType}`,
+      });
+    }
+    throw error;
+  }
+
+  // One report never hides content on its own; it takes several distinct reporters
+  const openReports = await Report.countOpenReports(post._id, comment ? comment._id : null);
+  if (openReports >= Report.getFlagThreshold()) {
+    if (comment && comment.status === 'active') {
+      comment.status = 'flagged';
+      await comment.save();
+      await ForumComment.syncPostCommentCount(post._id);
+    } else if (!comment && post.status === 'active') {
+      post.status = 'flagged';
+      await post.save();
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Thanks for reporting this ${targetType}. Our moderators will review it.`,
+  });
+}
+
 // Report a post for inappropriate content
 exports.reportPost = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
 
     // Find the post
     const post = await ForumPost.findById(id);
     
-    if (!post) {
+    if (!post || !['active', 'flagged'].includes(post.status)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
       });
     }
 
-    // Prevent users from reporting their own posts
-    if (post.author.toString() === userId.toString()) {
-      return res.status(400).json({
+    await submitReport(req, res, post, null);
+  } catch (error) {
+    console.error('Error reporting post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report post',
+      error: error.message,
+    });
+  }
+};
+
+// Report a comment for inappropriate content
+exports.reportComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const post = await ForumPost.findById(id);
+    const comment = await ForumComment.findOne({ _id: commentId, post: id });
+
+    if (!post || post.status !== 'active' || !comment || !['active', 'flagged'].includes(comment.status)) {
+      return res.status(404).json({
         success: false,
-        message: 'You cannot report your own post',
+        message: 'Comment not found',
       });
     }
 
-    // Update post status to flagged
-    post.status = 'flagged';
-    await post.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Post has been reported. Our moderators will review it shortly.',
-    });
+    await submitReport(req, res, post, comment);
   } catch (error) {
-    console.error('Error reporting post:', error);
+    console.error('Error reporting comment:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to report post',
+      message: 'Failed to report comment',
       error: error.message,
     });
   }
 };
-
@@ -58,6 +58,21 @@ const googleOAuth = async (req, res) => {
       console.log(`🆕 New Google user created: ${user.email}`);
     } else {
       // Update existing user
+      if (user.liftExpiredSuspension()) {
+        await user.save();
+      }
+
+      const suspension = user.getSuspension();
+      if (suspension) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended',
+          accountDeactivated: true,
+          accountSuspended: true,
+          suspension
+        });
+      }
+
       if (!user.isActive) {
         return res.status(403).json({
           success: false,
@@ -119,7 +119,24 @@ const login = async (req, res) => {
       });
     }
 
-    // Check if account is deactivated
+    // Check if account is suspended or deactivated
+    if (user.liftExpiredSuspension()) {
+      await user.save();
+    }
+
+    const suspension = user.getSuspension();
+    if (suspension) {
+      return res.status(403).json({
+        success: false,
+        message: suspension.suspendUntil
+          ? `Your account is suspended until ${suspension.suspendUntil.toDateString()}.`
+          : 'Your account is suspended. Please contact support for assistance.',
+        accountDeactivated: true,
+        accountSuspended: true,
+        suspension,
+      });
+    }
+
     if (!user.isActive) {
       return res.status(403).json({
         success: false,
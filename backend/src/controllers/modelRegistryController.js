@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const { ModelVersion } = require('../models');
+const modelRegistryService = require('../services/modelRegistryService');
+
+/**
+ * Model Registry Controller
+ * Manages uploaded TFLite classifier versions and serves over-the-air updates to the app
+ */
+
+/**
+ * Parse a rollout percentage from a request body
+ * @returns {number|undefined|null} undefined when absent, null when invalid
+ */
+const parseRolloutPercentage = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const percentage = Number(value);
+  return Number.isFinite(percentage) && percentage >= 0 && percentage <= 100 ? percentage : null;
+};
+
+/**
+ * Upload and register a new model version
+ * @route POST /api/admin/models
+ * @access Private/Admin
+ */
+exports.uploadModel = async (req, res) => {
+  try {
+    const modelFile = req.files?.model?.[0];
+    const labelsFile = req.files?.labels?.[0];
+    const { version, description, confidenceThreshold = 0.65, inputSize } = req.body || {};
+
+    if (!modelFile) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .tflite model file is required'
+      });
+    }
+
+    if (!version || !version.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Model version is required'
+      });
+    }
+
+    let labels;
+    try {
+      labels = modelRegistryService.parseLabels(labelsFile ? labelsFile.buffer.toString('utf8') : req.body.labels);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Labels must be a labels.txt file, one class per line, or a JSON array'
+      });
+    }
+
+    if (labels.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class labels are required'
+      });
+    }
+
+    const unknownLabels = labels.filter(label => !modelRegistryService.getClassLabel(label));
+    if (unknownLabels.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unrecognised class labels: ${unknownLabels.join(', ')}`
+      });
+    }
+
+    const threshold = Number(confidenceThreshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confidence threshold must be a number between 0 and 1'
+      });
+    }
+
+    const existing = await ModelVersion.exists({ version: version.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Model version ${version.trim()} already exists`
+      });
+    }
+
+    const modelVersion = await modelRegistryService.registerModel({
+      file: modelFile,
+      version: version.trim(),
+      description,
+      labels,
+      confidenceThreshold: threshold,
+      inputSize: inputSize || undefined, // [width, height] from validateModelUpload
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Model uploaded successfully. Activate it to start the rollout.',
+      data: { model: modelVersion }
+    });
+  } catch (error) {
+    console.error('Upload model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List registered model versions (most recent first)
+ * @route GET /api/admin/models
+ * @access Private/Admin
+ */
+exports.getModels = async (req, res) => {
+  try {
+    const models = await ModelVersion.find()
+      .populate('uploadedBy', 'username firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Model versions retrieved successfully',
+      data: { models }
+    });
+  } catch (error) {
+    console.error('Get models error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve model versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark a model version as the active one
+ * @route PATCH /api/admin/models/:modelId/activate
+ * @access Private/Admin
+ */
+exports.activateModel = async (req, res) => {
+  try {
+    const { modelId } = req.params;
+    const rolloutPercentage = parseRolloutPercentage(req.body?.rolloutPercentage);
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    if (rolloutPercentage === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rollout percentage must be between 0 and 100'
+      });
+    }
+
+    const modelVersion = await ModelVersion.findById(modelId);
+
+    if (!modelVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    await modelRegistryService.activateModel(modelVersion, rolloutPercentage);
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${modelVersion.version} is now active for ${modelVersion.rolloutPercentage}% of devices`,
+      data: { model: modelVersion }
+    });
+  } catch (error) {
+    console.error('Activate model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the rollout percentage of a model version
+ * @route PATCH /api/admin/models/:modelId/rollout
+ * @access Private/Admin
+ */
+exports.updateRollout = async (req, res) => {
+  try {
+    const { modelId } = req.params;
+    const rolloutPercentage = parseRolloutPercentage(req.body?.rolloutPercentage);
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    if (rolloutPercentage === undefined || rolloutPercentage === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rollout percentage must be between 0 and 100'
+      });
+    }
+
+    const modelVersion = await ModelVersion.findByIdAndUpdate(
+      modelId,
+      { $set: { rolloutPercentage } },
+      { new: true }
+    );
+
+    if (!modelVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Rollout for model ${modelVersion.version} set to ${rolloutPercentage}%`,
+      data: { model: modelVersion }
+    });
+  } catch (error) {
+    console.error('Update model rollout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update model rollout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an inactive model version
+ * @route DELETE /api/admin/models/:modelId
+ * @access Private/Admin
+ */
+exports.deleteModel = async (req, res) => {
+  try {
+    const { modelId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    const modelVersion = await ModelVersion.findById(modelId).select('+filePath');
+
+    if (!modelVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    if (modelVersion.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete the active model. Activate another version first.'
+      });
+    }
+
+    await modelRegistryService.deleteModel(modelVersion);
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${modelVersion.version} deleted`
+    });
+  } catch (error) {
+    console.error('Delete model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the model this device should run
+ * Returns model: null when the device should use the model bundled with the app
+ * @route GET /api/models/latest
+ * @access Public (optional auth)
+ */
+exports.getLatestModel = async (req, res) => {
+  try {
+    const { currentVersion, deviceId } = req.query;
+    const activeModel = await ModelVersion.findOne({ isActive: true });
+
+    const bucketId = deviceId || req.user?._id?.toString();
+    const model = activeModel && modelRegistryService.isInRollout(bucketId, activeModel)
+      ? modelRegistryService.toManifest(activeModel, `/models/${activeModel._id}/download`)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        model,
+        updateAvailable: !!model && model.version !== currentVersion
+      }
+    });
+  } catch (error) {
+    console.error('Get latest model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check for model updates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a model file
+ * @route GET /api/models/:modelId/download
+ * @access Public (optional auth)
+ */
+exports.downloadModel = async (req, res) => {
+  try {
+    const { modelId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    const modelVersion = await ModelVersion.findById(modelId).select('+filePath');
+
+    if (!modelVersion || !modelVersion.filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.set('X-Model-Checksum', modelVersion.checksum);
+    res.download(modelVersion.filePath, modelVersion.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download model error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Model file is no longer available'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download model',
+      error: error.message
+    });
+  }
+};
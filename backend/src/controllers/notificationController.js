@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const { User, Notification } = require('../models');
+const notificationScheduler = require('../utils/notificationScheduler');
+const { isExpoPushToken } = require('../services/pushSenderService');
+
+/**
+ * Notification Controller
+ * Device push-token registration, delivery receipts for server-sent reminders
+ * and the in-app notification inbox
+ */
+
+/**
+ * Register (or refresh) this device's Expo push token
+ * @route POST /api/notifications/push-tokens
+ * @access Private
+ */
+exports.registerPushToken = async (req, res) => {
+  try {
+    const { token, platform, deviceName } = req.body;
+
+    if (!isExpoPushToken(token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Expo push token is required'
+      });
+    }
+
+    await User.registerPushToken(req.user._id, { token, platform, deviceName });
+
+    res.status(200).json({
+      success: true,
+      message: 'Push notifications enabled for this device'
+    });
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register push token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop sending push notifications to this device (e.g. on logout)
+ * @route DELETE /api/notifications/push-tokens
+ * @access Private
+ */
+exports.unregisterPushToken = async (req, res) => {
+  try {
+    await User.removePushTokens([req.body.token], req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Push notifications disabled for this device'
+    });
+  } catch (error) {
+    console.error('Unregister push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unregister push token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Acknowledge a push notification the app received or the user opened
+ * @route POST /api/notifications/deliveries/:deliveryId/receipt
+ * @access Private
+ */
+exports.acknowledgeDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery ID format'
+      });
+    }
+
+    const delivery = await notificationScheduler.acknowledgeDelivery(req.user._id, deliveryId, req.body.event);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification delivery not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Notification ${delivery.status}`,
+      data: {
+        delivery: {
+          _id: delivery._id,
+          type: delivery.type,
+          status: delivery.status,
+          receivedAt: delivery.receivedAt,
+          openedAt: delivery.openedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Acknowledge delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record notification receipt',
+      error: error.message
+    });
+  }
+};
+
+// Shape of an inbox entry
+const formatNotification = (notification) => ({
+  _id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.body,
+  actor: notification.actor ? {
+    _id: notification.actor._id,
+    username: notification.actor.username || 'Anonymous'
+  } : null,
+  postId: notification.post,
+  commentId: notification.comment,
+  isRead: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
+
+/**
+ * Get the signed-in user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Private
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    const filter = { recipient: req.user._id, ...(unreadOnly && { readAt: null }) };
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'username')
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications: notifications.map(formatNotification),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasMore: page * limit < total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the number of unread notifications (for the bell badge)
+ * @route GET /api/notifications/unread-count
+ * @access Private
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread notification count',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark one notification as read
+ * @route PATCH /api/notifications/:notificationId/read
+ * @access Private
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: notificationId, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification: formatNotification(notification), unreadCount }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark all of the signed-in user's notifications as read
+ * @route PATCH /api/notifications/read-all
+ * @access Private
+ */
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updated: result.modifiedCount, unreadCount: 0 }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const { Plot, Pollination } = require('../models');
+
+/**
+ * Plot Controller
+ * Garden plots (beds) a grower lays plants out on, by row and position
+ */
+
+// Fields a grower may set on a plot
+const EDITABLE_FIELDS = ['name', 'dimensions', 'boundary'];
+
+// Plant fields the grid layout needs, including what isPollinationWindowOpen reads
+const LAYOUT_PLANT_FIELDS = 'name displayName label status gender datePlanted datePollinated location flowers.openDate flowers.pollinationDate';
+
+/**
+ * Respond to a Mongoose validation or duplicate-name error
+ * @returns {boolean} true when a response was sent
+ */
+const handleSaveError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0].message
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: 'You already have a plot with this name'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+const invalidPlotId = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid plot ID format'
+});
+
+const plotNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Plot not found'
+});
+
+// Compact plant for grid cells
+const toLayoutPlant = (plant) => ({
+  _id: plant._id,
+  name: plant.name,
+  displayName: plant.displayName,
+  label: plant.label,
+  status: plant.status,
+  gender: plant.gender,
+  datePlanted: plant.datePlanted,
+  location: plant.location,
+  isPollinationWindowOpen: plant.isPollinationWindowOpen
+});
+
+/**
+ * List the user's plots with how many plants each holds
+ * @route GET /api/pollination/plots
+ * @access Private
+ */
+exports.getPlots = async (req, res) => {
+  try {
+    const [plots, plantCounts] = await Promise.all([
+      Plot.find({ user: req.user.id }).sort({ name: 1 }),
+      Pollination.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(req.user.id), plot: { $ne: null }, status: { $nin: Pollination.getInactiveStatuses() } } },
+        { $group: { _id: '$plot', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsByPlot = plantCounts.reduce((counts, entry) => {
+      counts[entry._id.toString()] = entry.count;
+      return counts;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Plots retrieved successfully',
+      data: {
+        plots: plots.map(plot => ({
+          ...plot.toJSON(),
+          plantCount: countsByPlot[plot._id.toString()] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get plots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve plots',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a plot with the plants laid out on its grid
+ * Plants that stopped growing (harvested, failed, removed) are left out unless ?includeInactive=true
+ * @route GET /api/pollination/plots/:plotId
+ * @access Private
+ */
+exports.getPlotLayout = async (req, res) => {
+  try {
+    const { plotId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(plotId)) {
+      return invalidPlotId(res);
+    }
+
+    const plot = await Plot.findOne({ _id: plotId, user: req.user.id });
+    if (!plot) {
+      return plotNotFound(res);
+    }
+
+    const query = { user: req.user.id, plot: plot._id };
+    if (req.query.includeInactive !== 'true') {
+      query.status = { $nin: Pollination.getInactiveStatuses() };
+    }
+
+    const plants = await Pollination.find(query)
+      .select(LAYOUT_PLANT_FIELDS)
+      .sort({ 'location.row': 1, 'location.position': 1, datePlanted: 1 });
+
+    const placed = plants.filter(plant => plant.location?.row && plant.location?.position);
+
+    res.status(200).json({
+      success: true,
+      message: 'Plot layout retrieved successfully',
+      data: {
+        plot,
+        plants: placed.map(toLayoutPlant),
+        unplaced: plants.filter(plant => !placed.includes(plant)).map(toLayoutPlant)
+      }
+    });
+  } catch (error) {
+    console.error('Get plot layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve plot layout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a plot
+ * @route POST /api/pollination/plots
+ * @access Private
+ */
+exports.createPlot = async (req, res) => {
+  try {
+    const plot = new Plot({ user: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) plot[field] = req.body[field];
+    });
+
+    await plot.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Plot ${plot.name} created`,
+      data: { plot }
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error('Create plot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create plot',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a plot; the grid cannot shrink past plants that are still growing on it
+ * @route PUT /api/pollination/plots/:plotId
+ * @access Private
+ */
+exports.updatePlot = async (req, res) => {
+  try {
+    const { plotId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(plotId)) {
+      return invalidPlotId(res);
+    }
+
+    const plot = await Plot.findOne({ _id: plotId, user: req.user.id });
+    if (!plot) {
+      return plotNotFound(res);
+    }
+
+    if (req.body.name !== undefined) plot.name = req.body.name;
+    ['rows', 'positionsPerRow', 'widthMeters', 'lengthMeters'].forEach(field => {
+      if (req.body.dimensions?.[field] !== undefined) {
+        plot.set(`dimensions.${field}`, req.body.dimensions[field]);
+      }
+    });
+    if (req.body.boundary !== undefined) plot.boundary = req.body.boundary || undefined;
+
+    const { rows, positionsPerRow } = plot.dimensions;
+    const outside = await Pollination.countDocuments({
+      plot: plot._id,
+      status: { $nin: Pollination.getInactiveStatuses() },
+      $or: [
+        { 'location.row': { $gt: rows } },
+        { 'location.position': { $gt: positionsPerRow } }
+      ]
+    });
+    if (outside > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${outside} plant${outside === 1 ? ' is' : 's are'} placed outside ${rows} rows of ${positionsPerRow}. Move ${outside === 1 ? 'it' : 'them'} first.`
+      });
+    }
+
+    await plot.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Plot ${plot.name} updated`,
+      data: { plot }
+    });
+  } catch (error) {
+    if (handleSaveError(error, res)) return;
+
+    console.error('Update plot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plot',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a plot; its plants stay but are no longer placed on a plot
+ * @route DELETE /api/pollination/plots/:plotId
+ * @access Private
+ */
+exports.deletePlot = async (req, res) => {
+  try {
+    const { plotId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(plotId)) {
+      return invalidPlotId(res);
+    }
+
+    const plot = await Plot.findOneAndDelete({ _id: plotId, user: req.user.id });
+    if (!plot) {
+      return plotNotFound(res);
+    }
+
+    const result = await Pollination.updateMany(
+      { plot: plot._id },
+      { $set: { plot: null }, $unset: { location: '' } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Plot ${plot.name} deleted`,
+      data: { unassignedPlants: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete plot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete plot',
+      error: error.message
+    });
+  }
+};
@@ -1,14 +1,157 @@
-const { Pollination } = require('../models');
-const cloudinary = require('cloudinary').v2;
-const streamifier = require('streamifier');
+const mongoose = require('mongoose');
+const { Pollination, Scan, CropVariety, Plot } = require('../models');
 const notificationScheduler = require('../utils/notificationScheduler');
+const { uploadToCloudinary, uploadMultipleToCloudinary, deleteFromCloudinary } = require('../utils/uploadHelper');
+const pollinationAnalyticsService = require('../services/pollinationAnalyticsService');
+const { getUserTimezone, getZonedParts } = require('../utils/timezone');
+
+// Place a plant on one of the user's plots from { plot, location: { row, position } } in a request body
+// A falsy plot takes the plant off its plot. Returns an error message, or null when the placement is valid
+const applyPlotPlacement = async (pollination, body, userId) => {
+  const { plot: plotId, location } = body;
+  if (plotId === undefined && location === undefined) return null;
+
+  if (plotId !== undefined && !plotId) {
+    pollination.plot = null;
+    pollination.location = undefined;
+    return null;
+  }
+
+  const targetPlotId = plotId || pollination.plot;
+  if (!targetPlotId) {
+    return 'Choose a plot before setting a row and position';
+  }
+
+  const plot = await Plot.findOne({ _id: targetPlotId, user: userId });
+  if (!plot) {
+    return 'Plot not found';
+  }
+
+  const row = location?.row ?? (plotId ? null : pollination.location?.row);
+  const position = location?.position ?? (plotId ? null : pollination.location?.position);
+
+  pollination.plot = plot._id;
+  if (row == null && position == null) {
+    pollination.location = undefined;
+    return null;
+  }
+  if (row == null || position == null) {
+    return 'Set both the row and the position';
+  }
+  if (!plot.hasCell(row, position)) {
+    return `${plot.name} has ${plot.dimensions.rows} rows of ${plot.dimensions.positionsPerRow} positions`;
+  }
+
+  // Plants that stopped growing keep their spot for the record but no longer occupy it
+  const occupant = await Pollination.findOne({
+    _id: { $ne: pollination._id },
+    user: userId,
+    plot: plot._id,
+    'location.row': row,
+    'location.position': position,
+    status: { $nin: Pollination.getInactiveStatuses() }
+  }).select('name displayName');
+  if (occupant) {
+    const occupantName = occupant.displayName?.english || occupant.name;
+    return `Row ${row}, position ${position} in ${plot.name} already has a ${occupantName}`;
+  }
+
+  pollination.location = { row, position };
+  return null;
+};
+
+// Place a new batch of plants on one of the user's plots from { plot, location } in a request body
+// Plants fill the free cells row by row, starting at location (or the first cell). Returns an error message or null
+const applyBatchPlacement = async (plants, body, userId) => {
+  const { plot: plotId, location } = body;
+  if (!plotId) return null;
+
+  const plot = await Plot.findOne({ _id: plotId, user: userId });
+  if (!plot) {
+    return 'Plot not found';
+  }
+
+  const startRow = location?.row || 1;
+  const startPosition = location?.position || 1;
+  if (!plot.hasCell(startRow, startPosition)) {
+    return `${plot.name} has ${plot.dimensions.rows} rows of ${plot.dimensions.positionsPerRow} positions`;
+  }
+
+  const occupants = await Pollination.find({
+    user: userId,
+    plot: plot._id,
+    'location.row': { $ne: null },
+    status: { $nin: Pollination.getInactiveStatuses() }
+  }).select('location');
+  const taken = new Set(occupants.map(plant => `${plant.location.row}:${plant.location.position}`));
+
+  const cells = [];
+  for (let row = startRow; row <= plot.dimensions.rows && cells.length < plants.length; row += 1) {
+    const firstPosition = row === startRow ? startPosition : 1;
+    for (let position = firstPosition; position <= plot.dimensions.positionsPerRow && cells.length < plants.length; position += 1) {
+      if (!taken.has(`${row}:${position}`)) {
+        cells.push({ row, position });
+      }
+    }
+  }
+
+  if (cells.length < plants.length) {
+    return `${plot.name} has only ${cells.length} free spots from row ${startRow}, position ${startPosition}`;
+  }
+
+  plants.forEach((plant, index) => {
+    plant.plot = plot._id;
+    plant.location = cells[index];
+  });
+  return null;
+};
+
+// Remove photos from Cloudinary; a failed delete only leaves an orphaned image behind
+// Call it after the record that pointed at the photos is saved, so a failed save keeps them
+const deletePhotosFromCloudinary = async (photos) => {
+  await Promise.all(photos.filter(photo => photo.cloudinaryId).map(async (photo) => {
+    try {
+      await deleteFromCloudinary(photo.cloudinaryId);
+    } catch (cloudinaryError) {
+      console.error('Error deleting photo from cloudinary:', cloudinaryError);
+    }
+  }));
+};
+
+// Delete a plant with its gallery and harvest photos
+const removePlant = async (pollination) => {
+  await Pollination.findByIdAndDelete(pollination._id);
+
+  await deletePhotosFromCloudinary([
+    ...pollination.images,
+    ...pollination.harvests.flatMap(harvest => harvest.photos)
+  ]);
+
+  // Scans stay in the user's history, just no longer linked to a plant
+  await Scan.updateMany({ plant: pollination._id }, { $set: { plant: null } });
+};
+
+// Apply caption, type and date changes to a gallery photo; returns an error message or null
+const applyImageChanges = (plant, image, body) => {
+  const { imageType, caption, date } = body;
+
+  if (imageType !== undefined) image.type = imageType;
+  if (caption !== undefined) image.caption = caption;
+  if (date !== undefined) image.date = new Date(date);
+
+  if (plant.datePlanted && image.date < plant.datePlanted) {
+    return 'Photo date cannot be before the planting date';
+  }
+
+  return null;
+};
 
 // @desc    Get all pollination records for authenticated user
 // @route   GET /api/pollination
 // @access  Private
 const getPollinations = async (req, res) => {
   try {
-    const { status, name, sort = 'newest' } = req.query;
+    const { status, name, plot, batch, sort = 'newest' } = req.query;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -24,6 +167,16 @@ const getPollinations = async (req, res) => {
       query.name = name;
     }
 
+    // plot=none lists plants that are not on any plot
+    if (plot) {
+      query.plot = plot === 'none' ? null : plot;
+    }
+
+    // Plants created together by a batch create
+    if (batch) {
+      query.batch = batch;
+    }
+
     // Build sort object
     let sortObj = {};
     switch (sort) {
@@ -31,7 +184,7 @@ const getPollinations = async (req, res) => {
         sortObj = { datePlanted: 1 };
         break;
       case 'name':
-        sortObj = { name: 1, datePlanted: -1 };
+        sortObj = { name: 1, label: 1, datePlanted: -1 };
         break;
       case 'status':
         sortObj = { status: 1, datePlanted: -1 };
@@ -47,7 +200,8 @@ const getPollinations = async (req, res) => {
       .sort(sortObj)
       .limit(limit)
       .skip(skip)
-      .populate('user', 'username email');
+      .populate('user', 'username email')
+      .populate('plot', 'name dimensions');
 
     const total = await Pollination.countDocuments(query);
 
@@ -79,7 +233,7 @@ const getPollination = async (req, res) => {
     const pollination = await Pollination.findOne({
       _id: req.params.id,
       user: req.user.id
-    }).populate('user', 'username email');
+    }).populate('user', 'username email').populate('plot', 'name dimensions');
 
     if (!pollination) {
       return res.status(404).json({
@@ -109,9 +263,9 @@ const createPollination = async (req, res) => {
   try {
     const {
       name,
+      label,
       datePlanted,
       gender,
-      location,
       notes
     } = req.body;
 
@@ -138,10 +292,21 @@ const createPollination = async (req, res) => {
     const pollination = new Pollination({
       name,
       displayName: displayNames[name],
+      label,
       datePlanted: new Date(datePlanted),
       gender: gender || 'undetermined',
       user: req.user.id
-    });    // Add initial note if provided
+    });
+
+    const invalidPlacement = await applyPlotPlacement(pollination, req.body, req.user.id);
+    if (invalidPlacement) {
+      return res.status(400).json({
+        success: false,
+        message: invalidPlacement
+      });
+    }
+
+    // Add initial note if provided
     if (notes) {
       pollination.notes.push({
         content: notes,
@@ -154,6 +319,7 @@ const createPollination = async (req, res) => {
 
     // Populate user data before sending response
     await pollination.populate('user', 'username email');
+    await pollination.populate('plot', 'name dimensions');
 
     res.status(201).json({
       success: true,
@@ -189,8 +355,8 @@ const updatePollination = async (req, res) => {
 
     // Update allowed fields
     const allowedUpdates = [
-      'gender', 'dateFirstFlowering', 'datePollinated', 'status',
-      'location', 'growth', 'careSchedule'
+      'label', 'gender', 'dateFirstFlowering', 'datePollinated',
+      'growth', 'careSchedule'
     ];
 
     allowedUpdates.forEach(update => {
@@ -199,8 +365,28 @@ const updatePollination = async (req, res) => {
       }
     });
 
+    const { status } = req.body;
+    if (status !== undefined && status !== pollination.status) {
+      if (!pollination.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change status from ${pollination.status} to ${status}`
+        });
+      }
+      pollination.setStatus(status, { source: 'manual', changedBy: req.user.id });
+    }
+
+    const invalidPlacement = await applyPlotPlacement(pollination, req.body, req.user.id);
+    if (invalidPlacement) {
+      return res.status(400).json({
+        success: false,
+        message: invalidPlacement
+      });
+    }
+
     await pollination.save();
     await pollination.populate('user', 'username email');
+    await pollination.populate('plot', 'name dimensions');
 
     res.status(200).json({
       success: true,
@@ -234,16 +420,7 @@ const deletePollination = async (req, res) => {
       });
     }
 
-    // Delete image from cloudinary if it exists
-    if (pollination.image && pollination.image.cloudinaryId) {
-      try {
-        await cloudinary.uploader.destroy(pollination.image.cloudinaryId);
-      } catch (cloudinaryError) {
-        console.error('Error deleting image from cloudinary:', cloudinaryError);
-      }
-    }
-
-    await Pollination.findByIdAndDelete(req.params.id);
+    await removePlant(pollination);
 
     res.status(200).json({
       success: true,
@@ -259,98 +436,292 @@ const deletePollination = async (req, res) => {
   }
 };
 
-// @desc    Add image to pollination record
+// @desc    Create several plants of one variety sown on the same day
+// @route   POST /api/pollination/batch
+// @access  Private
+const createPollinationBatch = async (req, res) => {
+  try {
+    const {
+      name,
+      count,
+      datePlanted,
+      gender,
+      namingPattern,
+      startNumber = 1,
+      notes
+    } = req.body;
+
+    const displayNames = Pollination.getDisplayNames();
+    const batch = new mongoose.Types.ObjectId();
+
+    const plants = Array.from({ length: count }, (_, index) => {
+      const plant = new Pollination({
+        name,
+        displayName: displayNames[name],
+        label: Pollination.formatBatchLabel(namingPattern, startNumber + index, displayNames[name]?.english),
+        batch,
+        datePlanted: new Date(datePlanted),
+        gender: gender || 'undetermined',
+        user: req.user.id
+      });
+
+      if (notes) {
+        plant.notes.push({
+          content: notes,
+          type: 'observation',
+          date: new Date()
+        });
+      }
+
+      return plant;
+    });
+
+    const invalidPlacement = await applyBatchPlacement(plants, req.body, req.user.id);
+    if (invalidPlacement) {
+      return res.status(400).json({
+        success: false,
+        message: invalidPlacement
+      });
+    }
+
+    // insertMany validates every plant first, so an invalid batch creates nothing
+    const created = await Pollination.insertMany(plants);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} plants created`,
+      data: {
+        batch,
+        plants: created
+      }
+    });
+  } catch (error) {
+    console.error('Create pollination batch error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error creating plants',
+      error: error.message
+    });
+  }
+};
+
+// Apply one bulk action to a plant; returns an error message for plants it does not fit, or null
+const applyBulkAction = async (pollination, body, userId) => {
+  const { action, gender, date, newStatus, reason, content, type } = body;
+
+  switch (action) {
+    case 'flowering':
+      if (Pollination.getInactiveStatuses().includes(pollination.status)) {
+        return `Plant is already ${pollination.status}`;
+      }
+      await pollination.markFlowering(gender, date ? new Date(date) : new Date());
+      return null;
+
+    case 'status':
+      if (pollination.status === newStatus) {
+        return `Plant is already ${newStatus}`;
+      }
+      if (!pollination.canTransitionTo(newStatus)) {
+        return `Cannot change status from ${pollination.status} to ${newStatus}`;
+      }
+      pollination.setStatus(newStatus, { source: 'manual', reason, changedBy: userId });
+      await pollination.save();
+      return null;
+
+    case 'note':
+      await pollination.addNote(content, type);
+      return null;
+
+    case 'delete':
+      await removePlant(pollination);
+      return null;
+
+    default:
+      return `Unknown action: ${action}`;
+  }
+};
+
+// @desc    Mark flowering, change status, add a shared note to, or delete several plants
+// @route   POST /api/pollination/bulk
+// @access  Private
+const bulkUpdatePollinations = async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+
+    const pollinations = await Pollination.find({
+      _id: { $in: ids },
+      user: req.user.id
+    });
+
+    const found = new Set(pollinations.map(pollination => pollination.id));
+    const updated = [];
+    const failed = ids
+      .filter(id => !found.has(id))
+      .map(id => ({ id, message: 'Pollination record not found' }));
+
+    // Plants are updated one at a time so one plant that cannot change does not block the rest
+    for (const pollination of pollinations) {
+      try {
+        const skipped = await applyBulkAction(pollination, req.body, req.user.id);
+        if (skipped) {
+          failed.push({ id: pollination.id, label: pollination.label, message: skipped });
+        } else {
+          updated.push(pollination.id);
+        }
+      } catch (error) {
+        failed.push({ id: pollination.id, label: pollination.label, message: error.message });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} of ${ids.length} plants updated`,
+      data: {
+        action,
+        updated,
+        failed
+      }
+    });
+  } catch (error) {
+    console.error('Bulk update pollinations error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error updating plants',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a progress photo to the plant's gallery
 // @route   POST /api/pollination/:id/images
 // @access  Private
 const addImage = async (req, res) => {
   try {
-    console.log('📸 Add image request for plant:', req.params.id);
-    console.log('📸 req.file exists:', !!req.file);
-    console.log('📸 req.file keys:', req.file ? Object.keys(req.file) : 'N/A');
-    console.log('📸 req.file.buffer exists:', req.file ? !!req.file.buffer : false);
-    console.log('📸 req.file.buffer length:', req.file ? req.file.buffer?.length : 'N/A');
-    
     const pollination = await Pollination.findOne({
       _id: req.params.id,
       user: req.user.id
     });
 
     if (!pollination) {
-      console.log('❌ Pollination record not found');
       return res.status(404).json({
         success: false,
         message: 'Pollination record not found'
       });
     }
 
-    if (!req.file) {
-      console.log('❌ No image file provided');
+    if (!req.file || !req.file.buffer) {
       return res.status(400).json({
         success: false,
         message: 'No image file provided'
       });
     }
 
-    if (!req.file.buffer) {
-      console.log('❌ File received but no buffer:', req.file);
+    if (pollination.images.length >= Pollination.getMaxImages()) {
       return res.status(400).json({
         success: false,
-        message: 'File buffer is empty'
+        message: `A plant can have at most ${Pollination.getMaxImages()} photos. Remove one first.`
       });
     }
 
-    console.log('📤 Uploading to Cloudinary...');
-    
-    // Create a stream upload to Cloudinary (like uploadController)
-    const result = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'pollination',
-          allowed_formats: ['jpg', 'png', 'jpeg'],
-          transformation: [{ width: 800, height: 600, crop: 'limit' }]
-        },
-        (error, result) => {
-          if (result) {
-            resolve(result);
-          } else {
-            reject(error);
-          }
-        }
-      );
+    const { imageType, caption, date } = req.body;
+    const photoDate = date ? new Date(date) : new Date();
+    if (pollination.datePlanted && photoDate < pollination.datePlanted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photo date cannot be before the planting date'
+      });
+    }
 
-      streamifier.createReadStream(req.file.buffer).pipe(stream);
+    const uploaded = await uploadToCloudinary(req.file, {
+      folder: 'pollination',
+      transformation: [{ width: 800, height: 600, crop: 'limit' }]
     });
 
-    console.log('✅ Cloudinary upload successful:', result.public_id);
+    try {
+      await pollination.addImage({
+        url: uploaded.url,
+        cloudinaryId: uploaded.cloudinaryId,
+        type: imageType,
+        caption,
+        date: photoDate
+      });
+    } catch (saveError) {
+      await deletePhotosFromCloudinary([uploaded]);
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo added to the gallery',
+      data: {
+        image: pollination.images[pollination.images.length - 1],
+        images: pollination.getGallery()
+      }
+    });
+  } catch (error) {
+    console.error('Add image error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to add image',
+      error: error.message
+    });
+  }
+};
 
-    // Add image to pollination record
-    const imageData = {
-      url: result.secure_url,
-      cloudinaryId: result.public_id,
-      caption: req.body.caption || ''
-    };
+// @desc    Update a gallery photo's type, caption or date
+// @route   PUT /api/pollination/:id/images/:imageId
+// @access  Private
+const updateImage = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const image = pollination.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
 
-    await pollination.addImage(imageData);
+    const invalid = applyImageChanges(pollination, image, req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
 
-    console.log('✅ Image added to pollination record');
+    await pollination.save();
 
     res.status(200).json({
       success: true,
-      message: 'Image added successfully',
-      data: pollination
+      message: 'Photo updated',
+      data: {
+        image,
+        images: pollination.getGallery()
+      }
     });
-
   } catch (error) {
-    console.error('❌ Error adding image:', error);
-    res.status(500).json({
+    console.error('Update image error:', error);
+    res.status(400).json({
       success: false,
-      message: 'Failed to add image',
+      message: 'Error updating image',
       error: error.message
     });
   }
 };
 
-// @desc    Delete image from pollination record
+// @desc    Delete a gallery photo and its Cloudinary upload
 // @route   DELETE /api/pollination/:id/images/:imageId
 // @access  Private
 const deleteImage = async (req, res) => {
@@ -367,7 +738,7 @@ const deleteImage = async (req, res) => {
       });
     }
 
-    const image = pollination.image;
+    const image = pollination.images.id(req.params.imageId);
     if (!image) {
       return res.status(404).json({
         success: false,
@@ -375,25 +746,17 @@ const deleteImage = async (req, res) => {
       });
     }
 
-    // Delete from cloudinary if it exists
-    if (image.cloudinaryId) {
-      try {
-        await cloudinary.uploader.destroy(image.cloudinaryId);
-      } catch (cloudinaryError) {
-        console.error('Error deleting image from cloudinary:', cloudinaryError);
-      }
-    }
-
-    // Remove image from pollination record
-    pollination.image = undefined;
+    image.deleteOne();
     await pollination.save();
+    await deletePhotosFromCloudinary([image]);
 
     res.status(200).json({
       success: true,
       message: 'Image deleted successfully',
-      data: pollination
+      data: {
+        images: pollination.getGallery()
+      }
     });
-
   } catch (error) {
     console.error('Error deleting image:', error);
     res.status(500).json({
@@ -473,6 +836,13 @@ const markFlowering = async (req, res) => {
       });
     }
 
+    if (Pollination.getInactiveStatuses().includes(pollination.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark flowering on a ${pollination.status} plant`
+      });
+    }
+
     await pollination.markFlowering(gender, date ? new Date(date) : new Date());
 
     res.status(200).json({
@@ -509,6 +879,13 @@ const markPollinated = async (req, res) => {
       });
     }
 
+    if (Pollination.getInactiveStatuses().includes(pollination.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a pollination on a ${pollination.status} plant`
+      });
+    }
+
     await pollination.markPollinated(date ? new Date(date) : new Date());
 
     res.status(200).json({
@@ -569,12 +946,23 @@ const getUpcomingPollinations = async (req, res) => {
   }
 };
 
-// @desc    Get plant types and their display names
+// @desc    Get plant types offered for new plants, with display names and crop calendar
 // @route   GET /api/pollination/plant-types
 // @access  Public
 const getPlantTypes = async (req, res) => {
   try {
-    const plantTypes = Pollination.getDisplayNames();
+    const plantTypes = CropVariety.getCatalog({ activeOnly: true }).reduce((types, crop) => {
+      types[crop.key] = {
+        english: crop.displayName.english,
+        tagalog: crop.displayName.tagalog,
+        maleFlowering: crop.maleFlowering,
+        femaleFlowering: crop.femaleFlowering,
+        pollination: crop.pollination,
+        harvest: crop.harvest,
+        pollinationWindow: notificationScheduler.getPollinationTiming(crop.key)
+      };
+      return types;
+    }, {});
 
     res.status(200).json({
       success: true,
@@ -590,12 +978,111 @@ const getPlantTypes = async (req, res) => {
   }
 };
 
+// Philippine cropping seasons: wet season May-October, dry season November-April
+// The month is read on the farm's clock, so a plant set out on the night of April 30 stays in the dry season
+const getSeason = (date, timeZone) => {
+  const { month, year } = getZonedParts(date, timeZone);
+  if (month >= 4 && month <= 9) {
+    return { key: `wet-${year}`, label: `Wet season ${year}`, startDate: new Date(Date.UTC(year, 4, 1)) };
+  }
+  const startYear = month >= 10 ? year : year - 1;
+  return { key: `dry-${startYear}`, label: `Dry season ${startYear}-${startYear + 1}`, startDate: new Date(Date.UTC(startYear, 10, 1)) };
+};
+
+const roundTo = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const createYieldBucket = () => ({
+  plants: 0,
+  pollinatedPlants: 0,
+  harvestedPlants: 0,
+  harvests: 0,
+  fruitCount: 0,
+  weighedFruitCount: 0,
+  weightKg: 0,
+  revenue: 0,
+  gradeBreakdown: {}
+});
+
+const addPlantToYieldBucket = (bucket, plant) => {
+  const harvests = plant.harvests || [];
+  bucket.plants += 1;
+  if (plant.datePollinated || ['pollinated', 'fruiting', 'harvested'].includes(plant.status)) {
+    bucket.pollinatedPlants += 1;
+  }
+  if (harvests.length > 0 || plant.status === 'harvested') {
+    bucket.harvestedPlants += 1;
+  }
+
+  harvests.forEach(harvest => {
+    bucket.harvests += 1;
+    bucket.fruitCount += harvest.fruitCount;
+    bucket.revenue += harvest.salePrice || 0;
+    if (harvest.weightKg) {
+      bucket.weightKg += harvest.weightKg;
+      bucket.weighedFruitCount += harvest.fruitCount;
+    }
+    const grade = harvest.qualityGrade || 'ungraded';
+    bucket.gradeBreakdown[grade] = (bucket.gradeBreakdown[grade] || 0) + harvest.fruitCount;
+  });
+};
+
+const finalizeYieldBucket = ({ weighedFruitCount, ...bucket }) => ({
+  ...bucket,
+  weightKg: roundTo(bucket.weightKg),
+  revenue: roundTo(bucket.revenue),
+  // Share of pollinated plants that produced a harvest
+  successRate: bucket.pollinatedPlants > 0
+    ? Math.round((Math.min(bucket.harvestedPlants, bucket.pollinatedPlants) / bucket.pollinatedPlants) * 100)
+    : null,
+  averageFruitPerHarvestedPlant: bucket.harvestedPlants > 0 ? roundTo(bucket.fruitCount / bucket.harvestedPlants, 1) : null,
+  averageFruitWeightKg: weighedFruitCount > 0 ? roundTo(bucket.weightKg / weighedFruitCount) : null
+});
+
+// Yield totals per crop variety and per planting season, so growers can compare them
+// Male plants bear no fruit and are left out
+const buildYieldRollups = (plants, timeZone) => {
+  const totals = createYieldBucket();
+  const varieties = new Map();
+  const seasons = new Map();
+
+  plants.forEach(plant => {
+    addPlantToYieldBucket(totals, plant);
+
+    if (!varieties.has(plant.name)) {
+      const crop = CropVariety.getCatalogEntry(plant.name);
+      varieties.set(plant.name, {
+        name: plant.name,
+        displayName: crop ? crop.displayName : plant.displayName,
+        bucket: createYieldBucket()
+      });
+    }
+    addPlantToYieldBucket(varieties.get(plant.name).bucket, plant);
+
+    const season = getSeason(plant.datePlanted, timeZone);
+    if (!seasons.has(season.key)) {
+      seasons.set(season.key, { ...season, bucket: createYieldBucket() });
+    }
+    addPlantToYieldBucket(seasons.get(season.key).bucket, plant);
+  });
+
+  return {
+    totals: finalizeYieldBucket(totals),
+    byVariety: [...varieties.values()]
+      .map(({ bucket, ...variety }) => ({ ...variety, ...finalizeYieldBucket(bucket) }))
+      .sort((a, b) => b.fruitCount - a.fruitCount || b.plants - a.plants),
+    bySeason: [...seasons.values()]
+      .sort((a, b) => b.startDate - a.startDate)
+      .map(({ bucket, startDate, ...season }) => ({ ...season, ...finalizeYieldBucket(bucket) }))
+  };
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/pollination/dashboard
 // @access  Private
 const getDashboardStats = async (req, res) => {
   try {
     const userId = req.user.id;
+    const userObjectId = new mongoose.Types.ObjectId(userId);
     
     // Get basic counts
     const totalPlants = await Pollination.countDocuments({ user: userId });
@@ -606,13 +1093,13 @@ const getDashboardStats = async (req, res) => {
     
     // Get status breakdown
     const statusCounts = await Pollination.aggregate([
-      { $match: { user: userId } },
+      { $match: { user: userObjectId } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
     // Get plant type breakdown
     const plantTypeCounts = await Pollination.aggregate([
-      { $match: { user: userId } },
+      { $match: { user: userObjectId } },
       { $group: { _id: '$name', count: { $sum: 1 } } }
     ]);
 
@@ -632,6 +1119,11 @@ const getDashboardStats = async (req, res) => {
       ]
     }).sort({ updatedAt: -1 }).limit(10);
 
+    // Harvest yield per variety and season
+    const fruitingPlants = await Pollination.find({ user: userId, gender: { $ne: 'male' } })
+      .select('name displayName status datePlanted datePollinated harvests')
+      .lean();
+
     res.status(200).json({
       success: true,
       data: {
@@ -643,7 +1135,8 @@ const getDashboardStats = async (req, res) => {
         statusBreakdown: statusCounts,
         plantTypeBreakdown: plantTypeCounts,
         needsAttention: needsAttention.slice(0, 5), // Limit to 5 for dashboard
-        recentActivity
+        recentActivity,
+        yield: buildYieldRollups(fruitingPlants, getUserTimezone(req.user))
       }
     });
   } catch (error) {
@@ -656,6 +1149,44 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// @desc    Get pollination success rates by variety, time of day, days after planting and month
+// @route   GET /api/pollination/analytics/success?variety=ampalaya&startDate=&endDate=
+// @access  Private
+const getSuccessAnalytics = async (req, res) => {
+  try {
+    const { variety, startDate, endDate } = req.query;
+
+    const range = {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    };
+
+    if ((range.startDate && isNaN(range.startDate)) || (range.endDate && isNaN(range.endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const analytics = await pollinationAnalyticsService.getUserSuccessAnalytics(req.user.id, {
+      variety: variety || undefined,
+      ...range
+    });
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Get success analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pollination success analytics',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Update pollination success status (Successful/Failed)
 // @route   POST /api/pollination/:id/check-success
 // @access  Private
@@ -683,6 +1214,13 @@ const updatePollinationStatus = async (req, res) => {
       });
     }
 
+    if (Pollination.getInactiveStatuses().includes(pollination.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a pollination result on a ${pollination.status} plant`
+      });
+    }
+
     // Add new pollination status entry
     pollination.pollinationStatus.push({
       statuspollination: status,
@@ -692,11 +1230,17 @@ const updatePollinationStatus = async (req, res) => {
     // Update main status based on result
     if (status === 'Successful') {
       // Successful = advance to fruiting
-      pollination.status = 'fruiting';
+      if (['planted', 'flowering', 'pollinated'].includes(pollination.status)) {
+        pollination.setStatus('fruiting', { source: 'pollination', reason: 'Pollination successful' });
+      }
     } else if (status === 'Failed') {
-      // Failed = pollination failed, cannot retry
-      // Status stays as 'pollinated' but we mark it as complete/failed
-      pollination.status = 'pollinated';
+      // Failed = that flower is done, but the plant can be pollinated again with another flower
+      if (pollination.status === 'pollinated') {
+        pollination.setStatus('flowering', { source: 'pollination', reason: 'Pollination failed' });
+      }
+      if (pollination.flowers.length > 0) {
+        pollination.refreshStatusFromFlowers();
+      }
     }
 
     await pollination.save();
@@ -705,7 +1249,7 @@ const updatePollinationStatus = async (req, res) => {
       success: true,
       message: status === 'Successful' 
         ? '🌸 Pollination successful! Plant advancing to fruiting stage.'
-        : '❌ Pollination failed. This flower cannot be re-pollinated.',
+        : '❌ Pollination failed. Tag another flower on this plant to try again.',
       data: pollination
     });
   } catch (error) {
@@ -718,22 +1262,197 @@ const updatePollinationStatus = async (req, res) => {
   }
 };
 
-// @desc    Update plant status (e.g., fruiting to harvested)
-// @route   POST /api/pollination/:id/status
+// Apply flower fields from a request body, checking dates, outcome and the donor plant
+// Returns an error message, or null when the flower is valid
+const applyFlowerChanges = async (plant, flower, body, userId) => {
+  const { tagId, openDate, pollinationDate, donorPlant, outcome, fruit, notes } = body;
+
+  if (tagId !== undefined) {
+    const tagTaken = plant.flowers.some(other =>
+      !other._id.equals(flower._id) && other.tagId.toLowerCase() === tagId.toLowerCase()
+    );
+    if (tagTaken) {
+      return `Flower tag ${tagId} is already used on this plant`;
+    }
+    flower.tagId = tagId;
+  }
+
+  if (openDate !== undefined) flower.openDate = new Date(openDate);
+  if (pollinationDate !== undefined) flower.pollinationDate = pollinationDate ? new Date(pollinationDate) : null;
+  if (notes !== undefined) flower.notes = notes;
+
+  if (donorPlant !== undefined) {
+    if (donorPlant) {
+      if (plant._id.equals(donorPlant)) {
+        return 'A flower cannot be pollinated from its own plant';
+      }
+      const donor = await Pollination.findOne({ _id: donorPlant, user: userId }).select('name gender');
+      if (!donor) {
+        return 'Donor plant not found';
+      }
+      if (donor.name !== plant.name) {
+        return `Donor plant must also be ${plant.displayName?.english || plant.name}`;
+      }
+      if (donor.gender === 'female') {
+        return 'Donor plant must be a male plant';
+      }
+    }
+    flower.donorPlant = donorPlant || null;
+  }
+
+  if (flower.openDate < plant.datePlanted) {
+    return 'Flower cannot open before the planting date';
+  }
+  if (flower.pollinationDate && flower.pollinationDate < flower.openDate) {
+    return 'Pollination date cannot be before the flower opened';
+  }
+
+  if (outcome !== undefined && outcome !== flower.outcome) {
+    flower.outcome = outcome;
+    flower.outcomeDate = outcome === 'pending' ? undefined : new Date();
+    if (outcome !== 'successful') {
+      flower.fruit = undefined;
+    }
+  }
+  if (flower.outcome !== 'pending' && !flower.pollinationDate) {
+    return 'Record the pollination date before its outcome';
+  }
+
+  if (fruit !== undefined) {
+    flower.fruit = {
+      tagId: fruit?.tagId || undefined,
+      setDate: fruit?.setDate ? new Date(fruit.setDate) : flower.fruit?.setDate
+    };
+  }
+  if (flower.fruit?.tagId && flower.outcome !== 'successful') {
+    return 'Only a successfully pollinated flower can set fruit';
+  }
+  if (flower.outcome === 'successful' && !flower.fruit?.setDate) {
+    flower.fruit = { tagId: flower.fruit?.tagId, setDate: flower.outcomeDate };
+  }
+
+  return null;
+};
+
+// Plant fields that flower changes can update, returned alongside flower responses
+const getFlowerPlantState = (pollination) => ({
+  _id: pollination._id,
+  status: pollination.status,
+  gender: pollination.gender,
+  datePollinated: pollination.datePollinated,
+  flowerSummary: pollination.getFlowerSummary()
+});
+
+// @desc    Get the tagged flowers on a plant
+// @route   GET /api/pollination/:id/flowers
 // @access  Private
-const updateStatus = async (req, res) => {
+const getFlowers = async (req, res) => {
   try {
-    const { newStatus } = req.body;
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('flowers.donorPlant', 'name displayName gender datePlanted');
 
-    // Validate status
-    const validStatuses = ['planted', 'flowering', 'pollinated', 'fruiting', 'harvested'];
-    if (!validStatuses.includes(newStatus)) {
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const flowers = [...pollination.flowers].sort((a, b) => b.openDate - a.openDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        flowers,
+        summary: pollination.getFlowerSummary(),
+        nextTagId: pollination.nextFlowerTag()
+      }
+    });
+  } catch (error) {
+    console.error('Get flowers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching flowers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Tag a new flower on a plant
+// @route   POST /api/pollination/:id/flowers
+// @access  Private
+const addFlower = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    if (pollination.gender === 'male') {
+      return res.status(400).json({
+        success: false,
+        message: 'Flowers are tracked on female plants. This plant is recorded as male.'
+      });
+    }
+
+    if (Pollination.getInactiveStatuses().includes(pollination.status)) {
       return res.status(400).json({
         success: false,
-        message: `Status must be one of: ${validStatuses.join(', ')}`
+        message: `Cannot tag flowers on a ${pollination.status} plant`
       });
     }
 
+    const { openDate, pollinationDate } = req.body;
+    const flower = pollination.flowers.create({
+      tagId: pollination.nextFlowerTag(),
+      openDate: openDate || pollinationDate || new Date()
+    });
+
+    const invalid = await applyFlowerChanges(pollination, flower, req.body, req.user.id);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    pollination.flowers.push(flower);
+    pollination.recordFlowerPollination(flower);
+    pollination.refreshStatusFromFlowers();
+    await pollination.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Flower ${flower.tagId} tagged successfully`,
+      data: {
+        flower: pollination.flowers.id(flower._id),
+        plant: getFlowerPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Add flower error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error tagging flower',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a tagged flower (pollination, donor, outcome, fruit)
+// @route   PUT /api/pollination/:id/flowers/:flowerId
+// @access  Private
+const updateFlower = async (req, res) => {
+  try {
     const pollination = await Pollination.findOne({
       _id: req.params.id,
       user: req.user.id
@@ -746,7 +1465,464 @@ const updateStatus = async (req, res) => {
       });
     }
 
-    pollination.status = newStatus;
+    const flower = pollination.flowers.id(req.params.flowerId);
+
+    if (!flower) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flower not found'
+      });
+    }
+
+    // Existing pollinations can still be corrected, but no new ones on plants that stopped growing
+    if (req.body.pollinationDate && !flower.pollinationDate &&
+        Pollination.getInactiveStatuses().includes(pollination.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pollinate flowers on a ${pollination.status} plant`
+      });
+    }
+
+    const invalid = await applyFlowerChanges(pollination, flower, req.body, req.user.id);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    pollination.recordFlowerPollination(flower);
+    pollination.refreshStatusFromFlowers();
+    await pollination.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Flower ${flower.tagId} updated successfully`,
+      data: {
+        flower,
+        plant: getFlowerPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Update flower error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error updating flower',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a tagged flower
+// @route   DELETE /api/pollination/:id/flowers/:flowerId
+// @access  Private
+const deleteFlower = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const flower = pollination.flowers.id(req.params.flowerId);
+
+    if (!flower) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flower not found'
+      });
+    }
+
+    flower.deleteOne();
+    pollination.refreshStatusFromFlowers();
+    await pollination.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Flower ${flower.tagId} removed`,
+      data: {
+        plant: getFlowerPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Delete flower error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error removing flower',
+      error: error.message
+    });
+  }
+};
+
+// Apply harvest fields from a request body (JSON or multipart form fields)
+// Returns an error message, or null when the harvest is valid
+const applyHarvestChanges = (plant, harvest, body) => {
+  const { date, fruitCount, weightKg, qualityGrade, salePrice, isFinal, notes } = body;
+  const clearable = (value) => (value === '' || value === null ? null : value);
+
+  if (date !== undefined) harvest.date = new Date(date);
+  if (fruitCount !== undefined) harvest.fruitCount = fruitCount;
+  if (weightKg !== undefined) harvest.weightKg = clearable(weightKg);
+  if (qualityGrade !== undefined) harvest.qualityGrade = clearable(qualityGrade);
+  if (salePrice !== undefined) harvest.salePrice = clearable(salePrice);
+  if (notes !== undefined) harvest.notes = notes;
+
+  if (isFinal !== undefined) {
+    const otherFinal = plant.harvests.some(other => !other._id.equals(harvest._id) && other.isFinal);
+    if (isFinal && otherFinal) {
+      return 'This plant already has a final harvest';
+    }
+    harvest.isFinal = isFinal;
+  }
+
+  if (harvest.date < plant.datePlanted) {
+    return 'Harvest date cannot be before the planting date';
+  }
+  if (plant.datePollinated && harvest.date < plant.datePollinated) {
+    return 'Harvest date cannot be before the pollination date';
+  }
+
+  return null;
+};
+
+// Upload harvest photos from a multipart request, keeping within the per-harvest limit
+const uploadHarvestPhotos = async (files = [], existingCount = 0) => {
+  const maxPhotos = 5;
+  if (existingCount + files.length > maxPhotos) {
+    const error = new Error(`A harvest can have at most ${maxPhotos} photos`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (files.length === 0) return [];
+
+  const uploaded = await uploadMultipleToCloudinary(files, {
+    folder: 'pollination/harvests',
+    transformation: [{ width: 800, height: 600, crop: 'limit' }]
+  });
+  return uploaded.map(photo => ({ url: photo.url, cloudinaryId: photo.cloudinaryId }));
+};
+
+
+// Plant fields that harvest changes can update, returned alongside harvest responses
+const getHarvestPlantState = (pollination) => ({
+  _id: pollination._id,
+  status: pollination.status,
+  harvestSummary: pollination.getHarvestSummary()
+});
+
+// @desc    Get the harvests recorded for a plant
+// @route   GET /api/pollination/:id/harvests
+// @access  Private
+const getHarvests = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const harvests = [...pollination.harvests].sort((a, b) => b.date - a.date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        harvests,
+        summary: pollination.getHarvestSummary(),
+        grades: Pollination.getHarvestGrades()
+      }
+    });
+  } catch (error) {
+    console.error('Get harvests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching harvests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a harvest, with up to 5 photos as multipart "photos"
+// @route   POST /api/pollination/:id/harvests
+// @access  Private
+const addHarvest = async (req, res) => {
+  let photos = [];
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    if (pollination.gender === 'male') {
+      return res.status(400).json({
+        success: false,
+        message: 'Harvests are recorded on female plants. This plant is recorded as male.'
+      });
+    }
+
+    if (!['pollinated', 'fruiting', 'harvested'].includes(pollination.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Record a pollination on this plant before logging a harvest'
+      });
+    }
+
+    if (pollination.harvests.some(harvest => harvest.isFinal)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The final harvest for this plant is already recorded'
+      });
+    }
+
+    const harvest = pollination.harvests.create({ date: new Date() });
+
+    const invalid = applyHarvestChanges(pollination, harvest, req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    photos = await uploadHarvestPhotos(req.files);
+    harvest.photos = photos;
+
+    pollination.harvests.push(harvest);
+    pollination.refreshStatusFromHarvests();
+    await pollination.save();
+
+    res.status(201).json({
+      success: true,
+      message: harvest.isFinal
+        ? `🧺 Final harvest recorded: ${harvest.fruitCount} fruit. Plant marked as harvested.`
+        : `🧺 Harvest recorded: ${harvest.fruitCount} fruit`,
+      data: {
+        harvest: pollination.harvests.id(harvest._id),
+        plant: getHarvestPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Add harvest error:', error);
+    await deletePhotosFromCloudinary(photos);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error recording harvest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a harvest; new multipart "photos" are added to the existing ones
+// @route   PUT /api/pollination/:id/harvests/:harvestId
+// @access  Private
+const updateHarvest = async (req, res) => {
+  let photos = [];
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const harvest = pollination.harvests.id(req.params.harvestId);
+
+    if (!harvest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Harvest not found'
+      });
+    }
+
+    const wasFinal = harvest.isFinal;
+    const invalid = applyHarvestChanges(pollination, harvest, req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    photos = await uploadHarvestPhotos(req.files, harvest.photos.length);
+    harvest.photos.push(...photos);
+
+    pollination.refreshStatusFromHarvests(wasFinal && !harvest.isFinal);
+    await pollination.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Harvest updated successfully',
+      data: {
+        harvest,
+        plant: getHarvestPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Update harvest error:', error);
+    await deletePhotosFromCloudinary(photos);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error updating harvest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove one photo from a harvest
+// @route   DELETE /api/pollination/:id/harvests/:harvestId/photos/:photoId
+// @access  Private
+const deleteHarvestPhoto = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const harvest = pollination.harvests.id(req.params.harvestId);
+    const photo = harvest && harvest.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Harvest photo not found'
+      });
+    }
+
+    photo.deleteOne();
+    await pollination.save();
+    await deletePhotosFromCloudinary([photo]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo removed',
+      data: { harvest }
+    });
+  } catch (error) {
+    console.error('Delete harvest photo error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error removing harvest photo',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a harvest and its photos
+// @route   DELETE /api/pollination/:id/harvests/:harvestId
+// @access  Private
+const deleteHarvest = async (req, res) => {
+  try {
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const harvest = pollination.harvests.id(req.params.harvestId);
+
+    if (!harvest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Harvest not found'
+      });
+    }
+
+    const photos = [...harvest.photos];
+    harvest.deleteOne();
+    pollination.refreshStatusFromHarvests(harvest.isFinal);
+    await pollination.save();
+    await deletePhotosFromCloudinary(photos);
+
+    res.status(200).json({
+      success: true,
+      message: 'Harvest removed',
+      data: {
+        plant: getHarvestPlantState(pollination)
+      }
+    });
+  } catch (error) {
+    console.error('Delete harvest error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error removing harvest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move a plant along its lifecycle, or mark it failed or removed
+// @route   POST /api/pollination/:id/status
+// @access  Private
+const updateStatus = async (req, res) => {
+  try {
+    const { newStatus, reason } = req.body;
+
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    if (pollination.status === newStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Plant is already ${newStatus}`
+      });
+    }
+
+    if (!pollination.canTransitionTo(newStatus)) {
+      const allowed = Pollination.getStatusTransitions()[pollination.status];
+      return res.status(400).json({
+        success: false,
+        message: allowed.length > 0
+          ? `Cannot change status from ${pollination.status} to ${newStatus}. Allowed: ${allowed.join(', ')}`
+          : `A ${pollination.status} plant cannot change status`
+      });
+    }
+
+    pollination.setStatus(newStatus, { source: 'manual', reason, changedBy: req.user.id });
     await pollination.save();
 
     res.status(200).json({
@@ -764,6 +1940,174 @@ const updateStatus = async (req, res) => {
   }
 };
 
+// Kinds of entries on a plant's timeline
+const TIMELINE_EVENT_TYPES = ['status', 'note', 'image', 'scan', 'pollination'];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Status entries for plants recorded before the status history existed, inferred from the
+// lifecycle dates that were kept. Only dates before the first recorded change are used.
+const inferStatusEvents = (plant) => {
+  const [first] = plant.statusHistory;
+  if (first?.source === 'created') return [];
+
+  const before = first ? first.date : null;
+  return [
+    ['planted', plant.datePlanted],
+    ['pollinated', plant.datePollinated]
+  ]
+    .filter(([, date]) => date && (!before || date < before))
+    .map(([status, date], index, known) => ({
+      id: `inferred-${status}`,
+      type: 'status',
+      date,
+      title: capitalize(status),
+      detail: 'From the recorded dates',
+      data: { from: index > 0 ? known[index - 1][0] : null, to: status, source: 'system', inferred: true }
+    }));
+};
+
+// Merge status changes, notes, photos, scans and pollination checks into dated timeline entries
+const buildTimeline = (plant, types) => {
+  const events = [];
+
+  if (types.includes('status')) {
+    events.push(...inferStatusEvents(plant));
+    plant.statusHistory.forEach(change => {
+      events.push({
+        id: change._id,
+        type: 'status',
+        date: change.date,
+        title: capitalize(change.to),
+        detail: change.reason || (change.from ? `Changed from ${change.from}` : 'Plant added'),
+        data: {
+          from: change.from,
+          to: change.to,
+          source: change.source,
+          changedBy: change.changedBy
+        }
+      });
+    });
+  }
+
+  if (types.includes('note')) {
+    plant.notes.forEach(note => {
+      events.push({
+        id: note._id,
+        type: 'note',
+        date: note.date,
+        title: `${capitalize(note.type)} note`,
+        detail: note.content,
+        data: { noteType: note.type }
+      });
+    });
+  }
+
+  if (types.includes('image')) {
+    plant.images.forEach(image => {
+      events.push({
+        id: image._id,
+        type: 'image',
+        date: image.date,
+        title: `${capitalize(image.type)} photo`,
+        detail: image.caption || null,
+        data: { url: image.url, imageType: image.type }
+      });
+    });
+  }
+
+  if (types.includes('scan')) {
+    plant.scanHistory.forEach(entry => {
+      events.push({
+        id: entry._id,
+        type: 'scan',
+        date: entry.date,
+        title: `${capitalize(entry.gender || 'flower')} flower scan`,
+        detail: entry.applied ? 'Updated the plant' : entry.reason || 'Plant not changed',
+        data: {
+          scanId: entry.scan?._id || entry.scan,
+          imageUrl: entry.scan?.imageUrl || null,
+          gender: entry.gender,
+          confidence: entry.confidence,
+          confirmed: entry.confirmed,
+          applied: entry.applied
+        }
+      });
+    });
+  }
+
+  if (types.includes('pollination')) {
+    plant.pollinationStatus.forEach(check => {
+      events.push({
+        id: check._id,
+        type: 'pollination',
+        date: check.date,
+        title: check.statuspollination === 'pending'
+          ? 'Pollination check pending'
+          : `Pollination ${check.statuspollination.toLowerCase()}`,
+        detail: null,
+        data: { result: check.statuspollination }
+      });
+    });
+  }
+
+  return events.filter(event => event.date);
+};
+
+// @desc    Get a plant's timeline of status changes, notes, photos, scans and pollination checks
+// @route   GET /api/pollination/:id/timeline?types=status,note&order=asc
+// @access  Private
+const getTimeline = async (req, res) => {
+  try {
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : TIMELINE_EVENT_TYPES;
+    const unknownTypes = types.filter(type => !TIMELINE_EVENT_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Timeline types must be among: ${TIMELINE_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const pollination = await Pollination.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).populate('scanHistory.scan', 'imageUrl');
+
+    if (!pollination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const events = buildTimeline(pollination, types)
+      .sort((a, b) => direction * (new Date(a.date) - new Date(b.date)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: pollination.status,
+        allowedStatuses: Pollination.getStatusTransitions()[pollination.status],
+        events,
+        counts: TIMELINE_EVENT_TYPES.reduce((counts, type) => {
+          counts[type] = events.filter(event => event.type === type).length;
+          return counts;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching plant timeline',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get pending pollination notifications
 // @route   GET /api/pollination/notifications/pending
 // @access  Private
@@ -835,7 +2179,10 @@ module.exports = {
   createPollination,
   updatePollination,
   deletePollination,
+  createPollinationBatch,
+  bulkUpdatePollinations,
   addImage,
+  updateImage,
   deleteImage,
   addNote,
   markFlowering,
@@ -844,8 +2191,19 @@ module.exports = {
   getUpcomingPollinations,
   getPlantTypes,
   getDashboardStats,
+  getSuccessAnalytics,
   updatePollinationStatus,
+  getFlowers,
+  addFlower,
+  updateFlower,
+  deleteFlower,
+  getHarvests,
+  addHarvest,
+  updateHarvest,
+  deleteHarvestPhoto,
+  deleteHarvest,
   updateStatus,
+  getTimeline,
   getPendingNotifications,
   markNotificationSent
 };
\ No newline at end of file
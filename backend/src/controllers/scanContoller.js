@@ -1,13 +1,33 @@
+const mongoose = require('mongoose');
 const Scan = require('../models/Scan');
+const { User, Pollination, CropVariety } = require('../models');
+const { getPaginationMeta, getSkipValue } = require('../utils/helpers');
+const { isCloudinaryImageUrl } = require('../utils/uploadHelper');
+
+// Fields the history endpoint may be sorted by
+const HISTORY_SORT_FIELDS = ['date', 'confidence', 'createdAt'];
+
+// Scans below this confidence are attached to a plant without changing it, unless the label was confirmed
+const PLANT_UPDATE_MIN_CONFIDENCE = 65;
+
+// Plants past fruiting are no longer suggested for new flower scans
+const ATTACHABLE_PLANT_STATUSES = ['planted', 'flowering', 'pollinated', 'fruiting'];
+
+// Only the scan owner or an admin may read or modify a scan
+const canAccessScan = (user, scan) => {
+  return user.role === 'admin' || scan.userId.toString() === user._id.toString();
+};
 
 // Save a new scan
 exports.saveScan = async (req, res) => {
   try {
     const { 
-      userId, 
       imageUrl, 
       prediction, 
       confidence, 
+      scanType = 'flower',
+      clientId,
+      date,
       diseaseInfo, 
       location, 
       notes,
@@ -17,25 +37,85 @@ exports.saveScan = async (req, res) => {
       aiPrediction
     } = req.body;
 
-    if (!userId || !imageUrl || !prediction || !confidence) {
+    if (!imageUrl || !prediction || typeof confidence !== 'number') {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
+    // Images are uploaded through /upload first; the training export downloads them later
+    if (!isCloudinaryImageUrl(imageUrl)) {
+      return res.status(400).json({ message: 'Invalid image URL' });
+    }
+
+    if (!Scan.getScanTypes().includes(scanType)) {
+      return res.status(400).json({ message: 'Invalid scan type' });
+    }
+
+    if (clientId !== undefined && (typeof clientId !== 'string' || !clientId.trim() || clientId.length > 64)) {
+      return res.status(400).json({ message: 'Invalid client ID' });
+    }
+
+    // Scans synced from the offline queue keep the time they were taken
+    let capturedAt = date ? new Date(date) : null;
+    if (capturedAt && isNaN(capturedAt.getTime())) {
+      return res.status(400).json({ message: 'Invalid scan date' });
+    }
+    if (capturedAt && capturedAt > new Date()) {
+      capturedAt = new Date(); // device clock ahead of the server
+    }
+
+    // A retried upload returns the scan saved the first time
+    if (clientId) {
+      const existingScan = await Scan.findOne({ userId: req.user._id, clientId });
+      if (existingScan) {
+        return res.status(200).json({
+          message: 'Scan already saved',
+          scan: existingScan,
+          duplicate: true
+        });
+      }
+    }
+
+    const isHealthScan = scanType === 'plant_health';
+
+    // Scans always belong to the authenticated user, never to a client-supplied ID
     const newScan = new Scan({
-      userId,
+      userId: req.user._id,
       imageUrl,
       prediction,
       confidence,
-      diseaseInfo,
+      scanType,
+      clientId,
+      date: capturedAt || undefined,
+      // Disease details only apply to plant health scans
+      diseaseInfo: isHealthScan ? { ...diseaseInfo, analyzedAt: diseaseInfo?.analyzedAt || new Date() } : undefined,
       location,
       notes,
       // Save new validation fields if provided
       variety: variety || null,
-      validationStatus: validationStatus || 'tflite_only',
+      validationStatus: isHealthScan ? null : (validationStatus || 'tflite_only'),
       aiPrediction: aiPrediction || {}
     });
 
-    const savedScan = await newScan.save();
+    let savedScan;
+    try {
+      savedScan = await newScan.save();
+    } catch (saveError) {
+      // Two retries of the same queued scan raced each other
+      if (saveError.code === 11000 && clientId) {
+        const existingScan = await Scan.findOne({ userId: req.user._id, clientId });
+        return res.status(200).json({
+          message: 'Scan already saved',
+          scan: existingScan,
+          duplicate: true
+        });
+      }
+      throw saveError;
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $inc: { 'stats.totalScans': 1 }, $max: { 'stats.lastScanDate': savedScan.date } }
+    );
 
     res.status(201).json({
       message: 'Scan saved successfully',
@@ -47,18 +127,89 @@ exports.saveScan = async (req, res) => {
   }
 };
 
-// Get scan history for a user
+// Build a Mongo filter from the history query string
+const buildHistoryFilter = (userId, query) => {
+  const {
+    scanType,
+    variety,
+    prediction,
+    validationStatus,
+    finalSource,
+    minConfidence,
+    maxConfidence,
+    startDate,
+    endDate
+  } = query;
+
+  const filter = { userId };
+
+  // Scans saved before scan types existed are all flower scans
+  if (scanType === 'flower') {
+    filter.scanType = { $ne: 'plant_health' };
+  } else if (scanType) {
+    filter.scanType = scanType;
+  }
+
+  if (variety) {
+    filter.variety = variety;
+  }
+
+  if (prediction) {
+    filter.prediction = prediction;
+  }
+
+  if (validationStatus) {
+    filter.validationStatus = validationStatus;
+  }
+
+  if (finalSource) {
+    filter['aiPrediction.finalSource'] = finalSource;
+  }
+
+  if (minConfidence !== undefined || maxConfidence !== undefined) {
+    filter.confidence = {};
+    if (minConfidence !== undefined) filter.confidence.$gte = parseFloat(minConfidence);
+    if (maxConfidence !== undefined) filter.confidence.$lte = parseFloat(maxConfidence);
+  }
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+// Get scan history for the authenticated user (admins may pass :userId)
 exports.getScanHistory = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.params.userId || req.user._id;
 
-    if (!userId) {
-      return res.status(400).json({ message: 'User ID is required' });
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
     }
 
-    const scans = await Scan.find({ userId }).sort({ date: -1 });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const sortBy = HISTORY_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'date';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const filter = buildHistoryFilter(userId, req.query);
+
+    // Tie-break on _id so pages stay stable when sort values collide
+    const [scans, total] = await Promise.all([
+      Scan.find(filter)
+        .sort({ [sortBy]: sortOrder, _id: sortOrder })
+        .skip(getSkipValue(page, limit))
+        .limit(limit),
+      Scan.countDocuments(filter)
+    ]);
 
-    res.status(200).json(scans);
+    res.status(200).json({
+      scans,
+      pagination: getPaginationMeta(page, limit, total)
+    });
   } catch (error) {
     console.error('Error fetching scan history:', error);
     res.status(500).json({ message: 'Server error while fetching history', error: error.message });
@@ -70,12 +221,23 @@ exports.getScanById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const scan = await Scan.findById(id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid scan ID format' });
+    }
+
+    const scan = await Scan.findById(id).populate('plant', 'name displayName gender status datePlanted');
 
     if (!scan) {
       return res.status(404).json({ message: 'Scan not found' });
     }
 
+    if (!canAccessScan(req.user, scan)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only access your own scans.',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
     res.status(200).json(scan);
   } catch (error) {
     console.error('Error fetching scan:', error);
@@ -83,20 +245,280 @@ exports.getScanById = async (req, res) => {
   }
 };
 
+// Reset a user's scan and accuracy counters from their remaining scans
+const recountScanStats = async (userId) => {
+  const [totalScans, reviewedScans, accurateScans] = await Promise.all([
+    Scan.countDocuments({ userId }),
+    Scan.countDocuments({ userId, 'userFeedback.submittedAt': { $ne: null } }),
+    Scan.countDocuments({ userId, 'userFeedback.submittedAt': { $ne: null }, 'userFeedback.isCorrect': true })
+  ]);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'stats.totalScans': totalScans, 'stats.reviewedScans': reviewedScans, 'stats.accurateScans': accurateScans } }
+  );
+};
+
 // Delete a scan
 exports.deleteScan = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const deletedScan = await Scan.findByIdAndDelete(id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid scan ID format' });
+    }
+
+    const scan = await Scan.findById(id);
 
-    if (!deletedScan) {
+    if (!scan) {
       return res.status(404).json({ message: 'Scan not found' });
     }
 
+    if (!canAccessScan(req.user, scan)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only delete your own scans.',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    await scan.deleteOne();
+
+    // Recount rather than decrement: scans saved before the counters existed were never counted
+    await recountScanStats(scan.userId);
+
     res.status(200).json({ message: 'Scan deleted successfully' });
   } catch (error) {
     console.error('Error deleting scan:', error);
     res.status(500).json({ message: 'Server error while deleting scan', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Confirm or correct a scan prediction ("Was this right?")
+exports.submitFeedback = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isCorrect, variety, gender, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid scan ID format' });
+    }
+
+    const scan = await Scan.findById(id);
+
+    if (!scan) {
+      return res.status(404).json({ message: 'Scan not found' });
+    }
+
+    if (!canAccessScan(req.user, scan)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only give feedback on your own scans.',
+        code: 'OWNERSHIP_REQUIRED'
+      });
+    }
+
+    if (scan.scanType === 'plant_health') {
+      return res.status(400).json({
+        message: 'Feedback is only collected for flower scans'
+      });
+    }
+
+    // A confirmation reuses the prediction as the label, so it must be a usable one
+    const confirmed = isCorrect === true || isCorrect === 'true';
+    const label = confirmed
+      ? { variety: scan.variety, gender: scan.prediction }
+      : { variety, gender };
+
+    if (!['male', 'female', 'not_flower'].includes(label.gender)) {
+      return res.status(400).json({
+        message: 'This scan has no usable prediction to confirm. Please provide the correct label.'
+      });
+    }
+
+    const wasReviewed = !!scan.userFeedback?.submittedAt;
+    const wasAccurate = wasReviewed && scan.userFeedback.isCorrect;
+    const isOwner = scan.userId.toString() === req.user._id.toString();
+
+    // An expert label from the review queue outranks the owner's own answer
+    const keepExpertLabel = isOwner && scan.groundTruth?.source === 'expert';
+
+    if (!keepExpertLabel) {
+      scan.setGroundTruth({
+        ...label,
+        source: isOwner ? 'user' : 'expert',
+        labeledBy: req.user._id
+      });
+    }
+
+    const isAccurate = scan.matchesLabel(label);
+    scan.userFeedback = {
+      isCorrect: isAccurate,
+      notes: notes || '',
+      submittedAt: new Date()
+    };
+
+    await scan.save();
+
+    // Re-submitting feedback replaces the previous answer rather than counting twice
+    const owner = await User.findByIdAndUpdate(
+      scan.userId,
+      {
+        $inc: {
+          'stats.reviewedScans': wasReviewed ? 0 : 1,
+          'stats.accurateScans': (isAccurate ? 1 : 0) - (wasAccurate ? 1 : 0)
+        }
+      },
+      { new: true }
+    ).select('stats');
+
+    res.status(200).json({
+      message: isAccurate ? 'Thanks for confirming this scan' : 'Thanks! Your correction has been recorded',
+      scan,
+      stats: owner ? {
+        reviewedScans: owner.stats.reviewedScans,
+        accurateScans: owner.stats.accurateScans,
+        scanAccuracyPercentage: owner.scanAccuracyPercentage
+      } : null
+    });
+  } catch (error) {
+    console.error('Error saving scan feedback:', error);
+    res.status(500).json({ message: 'Server error while saving feedback', error: error.message });
+  }
+};
+
+// Load a flower scan owned by the requesting user for attaching to one of their plants
+// Returns { scan } or { status, body } describing why it cannot be attached
+const findAttachableScan = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, body: { message: 'Invalid scan ID format' } };
+  }
+
+  const scan = await Scan.findById(id);
+
+  if (!scan) {
+    return { status: 404, body: { message: 'Scan not found' } };
+  }
+
+  // Plants are private to their owner, so even admins only attach their own scans
+  if (scan.userId.toString() !== user._id.toString()) {
+    return {
+      status: 403,
+      body: {
+        message: 'Access denied. You can only attach your own scans.',
+        code: 'OWNERSHIP_REQUIRED'
+      }
+    };
+  }
+
+  const { gender } = scan.getDetectedLabel();
+  if (scan.scanType === 'plant_health' || !['male', 'female'].includes(gender)) {
+    return { status: 400, body: { message: 'Only male or female flower scans can be attached to a plant' } };
+  }
+
+  return { scan };
+};
+
+// Suggest the user's plants a flower scan could belong to, matching on variety
+exports.getPlantSuggestions = async (req, res) => {
+  try {
+    const { scan, status, body } = await findAttachableScan(req.user, req.params.id);
+    if (!scan) {
+      return res.status(status).json(body);
+    }
+
+    const { variety, gender } = scan.getDetectedLabel();
+    const plantNames = CropVariety.getKeysForScanVariety(variety);
+
+    const filter = { user: req.user._id, status: { $in: ATTACHABLE_PLANT_STATUSES } };
+    if (plantNames.length > 0) {
+      filter.name = { $in: plantNames };
+    }
+
+    const plants = await Pollination.find(filter)
+      .select('name displayName gender status datePlanted image')
+      .sort({ datePlanted: -1 })
+      .limit(20);
+
+    // Plants the scan would update come first, then ones already recorded with the same gender
+    const rank = (plant) => {
+      if (plant.gender === 'undetermined') return 0;
+      if (plant.gender === gender) return plant.status === 'planted' ? 0 : 1;
+      return 2;
+    };
+    const suggestions = plants
+      .map((plant, index) => ({ plant, index }))
+      .sort((a, b) => rank(a.plant) - rank(b.plant) || a.index - b.index)
+      .map(({ plant }) => ({
+        ...plant.toObject({ virtuals: false }),
+        genderMatches: plant.gender === 'undetermined' || plant.gender === gender
+      }));
+
+    res.status(200).json({
+      plantNames,
+      attachedPlant: scan.plant,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching plant suggestions:', error);
+    res.status(500).json({ message: 'Server error while fetching plant suggestions', error: error.message });
+  }
+};
+
+// Attach a flower scan to a tracked plant, updating the plant's gender and status when the scan is confident
+exports.attachToPlant = async (req, res) => {
+  try {
+    const { plantId } = req.body;
+
+    const { scan, status, body } = await findAttachableScan(req.user, req.params.id);
+    if (!scan) {
+      return res.status(status).json(body);
+    }
+
+    if (scan.plant) {
+      return res.status(409).json({
+        message: scan.plant.toString() === plantId
+          ? 'Scan is already attached to this plant'
+          : 'Scan is already attached to another plant'
+      });
+    }
+
+    const plant = await Pollination.findOne({ _id: plantId, user: req.user._id });
+
+    if (!plant) {
+      return res.status(404).json({ message: 'Plant not found' });
+    }
+
+    const { variety } = scan.getDetectedLabel();
+    const plantNames = CropVariety.getKeysForScanVariety(variety);
+    if (plantNames.length > 0 && !plantNames.includes(plant.name)) {
+      return res.status(400).json({
+        message: `This scan is a ${variety} flower and cannot be attached to a ${plant.displayName?.tagalog || plant.name} plant`
+      });
+    }
+
+    // Claim the scan first so two concurrent requests cannot both update plants
+    const claimed = await Scan.findOneAndUpdate(
+      { _id: scan._id, plant: null },
+      { $set: { plant: plant._id, attachedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Scan is already attached to another plant' });
+    }
+
+    await plant.applyScan(claimed, PLANT_UPDATE_MIN_CONFIDENCE);
+    const update = plant.scanHistory[plant.scanHistory.length - 1];
+
+    res.status(200).json({
+      message: update.applied
+        ? `Scan attached. Plant updated to ${plant.gender}, ${plant.status}.`
+        : `Scan attached. ${update.reason}, so the plant was not changed.`,
+      scan: claimed,
+      plant,
+      update
+    });
+  } catch (error) {
+    console.error('Error attaching scan to plant:', error);
+    res.status(500).json({ message: 'Server error while attaching scan', error: error.message });
+  }
+};
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { TrainingExport } = require('../models');
+const trainingExportService = require('../services/trainingExportService');
+
+/**
+ * Training Export Controller
+ * Builds retraining datasets (class folders + manifest.csv) from labeled scans
+ */
+
+/**
+ * Start a new training-data export
+ * @route POST /api/admin/training-exports
+ * @access Private/Admin
+ */
+exports.createExport = async (req, res) => {
+  try {
+    const { startDate, endDate, labelSource, includeNotFlower } = req.body || {};
+
+    if (labelSource && !['user', 'expert'].includes(labelSource)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid label source. Must be one of: user, expert'
+      });
+    }
+
+    const filters = {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      labelSource: labelSource || null,
+      includeNotFlower: includeNotFlower !== false
+    };
+
+    if ((filters.startDate && isNaN(filters.startDate)) || (filters.endDate && isNaN(filters.endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const job = await trainingExportService.startExport(req.user._id, filters);
+
+    res.status(202).json({
+      success: true,
+      message: 'Training export started',
+      data: { export: job }
+    });
+  } catch (error) {
+    console.error('Create training export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start training export',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List training-data exports (most recent first)
+ * @route GET /api/admin/training-exports
+ * @access Private/Admin
+ */
+exports.getExports = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const exports = await TrainingExport.find()
+      .populate('requestedBy', 'username firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Training exports retrieved successfully',
+      data: { exports }
+    });
+  } catch (error) {
+    console.error('Get training exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve training exports',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the status of a training-data export
+ * @route GET /api/admin/training-exports/:exportId
+ * @access Private/Admin
+ */
+exports.getExportById = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(exportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const job = await TrainingExport.findById(exportId)
+      .populate('requestedBy', 'username firstName lastName email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Training export retrieved successfully',
+      data: { export: job }
+    });
+  } catch (error) {
+    console.error('Get training export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve training export',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a completed training-data export as a ZIP
+ * @route GET /api/admin/training-exports/:exportId/download
+ * @access Private/Admin
+ */
+exports.downloadExport = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(exportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const job = await TrainingExport.findById(exportId).select('+filePath');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training export not found'
+      });
+    }
+
+    if (job.status !== 'completed' || !job.filePath) {
+      return res.status(409).json({
+        success: false,
+        message: `Training export is ${job.status}, not ready for download`
+      });
+    }
+
+    res.download(job.filePath, job.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download training export error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Export file is no longer available'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download training export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download training export',
+      error: error.message
+    });
+  }
+};
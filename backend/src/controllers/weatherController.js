@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { Pollination, User } = require('../models');
+const notificationScheduler = require('../utils/notificationScheduler');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+/**
+ * Weather Controller
+ * The user's farm location and forecasts for their plants' pollination windows
+ */
+
+const noFarmLocation = (res) => res.status(200).json({
+  success: true,
+  message: 'Set your farm location to get weather advice',
+  data: null
+});
+
+/**
+ * Get the user's farm location
+ * @route GET /api/pollination/weather/location
+ * @access Private
+ */
+exports.getFarmLocation = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('farmLocation');
+
+    res.status(200).json({
+      success: true,
+      data: { farmLocation: notificationScheduler.getFarmLocation(user) }
+    });
+  } catch (error) {
+    console.error('Get farm location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve farm location',
+      error: error.message
+    });
+  }
+};
+
+// Timezone of a farm: the one the app sent, else the weather provider's, else FARM_TIMEZONE
+const resolveTimezone = async (timezone, latitude, longitude) => {
+  if (timezone) return timezone;
+  try {
+    return await notificationScheduler.getWeatherProvider().getTimezone({ latitude, longitude }) || DEFAULT_TIMEZONE;
+  } catch (error) {
+    console.error('Timezone lookup error:', error.message);
+    return DEFAULT_TIMEZONE;
+  }
+};
+
+/**
+ * Set the user's farm location
+ * @route PUT /api/pollination/weather/location
+ * @access Private
+ */
+exports.updateFarmLocation = async (req, res) => {
+  try {
+    const { name, latitude, longitude } = req.body;
+    const timezone = await resolveTimezone(req.body.timezone, latitude, longitude);
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { farmLocation: { name, latitude, longitude, timezone } } },
+      { new: true, runValidators: true }
+    ).select('farmLocation');
+
+    res.status(200).json({
+      success: true,
+      message: 'Farm location saved',
+      data: { farmLocation: notificationScheduler.getFarmLocation(user) }
+    });
+  } catch (error) {
+    console.error('Update farm location error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to save farm location',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Clear the user's farm location
+ * @route DELETE /api/pollination/weather/location
+ * @access Private
+ */
+exports.deleteFarmLocation = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { farmLocation: '' } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Farm location removed'
+    });
+  } catch (error) {
+    console.error('Delete farm location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove farm location',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the forecast and rain/heat warnings for a plant's next pollination window
+ * data is null when the user has no farm location; data.window is null when the plant has no upcoming window
+ * @route GET /api/pollination/:id/weather
+ * @access Private
+ */
+exports.getPlantWeather = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pollination ID format'
+      });
+    }
+
+    const plant = await Pollination.findOne({ _id: req.params.id, user: req.user.id })
+      .select('name displayName status pollinationTiming');
+    if (!plant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pollination record not found'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('farmLocation');
+    const location = notificationScheduler.getFarmLocation(user);
+    if (!location) {
+      return noFarmLocation(res);
+    }
+
+    const weather = await notificationScheduler.getPollinationWeather(plant, location);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location,
+        window: weather?.window || null,
+        forecast: weather?.forecast || [],
+        warnings: weather?.warnings || [],
+        unavailable: weather?.unavailable || false
+      }
+    });
+  } catch (error) {
+    console.error('Get plant weather error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve weather advice',
+      error: error.message
+    });
+  }
+};
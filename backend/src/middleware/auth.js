@@ -44,6 +44,20 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (user.liftExpiredSuspension()) {
+      await user.save();
+    }
+
+    const suspension = user.getSuspension();
+    if (suspension) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Account is suspended.',
+        code: 'ACCOUNT_SUSPENDED',
+        suspension
+      });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         status: 'error',
@@ -98,8 +112,8 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password -refreshTokens');
-    
+    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+
     if (user && user.isActive) {
       req.user = user;
     } else {
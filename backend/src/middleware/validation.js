@@ -1,4 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
+const CropVariety = require('../models/CropVariety');
+const Scan = require('../models/Scan');
+const Pollination = require('../models/Pollination');
+const Plot = require('../models/Plot');
+const Report = require('../models/Report');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * Middleware to handle validation errors
@@ -314,6 +320,226 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+/**
+ * Scan history query validation
+ */
+const validateScanHistoryQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['date', 'confidence', 'createdAt'])
+    .withMessage('Sort field must be one of: date, confidence, createdAt'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+
+  query('scanType')
+    .optional()
+    .isIn(['flower', 'plant_health'])
+    .withMessage('Scan type must be flower or plant_health'),
+
+  query('variety')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Variety must be a string between 1 and 50 characters'),
+
+  query('prediction')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Prediction must be a string between 1 and 50 characters'),
+
+  query('validationStatus')
+    .optional()
+    .isIn(['tflite_only', 'validated', 'manual_override', 'conflict'])
+    .withMessage('Validation status must be one of: tflite_only, validated, manual_override, conflict'),
+
+  query('finalSource')
+    .optional()
+    .isIn(['tflite', 'gemini', 'manual'])
+    .withMessage('Final source must be one of: tflite, gemini, manual'),
+
+  query('minConfidence')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum confidence must be between 0 and 100'),
+
+  query('maxConfidence')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Maximum confidence must be between 0 and 100'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  handleValidationErrors
+];
+
+/**
+ * Scan feedback validation ("Was this right?")
+ */
+const validateScanFeedback = [
+  body('isCorrect')
+    .exists()
+    .withMessage('isCorrect is required')
+    .isBoolean()
+    .withMessage('isCorrect must be a boolean'),
+
+  body('gender')
+    .if(body('isCorrect').equals('false'))
+    .notEmpty()
+    .withMessage('Correct gender is required when the prediction was wrong')
+    .isIn(['male', 'female', 'not_flower'])
+    .withMessage('Gender must be one of: male, female, not_flower'),
+
+  body('variety')
+    .if(body('isCorrect').equals('false'))
+    .if(body('gender').not().equals('not_flower'))
+    .notEmpty()
+    .withMessage('Correct variety is required when the prediction was wrong')
+    .isIn(['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'])
+    .withMessage('Variety must be one of: Ampalaya Bilog, Patola, Upo (Smooth)'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+    .trim(),
+
+  handleValidationErrors
+];
+
+/**
+ * Expert scan label validation (admin review queue)
+ */
+const validateScanLabel = [
+  body('gender')
+    .notEmpty()
+    .withMessage('Gender is required')
+    .isIn(['male', 'female', 'not_flower'])
+    .withMessage('Gender must be one of: male, female, not_flower'),
+
+  body('variety')
+    .if(body('gender').not().equals('not_flower'))
+    .notEmpty()
+    .withMessage('Variety is required for flower labels')
+    .isIn(['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'])
+    .withMessage('Variety must be one of: Ampalaya Bilog, Patola, Upo (Smooth)'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+    .trim(),
+
+  handleValidationErrors
+];
+
+/**
+ * Model upload fields sent alongside the .tflite file
+ */
+const validateModelUpload = [
+  body('inputSize')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[1-9]\d{0,3}\s*[x,]\s*[1-9]\d{0,3}$/)
+    .withMessage('Input size must be width x height in pixels, e.g. 224x224')
+    .customSanitizer(value => value.split(/\s*[x,]\s*/).map(Number)),
+
+  handleValidationErrors
+];
+
+/**
+ * Attach a flower scan to a tracked plant
+ */
+const validateScanAttach = [
+  body('plantId')
+    .notEmpty()
+    .withMessage('Plant ID is required')
+    .isMongoId()
+    .withMessage('Invalid plant ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Device push token registration
+ */
+const validatePushToken = [
+  body('token')
+    .notEmpty()
+    .withMessage('Push token is required')
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Push token is too long'),
+
+  body('platform')
+    .optional()
+    .isIn(['ios', 'android', 'web', 'unknown'])
+    .withMessage('Platform must be one of: ios, android, web, unknown'),
+
+  body('deviceName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot exceed 100 characters')
+    .trim(),
+
+  handleValidationErrors
+];
+
+/**
+ * Push notification receipt from the app
+ */
+const validateDeliveryReceipt = [
+  body('event')
+    .optional()
+    .isIn(['received', 'opened'])
+    .withMessage('Event must be received or opened'),
+
+  handleValidationErrors
+];
+
+/**
+ * Notification inbox query validation
+ */
+const validateNotificationList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('unreadOnly')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unreadOnly must be true or false'),
+
+  handleValidationErrors
+];
+
 /**
  * Search validation
  */
@@ -369,15 +595,50 @@ const validateFileUpload = (req, res, next) => {
   next();
 };
 
+/**
+ * Plant placement on a plot grid (plot, location.row, location.position)
+ */
+const plantPlacementChecks = () => [
+  body('plot')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid plot ID format'),
+
+  body('location.row')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: Plot.getMaxGridSize() })
+    .withMessage(`Row must be between 1 and ${Plot.getMaxGridSize()}`)
+    .toInt(),
+
+  body('location.position')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: Plot.getMaxGridSize() })
+    .withMessage(`Position must be between 1 and ${Plot.getMaxGridSize()}`)
+    .toInt()
+];
+
+const validatePlantPlacement = [
+  ...plantPlacementChecks(),
+  handleValidationErrors
+];
+
 /**
  * Pollination record validation
  */
-const validatePollination = [
+const newPlantChecks = () => [
   body('name')
     .notEmpty()
     .withMessage('Plant name is required')
-    .isIn(['ampalaya', 'patola', 'upo', 'kalabasa', 'kundol'])
-    .withMessage('Plant name must be one of: ampalaya, patola, upo, kalabasa, kundol'),
+    .trim()
+    .toLowerCase()
+    .custom((value) => {
+      const crop = CropVariety.getCatalogEntry(value);
+      if (!crop || !crop.isActive) {
+        const available = CropVariety.getCatalog({ activeOnly: true }).map(entry => entry.key);
+        throw new Error(`Plant name must be one of: ${available.join(', ')}`);
+      }
+      return true;
+    }),
 
   body('datePlanted')
     .notEmpty()
@@ -398,34 +659,104 @@ const validatePollination = [
     .isIn(['male', 'female', 'undetermined'])
     .withMessage('Gender must be one of: male, female, undetermined'),
 
-  body('location.garden')
-    .optional()
-    .isLength({ max: 100 })
-    .withMessage('Garden name cannot exceed 100 characters')
-    .trim(),
+  ...plantPlacementChecks(),
 
-  body('location.plot')
+  body('notes')
     .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+    .trim()
+];
+
+const validatePollination = [
+  ...newPlantChecks(),
+
+  body('label')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Label cannot exceed 60 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Batch plant creation validation
+ */
+const validatePollinationBatch = [
+  ...newPlantChecks(),
+
+  body('count')
+    .isInt({ min: 1, max: Pollination.getMaxBatchSize() })
+    .withMessage(`Count must be between 1 and ${Pollination.getMaxBatchSize()}`)
+    .toInt(),
+
+  body('namingPattern')
+    .optional({ values: 'falsy' })
+    .trim()
     .isLength({ max: 50 })
-    .withMessage('Plot name cannot exceed 50 characters')
-    .trim(),
+    .withMessage('Naming pattern cannot exceed 50 characters'),
 
-  body('location.coordinates.latitude')
+  body('startNumber')
     .optional()
-    .isFloat({ min: -90, max: 90 })
-    .withMessage('Latitude must be between -90 and 90'),
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Start number must be between 0 and 9999')
+    .toInt(),
 
-  body('location.coordinates.longitude')
-    .optional()
-    .isFloat({ min: -180, max: 180 })
-    .withMessage('Longitude must be between -180 and 180'),
+  handleValidationErrors
+];
 
-  body('notes')
+/**
+ * Bulk plant action validation
+ */
+const BULK_ACTIONS = ['flowering', 'status', 'note', 'delete'];
+
+const validateBulkAction = [
+  body('ids')
+    .isArray({ min: 1, max: Pollination.getMaxBatchSize() })
+    .withMessage(`Select between 1 and ${Pollination.getMaxBatchSize()} plants`),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid plant ID format'),
+
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+
+  body('gender')
+    .if(body('action').equals('flowering'))
     .optional()
+    .isIn(['male', 'female'])
+    .withMessage('Gender must be male or female'),
+
+  body('newStatus')
+    .if(body('action').equals('status'))
+    .notEmpty()
+    .withMessage('New status is required')
+    .isIn(Pollination.getStatuses())
+    .withMessage(`Status must be one of: ${Pollination.getStatuses().join(', ')}`),
+
+  body('reason')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  body('content')
+    .if(body('action').equals('note'))
+    .notEmpty()
+    .withMessage('Note content is required')
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Note content cannot exceed 500 characters')
     .trim(),
 
+  body('type')
+    .if(body('action').equals('note'))
+    .optional()
+    .isIn(['observation', 'care', 'problem', 'milestone'])
+    .withMessage('Note type must be one of: observation, care, problem, milestone'),
+
   handleValidationErrors
 ];
 
@@ -448,6 +779,146 @@ const validateNote = [
   handleValidationErrors
 ];
 
+/**
+ * Individual flower validation (per-flower pollination tracking)
+ */
+const notInFuture = (label) => (value) => {
+  if (value && new Date(value) > new Date()) {
+    throw new Error(`${label} cannot be in the future`);
+  }
+  return true;
+};
+
+const validateFlower = [
+  body('tagId')
+    .optional()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Tag ID must be between 1 and 20 characters')
+    .trim(),
+
+  body('openDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Open date must be a valid date')
+    .custom(notInFuture('Open date')),
+
+  body('pollinationDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Pollination date must be a valid date')
+    .custom(notInFuture('Pollination date')),
+
+  body('donorPlant')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid donor plant ID format'),
+
+  body('outcome')
+    .optional()
+    .isIn(['pending', 'successful', 'failed'])
+    .withMessage('Outcome must be one of: pending, successful, failed'),
+
+  body('fruit.tagId')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Fruit tag cannot exceed 20 characters')
+    .trim(),
+
+  body('fruit.setDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Fruit set date must be a valid date')
+    .custom(notInFuture('Fruit set date')),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+    .trim(),
+
+  handleValidationErrors
+];
+
+/**
+ * Harvest entry validation
+ * Accepts multipart form fields (strings) as well as JSON, so numbers and flags are converted
+ */
+const harvestChecks = (isUpdate) => [
+  (isUpdate ? body('fruitCount').optional() : body('fruitCount').notEmpty().withMessage('Fruit count is required').bail())
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Fruit count must be a whole number between 1 and 10000')
+    .toInt(),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Harvest date must be a valid date')
+    .custom(notInFuture('Harvest date')),
+
+  body('weightKg')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Weight must be between 0 and 10000 kg')
+    .toFloat(),
+
+  body('qualityGrade')
+    .optional({ values: 'falsy' })
+    .isIn(Pollination.getHarvestGrades())
+    .withMessage(`Quality grade must be one of: ${Pollination.getHarvestGrades().join(', ')}`),
+
+  body('salePrice')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0, max: 10000000 })
+    .withMessage('Sale price must be a positive amount')
+    .toFloat(),
+
+  body('isFinal')
+    .optional()
+    .isBoolean()
+    .withMessage('Final harvest must be true or false')
+    .toBoolean(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+    .trim(),
+
+  handleValidationErrors
+];
+
+const validateHarvest = harvestChecks(false);
+const validateHarvestUpdate = harvestChecks(true);
+
+/**
+ * Plant progress photo validation (upload and edit)
+ */
+const validatePlantImage = [
+  body('imageType')
+    .optional()
+    .isIn(Pollination.getImageTypes())
+    .withMessage(`Image type must be one of: ${Pollination.getImageTypes().join(', ')}`),
+
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Photo date must be a valid date')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Photo date cannot be in the future');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
 /**
  * Flowering validation
  */
@@ -476,6 +947,25 @@ const validateFlowering = [
   handleValidationErrors
 ];
 
+/**
+ * Plant status change validation
+ */
+const validateStatusChange = [
+  body('newStatus')
+    .notEmpty()
+    .withMessage('New status is required')
+    .isIn(Pollination.getStatuses())
+    .withMessage(`Status must be one of: ${Pollination.getStatuses().join(', ')}`),
+
+  body('reason')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
 /**
  * Pollination date validation
  */
@@ -574,6 +1064,310 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Crop variety validation (admin catalog)
+ * Every field is required on create and optional on update; the key cannot change once plants use it
+ */
+const dayRangeChecks = (field, label, isUpdate) => ['min', 'max'].map(bound => {
+  const chain = body(`${field}.${bound}`);
+  return (isUpdate ? chain.optional() : chain.exists().withMessage(`${label} ${bound} days is required`))
+    .isInt({ min: 0, max: 365 })
+    .withMessage(`${label} ${bound} days must be between 0 and 365`)
+    .toInt();
+});
+
+const cropVarietyChecks = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.notEmpty().withMessage(message));
+
+  return [
+    isUpdate
+      ? body('key').not().exists().withMessage('Crop key cannot be changed')
+      : body('key')
+        .notEmpty()
+        .withMessage('Crop key is required')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9_-]{2,40}$/)
+        .withMessage('Crop key must be 2-40 lowercase letters, numbers, dashes or underscores'),
+
+    required(body('displayName.english'), 'English name is required')
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('English name cannot exceed 60 characters'),
+
+    required(body('displayName.tagalog'), 'Tagalog name is required')
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('Tagalog name cannot exceed 60 characters'),
+
+    body('scanVariety')
+      .optional({ values: 'null' })
+      .isIn(Scan.getVarieties())
+      .withMessage('Scan variety must be one of the classifier varieties'),
+
+    ...dayRangeChecks('maleFlowering', 'Male flowering', isUpdate),
+    ...dayRangeChecks('femaleFlowering', 'Female flowering', isUpdate),
+    ...dayRangeChecks('pollination', 'Pollination', isUpdate),
+    ...dayRangeChecks('harvest', 'Harvest', isUpdate),
+
+    ...['startHour', 'endHour'].map(field => {
+      const chain = body(`pollinationWindow.${field}`);
+      return (isUpdate ? chain.optional() : chain.exists().withMessage(`Pollination window ${field} is required`))
+        .isInt({ min: 0, max: 23 })
+        .withMessage(`Pollination window ${field} must be an hour between 0 and 23`)
+        .toInt();
+    }),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+
+    handleValidationErrors
+  ];
+};
+
+const validateCropVariety = cropVarietyChecks(false);
+const validateCropVarietyUpdate = cropVarietyChecks(true);
+
+/**
+ * Garden plot validation
+ */
+const plotChecks = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.notEmpty().withMessage(message).bail());
+  const maxGridSize = Plot.getMaxGridSize();
+
+  return [
+    required(body('name'), 'Plot name is required')
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Plot name must be between 1 and 60 characters'),
+
+    required(body('dimensions.rows'), 'Number of rows is required')
+      .isInt({ min: 1, max: maxGridSize })
+      .withMessage(`Rows must be between 1 and ${maxGridSize}`)
+      .toInt(),
+
+    required(body('dimensions.positionsPerRow'), 'Positions per row is required')
+      .isInt({ min: 1, max: maxGridSize })
+      .withMessage(`Positions per row must be between 1 and ${maxGridSize}`)
+      .toInt(),
+
+    body(['dimensions.widthMeters', 'dimensions.lengthMeters'])
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 10000 })
+      .withMessage('Plot size must be between 0 and 10000 meters')
+      .toFloat(),
+
+    body('boundary.type')
+      .optional()
+      .equals('Polygon')
+      .withMessage('Boundary must be a GeoJSON Polygon'),
+
+    body('boundary.coordinates')
+      .optional()
+      .isArray({ min: 1, max: 1 })
+      .withMessage('Boundary must have exactly one ring of coordinates'),
+
+    body('boundary.coordinates.*')
+      .optional()
+      .isArray({ min: 4, max: 200 })
+      .withMessage('Boundary ring must have between 4 and 200 points'),
+
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Farm location validation (weather forecasts)
+ */
+const validateFarmLocation = [
+  body('name')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Farm location name cannot exceed 100 characters'),
+
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+
+  body('timezone')
+    .optional({ values: 'falsy' })
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA timezone such as Asia/Manila'),
+
+  handleValidationErrors
+];
+
+const validatePlot = plotChecks(false);
+const validatePlotUpdate = plotChecks(true);
+
+/**
+ * Forum comment or reply validation
+ */
+const validateForumComment = [
+  body('content')
+    .isString()
+    .withMessage('Comment content is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forum comment list validation
+ */
+const validateCommentList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('sort')
+    .optional()
+    .isIn(['oldest', 'newest'])
+    .withMessage('Sort must be oldest or newest'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forum search validation
+ */
+const validateForumSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+
+  query('category')
+    .optional()
+    .isIn(['all', 'tips', 'questions', 'showcase', 'discussion'])
+    .withMessage('Invalid category'),
+
+  query('author')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Author must be between 1 and 50 characters'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('hasImages')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('hasImages must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forum feed and saved posts validation
+ */
+const validateForumFeed = [
+  query('category')
+    .optional()
+    .isIn(['all', 'tips', 'questions', 'showcase', 'discussion'])
+    .withMessage('Invalid category'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forum post or comment report validation
+ */
+const validateForumReport = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Choose a reason for the report')
+    .isIn(Report.getReasons())
+    .withMessage(`Reason must be one of: ${Report.getReasons().join(', ')}`),
+
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+
+  body('details')
+    .if(body('reason').equals('other'))
+    .notEmpty()
+    .withMessage('Describe the problem when the reason is other'),
+
+  handleValidationErrors
+];
+
+/**
+ * Moderator decision on the reports about a post or comment
+ */
+const validateReportResolution = [
+  body('action')
+    .isIn(['dismiss', 'remove'])
+    .withMessage('Action must be dismiss or remove'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
 /**
  * Bulk user update validation
  */
@@ -612,14 +1406,41 @@ module.exports = {
   validateUserFeedback,
   validateGourdData,
   validatePollination,
+  validatePollinationBatch,
+  validateBulkAction,
+  validatePlantPlacement,
   validateNote,
+  validateFlower,
+  validateHarvest,
+  validateHarvestUpdate,
+  validatePlantImage,
   validateFlowering,
+  validateStatusChange,
   validatePollinationDate,
   validateObjectId,
   validatePagination,
+  validateScanHistoryQuery,
+  validateScanFeedback,
+  validateScanLabel,
+  validateModelUpload,
+  validateScanAttach,
+  validatePushToken,
+  validateDeliveryReceipt,
+  validateNotificationList,
   validateSearch,
   validateFileUpload,
   validateRequestBody,
   validateUserUpdate,
-  validateBulkUpdate
+  validateBulkUpdate,
+  validateCropVariety,
+  validateCropVarietyUpdate,
+  validatePlot,
+  validateFarmLocation,
+  validatePlotUpdate,
+  validateForumComment,
+  validateCommentList,
+  validateForumSearch,
+  validateForumFeed,
+  validateForumReport,
+  validateReportResolution
 };
\ No newline at end of file
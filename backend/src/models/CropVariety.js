@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Scan = require('./Scan');
+
+// How often each server instance re-reads the catalog, so edits made through another instance show up
+const CATALOG_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// A { min, max } range of days
+const dayRangeSchema = {
+  min: {
+    type: Number,
+    required: true,
+    min: [0, 'Days cannot be negative']
+  },
+  max: {
+    type: Number,
+    required: true,
+    min: [0, 'Days cannot be negative']
+  }
+};
+
+const cropVarietySchema = new mongoose.Schema({
+  // Identifier stored on plants (Pollination.name), e.g. 'ampalaya' or 'sikwa'
+  key: {
+    type: String,
+    required: [true, 'Crop key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]{2,40}$/, 'Crop key may only contain lowercase letters, numbers, dashes and underscores']
+  },
+
+  displayName: {
+    english: {
+      type: String,
+      required: [true, 'English name is required'],
+      trim: true,
+      maxlength: [60, 'English name cannot exceed 60 characters']
+    },
+    tagalog: {
+      type: String,
+      required: [true, 'Tagalog name is required'],
+      trim: true,
+      maxlength: [60, 'Tagalog name cannot exceed 60 characters']
+    }
+  },
+
+  // Which flower classifier variety this crop's scans come back as, if any
+  scanVariety: {
+    type: String,
+    enum: [...Scan.getVarieties(), null],
+    default: null
+  },
+
+  // Days after planting
+  maleFlowering: dayRangeSchema,
+  femaleFlowering: dayRangeSchema,
+  pollination: dayRangeSchema,
+
+  // Days from pollination to harvest
+  harvest: dayRangeSchema,
+
+  // Hours of the day the flowers are receptive (0-23)
+  pollinationWindow: {
+    startHour: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 23
+    },
+    endHour: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 23
+    }
+  },
+
+  // Inactive crops are hidden from new plants but keep working for existing ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cropVarietySchema.pre('validate', function(next) {
+  ['maleFlowering', 'femaleFlowering', 'pollination', 'harvest'].forEach(field => {
+    const range = this[field];
+    if (range && range.min > range.max) {
+      this.invalidate(`${field}.max`, 'Maximum days must not be less than minimum days');
+    }
+  });
+
+  if (this.pollinationWindow && this.pollinationWindow.startHour >= this.pollinationWindow.endHour) {
+    this.invalidate('pollinationWindow.endHour', 'Pollination window must end after it starts');
+  }
+
+  next();
+});
+
+// The five gourds the app shipped with; seeded into an empty collection
+const DEFAULT_CROP_VARIETIES = [
+  {
+    key: 'ampalaya',
+    displayName: { english: 'Bitter Gourd', tagalog: 'Ampalaya' },
+    scanVariety: 'Ampalaya Bilog',
+    maleFlowering: { min: 30, max: 35 },
+    femaleFlowering: { min: 38, max: 45 },
+    pollination: { min: 40, max: 50 },
+    harvest: { min: 15, max: 20 },
+    pollinationWindow: { startHour: 6, endHour: 9 }
+  },
+  {
+    key: 'patola',
+    displayName: { english: 'Sponge Gourd', tagalog: 'Patola' },
+    scanVariety: 'Patola',
+    maleFlowering: { min: 35, max: 40 },
+    femaleFlowering: { min: 40, max: 45 },
+    pollination: { min: 45, max: 55 },
+    harvest: { min: 10, max: 15 },
+    pollinationWindow: { startHour: 17, endHour: 20 }
+  },
+  {
+    key: 'upo',
+    displayName: { english: 'Bottle Gourd', tagalog: 'Upo' },
+    scanVariety: 'Upo (Smooth)',
+    maleFlowering: { min: 40, max: 45 },
+    femaleFlowering: { min: 45, max: 55 },
+    pollination: { min: 50, max: 60 },
+    harvest: { min: 12, max: 18 },
+    pollinationWindow: { startHour: 17, endHour: 20 }
+  },
+  {
+    key: 'kalabasa',
+    displayName: { english: 'Squash', tagalog: 'Kalabasa' },
+    scanVariety: null,
+    maleFlowering: { min: 25, max: 30 },
+    femaleFlowering: { min: 30, max: 35 },
+    pollination: { min: 30, max: 40 },
+    harvest: { min: 45, max: 60 },
+    pollinationWindow: { startHour: 6, endHour: 9 }
+  },
+  {
+    key: 'kundol',
+    displayName: { english: 'Winter Melon', tagalog: 'Kundol' },
+    scanVariety: null,
+    maleFlowering: { min: 45, max: 55 },
+    femaleFlowering: { min: 55, max: 65 },
+    pollination: { min: 55, max: 70 },
+    harvest: { min: 40, max: 55 },
+    pollinationWindow: { startHour: 6, endHour: 8 }
+  }
+];
+
+// In-memory catalog read synchronously by plant virtuals and the notification scheduler.
+// Starts with the defaults so it is usable before the database has been read.
+let catalog = new Map(DEFAULT_CROP_VARIETIES.map(crop => [crop.key, { ...crop, isActive: true }]));
+let refreshTimer = null;
+
+// Static method to seed the defaults into an empty collection, load the catalog and keep it fresh
+cropVarietySchema.statics.initializeCatalog = async function() {
+  if (await this.estimatedDocumentCount() === 0) {
+    await this.insertMany(DEFAULT_CROP_VARIETIES);
+    console.log(`🌱 Seeded ${DEFAULT_CROP_VARIETIES.length} default crop varieties`);
+  }
+
+  await this.refreshCatalog();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      this.refreshCatalog().catch(error => console.error('Crop catalog refresh error:', error));
+    }, CATALOG_REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+};
+
+// Static method to re-read the catalog (called after every admin change)
+cropVarietySchema.statics.refreshCatalog = async function() {
+  const crops = await this.find().lean();
+  catalog = new Map(crops.map(crop => [crop.key, crop]));
+  return catalog;
+};
+
+// Static method to look up a crop by key (null when unknown)
+cropVarietySchema.statics.getCatalogEntry = function(key) {
+  return catalog.get(key) || null;
+};
+
+// Static method to list catalog entries, optionally only the ones offered for new plants
+cropVarietySchema.statics.getCatalog = function({ activeOnly = false } = {}) {
+  const crops = [...catalog.values()];
+  return activeOnly ? crops.filter(crop => crop.isActive) : crops;
+};
+
+// Static method to map a scan variety to the crop keys it can belong to (empty when unknown)
+cropVarietySchema.statics.getKeysForScanVariety = function(variety) {
+  if (!variety) return [];
+  return [...catalog.values()]
+    .filter(crop => crop.scanVariety === variety)
+    .map(crop => crop.key);
+};
+
+module.exports = mongoose.model('CropVariety', cropVarietySchema);
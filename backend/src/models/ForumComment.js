@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Replies deeper than this are attached to the deepest allowed comment in the thread
+const MAX_COMMENT_DEPTH = 3;
+
+const forumCommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumPost',
+    required: true,
+  },
+  // Comment this one replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumComment',
+    default: null,
+  },
+  // Top-level comment of the thread (itself for top-level comments), so a page of threads loads in one query
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumComment',
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_COMMENT_DEPTH,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+  },
+  // flagged: hidden after enough reports, waiting for a moderator; removed: taken down by a moderator;
+  // deleted: deleted by its author or an admin
+  status: {
+    type: String,
+    enum: ['active', 'flagged', 'removed', 'deleted'],
+    default: 'active',
+  },
+  likes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  editedAt: {
+    type: Date,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+forumCommentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+forumCommentSchema.index({ root: 1, createdAt: 1 });
+forumCommentSchema.index({ post: 1, status: 1 });
+
+forumCommentSchema.pre('save', function(next) {
+  if (!this.root) {
+    this.root = this._id;
+  }
+  next();
+});
+
+// Method to check if user has liked the comment
+forumCommentSchema.methods.isLikedByUser = function(userId) {
+  return this.likes.some(like => like.user.toString() === userId.toString());
+};
+
+// Static method to get the deepest reply level
+forumCommentSchema.statics.getMaxDepth = function() {
+  return MAX_COMMENT_DEPTH;
+};
+
+// Static method to store the number of visible comments on the post
+forumCommentSchema.statics.syncPostCommentCount = async function(postId) {
+  const commentCount = await this.countDocuments({ post: postId, status: 'active' });
+  await mongoose.model('ForumPost').updateOne({ _id: postId }, { $set: { commentCount } });
+  return commentCount;
+};
+
+const ForumComment = mongoose.model('ForumComment', forumCommentSchema);
+
+module.exports = ForumComment;
@@ -41,32 +41,11 @@ const forumPostSchema = new mongoose.Schema({
       default: Date.now,
     },
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: 1000,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-    likes: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now,
-      },
-    }],
-  }],
+  // Visible comments and replies, kept in sync from the ForumComment collection
+  commentCount: {
+    type: Number,
+    default: 0,
+  },
   isPinned: {
     type: Boolean,
     default: false,
@@ -106,17 +85,18 @@ forumPostSchema.index({ tags: 1 });
 forumPostSchema.index({ createdAt: -1 });
 forumPostSchema.index({ 'likes.user': 1 });
 forumPostSchema.index({ status: 1 });
+forumPostSchema.index({ commentCount: -1 });
+// Full-text search, ranked title first, then tags, then content
+forumPostSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'forum_post_text', weights: { title: 10, tags: 5, content: 1 } }
+);
 
 // Virtual for like count
 forumPostSchema.virtual('likeCount').get(function() {
   return this.likes.length;
 });
 
-// Virtual for comment count
-forumPostSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
-});
-
 // Method to check if user has liked the post
 forumPostSchema.methods.isLikedByUser = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
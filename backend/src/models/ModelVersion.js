@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const modelVersionSchema = new mongoose.Schema({
+  // Semantic version shown in the app and stored on scans (e.g. '3.1.0-multiclass')
+  version: {
+    type: String,
+    required: [true, 'Model version is required'],
+    unique: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Class order MUST match the model's output tensor
+  classes: {
+    type: [String],
+    validate: {
+      validator: classes => classes.length > 0,
+      message: 'At least one class label is required'
+    }
+  },
+
+  confidenceThreshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+    default: 0.65
+  },
+
+  inputSize: {
+    type: [Number],
+    default: [224, 224]
+  },
+
+  // Stored .tflite file
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileName: String,
+  fileSize: Number,
+  checksum: {
+    type: String,
+    required: true,
+    description: 'SHA-256 hex digest of the .tflite file'
+  },
+
+  // Only one version is active; clients inside the rollout bucket receive it
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  rolloutPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  activatedAt: Date,
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+modelVersionSchema.index({ isActive: 1 });
+modelVersionSchema.index({ createdAt: -1 });
+
+// Static method to get the currently active version
+modelVersionSchema.statics.getActive = function() {
+  return this.findOne({ isActive: true }).select('+filePath');
+};
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// In-app notifications shown in the app's inbox
+// post_liked / comment_liked: someone liked your post or comment, post_commented: new comment on your post,
+// comment_replied: reply to your comment, post_approved / post_rejected: moderation of your pending post,
+// account_suspended: an admin suspended your account, new_follower: someone followed you
+const NOTIFICATION_TYPES = [
+  'post_liked',
+  'post_commented',
+  'comment_replied',
+  'comment_liked',
+  'post_approved',
+  'post_rejected',
+  'account_suspended',
+  'new_follower'
+];
+
+// Read and unread notifications are removed after this many days
+const NOTIFICATION_TTL_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // User whose action caused the notification; empty for system notifications
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+
+  body: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumPost',
+    default: null
+  },
+
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumComment',
+    default: null
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Likes and follows are kept to one notification per actor and target (see notificationService.notify)
+notificationSchema.index({ recipient: 1, type: 1, actor: 1, post: 1, comment: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+// Static method to get the notification types
+notificationSchema.statics.getTypes = function() {
+  return NOTIFICATION_TYPES;
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Reminders the push worker sends
+// oneHourBefore / thirtyMinsBefore: pollination window, floweringDue: first flowers expected, harvestDue: fruit ready
+const DELIVERY_TYPES = ['oneHourBefore', 'thirtyMinsBefore', 'floweringDue', 'harvestDue'];
+
+// sent: Expo accepted it, delivered: Expo handed it to Apple/Google, failed: no device got it,
+// received / opened: the app acknowledged it
+const DELIVERY_STATUSES = ['sent', 'delivered', 'failed', 'received', 'opened'];
+
+const ticketSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  // Expo push ticket ID, used to fetch the delivery receipt
+  ticketId: {
+    type: String,
+    default: null
+  },
+  receiptStatus: {
+    type: String,
+    enum: ['pending', 'ok', 'error'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  plant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pollination',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: DELIVERY_TYPES,
+    required: true
+  },
+
+  // One delivery per plant and reminder occurrence, so a worker restart never sends twice
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  title: {
+    type: String,
+    required: true
+  },
+
+  body: {
+    type: String,
+    required: true
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  tickets: [ticketSchema],
+
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'sent'
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  receiptCheckedAt: Date,
+  deliveredAt: Date,
+  receivedAt: Date,
+  openedAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ 'tickets.receiptStatus': 1, sentAt: 1 });
+
+// Instance method to recompute the status from ticket receipts (client acknowledgements take precedence)
+notificationDeliverySchema.methods.refreshStatus = function() {
+  if (this.openedAt) {
+    this.status = 'opened';
+  } else if (this.receivedAt) {
+    this.status = 'received';
+  } else if (this.tickets.some(ticket => ticket.receiptStatus === 'ok')) {
+    this.status = 'delivered';
+    this.deliveredAt = this.deliveredAt || new Date();
+  } else if (this.tickets.length === 0 || this.tickets.every(ticket => ticket.receiptStatus === 'error')) {
+    this.status = 'failed';
+  } else {
+    this.status = 'sent';
+  }
+  return this.status;
+};
+
+// Static method to get the reminder types
+notificationDeliverySchema.statics.getTypes = function() {
+  return DELIVERY_TYPES;
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
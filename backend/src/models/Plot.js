@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Largest grid a plot can be laid out as
+const MAX_GRID_SIZE = 50;
+
+// GeoJSON polygon for the plot outline: one closed ring of [longitude, latitude] points
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon'],
+    required: true
+  },
+  coordinates: {
+    type: [[[Number]]],
+    required: true
+  }
+}, { _id: false });
+
+const gridSize = (label) => ({
+  type: Number,
+  required: [true, `Number of ${label} is required`],
+  min: [1, `A plot needs at least 1 ${label.replace(/s$/, '')}`],
+  max: [MAX_GRID_SIZE, `A plot can have at most ${MAX_GRID_SIZE} ${label}`],
+  validate: {
+    validator: Number.isInteger,
+    message: `Number of ${label} must be a whole number`
+  }
+});
+
+const plotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plot name is required'],
+    trim: true,
+    maxlength: [60, 'Plot name cannot exceed 60 characters']
+  },
+
+  // Planting grid: plants sit at a row (1..rows) and a position along the row (1..positionsPerRow)
+  dimensions: {
+    rows: gridSize('rows'),
+    positionsPerRow: gridSize('positions per row'),
+    // Measured bed size in meters, for reference only
+    widthMeters: {
+      type: Number,
+      min: [0, 'Width cannot be negative'],
+      default: null
+    },
+    lengthMeters: {
+      type: Number,
+      min: [0, 'Length cannot be negative'],
+      default: null
+    }
+  },
+
+  boundary: {
+    type: boundarySchema,
+    default: undefined,
+    validate: {
+      validator: function(boundary) {
+        if (!boundary) return true;
+        const [ring, ...holes] = boundary.coordinates;
+        if (!ring || holes.length > 0 || ring.length < 4) return false;
+
+        const validPoint = (point) => point.length === 2 &&
+          point[0] >= -180 && point[0] <= 180 &&
+          point[1] >= -90 && point[1] <= 90;
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return ring.every(validPoint) && first[0] === last[0] && first[1] === last[1];
+      },
+      message: 'Boundary must be a closed ring of at least 4 [longitude, latitude] points'
+    }
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+plotSchema.index({ user: 1, name: 1 }, { unique: true });
+plotSchema.index({ boundary: '2dsphere' });
+
+// Virtual for the number of planting spots
+plotSchema.virtual('capacity').get(function() {
+  if (!this.dimensions) return 0;
+  return this.dimensions.rows * this.dimensions.positionsPerRow;
+});
+
+// Instance method to check a row/position against the grid
+plotSchema.methods.hasCell = function(row, position) {
+  return Number.isInteger(row) && Number.isInteger(position) &&
+    row >= 1 && row <= this.dimensions.rows &&
+    position >= 1 && position <= this.dimensions.positionsPerRow;
+};
+
+// Static method to get the largest grid size
+plotSchema.statics.getMaxGridSize = function() {
+  return MAX_GRID_SIZE;
+};
+
+module.exports = mongoose.model('Plot', plotSchema);
@@ -1,13 +1,269 @@
 const mongoose = require('mongoose');
+const CropVariety = require('./CropVariety');
+
+// Plant statuses in lifecycle order, then the statuses that end a plant early
+const LIFECYCLE_STATUSES = ['planted', 'flowering', 'pollinated', 'fruiting', 'harvested'];
+const PLANT_STATUSES = [...LIFECYCLE_STATUSES, 'failed', 'removed'];
+
+// Statuses of plants that are no longer growing
+const INACTIVE_STATUSES = ['harvested', 'failed', 'removed'];
+
+// Allowed status changes. Plants move forward through the lifecycle (stages can be skipped when
+// they were not recorded) or end as failed/removed. Manual changes are checked against this list.
+const STATUS_TRANSITIONS = {
+  planted: ['flowering', 'pollinated', 'fruiting', 'failed', 'removed'],
+  flowering: ['pollinated', 'fruiting', 'failed', 'removed'],
+  pollinated: ['fruiting', 'harvested', 'failed', 'removed'],
+  fruiting: ['harvested', 'failed', 'removed'],
+  harvested: ['removed'],
+  failed: ['removed'],
+  removed: []
+};
+
+// Backward moves that undo a recorded outcome, and the sources allowed to make them:
+// a failed pollination reopens flowering, and a removed final harvest reopens fruiting
+const UNDO_TRANSITIONS = {
+  pollinated: { flowering: ['flower', 'pollination'] },
+  harvested: { fruiting: ['harvest'] }
+};
+
+const isAllowedTransition = (from, to, source) => (
+  (STATUS_TRANSITIONS[from] || []).includes(to) || (UNDO_TRANSITIONS[from]?.[to] || []).includes(source)
+);
+
+// What caused a status change
+const STATUS_CHANGE_SOURCES = ['created', 'manual', 'flower', 'pollination', 'harvest', 'scan', 'system'];
+
+// One entry in the status audit trail; entries are never edited or removed
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...PLANT_STATUSES, null],
+    default: null,
+    immutable: true
+  },
+  to: {
+    type: String,
+    enum: PLANT_STATUSES,
+    required: true,
+    immutable: true
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: STATUS_CHANGE_SOURCES,
+    default: 'system',
+    immutable: true
+  },
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    immutable: true
+  },
+  // Set when a person changed the status directly
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  }
+});
+
+// A single tagged female flower on the vine and what became of it
+const flowerSchema = new mongoose.Schema({
+  // Label on the physical tag, e.g. "F3"
+  tagId: {
+    type: String,
+    required: [true, 'Flower tag is required'],
+    trim: true,
+    maxlength: [20, 'Flower tag cannot exceed 20 characters']
+  },
+  openDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Date and time the flower was hand-pollinated
+  pollinationDate: {
+    type: Date,
+    default: null
+  },
+  // Male plant the pollen came from
+  donorPlant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pollination',
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: {
+      values: ['pending', 'successful', 'failed'],
+      message: 'Outcome must be one of: pending, successful, failed'
+    },
+    default: 'pending'
+  },
+  outcomeDate: Date,
+  // Fruit that set from this flower
+  fruit: {
+    tagId: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Fruit tag cannot exceed 20 characters']
+    },
+    setDate: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Where the flower is in its own lifecycle: open, pollinated, successful or failed
+flowerSchema.virtual('stage').get(function() {
+  if (!this.pollinationDate) return 'open';
+  return this.outcome === 'pending' ? 'pollinated' : this.outcome;
+});
+
+// Quality grades growers sort harvested fruit into
+const HARVEST_GRADES = ['A', 'B', 'C', 'reject'];
+
+// Most photos kept per harvest entry
+const MAX_HARVEST_PHOTOS = 5;
+
+// One picking from the plant: how much fruit came off and what it sold for
+const harvestSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  fruitCount: {
+    type: Number,
+    required: [true, 'Fruit count is required'],
+    min: [1, 'Fruit count must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Fruit count must be a whole number'
+    }
+  },
+  // Total weight of the fruit picked, in kilograms
+  weightKg: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: null
+  },
+  qualityGrade: {
+    type: String,
+    enum: {
+      values: HARVEST_GRADES,
+      message: `Quality grade must be one of: ${HARVEST_GRADES.join(', ')}`
+    },
+    default: null
+  },
+  photos: {
+    type: [{
+      url: String,
+      cloudinaryId: String
+    }],
+    validate: {
+      validator: (photos) => photos.length <= MAX_HARVEST_PHOTOS,
+      message: `A harvest can have at most ${MAX_HARVEST_PHOTOS} photos`
+    }
+  },
+  // Total sale price for this harvest, in pesos
+  salePrice: {
+    type: Number,
+    min: [0, 'Sale price cannot be negative'],
+    default: null
+  },
+  // Last picking from this plant; marks the plant as harvested
+  isFinal: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Progress photo kinds, in the order they usually come up while the plant grows
+const IMAGE_TYPES = ['seedling', 'flower', 'pollination', 'fruit', 'harvest'];
+
+// Most progress photos kept per plant
+const MAX_PLANT_IMAGES = 30;
+
+// Photo kind that fits each status, used when none is given
+const STATUS_IMAGE_TYPES = {
+  planted: 'seedling',
+  flowering: 'flower',
+  pollinated: 'pollination',
+  fruiting: 'fruit',
+  harvested: 'harvest'
+};
+
+// Most plants created in one batch
+const MAX_BATCH_SIZE = 100;
+
+// Batch label placeholders: {n} is the plant's number in the batch, {variety} its crop name
+const DEFAULT_BATCH_LABEL = '{variety} #{n}';
+
+// A progress photo of the plant
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  cloudinaryId: String,
+  type: {
+    type: String,
+    enum: {
+      values: IMAGE_TYPES,
+      message: `Image type must be one of: ${IMAGE_TYPES.join(', ')}`
+    },
+    required: [true, 'Image type is required']
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters'],
+    default: ''
+  },
+  // When the photo was taken; the gallery is ordered by this date
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const pollinationSchema = new mongoose.Schema({
   // Plant information
   name: {
     type: String,
     required: [true, 'Plant name is required'],
-    enum: {
-      values: ['ampalaya', 'patola', 'upo', 'kalabasa', 'kundol'],
-      message: 'Plant name must be one of: ampalaya, patola, upo, kalabasa, kundol'
+    lowercase: true,
+    trim: true,
+    // Crop key from the CropVariety catalog; only checked when set so deactivated crops keep working
+    validate: {
+      validator: function(name) {
+        if (!this.isNew && !this.isModified('name')) return true;
+        return Boolean(CropVariety.getCatalogEntry(name));
+      },
+      message: props => `Unknown plant type: ${props.value}`
     }
   },
 
@@ -23,6 +279,19 @@ const pollinationSchema = new mongoose.Schema({
     }
   },
 
+  // Farmer's name for this plant, e.g. "Ampalaya #12"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Label cannot exceed 60 characters']
+  },
+
+  // Plants sown together in one batch share this id
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
   // Plant gender
   gender: {
     type: String,
@@ -52,18 +321,19 @@ const pollinationSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['planted', 'flowering', 'pollinated', 'fruiting', 'harvested'],
+    enum: PLANT_STATUSES,
     default: 'planted'
   },
 
-  // Single image for tracking progress
-  image: {
-    url: String,
-    cloudinaryId: String,
-    caption: String,
-    uploadDate: {
-      type: Date,
-      default: Date.now
+  // Append-only audit trail of status changes, written by the pre-validate hook
+  statusHistory: [statusChangeSchema],
+
+  // Progress photo gallery
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: (images) => images.length <= MAX_PLANT_IMAGES,
+      message: `A plant can have at most ${MAX_PLANT_IMAGES} photos`
     }
   },
 
@@ -98,6 +368,58 @@ const pollinationSchema = new mongoose.Schema({
     },
   }],
 
+  // Individually tagged flowers on this plant
+  flowers: [flowerSchema],
+
+  // Fruit picked from this plant
+  harvests: [harvestSchema],
+
+  // Flower scans attached to this plant and whether each one updated it
+  scanHistory: [{
+    scan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scan'
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female']
+    },
+    confidence: Number,
+    confirmed: {
+      type: Boolean,
+      default: false,
+      description: 'Label was confirmed by the user or an expert rather than predicted'
+    },
+    applied: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    previousGender: String,
+    previousStatus: String,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Bed the plant grows in and its spot on the bed's grid
+  plot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plot',
+    default: null
+  },
+  location: {
+    row: {
+      type: Number,
+      min: [1, 'Row must be at least 1']
+    },
+    position: {
+      type: Number,
+      min: [1, 'Position must be at least 1']
+    }
+  },
+
   // Pollination timing info for notifications
   pollinationTiming: {
     startHour: {
@@ -145,6 +467,8 @@ const pollinationSchema = new mongoose.Schema({
 pollinationSchema.index({ user: 1, createdAt: -1 });
 pollinationSchema.index({ name: 1, status: 1 });
 pollinationSchema.index({ datePlanted: 1 });
+pollinationSchema.index({ plot: 1, 'location.row': 1, 'location.position': 1 });
+pollinationSchema.index({ user: 1, batch: 1 });
 
 // Virtual for plant age in days
 pollinationSchema.virtual('ageInDays').get(function() {
@@ -158,31 +482,23 @@ pollinationSchema.virtual('ageInDays').get(function() {
 pollinationSchema.virtual('genderDetectionInfo').get(function() {
   if (!this.datePlanted) return null;
   
-  const plantData = {
-    ampalaya: { male: { min: 30, max: 35 }, female: { min: 38, max: 45 } },
-    upo: { male: { min: 40, max: 45 }, female: { min: 45, max: 55 } },
-    patola: { male: { min: 35, max: 40 }, female: { min: 40, max: 45 } },
-    kundol: { male: { min: 45, max: 55 }, female: { min: 55, max: 65 } },
-    kalabasa: { male: { min: 25, max: 30 }, female: { min: 30, max: 35 } }
-  };
-
-  const data = plantData[this.name];
-  if (!data) return null;
+  const crop = CropVariety.getCatalogEntry(this.name);
+  if (!crop) return null;
 
   const ageInDays = this.ageInDays;
   const plantedDate = new Date(this.datePlanted);
   
   // Calculate male detection dates
   const maleEarliest = new Date(plantedDate);
-  maleEarliest.setDate(maleEarliest.getDate() + data.male.min);
+  maleEarliest.setDate(maleEarliest.getDate() + crop.maleFlowering.min);
   const maleLatest = new Date(plantedDate);
-  maleLatest.setDate(maleLatest.getDate() + data.male.max);
+  maleLatest.setDate(maleLatest.getDate() + crop.maleFlowering.max);
   
   // Calculate female detection dates
   const femaleEarliest = new Date(plantedDate);
-  femaleEarliest.setDate(femaleEarliest.getDate() + data.female.min);
+  femaleEarliest.setDate(femaleEarliest.getDate() + crop.femaleFlowering.min);
   const femaleLatest = new Date(plantedDate);
-  femaleLatest.setDate(femaleLatest.getDate() + data.female.max);
+  femaleLatest.setDate(femaleLatest.getDate() + crop.femaleFlowering.max);
   
   // Format dates as "Nov 15-20"
   const formatDateRange = (earliest, latest) => {
@@ -200,8 +516,8 @@ pollinationSchema.virtual('genderDetectionInfo').get(function() {
   return {
     maleDetection: formatDateRange(maleEarliest, maleLatest),
     femaleDetection: formatDateRange(femaleEarliest, femaleLatest),
-    canDetectMale: ageInDays >= data.male.min,
-    canDetectFemale: ageInDays >= data.female.min
+    canDetectMale: ageInDays >= crop.maleFlowering.min,
+    canDetectFemale: ageInDays >= crop.femaleFlowering.min
   };
 });
 
@@ -211,23 +527,15 @@ pollinationSchema.virtual('pollinationEstimate').get(function() {
     return 'TBA - Gender not determined yet';
   }
   
-  const plantData = {
-    ampalaya: { pollination: { min: 40, max: 50 } },
-    upo: { pollination: { min: 50, max: 60 } },
-    patola: { pollination: { min: 45, max: 55 } },
-    kundol: { pollination: { min: 55, max: 70 } },
-    kalabasa: { pollination: { min: 30, max: 40 } }
-  };
-
-  const data = plantData[this.name];
-  if (!data) return 'Soon';
+  const crop = CropVariety.getCatalogEntry(this.name);
+  if (!crop) return 'Soon';
 
   const plantedDate = new Date(this.datePlanted);
   const earliestDate = new Date(plantedDate);
-  earliestDate.setDate(earliestDate.getDate() + data.pollination.min);
+  earliestDate.setDate(earliestDate.getDate() + crop.pollination.min);
   
   const latestDate = new Date(plantedDate);
-  latestDate.setDate(latestDate.getDate() + data.pollination.max);
+  latestDate.setDate(latestDate.getDate() + crop.pollination.max);
 
   const today = new Date();
   
@@ -241,45 +549,99 @@ pollinationSchema.virtual('pollinationEstimate').get(function() {
   }
 });
 
-// Remove all the complex static methods and replace with simple ones
+// Virtual for whether the plant should be hand-pollinated now: a tagged flower opened in the last day
+// and is not pollinated yet, or an unpollinated plant is within its crop's pollination days
+pollinationSchema.virtual('isPollinationWindowOpen').get(function() {
+  if (INACTIVE_STATUSES.includes(this.status)) return false;
+
+  const oneDayAgo = new Date(Date.now() - 24 * 3600 * 1000);
+  if ((this.flowers || []).some(flower => !flower.pollinationDate && flower.openDate >= oneDayAgo)) {
+    return true;
+  }
+
+  if (!['planted', 'flowering'].includes(this.status) || !this.datePlanted) return false;
+  const crop = CropVariety.getCatalogEntry(this.name);
+  if (!crop) return false;
+
+  const ageInDays = this.ageInDays;
+  return ageInDays >= crop.pollination.min && ageInDays <= crop.pollination.max;
+});
+
+// Virtual for expected harvest window after pollination
+pollinationSchema.virtual('harvestEstimate').get(function() {
+  if (!this.datePollinated || INACTIVE_STATUSES.includes(this.status)) return null;
+
+  const crop = CropVariety.getCatalogEntry(this.name);
+  if (!crop || !crop.harvest) return null;
+
+  const earliestDate = new Date(this.datePollinated);
+  earliestDate.setDate(earliestDate.getDate() + crop.harvest.min);
+
+  const latestDate = new Date(this.datePollinated);
+  latestDate.setDate(latestDate.getDate() + crop.harvest.max);
 
-// Static method to get display names
-pollinationSchema.statics.getDisplayNames = function() {
   return {
-    ampalaya: {
-      english: 'Bitter Gourd',
-      tagalog: 'Ampalaya'
-    },
-    patola: {
-      english: 'Sponge Gourd',
-      tagalog: 'Patola'
-    },
-    upo: {
-      english: 'Bottle Gourd',
-      tagalog: 'Upo'
-    },
-    kalabasa: {
-      english: 'Squash',
-      tagalog: 'Kalabasa'
-    },
-    kundol: {
-      english: 'Winter Melon',
-      tagalog: 'Kundol'
-    }
+    earliestDate,
+    latestDate,
+    isReady: new Date() >= earliestDate
   };
+});
+
+// Virtual for the most recent progress photo, used as the plant's thumbnail
+pollinationSchema.virtual('coverImage').get(function() {
+  if (!this.images || this.images.length === 0) return null;
+  return this.images.reduce((latest, image) => (image.date > latest.date ? image : latest));
+});
+
+// Remove all the complex static methods and replace with simple ones
+
+// Static method to get display names, keyed by crop
+pollinationSchema.statics.getDisplayNames = function({ activeOnly = false } = {}) {
+  return CropVariety.getCatalog({ activeOnly }).reduce((names, crop) => {
+    names[crop.key] = {
+      english: crop.displayName.english,
+      tagalog: crop.displayName.tagalog
+    };
+    return names;
+  }, {});
 };
 
-// Instance method to add image (simplified)
+// Instance method to check whether the plant can move to a status
+// Without a source the change is treated as manual, which only moves forward
+pollinationSchema.methods.canTransitionTo = function(status, source = 'manual') {
+  return isAllowedTransition(this.status, status, source);
+};
+
+// Instance method to change the status and say why, for the status history
+// The change is checked against STATUS_TRANSITIONS and UNDO_TRANSITIONS when the plant is saved
+pollinationSchema.methods.setStatus = function(status, { source = 'system', reason, changedBy } = {}) {
+  if (status === this.status) return this.status;
+  this.$locals.statusChange = { source, reason, changedBy };
+  this.status = status;
+  return this.status;
+};
+
+// Instance method to add a progress photo to the gallery
+// Without a type the photo is filed under the plant's current stage
 pollinationSchema.methods.addImage = function(imageData) {
-  this.image = {
+  this.images.push({
     url: imageData.url,
     cloudinaryId: imageData.cloudinaryId,
+    type: imageData.type || this.constructor.getImageTypeForStatus(this.status),
     caption: imageData.caption,
+    date: imageData.date || new Date(),
     uploadDate: new Date()
-  };
+  });
   return this.save();
 };
 
+// Instance method to list the gallery oldest first, optionally of one type
+pollinationSchema.methods.getGallery = function(type) {
+  return this.images
+    .filter(image => !type || image.type === type)
+    .sort((a, b) => a.date - b.date);
+};
+
 // Instance method to add note
 pollinationSchema.methods.addNote = function(content, type = 'observation') {
   this.notes.push({
@@ -291,19 +653,68 @@ pollinationSchema.methods.addNote = function(content, type = 'observation') {
 };
 
 // Instance method to mark flowering (simplified)
+// Only a planted plant moves to flowering; later stages just record the gender.
+// Without a gender the plant's recorded gender is kept
 pollinationSchema.methods.markFlowering = function(gender, date = new Date()) {
-  if (gender === 'male' || gender === 'female') {
+  const hasGender = gender === 'male' || gender === 'female';
+  if (hasGender) {
     this.gender = gender;
-    this.status = 'flowering';
+  }
+  if (this.status === 'planted') {
+    this.setStatus('flowering', {
+      source: 'manual',
+      reason: hasGender ? `${gender === 'male' ? 'Male' : 'Female'} flowers appeared` : 'Flowers appeared'
+    });
   }
   return this.save();
 };
 
+// Instance method to record an attached flower scan
+// A confident (or confirmed) scan sets an undetermined gender and moves a planted plant to flowering;
+// it never overrides a recorded gender or moves a plant backwards
+pollinationSchema.methods.applyScan = function(scan, minConfidence) {
+  const { gender, confirmed } = scan.getDetectedLabel();
+  const entry = {
+    scan: scan._id,
+    gender,
+    confidence: scan.confidence,
+    confirmed,
+    applied: false,
+    previousGender: this.gender,
+    previousStatus: this.status,
+    date: new Date()
+  };
+
+  if (!confirmed && scan.confidence < minConfidence) {
+    entry.reason = `Confidence below ${minConfidence}%`;
+  } else if (this.gender !== 'undetermined' && this.gender !== gender) {
+    entry.reason = `Plant is already recorded as ${this.gender}`;
+  } else if (this.gender === gender && this.status !== 'planted') {
+    entry.reason = 'Plant is already up to date';
+  } else {
+    entry.applied = true;
+    this.gender = gender;
+    if (this.status === 'planted') {
+      this.setStatus('flowering', { source: 'scan', reason: `${gender === 'male' ? 'Male' : 'Female'} flower scanned` });
+    }
+    this.notes.push({
+      content: confirmed
+        ? `${gender === 'male' ? 'Male' : 'Female'} flower confirmed by a labeled scan`
+        : `${gender === 'male' ? 'Male' : 'Female'} flower detected by scan (${Math.round(scan.confidence)}% confidence)`,
+      type: 'milestone',
+      date: entry.date
+    });
+  }
+
+  this.scanHistory.push(entry);
+  return this.save();
+};
+
 // Instance method to mark pollination
 pollinationSchema.methods.markPollinated = function(date) {
   // If no date provided, use current date
   this.datePollinated = date || new Date();
-  this.status = 'pollinated';
+  this.setStatus('pollinated', { source: 'pollination' });
   
   // Set up pollination timing for notifications
   this.setPollintionTiming(date || new Date());
@@ -313,17 +724,9 @@ pollinationSchema.methods.markPollinated = function(date) {
 
 // Instance method to set pollination timing based on plant type
 pollinationSchema.methods.setPollintionTiming = function(pollinationDate) {
-  // Pollination timing by plant type
-  const timingMap = {
-    ampalaya: { startHour: 6, endHour: 9 },     // 6:00 AM - 9:00 AM
-    kalabasa: { startHour: 6, endHour: 9 },     // 6:00 AM - 9:00 AM
-    kundol: { startHour: 6, endHour: 8 },       // 6:00 AM - 8:00 AM (very early)
-    patola: { startHour: 5, endHour: 20 },      // Morning OR Evening - needs user input, default to evening
-    upo: { startHour: 17, endHour: 20 }         // 5:00 PM - 8:00 PM
-  };
-
-  const timing = timingMap[this.name];
-  if (timing) {
+  const crop = CropVariety.getCatalogEntry(this.name);
+  if (crop) {
+    const timing = crop.pollinationWindow;
     this.pollinationTiming = {
       startHour: timing.startHour,
       endHour: timing.endHour,
@@ -336,6 +739,164 @@ pollinationSchema.methods.setPollintionTiming = function(pollinationDate) {
   }
 };
 
+// Instance method to suggest the next flower tag (F1, F2, ...)
+pollinationSchema.methods.nextFlowerTag = function() {
+  const highest = this.flowers.reduce((max, flower) => {
+    const match = /^F(\d+)$/i.exec(flower.tagId || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `F${highest + 1}`;
+};
+
+// Instance method to keep the plant-level pollination fields in step with a pollinated flower
+// The plant tracks its most recent pollination, which drives the notification timing
+pollinationSchema.methods.recordFlowerPollination = function(flower) {
+  if (!flower.pollinationDate) return;
+  if (!this.datePollinated || flower.pollinationDate >= this.datePollinated) {
+    this.datePollinated = flower.pollinationDate;
+    this.setPollintionTiming(flower.pollinationDate);
+  }
+};
+
+// Instance method to derive the plant status from its flowers
+// Flowers only move the plant forward, except that a plant whose pollinated flowers
+// have all failed goes back to flowering so another flower can be pollinated
+pollinationSchema.methods.refreshStatusFromFlowers = function() {
+  if (INACTIVE_STATUSES.includes(this.status) || this.flowers.length === 0) return this.status;
+
+  const stages = this.flowers.map(flower => flower.stage);
+  let derived = 'flowering';
+  if (stages.includes('successful')) {
+    derived = 'fruiting';
+  } else if (stages.includes('pollinated')) {
+    derived = 'pollinated';
+  }
+
+  const current = LIFECYCLE_STATUSES.indexOf(this.status);
+  const next = LIFECYCLE_STATUSES.indexOf(derived);
+  const allPollinationsFailed = this.status === 'pollinated' && derived === 'flowering' && stages.includes('failed');
+
+  if (next > current || allPollinationsFailed) {
+    this.setStatus(derived, {
+      source: 'flower',
+      reason: allPollinationsFailed ? 'All pollinated flowers failed' : undefined
+    });
+  }
+
+  // Tagged flowers are female flowers
+  if (this.gender === 'undetermined') {
+    this.gender = 'female';
+  }
+
+  return this.status;
+};
+
+// Instance method to summarise flower outcomes
+pollinationSchema.methods.getFlowerSummary = function() {
+  const summary = { total: this.flowers.length, open: 0, pollinated: 0, successful: 0, failed: 0 };
+  this.flowers.forEach(flower => {
+    summary[flower.stage] += 1;
+  });
+  const decided = summary.successful + summary.failed;
+  summary.successRate = decided > 0 ? Math.round((summary.successful / decided) * 100) : null;
+  return summary;
+};
+
+// Instance method to derive the plant status from its harvests
+// Any harvest means the plant is at least fruiting and a final harvest means it is harvested.
+// Pass hadFinalHarvest when a final harvest was just removed or unmarked, so the plant reopens.
+pollinationSchema.methods.refreshStatusFromHarvests = function(hadFinalHarvest = false) {
+  // Failed and removed plants keep their status; a harvested plant can still reopen
+  if (this.status !== 'harvested' && INACTIVE_STATUSES.includes(this.status)) return this.status;
+
+  if (this.harvests.some(harvest => harvest.isFinal)) {
+    this.setStatus('harvested', { source: 'harvest', reason: 'Final harvest recorded' });
+  } else if (hadFinalHarvest && this.status === 'harvested') {
+    this.setStatus('fruiting', { source: 'harvest', reason: 'Final harvest removed' });
+  } else if (this.harvests.length > 0 && LIFECYCLE_STATUSES.indexOf(this.status) < LIFECYCLE_STATUSES.indexOf('fruiting')) {
+    this.setStatus('fruiting', { source: 'harvest', reason: 'First harvest recorded' });
+  }
+  return this.status;
+};
+
+// Instance method to total up the harvests
+pollinationSchema.methods.getHarvestSummary = function() {
+  const summary = {
+    count: this.harvests.length,
+    fruitCount: 0,
+    weightKg: 0,
+    revenue: 0,
+    lastHarvestDate: null,
+    gradeBreakdown: {}
+  };
+
+  this.harvests.forEach(harvest => {
+    summary.fruitCount += harvest.fruitCount;
+    summary.weightKg += harvest.weightKg || 0;
+    summary.revenue += harvest.salePrice || 0;
+    if (!summary.lastHarvestDate || harvest.date > summary.lastHarvestDate) {
+      summary.lastHarvestDate = harvest.date;
+    }
+    const grade = harvest.qualityGrade || 'ungraded';
+    summary.gradeBreakdown[grade] = (summary.gradeBreakdown[grade] || 0) + harvest.fruitCount;
+  });
+
+  summary.weightKg = Math.round(summary.weightKg * 100) / 100;
+  return summary;
+};
+
+// Static method to get the plant statuses
+pollinationSchema.statics.getStatuses = function() {
+  return PLANT_STATUSES;
+};
+
+// Static method to get the statuses of plants that are no longer growing
+pollinationSchema.statics.getInactiveStatuses = function() {
+  return INACTIVE_STATUSES;
+};
+
+// Static method to get the allowed status changes
+pollinationSchema.statics.getStatusTransitions = function() {
+  return STATUS_TRANSITIONS;
+};
+
+// Static method to get the progress photo types
+pollinationSchema.statics.getImageTypes = function() {
+  return IMAGE_TYPES;
+};
+
+// Static method to get the photo type that fits a status
+pollinationSchema.statics.getImageTypeForStatus = function(status) {
+  return STATUS_IMAGE_TYPES[status] || IMAGE_TYPES[0];
+};
+
+// Static method to get the most photos a plant can have
+pollinationSchema.statics.getMaxImages = function() {
+  return MAX_PLANT_IMAGES;
+};
+
+// Static method to get the most plants one batch can create
+pollinationSchema.statics.getMaxBatchSize = function() {
+  return MAX_BATCH_SIZE;
+};
+
+// Static method to build a batch plant's label from a naming pattern
+// A pattern without {n} gets the number appended so every plant in the batch is unique
+pollinationSchema.statics.formatBatchLabel = function(pattern, number, variety) {
+  let template = pattern || DEFAULT_BATCH_LABEL;
+  if (!template.includes('{n}')) template = `${template} #{n}`;
+
+  return template
+    .replace(/\{n\}/g, String(number))
+    .replace(/\{variety\}/g, variety || '')
+    .trim();
+};
+
+// Static method to get the harvest quality grades
+pollinationSchema.statics.getHarvestGrades = function() {
+  return HARVEST_GRADES;
+};
+
 // Static method to get plants needing attention (simplified)
 pollinationSchema.statics.getPlantsNeedingAttention = function(userId) {
   return this.find({
@@ -358,13 +919,76 @@ pollinationSchema.statics.getUpcomingPollinations = function(userId, days = 7) {
 pollinationSchema.pre('save', function(next) {
   // Set display names if not already set
   if (this.name && (!this.displayName || !this.displayName.english)) {
-    const displayNames = this.constructor.getDisplayNames();
-    this.displayName = displayNames[this.name];
+    const crop = CropVariety.getCatalogEntry(this.name);
+    if (crop) {
+      this.displayName = {
+        english: crop.displayName.english,
+        tagalog: crop.displayName.tagalog
+      };
+    }
   }
 
   next();
 });
 
+// Remember the stored status and history length so changes can be checked and recorded
+pollinationSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+  this.$locals.savedHistoryLength = this.statusHistory ? this.statusHistory.length : 0;
+});
+
+pollinationSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+  this.$locals.savedHistoryLength = (this.statusHistory || []).length;
+  delete this.$locals.statusChange;
+});
+
+// Pre-validate middleware to check status changes and append them to the status history
+pollinationSchema.pre('validate', function(next) {
+  const change = this.$locals.statusChange || {};
+
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        from: null,
+        to: this.status,
+        date: this.datePlanted || new Date(),
+        source: 'created',
+        changedBy: change.changedBy || null
+      });
+    }
+    return next();
+  }
+
+  if ((this.statusHistory || []).length < (this.$locals.savedHistoryLength || 0)) {
+    this.invalidate('statusHistory', 'Status history cannot be edited');
+    return next();
+  }
+
+  // Documents loaded with a projection that left out status have nothing to compare
+  const from = this.$locals.savedStatus;
+  if (!from || !this.isModified('status') || from === this.status) return next();
+
+  if (!isAllowedTransition(from, this.status, change.source || 'system')) {
+    this.invalidate('status', `Cannot change status from ${from} to ${this.status}`, this.status);
+    return next();
+  }
+
+  // Partially loaded plants (history not selected) are checked but cannot append
+  if (!this.isSelected('statusHistory')) return next();
+
+  this.statusHistory.push({
+    from,
+    to: this.status,
+    date: new Date(),
+    source: change.source || 'system',
+    reason: change.reason,
+    changedBy: change.changedBy || null
+  });
+
+  next();
+});
+
 const Pollination = mongoose.model('Pollination', pollinationSchema);
 
 module.exports = Pollination;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Why a post or comment was reported
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'misinformation', 'off_topic', 'other'];
+
+// Distinct open reports needed before a post or comment is hidden for review
+const DEFAULT_FLAG_THRESHOLD = 3;
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true,
+  },
+  // The reported post, or the post the reported comment belongs to
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumPost',
+    required: true,
+  },
+  // The reported comment, null for post reports
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForumComment',
+    default: null,
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`,
+    },
+    required: [true, 'Reason is required'],
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters'],
+    default: '',
+  },
+  // open: waiting for a moderator; dismissed: content kept; actioned: content removed
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open',
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: 500,
+  },
+}, {
+  timestamps: true,
+});
+
+// One report per user per post or comment
+reportSchema.index({ post: 1, comment: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+reportSchema.pre('validate', function(next) {
+  if ((this.targetType === 'comment') !== Boolean(this.comment)) {
+    this.invalidate('comment', 'Comment reports need a comment and post reports must not have one');
+  }
+  if (this.reason === 'other' && !this.details) {
+    this.invalidate('details', 'Describe the problem when the reason is other');
+  }
+  next();
+});
+
+// Static method to list the report reasons
+reportSchema.statics.getReasons = function() {
+  return REPORT_REASONS;
+};
+
+// Static method to get how many distinct reports hide a post or comment (FORUM_REPORT_THRESHOLD)
+reportSchema.statics.getFlagThreshold = function() {
+  const threshold = parseInt(process.env.FORUM_REPORT_THRESHOLD, 10);
+  return threshold > 0 ? threshold : DEFAULT_FLAG_THRESHOLD;
+};
+
+// Static method to count distinct open reports on a post, or on one of its comments
+reportSchema.statics.countOpenReports = function(postId, commentId = null) {
+  return this.countDocuments({ post: postId, comment: commentId, status: 'open' });
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
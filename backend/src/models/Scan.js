@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Gourd varieties the flower classifier can recognise
+const SCAN_VARIETIES = ['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'];
+
+// flower: gender classification, plant_health: disease/pest check of a leaf or fruit
+const SCAN_TYPES = ['flower', 'plant_health'];
+
 const scanSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,11 +16,21 @@ const scanSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  scanType: {
+    type: String,
+    enum: SCAN_TYPES,
+    default: 'flower'
+  },
+  // ID generated on the device so retried uploads from the offline queue are saved once
+  clientId: {
+    type: String,
+    default: undefined
+  },
   
   // ===== CORE PREDICTION DATA (backward compatible) =====
   prediction: {
     type: String,
-    required: true  // 'male' or 'female'
+    required: true  // 'male' or 'female'; plant_health scans store the primary condition ID or 'healthy'
   },
   confidence: {
     type: Number,
@@ -24,7 +40,7 @@ const scanSchema = new mongoose.Schema({
   // ===== MULTI-CLASS SUPPORT =====
   variety: {
     type: String,
-    enum: ['Ampalaya Bilog', 'Patola', null],
+    enum: [...SCAN_VARIETIES, null],
     default: null,
     description: 'Gourd variety detected'
   },
@@ -78,11 +94,84 @@ const scanSchema = new mongoose.Schema({
     }
   },
   
-  // ===== EXISTING FIELDS (unchanged) =====
+  // ===== GROUND TRUTH LABEL =====
+  // Confirmed variety/gender for this image, used as a labeled training example
+  groundTruth: {
+    variety: {
+      type: String,
+      enum: [...SCAN_VARIETIES, null],
+      default: undefined
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'not_flower'],
+      default: undefined
+    },
+    source: {
+      type: String,
+      enum: ['user', 'expert'],
+      description: 'Who supplied the label (scan owner or admin reviewer)'
+    },
+    labeledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    labeledAt: Date,
+    notes: String
+  },
+
+  // ===== USER FEEDBACK =====
+  userFeedback: {
+    isCorrect: Boolean,          // Did the prediction match what the user saw?
+    notes: String,
+    submittedAt: Date
+  },
+
+  isLabeled: {
+    type: Boolean,
+    default: false,
+    description: 'True once groundTruth has been recorded for this scan'
+  },
+  
+  // ===== PLANT HEALTH (plant_health scans only) =====
   diseaseInfo: {
-    type: Object,
-    default: {}
+    plantPart: {
+      type: String,
+      enum: ['leaf', 'fruit', 'stem', 'flower', 'other', null]
+    },
+    isHealthy: Boolean,
+    // Condition IDs come from the app's disease taxonomy, e.g. 'powdery_mildew'
+    primaryCondition: String,
+    conditions: [{
+      _id: false,
+      conditionId: String,
+      name: String,
+      category: {
+        type: String,
+        enum: ['disease', 'pest', 'disorder']
+      },
+      severity: {
+        type: String,
+        enum: ['mild', 'moderate', 'severe']
+      },
+      confidence: Number,        // 0-100
+      evidence: String           // What was seen in the photo
+    }],
+    reasoning: String,
+    modelVersion: String,
+    analyzedAt: Date
   },
+
+  // ===== LINKED PLANT =====
+  // Tracked plant this flower was scanned on
+  plant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pollination',
+    default: null
+  },
+  attachedAt: Date,
+
+  // ===== EXISTING FIELDS (unchanged) =====
   location: {
     latitude: Number,
     longitude: Number
@@ -99,4 +188,61 @@ const scanSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Indexes for paginated history queries
+scanSchema.index({ userId: 1, date: -1 });
+scanSchema.index({ userId: 1, variety: 1, prediction: 1 });
+scanSchema.index({ isLabeled: 1, 'groundTruth.labeledAt': -1 });
+scanSchema.index({ validationStatus: 1, confidence: 1 });
+scanSchema.index({ plant: 1, date: -1 });
+scanSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Static method to get the supported varieties
+scanSchema.statics.getVarieties = function() {
+  return SCAN_VARIETIES;
+};
+
+// Static method to get the supported scan types
+scanSchema.statics.getScanTypes = function() {
+  return SCAN_TYPES;
+};
+
+// Label to apply to a plant: the confirmed one when the scan has been labeled, otherwise the prediction
+scanSchema.methods.getDetectedLabel = function() {
+  if (this.isLabeled && this.groundTruth?.gender) {
+    return { variety: this.groundTruth.variety || null, gender: this.groundTruth.gender, confirmed: true };
+  }
+  return { variety: this.variety || null, gender: this.prediction, confirmed: false };
+};
+
+// Instance method to record the confirmed label for this scan
+scanSchema.methods.setGroundTruth = function({ variety, gender, source, labeledBy, notes }) {
+  this.groundTruth = {
+    variety: gender === 'not_flower' ? null : variety,
+    gender,
+    source,
+    labeledBy,
+    labeledAt: new Date(),
+    notes
+  };
+  this.isLabeled = true;
+};
+
+// Whether the stored prediction matches a { variety, gender } label
+scanSchema.methods.matchesLabel = function(label) {
+  if (!label?.gender) return false;
+  if (label.gender === 'not_flower') {
+    return this.prediction === 'not_flower';
+  }
+  return this.prediction === label.gender &&
+    (this.variety || null) === (label.variety || null);
+};
+
+// Whether the stored prediction matches the recorded ground truth
+scanSchema.methods.matchesGroundTruth = function() {
+  return this.isLabeled && this.matchesLabel(this.groundTruth);
+};
+
 module.exports = mongoose.model('Scan', scanSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const trainingExportSchema = new mongoose.Schema({
+  // Admin who requested the export
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Which labeled scans to include
+  filters: {
+    startDate: Date,
+    endDate: Date,
+    labelSource: {
+      type: String,
+      enum: ['user', 'expert', null],
+      default: null
+    },
+    includeNotFlower: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  counts: {
+    total: { type: Number, default: 0 },      // Labeled scans matched
+    exported: { type: Number, default: 0 },   // Images written to the archive
+    skipped: { type: Number, default: 0 },    // Images that could not be downloaded
+    perClass: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
+
+  // Location of the finished archive on the server
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileName: String,
+  fileSize: Number,
+
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+
+}, {
+  timestamps: true
+});
+
+trainingExportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('TrainingExport', trainingExportSchema);
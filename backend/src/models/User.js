@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { isValidTimezone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -81,6 +82,33 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Where the user farms; used for pollination weather forecasts
+  farmLocation: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Farm location name cannot exceed 100 characters']
+    },
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    // IANA timezone of the farm; pollination windows and reminders use its clock
+    timezone: {
+      type: String,
+      validate: {
+        validator: (value) => value == null || isValidTimezone(value),
+        message: 'Unknown timezone'
+      }
+    }
+  },
+
   // User preferences
   preferences: {
     theme: {
@@ -133,6 +161,22 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // Temporary suspension by an admin; the account is also inactive while suspended
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+
+  suspendUntil: {
+    type: Date,
+    default: null
+  },
+
+  suspensionReason: {
+    type: String,
+    default: null
+  },
+
   // Password reset
   passwordResetToken: String,
   passwordResetExpires: Date,
@@ -167,11 +211,42 @@ const userSchema = new mongoose.Schema({
     isActive: { type: Boolean, default: true }
   }],
 
+  // Expo push tokens for the user's devices (one per device)
+  pushTokens: {
+    type: [{
+      token: { type: String, required: true },
+      platform: { type: String, enum: ['ios', 'android', 'web', 'unknown'], default: 'unknown' },
+      deviceName: { type: String, maxlength: 100 },
+      createdAt: { type: Date, default: Date.now },
+      lastSeenAt: { type: Date, default: Date.now }
+    }],
+    select: false // Don't return push tokens in queries by default
+  },
+
+  // Community members this user follows; their posts rank higher in the "For you" feed
+  following: {
+    type: [{
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      followedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+
+  // Bookmarked forum posts
+  savedPosts: {
+    type: [{
+      post: { type: mongoose.Schema.Types.ObjectId, ref: 'ForumPost', required: true },
+      savedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+
   // Statistics
   stats: {
     totalScans: { type: Number, default: 0 },
     totalGourdsDetected: { type: Number, default: 0 },
     accurateScans: { type: Number, default: 0 },
+    reviewedScans: { type: Number, default: 0 }, // Scans the user confirmed or corrected
     lastScanDate: Date
   }
 
@@ -185,6 +260,8 @@ const userSchema = new mongoose.Schema({
 // Note: email and username indexes are already created by unique: true
 userSchema.index({ 'refreshTokens.token': 1 });
 userSchema.index({ 'refreshTokens.expiresAt': 1 });
+userSchema.index({ 'pushTokens.token': 1 });
+userSchema.index({ 'following.user': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -194,10 +271,10 @@ userSchema.virtual('fullName').get(function() {
   return this.profile.firstName || this.profile.lastName || this.username;
 });
 
-// Virtual for scan accuracy percentage
+// Virtual for scan accuracy percentage (share of reviewed scans that were correct)
 userSchema.virtual('scanAccuracyPercentage').get(function() {
-  if (this.stats.totalScans === 0) return 0;
-  return Math.round((this.stats.accurateScans / this.stats.totalScans) * 100);
+  if (!this.stats || !this.stats.reviewedScans) return 0;
+  return Math.round((this.stats.accurateScans / this.stats.reviewedScans) * 100);
 });
 
 // Pre-save middleware to hash password
@@ -278,6 +355,30 @@ userSchema.methods.cleanExpiredRefreshTokens = function() {
   );
 };
 
+// Instance method to describe an active suspension, or null
+// A suspension without an end date lasts until an admin activates the account
+userSchema.methods.getSuspension = function() {
+  if (this.isActive || !this.suspendedAt) return null;
+  if (this.suspendUntil && this.suspendUntil <= new Date()) return null;
+  return {
+    reason: this.suspensionReason || null,
+    suspendedAt: this.suspendedAt,
+    suspendUntil: this.suspendUntil || null
+  };
+};
+
+// Instance method to reactivate an account whose timed suspension has run out
+// Returns true when the account changed and needs saving
+userSchema.methods.liftExpiredSuspension = function() {
+  if (this.isActive || !this.suspendUntil || this.suspendUntil > new Date()) return false;
+
+  this.isActive = true;
+  this.suspendedAt = null;
+  this.suspendUntil = null;
+  this.suspensionReason = null;
+  return true;
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByCredentials = async function(identifier, password) {
   // Find user by email or username
@@ -322,6 +423,75 @@ userSchema.statics.cleanAllExpiredTokens = async function() {
   );
 };
 
+// Static method to register a device push token for a user
+// A device belongs to one account at a time, so the token is moved off any other user
+userSchema.statics.registerPushToken = async function(userId, { token, platform = 'unknown', deviceName }) {
+  await this.updateMany(
+    { _id: { $ne: userId }, 'pushTokens.token': token },
+    { $pull: { pushTokens: { token } } }
+  );
+
+  const refreshed = await this.updateOne(
+    { _id: userId, 'pushTokens.token': token },
+    { $set: { 'pushTokens.$.platform': platform, 'pushTokens.$.deviceName': deviceName, 'pushTokens.$.lastSeenAt': new Date() } }
+  );
+
+  if (refreshed.matchedCount === 0) {
+    await this.updateOne(
+      { _id: userId },
+      { $push: { pushTokens: { token, platform, deviceName } } }
+    );
+  }
+};
+
+// Static method to forget push tokens (logout, or Expo reports the device unregistered)
+userSchema.statics.removePushTokens = async function(tokens, userId = null) {
+  const filter = { 'pushTokens.token': { $in: tokens } };
+  if (userId) filter._id = userId;
+  return this.updateMany(filter, { $pull: { pushTokens: { token: { $in: tokens } } } });
+};
+
+// Static method to follow a user; resolves to false when already following
+userSchema.statics.followUser = async function(userId, targetId) {
+  const result = await this.updateOne(
+    { _id: userId, 'following.user': { $ne: targetId } },
+    { $push: { following: { user: targetId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to stop following a user; resolves to false when not following
+userSchema.statics.unfollowUser = async function(userId, targetId) {
+  const result = await this.updateOne(
+    { _id: userId },
+    { $pull: { following: { user: targetId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to count a user's followers
+userSchema.statics.countFollowers = function(userId) {
+  return this.countDocuments({ 'following.user': userId });
+};
+
+// Static method to bookmark a forum post; resolves to false when already saved
+userSchema.statics.savePost = async function(userId, postId) {
+  const result = await this.updateOne(
+    { _id: userId, 'savedPosts.post': { $ne: postId } },
+    { $push: { savedPosts: { post: postId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to remove a forum post bookmark
+userSchema.statics.unsavePost = async function(userId, postId) {
+  const result = await this.updateOne(
+    { _id: userId },
+    { $pull: { savedPosts: { post: postId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
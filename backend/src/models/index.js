@@ -3,10 +3,28 @@ const User = require('./User');
 const News = require('./News');
 const Pollination = require('./Pollination');
 const ForumPost = require('./ForumPost');
+const ForumComment = require('./ForumComment');
+const Scan = require('./Scan');
+const TrainingExport = require('./TrainingExport');
+const ModelVersion = require('./ModelVersion');
+const CropVariety = require('./CropVariety');
+const NotificationDelivery = require('./NotificationDelivery');
+const Notification = require('./Notification');
+const Plot = require('./Plot');
+const Report = require('./Report');
 
 module.exports = {
   User,
   News,
   Pollination,
   ForumPost,
+  ForumComment,
+  Scan,
+  TrainingExport,
+  ModelVersion,
+  CropVariety,
+  NotificationDelivery,
+  Notification,
+  Plot,
+  Report,
 };
\ No newline at end of file
@@ -1,8 +1,41 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
 const adminController = require('../controllers/adminController');
+const trainingExportController = require('../controllers/trainingExportController');
+const modelRegistryController = require('../controllers/modelRegistryController');
+const cropVarietyController = require('../controllers/cropVarietyController');
 const { authenticate, authorize } = require('../middleware/auth');
-const { validateUserUpdate, validateBulkUpdate } = require('../middleware/validation');
+const {
+  validateUserUpdate,
+  validateBulkUpdate,
+  validateScanLabel,
+  validateModelUpload,
+  validateCropVariety,
+  validateCropVarietyUpdate,
+  validateReportResolution
+} = require('../middleware/validation');
+const { AppError } = require('../middleware/errorHandler');
+
+// Model uploads are kept in memory so the checksum can be computed before writing to disk
+const modelUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const allowed = file.fieldname === 'model' ? ['.tflite'] : ['.txt', '.json'];
+
+    if (allowed.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new AppError(`Invalid ${file.fieldname} file. Allowed types: ${allowed.join(', ')}`, 400, 'INVALID_FILE_TYPE'));
+    }
+  }
+}).fields([
+  { name: 'model', maxCount: 1 },
+  { name: 'labels', maxCount: 1 }
+]);
 
 /**
  * Admin Routes
@@ -22,6 +55,16 @@ router.use(authorize('admin'));
 // @access  Private/Admin
 router.get('/dashboard', adminController.getDashboardOverview);
 
+// @route   GET /api/admin/analytics/models
+// @desc    Get TFLite accuracy and latency analytics per model version
+// @access  Private/Admin
+router.get('/analytics/models', adminController.getModelAnalytics);
+
+// @route   GET /api/admin/analytics/pollination
+// @desc    Get anonymized community pollination success rates
+// @access  Private/Admin
+router.get('/analytics/pollination', adminController.getPollinationBenchmark);
+
 /**
  * User Management Routes
  */
@@ -120,4 +163,115 @@ router.patch('/forum/posts/:postId/approve', adminController.approvePost);
 // @access  Private/Admin
 router.patch('/forum/posts/:postId/reject', adminController.rejectPost);
 
+// @route   GET /api/admin/forum/reports
+// @desc    Get forum reports grouped by reported post or comment
+// @access  Private/Admin
+router.get('/forum/reports', adminController.getForumReports);
+
+// @route   PATCH /api/admin/forum/posts/:postId/reports/resolve
+// @desc    Dismiss the reports on a post or remove the post
+// @access  Private/Admin
+router.patch('/forum/posts/:postId/reports/resolve', validateReportResolution, adminController.resolveForumReports);
+
+// @route   PATCH /api/admin/forum/posts/:postId/comments/:commentId/reports/resolve
+// @desc    Dismiss the reports on a comment or remove the comment
+// @access  Private/Admin
+router.patch('/forum/posts/:postId/comments/:commentId/reports/resolve', validateReportResolution, adminController.resolveForumReports);
+
+/**
+ * Scan Review Routes
+ */
+
+// @route   GET /api/admin/scans/review
+// @desc    Get scans where the models disagreed or confidence was low
+// @access  Private/Admin
+router.get('/scans/review', adminController.getScanReviewQueue);
+
+// @route   GET /api/admin/scans/:scanId
+// @desc    Get a scan with both model outputs for review
+// @access  Private/Admin
+router.get('/scans/:scanId', adminController.getScanForReview);
+
+// @route   PATCH /api/admin/scans/:scanId/label
+// @desc    Assign the final expert label to a scan
+// @access  Private/Admin
+router.patch('/scans/:scanId/label', validateScanLabel, adminController.labelScan);
+
+/**
+ * Training Data Export Routes
+ */
+
+// @route   POST /api/admin/training-exports
+// @desc    Start a labeled training-data export (class-folder ZIP + manifest.csv)
+// @access  Private/Admin
+router.post('/training-exports', trainingExportController.createExport);
+
+// @route   GET /api/admin/training-exports
+// @desc    List training-data exports
+// @access  Private/Admin
+router.get('/training-exports', trainingExportController.getExports);
+
+// @route   GET /api/admin/training-exports/:exportId
+// @desc    Get training-data export status
+// @access  Private/Admin
+router.get('/training-exports/:exportId', trainingExportController.getExportById);
+
+// @route   GET /api/admin/training-exports/:exportId/download
+// @desc    Download a completed training-data export
+// @access  Private/Admin
+router.get('/training-exports/:exportId/download', trainingExportController.downloadExport);
+
+/**
+ * Model Registry Routes
+ */
+
+// @route   POST /api/admin/models
+// @desc    Upload a .tflite model with labels and confidence threshold
+// @access  Private/Admin
+router.post('/models', modelUpload, validateModelUpload, modelRegistryController.uploadModel);
+
+// @route   GET /api/admin/models
+// @desc    List registered model versions
+// @access  Private/Admin
+router.get('/models', modelRegistryController.getModels);
+
+// @route   PATCH /api/admin/models/:modelId/activate
+// @desc    Mark a model version as active (optionally setting its rollout percentage)
+// @access  Private/Admin
+router.patch('/models/:modelId/activate', modelRegistryController.activateModel);
+
+// @route   PATCH /api/admin/models/:modelId/rollout
+// @desc    Change the percentage of devices that receive a model version
+// @access  Private/Admin
+router.patch('/models/:modelId/rollout', modelRegistryController.updateRollout);
+
+// @route   DELETE /api/admin/models/:modelId
+// @desc    Delete an inactive model version and its file
+// @access  Private/Admin
+router.delete('/models/:modelId', modelRegistryController.deleteModel);
+
+/**
+ * Crop Catalog Routes
+ */
+
+// @route   GET /api/admin/crops
+// @desc    List crop varieties with their calendar and plant counts
+// @access  Private/Admin
+router.get('/crops', cropVarietyController.getCropVarieties);
+
+// @route   POST /api/admin/crops
+// @desc    Add a crop variety (timings, display names, pollination hours, harvest days)
+// @access  Private/Admin
+router.post('/crops', validateCropVariety, cropVarietyController.createCropVariety);
+
+// @route   PUT /api/admin/crops/:cropId
+// @desc    Update a crop variety or (de)activate it for new plants
+// @access  Private/Admin
+router.put('/crops/:cropId', validateCropVarietyUpdate, cropVarietyController.updateCropVariety);
+
+// @route   DELETE /api/admin/crops/:cropId
+// @desc    Delete a crop variety no plant uses
+// @access  Private/Admin
+router.delete('/crops/:cropId', cropVarietyController.deleteCropVariety);
+
 module.exports = router;
@@ -1,23 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const forumController = require('../controllers/forumController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { searchLimiter } = require('../middleware/security');
+const {
+  validateObjectId,
+  validateForumComment,
+  validateCommentList,
+  validateForumSearch,
+  validateForumFeed,
+  validateForumReport
+} = require('../middleware/validation');
 
 // Debug: Check what's loaded
 console.log('Forum Controller exports:', Object.keys(forumController));
 
 // Public routes
-router.get('/posts', forumController.getAllPosts);
-router.get('/posts/:id', forumController.getPostById);
+router.get('/posts', optionalAuth, forumController.getAllPosts);
+router.get('/search', searchLimiter, validateForumSearch, forumController.searchPosts);
+router.get('/posts/:id', optionalAuth, forumController.getPostById);
+router.get('/posts/:id/comments', optionalAuth, validateObjectId('id'), validateCommentList, forumController.getComments);
 router.get('/topics/popular', forumController.getPopularTopics);
 
 // Protected routes (require authentication)
 router.get('/my-posts', authenticate, forumController.getMyPosts);
+router.get('/feed', authenticate, validateForumFeed, forumController.getFeed);
+router.get('/bookmarks', authenticate, validateForumFeed, forumController.getBookmarks);
 router.post('/posts', authenticate, forumController.createPost);
 router.put('/posts/:id', authenticate, forumController.updatePost);
 router.delete('/posts/:id', authenticate, forumController.deletePost);
 router.post('/posts/:id/like', authenticate, forumController.toggleLike);
-router.post('/posts/:id/comments', authenticate, forumController.addComment);
-router.post('/posts/:id/report', authenticate, forumController.reportPost);
+router.post('/posts/:id/bookmark', authenticate, validateObjectId('id'), forumController.bookmarkPost);
+router.delete('/posts/:id/bookmark', authenticate, validateObjectId('id'), forumController.removeBookmark);
+router.post('/users/:userId/follow', authenticate, validateObjectId('userId'), forumController.followUser);
+router.delete('/users/:userId/follow', authenticate, validateObjectId('userId'), forumController.unfollowUser);
+router.post('/posts/:id/comments', authenticate, validateObjectId('id'), validateForumComment, forumController.addComment);
+router.put('/posts/:id/comments/:commentId', authenticate, validateObjectId('id'), validateObjectId('commentId'), validateForumComment, forumController.updateComment);
+router.delete('/posts/:id/comments/:commentId', authenticate, validateObjectId('id'), validateObjectId('commentId'), forumController.deleteComment);
+router.post('/posts/:id/comments/:commentId/like', authenticate, validateObjectId('id'), validateObjectId('commentId'), forumController.toggleCommentLike);
+router.post('/posts/:id/report', authenticate, validateObjectId('id'), validateForumReport, forumController.reportPost);
+router.post('/posts/:id/comments/:commentId/report', authenticate, validateObjectId('id'), validateObjectId('commentId'), validateForumReport, forumController.reportComment);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const modelRegistryController = require('../controllers/modelRegistryController');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Model Update Routes
+ * Used by the app to check for and download over-the-air classifier updates.
+ * Authentication is optional so the model can update before sign-in.
+ */
+
+router.use(optionalAuth);
+
+// @route   GET /api/models/latest
+// @desc    Get the model manifest this device should run (null = use bundled model)
+// @access  Public
+router.get('/latest', modelRegistryController.getLatestModel);
+
+// @route   GET /api/models/:modelId/download
+// @desc    Download a registered .tflite model file
+// @access  Public
+router.get('/:modelId/download', modelRegistryController.downloadModel);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { validatePushToken, validateDeliveryReceipt, validateNotificationList } = require('../middleware/validation');
+
+/**
+ * Notification Routes
+ * Devices register Expo push tokens here; the push worker sends reminders to them
+ * and the app reports back when a notification arrives or is opened.
+ * The inbox lists in-app notifications about forum activity and account changes.
+ */
+
+router.use(authenticate);
+
+// @route   GET /api/notifications
+// @desc    List the signed-in user's notifications with the unread count
+// @access  Private
+router.get('/', validateNotificationList, notificationController.getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.patch('/read-all', notificationController.markAllAsRead);
+
+// @route   PATCH /api/notifications/:notificationId/read
+// @desc    Mark one notification as read
+// @access  Private
+router.patch('/:notificationId/read', notificationController.markAsRead);
+
+// @route   POST /api/notifications/push-tokens
+// @desc    Register this device's Expo push token
+// @access  Private
+router.post('/push-tokens', validatePushToken, notificationController.registerPushToken);
+
+// @route   DELETE /api/notifications/push-tokens
+// @desc    Remove this device's push token
+// @access  Private
+router.delete('/push-tokens', validatePushToken, notificationController.unregisterPushToken);
+
+// @route   POST /api/notifications/deliveries/:deliveryId/receipt
+// @desc    Record that a push notification was received or opened
+// @access  Private
+router.post('/deliveries/:deliveryId/receipt', validateDeliveryReceipt, notificationController.acknowledgeDelivery);
+
+module.exports = router;
@@ -8,7 +8,10 @@ const {
   createPollination,
   updatePollination,
   deletePollination,
+  createPollinationBatch,
+  bulkUpdatePollinations,
   addImage,
+  updateImage,
   deleteImage,
   addNote,
   markFlowering,
@@ -17,15 +20,39 @@ const {
   getUpcomingPollinations,
   getPlantTypes,
   getDashboardStats,
+  getSuccessAnalytics,
   updatePollinationStatus,
+  getFlowers,
+  addFlower,
+  updateFlower,
+  deleteFlower,
+  getHarvests,
+  addHarvest,
+  updateHarvest,
+  deleteHarvestPhoto,
+  deleteHarvest,
   updateStatus,
+  getTimeline,
   getPendingNotifications,
   markNotificationSent
 } = require('../controllers/pollinationController');
+const {
+  getPlots,
+  getPlotLayout,
+  createPlot,
+  updatePlot,
+  deletePlot
+} = require('../controllers/plotController');
+const {
+  getFarmLocation,
+  updateFarmLocation,
+  deleteFarmLocation,
+  getPlantWeather
+} = require('../controllers/weatherController');
 
 // Import middleware
 const { authenticate } = require('../middleware/auth');
-const { validatePollination, validateNote } = require('../middleware/validation');
+const { validatePollination, validatePollinationBatch, validateBulkAction, validatePlantPlacement, validateNote, validateFlower, validateHarvest, validateHarvestUpdate, validatePlantImage, validateStatusChange, validatePlot, validatePlotUpdate, validateFarmLocation } = require('../middleware/validation');
 const { uploadToMemory } = require('../utils/uploadHelper');
 
 // Configure multer for image uploads using memory storage
@@ -39,10 +66,31 @@ router.use(authenticate);
 
 // Special functionality routes (must be before /:id routes)
 router.get('/dashboard/stats', getDashboardStats);
+router.get('/analytics/success', getSuccessAnalytics);
 router.get('/attention/needed', getPlantsNeedingAttention);
 router.get('/upcoming/pollinations', getUpcomingPollinations);
 router.get('/notifications/pending', getPendingNotifications);
 
+// Garden plot routes
+router.route('/plots')
+  .get(getPlots)
+  .post(validatePlot, createPlot);
+
+router.route('/plots/:plotId')
+  .get(getPlotLayout)
+  .put(validatePlotUpdate, updatePlot)
+  .delete(deletePlot);
+
+// Farm location for pollination weather forecasts
+router.route('/weather/location')
+  .get(getFarmLocation)
+  .put(validateFarmLocation, updateFarmLocation)
+  .delete(deleteFarmLocation);
+
+// Batch creation and bulk actions on several plants
+router.post('/batch', validatePollinationBatch, createPollinationBatch);
+router.post('/bulk', validateBulkAction, bulkUpdatePollinations);
+
 // Main CRUD routes
 router.route('/')
   .get(getPollinations)
@@ -50,14 +98,15 @@ router.route('/')
 
 router.route('/:id')
   .get(getPollination)
-  .put(updatePollination)
+  .put(validatePlantPlacement, updatePollination)
   .delete(deletePollination);
 
-// Image management routes
-router.post('/:id/images', upload.single('image'), addImage);
-// @route   DELETE /api/pollination/:id/images
-// @access  Private
-router.delete('/:id/images', authenticate, deleteImage);
+// Progress photo gallery routes
+router.post('/:id/images', upload.single('image'), validatePlantImage, addImage);
+
+router.route('/:id/images/:imageId')
+  .put(validatePlantImage, updateImage)
+  .delete(deleteImage);
 
 // Note management routes
 router.post('/:id/notes', validateNote, addNote);
@@ -66,7 +115,33 @@ router.post('/:id/notes', validateNote, addNote);
 router.post('/:id/flowering', markFlowering);
 router.post('/:id/pollinate', markPollinated);
 router.post('/:id/check-success', updatePollinationStatus);
-router.post('/:id/status', updateStatus);
+router.post('/:id/status', validateStatusChange, updateStatus);
 router.post('/:id/notification-sent', markNotificationSent);
 
+// Plant timeline (status history, notes, photos, scans)
+router.get('/:id/timeline', getTimeline);
+
+// Rain and heat forecast for the plant's next pollination window
+router.get('/:id/weather', getPlantWeather);
+
+// Per-flower pollination tracking routes
+router.route('/:id/flowers')
+  .get(getFlowers)
+  .post(validateFlower, addFlower);
+
+router.route('/:id/flowers/:flowerId')
+  .put(validateFlower, updateFlower)
+  .delete(deleteFlower);
+
+// Harvest and yield tracking routes (photos are sent as multipart "photos")
+router.route('/:id/harvests')
+  .get(getHarvests)
+  .post(upload.array('photos', 5), validateHarvest, addHarvest);
+
+router.route('/:id/harvests/:harvestId')
+  .put(upload.array('photos', 5), validateHarvestUpdate, updateHarvest)
+  .delete(deleteHarvest);
+
+router.delete('/:id/harvests/:harvestId/photos/:photoId', deleteHarvestPhoto);
+
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const scanController = require('../controllers/scanContoller');
+const { authenticate, authorizeOwnership } = require('../middleware/auth');
+const { validateScanHistoryQuery, validateScanFeedback, validateScanAttach } = require('../middleware/validation');
 
-// Route to save a new scan
+// All scan routes require authentication
+router.use(authenticate);
+
+// Route to save a new scan for the authenticated user
 router.post('/save', scanController.saveScan);
 
-// Route to get scan history for a user
-router.get('/history/:userId', scanController.getScanHistory);
+// Route to get paginated, filterable scan history for the authenticated user
+router.get('/history', validateScanHistoryQuery, scanController.getScanHistory);
+
+// Route to get scan history for a specific user (owner or admin only)
+router.get('/history/:userId', authorizeOwnership('userId'), validateScanHistoryQuery, scanController.getScanHistory);
 
 // Route to get a single scan by ID
 router.get('/:id', scanController.getScanById);
 
+// Route to confirm or correct a scan prediction
+router.post('/:id/feedback', validateScanFeedback, scanController.submitFeedback);
+
+// Route to list the user's plants a flower scan could be attached to
+router.get('/:id/plant-suggestions', scanController.getPlantSuggestions);
+
+// Route to attach a flower scan to a tracked plant
+router.post('/:id/attach', validateScanAttach, scanController.attachToPlant);
+
 // Route to delete a scan
 router.delete('/:id', scanController.deleteScan);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
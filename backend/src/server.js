@@ -1,5 +1,6 @@
 require('dotenv').config();
 const App = require('./app');
+const notificationScheduler = require('./utils/notificationScheduler');
 
 const startServer = async () => {
   try {
@@ -22,9 +23,15 @@ const startServer = async () => {
       console.log('🌟 ========================================');
     });
 
+    // Send pollination, flowering and harvest reminders to registered devices
+    if (process.env.PUSH_WORKER_ENABLED !== 'false') {
+      notificationScheduler.start();
+    }
+
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+      notificationScheduler.stop();
       
       server.close(async () => {
         console.log('🔌 HTTP server closed');
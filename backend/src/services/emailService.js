@@ -163,6 +163,43 @@ class EmailService {
     }
   }
 
+  /**
+   * Send account suspension email
+   * Suspended users cannot open the app's inbox, so the suspension is also sent by email
+   * @param {string} email - Recipient email address
+   * @param {string} userName - User's name
+   * @param {Object} suspension - { reason, suspendUntil }
+   */
+  async sendAccountSuspendedEmail(email, userName, { reason, suspendUntil } = {}) {
+    if (!this.initialized) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: `"${process.env.EMAIL_FROM_NAME || 'Gourd Scanner'}" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your Gourd Scanner account has been suspended',
+      html: this.getAccountSuspendedEmailTemplate(userName, reason, suspendUntil),
+      text: this.getAccountSuspendedEmailText(userName, reason, suspendUntil)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Suspension email sent to ${email}:`, info.messageId);
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('❌ Failed to send suspension email:', error.message);
+      // Don't throw - the suspension itself has already been applied
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * HTML template for verification PIN email
    */
@@ -373,6 +410,68 @@ With Gourd Scanner, you can:
 
 Get started by taking your first scan!
 
+© ${new Date().getFullYear()} Gourd Scanner. All rights reserved.
+    `;
+  }
+
+  /**
+   * HTML template for account suspension email
+   */
+  getAccountSuspendedEmailTemplate(userName, reason, suspendUntil) {
+    const escapeHtml = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Suspended</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #F44336; }
+          .header h1 { color: #F44336; margin: 0; }
+          .content { padding: 30px 20px; }
+          .reason { background-color: #fff3f3; border-left: 4px solid #F44336; padding: 12px 16px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; border-top: 1px solid #ddd; margin-top: 30px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Suspended</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${escapeHtml(userName)},</h2>
+            <p>Your Gourd Scanner account has been suspended${suspendUntil ? ` until <strong>${suspendUntil.toDateString()}</strong>` : ''}. You cannot sign in while it is suspended.</p>
+            ${reason ? `<div class="reason"><strong>Reason:</strong> ${escapeHtml(reason)}</div>` : ''}
+            <p>If you think this is a mistake, please contact support.</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Gourd Scanner. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Plain text version of account suspension email
+   */
+  getAccountSuspendedEmailText(userName, reason, suspendUntil) {
+    return `
+Hello ${userName},
+
+Your Gourd Scanner account has been suspended${suspendUntil ? ` until ${suspendUntil.toDateString()}` : ''}. You cannot sign in while it is suspended.
+${reason ? `\nReason: ${reason}\n` : ''}
+If you think this is a mistake, please contact support.
+
 © ${new Date().getFullYear()} Gourd Scanner. All rights reserved.
     `;
   }
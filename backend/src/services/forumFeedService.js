@@ -0,0 +1,215 @@
+const { ForumPost, ForumComment, Pollination, CropVariety, User } = require('../models');
+const { escapeRegex } = require('../utils/helpers');
+
+/**
+ * "For you" forum feed
+ *
+ * Ranks recent active posts for one user from three interests:
+ *   - following: the post's author is someone the user follows
+ *   - tags: tags of posts the user wrote, liked, commented on or saved, weighted by how often they appear
+ *   - varieties: crops the user grows in their Pollination records, matched against post tags, title and content
+ * score = (3 x following + 2 x variety + 2 x tag affinity (0-1) + 0.3 x popularity) x recency decay
+ * Matching posts come first; popular recent posts fill the rest so new users still get a feed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only posts this recent are ranked
+const FEED_WINDOW_DAYS = 30;
+
+// Most posts scored per request, for matching and for filler posts each
+const CANDIDATE_LIMIT = 300;
+
+// Recent engaged posts read to find the user's tags
+const ENGAGEMENT_SAMPLE = 100;
+
+// Tags kept as interests
+const MAX_INTEREST_TAGS = 10;
+
+// A post's score halves every this many hours
+const HALF_LIFE_HOURS = 72;
+
+const WEIGHTS = {
+  following: 3,
+  variety: 2,
+  tag: 2,
+  popularity: 0.3
+};
+
+const getId = (value) => (value?._id || value).toString();
+
+/**
+ * Tags the user engaged with, weighted 0-1 by how often they appear
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getTagAffinity(userId, savedPostIds) {
+  const [ownPosts, likedPosts, comments] = await Promise.all([
+    ForumPost.find({ author: userId }).sort({ createdAt: -1 }).limit(ENGAGEMENT_SAMPLE).select('tags').lean(),
+    ForumPost.find({ 'likes.user': userId }).sort({ createdAt: -1 }).limit(ENGAGEMENT_SAMPLE).select('tags').lean(),
+    ForumComment.find({ user: userId }).sort({ createdAt: -1 }).limit(ENGAGEMENT_SAMPLE).select('post').lean()
+  ]);
+
+  const otherIds = [...new Set([...comments.map(comment => getId(comment.post)), ...savedPostIds])];
+  const otherPosts = otherIds.length > 0
+    ? await ForumPost.find({ _id: { $in: otherIds } }).select('tags').lean()
+    : [];
+
+  const counts = new Map();
+  for (const post of [...ownPosts, ...likedPosts, ...otherPosts]) {
+    for (const tag of post.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_INTEREST_TAGS);
+  const max = top.length > 0 ? top[0][1] : 1;
+  return new Map(top.map(([tag, count]) => [tag, count / max]));
+}
+
+/**
+ * Crops the user grows, with the words that identify each one in a post
+ * @returns {Promise<Array>} [{ key, label, terms }]
+ */
+async function getGrownVarieties(userId) {
+  const keys = await Pollination.distinct('name', { user: userId });
+
+  return keys.map(key => {
+    const crop = CropVariety.getCatalogEntry(key);
+    // "Bitter Gourd" is also tagged as "bittergourd" or "bitter-gourd"
+    const names = [key, crop?.displayName?.english, crop?.displayName?.tagalog]
+      .filter(Boolean)
+      .map(name => name.toLowerCase())
+      .flatMap(name => [name, name.replace(/\s+/g, ''), name.replace(/\s+/g, '-')]);
+    return {
+      key,
+      label: crop?.displayName?.english || key,
+      terms: [...new Set(names)]
+    };
+  });
+}
+
+/**
+ * The first grown variety a post is about, or null
+ */
+const findVariety = (post, varieties) => {
+  const text = `${post.title} ${(post.tags || []).join(' ')} ${post.content}`;
+  return varieties.find(variety => variety.pattern.test(text)) || null;
+};
+
+const getPopularity = (post) => Math.log1p((post.likes?.length || 0) + 2 * (post.commentCount || 0));
+
+const getDecay = (post, now) => 0.5 ** ((now - new Date(post.createdAt)) / (HALF_LIFE_HOURS * 60 * 60 * 1000));
+
+/**
+ * Load a user's feed interests
+ * @returns {Promise<Object>} { following: ObjectId[], tags: Map, varieties: [] }
+ */
+async function getInterests(userId) {
+  const user = await User.findById(userId).select('+following +savedPosts').lean();
+  const savedPostIds = (user?.savedPosts || []).map(saved => getId(saved.post));
+
+  const [tags, varieties] = await Promise.all([
+    getTagAffinity(userId, savedPostIds),
+    getGrownVarieties(userId)
+  ]);
+
+  return {
+    following: (user?.following || []).map(follow => follow.user),
+    tags,
+    varieties: varieties.map(variety => ({
+      ...variety,
+      pattern: new RegExp(`\\b(${variety.terms.map(escapeRegex).join('|')})\\b`, 'i')
+    }))
+  };
+}
+
+/**
+ * Rank posts for a user
+ * @param {Object} params - { userId, category, page, limit }
+ * @returns {Promise<Object>} { posts (each with feedReason), total, interests: { following, tags, varieties } }
+ */
+async function getFeed({ userId, category, page = 1, limit = 10 }) {
+  const interests = await getInterests(userId);
+  const now = Date.now();
+
+  const baseQuery = {
+    status: 'active',
+    author: { $ne: userId },
+    createdAt: { $gte: new Date(now - FEED_WINDOW_DAYS * DAY_MS) },
+    ...(category && category !== 'all' && { category })
+  };
+
+  const interestQuery = [];
+  if (interests.following.length > 0) {
+    interestQuery.push({ author: { $in: interests.following } });
+  }
+  if (interests.tags.size > 0) {
+    interestQuery.push({ tags: { $in: [...interests.tags.keys()] } });
+  }
+  for (const variety of interests.varieties) {
+    interestQuery.push({ tags: { $in: variety.terms } }, { title: variety.pattern }, { content: variety.pattern });
+  }
+
+  const populateAuthor = (query) => query.populate('author', 'username firstName lastName email emailVerified');
+
+  const matches = interestQuery.length > 0
+    ? await populateAuthor(
+      ForumPost.find({ ...baseQuery, $or: interestQuery }).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT)
+    ).lean()
+    : [];
+
+  const followedIds = new Set(interests.following.map(getId));
+
+  const ranked = matches.map(post => {
+    const following = post.author && followedIds.has(getId(post.author));
+    const variety = findVariety(post, interests.varieties);
+    const matchedTags = (post.tags || []).filter(tag => interests.tags.has(tag));
+    const tagAffinity = Math.min(1, matchedTags.reduce((sum, tag) => sum + interests.tags.get(tag), 0));
+
+    const relevance = (following ? WEIGHTS.following : 0)
+      + (variety ? WEIGHTS.variety : 0)
+      + tagAffinity * WEIGHTS.tag;
+    const score = (relevance + getPopularity(post) * WEIGHTS.popularity) * getDecay(post, now);
+
+    let feedReason = 'Popular in the community';
+    if (following) {
+      feedReason = `From ${post.author.username || 'someone'} you follow`;
+    } else if (variety) {
+      feedReason = `About ${variety.label}, which you grow`;
+    } else if (matchedTags.length > 0) {
+      feedReason = `Related to #${matchedTags[0]}`;
+    }
+
+    return { post: { ...post, feedReason }, score };
+  }).sort((a, b) => b.score - a.score);
+
+  // Popular recent posts after the matches
+  const matchedIds = matches.map(post => post._id);
+  const filler = await populateAuthor(
+    ForumPost.find({ ...baseQuery, _id: { $nin: matchedIds } }).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT)
+  ).lean();
+
+  const popular = filler
+    .map(post => ({
+      post: { ...post, feedReason: 'Popular in the community' },
+      score: (1 + getPopularity(post)) * getDecay(post, now)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const feed = [...ranked, ...popular].map(entry => entry.post);
+  const skip = (page - 1) * limit;
+
+  return {
+    posts: feed.slice(skip, skip + limit),
+    total: feed.length,
+    interests: {
+      following: interests.following.length,
+      tags: [...interests.tags.keys()],
+      varieties: interests.varieties.map(variety => variety.label)
+    }
+  };
+}
+
+module.exports = {
+  getFeed
+};
@@ -0,0 +1,177 @@
+const { ForumPost, User } = require('../models');
+const { escapeRegex } = require('../utils/helpers');
+
+/**
+ * Forum search
+ *
+ * Searches active posts with the ForumPost text index (title, tags and content, in that order of weight)
+ * and ranks them by text score. Whole words only match the index, so while a user is still typing
+ * a query with no text matches falls back to a prefix match on title and tags, newest first.
+ */
+
+// Characters of post content around the first match in a snippet
+const SNIPPET_LENGTH = 160;
+
+// Query words shorter than this are not highlighted
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Lowercase words of the query, without duplicates
+ */
+const getQueryTerms = (q) => [...new Set(
+  q.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= MIN_TERM_LENGTH)
+)];
+
+/**
+ * Regex matching any word that starts with a query term
+ * Long terms drop their last letters so "pollinating" also marks "pollination", like the text index stemming
+ */
+const getHighlightPattern = (terms) => {
+  if (terms.length === 0) return null;
+  const stems = terms.map(term => escapeRegex(term.length > 5 ? term.slice(0, term.length - 3) : term));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Split text into [{ text, match }] segments, match marking the highlighted words
+ */
+const toSegments = (text, pattern) => {
+  if (!text) return [];
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > last) segments.push({ text: text.slice(last, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
+
+/**
+ * Part of the content around the first match, trimmed to word boundaries
+ */
+const getSnippet = (content, pattern) => {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const first = pattern ? text.search(pattern) : -1;
+  let start = Math.max(0, (first === -1 ? 0 : first) - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted title, content snippet and matching tags for a post
+ * @returns {Object} { title: Segment[], snippet: Segment[], tags: string[] }
+ */
+function buildHighlights(post, q) {
+  const terms = getQueryTerms(q);
+  const pattern = getHighlightPattern(terms);
+  const snippet = getSnippet(post.content, pattern);
+
+  return {
+    title: toSegments(post.title, pattern),
+    snippet: toSegments(snippet, pattern),
+    tags: (post.tags || []).filter(tag => terms.some(term => tag.toLowerCase().startsWith(term)))
+  };
+}
+
+/**
+ * Query for the category, author, date and photo filters
+ * @returns {Promise<Object|null>} null when the author filter matches nobody
+ */
+async function buildFilter({ category, author, from, to, hasImages }) {
+  const filter = { status: 'active' };
+
+  if (category && category !== 'all') {
+    filter.category = category;
+  }
+
+  if (author) {
+    // Each word typed must start the username, first name or last name, so "Maria San" finds Maria Santos
+    const words = author.trim().split(/\s+/).map(word => new RegExp(`^${escapeRegex(word)}`, 'i'));
+    const authors = await User.find({
+      $and: words.map(word => ({ $or: [{ username: word }, { firstName: word }, { lastName: word }] }))
+    })
+      .select('_id')
+      .limit(50)
+      .lean();
+    if (authors.length === 0) return null;
+    filter.author = { $in: authors.map(user => user._id) };
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  if (hasImages === true) {
+    filter['images.0'] = { $exists: true };
+  } else if (hasImages === false) {
+    filter['images.0'] = { $exists: false };
+  }
+
+  return filter;
+}
+
+/**
+ * Search active posts
+ * @param {Object} params - { q, category, author (name or username prefix), from, to, hasImages, page, limit }
+ * @returns {Promise<Object>} { posts, total, matchType: 'text' | 'prefix' }
+ */
+async function searchPosts({ q, page = 1, limit = 10, ...filters }) {
+  const filter = await buildFilter(filters);
+  if (!filter) {
+    return { posts: [], total: 0, matchType: 'text' };
+  }
+
+  const skip = (page - 1) * limit;
+  const populateAuthor = (query) => query.populate('author', 'username firstName lastName email emailVerified');
+
+  const textQuery = { ...filter, $text: { $search: q } };
+  const total = await ForumPost.countDocuments(textQuery);
+
+  if (total > 0) {
+    const posts = await populateAuthor(
+      ForumPost.find(textQuery, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+    ).lean();
+    return { posts, total, matchType: 'text' };
+  }
+
+  // No whole-word matches yet: match the words being typed as prefixes
+  const terms = getQueryTerms(q);
+  if (terms.length === 0) {
+    return { posts: [], total: 0, matchType: 'prefix' };
+  }
+
+  const prefixQuery = {
+    ...filter,
+    $and: terms.map(term => {
+      const prefix = new RegExp(`(^|\\W)${escapeRegex(term)}`, 'i');
+      return { $or: [{ title: prefix }, { tags: prefix }] };
+    })
+  };
+  const [posts, prefixTotal] = await Promise.all([
+    populateAuthor(ForumPost.find(prefixQuery).sort({ createdAt: -1 }).skip(skip).limit(limit)).lean(),
+    ForumPost.countDocuments(prefixQuery)
+  ]);
+
+  return { posts, total: prefixTotal, matchType: 'prefix' };
+}
+
+module.exports = {
+  searchPosts,
+  buildHighlights
+};
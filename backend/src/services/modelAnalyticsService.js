@@ -0,0 +1,257 @@
+const { Scan } = require('../models');
+const { getClassName } = require('./trainingExportService');
+
+// Confusion matrix axes, in the same order as MODEL_CONFIG.classes in the app
+const MODEL_CLASSES = [
+  'ampalaya_bilog_female',
+  'ampalaya_bilog_male',
+  'patola_female',
+  'patola_male',
+  'upo_smooth_female',
+  'upo_smooth_male',
+  'not_flower'
+];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Confidence histogram bucket width (percentage points)
+const CONFIDENCE_BUCKET_SIZE = 10;
+
+/**
+ * Nearest-rank percentile of ascending { value, count } rows
+ */
+const percentile = (rows, samples, p) => {
+  if (samples === 0) return null;
+  const rank = Math.min(samples, Math.max(1, Math.ceil((p / 100) * samples)));
+
+  let seen = 0;
+  for (const { value, count } of rows) {
+    seen += count;
+    if (seen >= rank) return value;
+  }
+  return null;
+};
+
+const round = (value, digits = 1) => (
+  value === null || value === undefined ? null : Number(value.toFixed(digits))
+);
+
+const rate = (part, total) => (total > 0 ? round((part / total) * 100) : null);
+
+/**
+ * Inference time summary (milliseconds) from per-millisecond counts
+ * @param {Object[]} rows - { value, count, total, max }, one per whole millisecond
+ */
+const summarizeLatency = (rows = []) => {
+  const sorted = [...rows].sort((a, b) => a.value - b.value);
+  const samples = sorted.reduce((sum, row) => sum + row.count, 0);
+  const total = sorted.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    samples,
+    mean: samples > 0 ? round(total / samples) : null,
+    ...PERCENTILES.reduce((acc, p) => {
+      acc[`p${p}`] = percentile(sorted, samples, p);
+      return acc;
+    }, {}),
+    max: samples > 0 ? sorted[sorted.length - 1].max : null
+  };
+};
+
+/**
+ * Confidence histogram in CONFIDENCE_BUCKET_SIZE-point buckets (0-100)
+ * @param {Object[]} rows - { bucket, count } from the aggregation
+ * @param {number|null} mean - Mean confidence
+ */
+const summarizeConfidence = (rows = [], mean = null) => {
+  const buckets = [];
+  for (let start = 0; start < 100; start += CONFIDENCE_BUCKET_SIZE) {
+    buckets.push({ range: `${start}-${start + CONFIDENCE_BUCKET_SIZE}`, count: 0 });
+  }
+
+  for (const { bucket, count } of rows) {
+    buckets[bucket].count += count;
+  }
+
+  return {
+    mean: round(mean),
+    buckets
+  };
+};
+
+/**
+ * Map a TFLite output to its class; anything that isn't a male/female flower
+ * counts as a not_flower rejection
+ */
+const getPredictedClass = (variety, gender) => (
+  getClassName({ variety, gender: ['male', 'female'].includes(gender) ? gender : 'not_flower' }) || 'unknown'
+);
+
+/**
+ * Build an empty classes x classes matrix
+ */
+const emptyMatrix = (classes) => classes.map(() => classes.map(() => 0));
+
+/**
+ * Aggregate TFLite performance per model version
+ * @param {Object} options - { startDate, endDate }
+ * @returns {Promise<Object[]>} One entry per model version, most recently used first
+ */
+async function getModelVersionAnalytics({ startDate, endDate } = {}) {
+  const match = { 'aiPrediction.tflite.modelVersion': { $exists: true, $ne: null } };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+
+  const lastBucket = 100 / CONFIDENCE_BUCKET_SIZE - 1;
+
+  // Latency and confidence are grouped into counts in the database, so the
+  // result stays small however many scans a version has
+  const [versionStats, labeledOutcomes, latencyCounts, confidenceCounts] = await Promise.all([
+    Scan.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$aiPrediction.tflite.modelVersion',
+          scanCount: { $sum: 1 },
+          // $avg skips scans without a numeric confidence
+          confidenceMean: { $avg: '$aiPrediction.tflite.confidence' },
+          comparedCount: {
+            $sum: { $cond: [{ $eq: [{ $type: '$aiPrediction.comparison.modelsAgree' }, 'bool'] }, 1, 0] }
+          },
+          agreeCount: {
+            $sum: { $cond: [{ $eq: ['$aiPrediction.comparison.modelsAgree', true] }, 1, 0] }
+          },
+          notFlowerCount: {
+            $sum: { $cond: [{ $in: ['$aiPrediction.tflite.gender', ['male', 'female']] }, 0, 1] }
+          },
+          firstScanAt: { $min: '$date' },
+          lastScanAt: { $max: '$date' }
+        }
+      },
+      { $sort: { lastScanAt: -1 } }
+    ]),
+
+    // Labeled scans only: predicted vs. actual class counts for the confusion matrix
+    Scan.aggregate([
+      { $match: { ...match, isLabeled: true } },
+      {
+        $group: {
+          _id: {
+            version: '$aiPrediction.tflite.modelVersion',
+            predictedVariety: '$aiPrediction.tflite.variety',
+            predictedGender: '$aiPrediction.tflite.gender',
+            actualVariety: '$groundTruth.variety',
+            actualGender: '$groundTruth.gender'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    Scan.aggregate([
+      { $match: { ...match, 'aiPrediction.tflite.processingTime': { $type: 'number', $gte: 0 } } },
+      {
+        $group: {
+          _id: {
+            version: '$aiPrediction.tflite.modelVersion',
+            value: { $round: ['$aiPrediction.tflite.processingTime', 0] }
+          },
+          count: { $sum: 1 },
+          total: { $sum: '$aiPrediction.tflite.processingTime' },
+          max: { $max: '$aiPrediction.tflite.processingTime' }
+        }
+      }
+    ]),
+
+    Scan.aggregate([
+      { $match: { ...match, 'aiPrediction.tflite.confidence': { $type: 'number' } } },
+      {
+        $group: {
+          _id: {
+            version: '$aiPrediction.tflite.modelVersion',
+            bucket: {
+              $max: [0, { $min: [lastBucket, { $floor: { $divide: ['$aiPrediction.tflite.confidence', CONFIDENCE_BUCKET_SIZE] } }] }]
+            }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const groupByVersion = (rows, toRow) => rows.reduce((acc, row) => {
+    (acc[row._id.version] = acc[row._id.version] || []).push(toRow(row));
+    return acc;
+  }, {});
+
+  const latencyByVersion = groupByVersion(latencyCounts, ({ _id, count, total, max }) => ({ value: _id.value, count, total, max }));
+  const confidenceByVersion = groupByVersion(confidenceCounts, ({ _id, count }) => ({ bucket: _id.bucket, count }));
+
+  const outcomesByVersion = labeledOutcomes.reduce((acc, outcome) => {
+    const { version } = outcome._id;
+    (acc[version] = acc[version] || []).push(outcome);
+    return acc;
+  }, {});
+
+  return versionStats.map(stats => {
+    const outcomes = outcomesByVersion[stats._id] || [];
+    const classes = [...MODEL_CLASSES];
+    const resolved = outcomes.map(({ _id, count }) => ({
+      predicted: getPredictedClass(_id.predictedVariety, _id.predictedGender),
+      actual: getClassName({ variety: _id.actualVariety, gender: _id.actualGender }) || 'unknown',
+      count
+    }));
+
+    for (const { predicted, actual } of resolved) {
+      if (!classes.includes(predicted)) classes.push(predicted);
+      if (!classes.includes(actual)) classes.push(actual);
+    }
+
+    const matrix = emptyMatrix(classes);
+    let labeledCount = 0;
+    let correctCount = 0;
+    let falseRejections = 0;
+
+    for (const { predicted, actual, count } of resolved) {
+      matrix[classes.indexOf(actual)][classes.indexOf(predicted)] += count;
+      labeledCount += count;
+      if (predicted === actual) correctCount += count;
+      if (predicted === 'not_flower' && actual !== 'not_flower') falseRejections += count;
+    }
+
+    return {
+      modelVersion: stats._id,
+      scanCount: stats.scanCount,
+      firstScanAt: stats.firstScanAt,
+      lastScanAt: stats.lastScanAt,
+      inferenceTime: summarizeLatency(latencyByVersion[stats._id]),
+      confidence: summarizeConfidence(confidenceByVersion[stats._id], stats.confidenceMean),
+      geminiAgreement: {
+        compared: stats.comparedCount,
+        agreed: stats.agreeCount,
+        rate: rate(stats.agreeCount, stats.comparedCount)
+      },
+      notFlowerRejection: {
+        count: stats.notFlowerCount,
+        rate: rate(stats.notFlowerCount, stats.scanCount),
+        // Labeled flowers the model rejected as not_flower
+        falseRejections
+      },
+      accuracy: {
+        labeled: labeledCount,
+        correct: correctCount,
+        rate: rate(correctCount, labeledCount)
+      },
+      // Rows are the actual (ground truth) class, columns the predicted class
+      confusionMatrix: { classes, matrix }
+    };
+  });
+}
+
+module.exports = {
+  getModelVersionAnalytics,
+  MODEL_CLASSES
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ModelVersion } = require('../models');
+
+// Uploaded .tflite files are stored here and streamed to clients on download
+const MODEL_DIR = path.join(__dirname, '../../model-registry');
+
+// Variety prefixes used in class names, matching MODEL_CONFIG.classLabels in the app
+const CLASS_VARIETIES = {
+  ampalaya_bilog: 'Ampalaya Bilog',
+  patola: 'Patola',
+  upo_smooth: 'Upo (Smooth)'
+};
+
+/**
+ * Map a class name to the label the app displays
+ * @param {string} className - e.g. 'patola_female' or 'not_flower'
+ * @returns {Object|null} { variety, gender, isFlower } or null if unrecognised
+ */
+const getClassLabel = (className) => {
+  if (className === 'not_flower') {
+    return { variety: null, gender: null, isFlower: false };
+  }
+
+  const match = /^(.+)_(male|female)$/.exec(className);
+  const variety = match && CLASS_VARIETIES[match[1]];
+  return variety ? { variety, gender: match[2], isFlower: true } : null;
+};
+
+/**
+ * Parse labels from a labels.txt body or a JSON array
+ * @param {string|string[]} labels
+ * @returns {string[]} Class names in output order
+ */
+const parseLabels = (labels) => {
+  if (Array.isArray(labels)) return labels.map(label => String(label).trim()).filter(Boolean);
+  if (!labels) return [];
+
+  const text = String(labels).trim();
+  if (text.startsWith('[')) {
+    return parseLabels(JSON.parse(text));
+  }
+  return text.split(/\r?\n/).map(label => label.trim()).filter(Boolean);
+};
+
+/**
+ * SHA-256 hex digest of a buffer
+ */
+const getChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Deterministically place a device in a 0-99 rollout bucket for a version,
+ * so the same device keeps the same answer while the percentage is unchanged
+ */
+const getRolloutBucket = (deviceId, version) => {
+  const hash = crypto.createHash('sha256').update(`${deviceId}:${version}`).digest();
+  return hash.readUInt32BE(0) % 100;
+};
+
+const isInRollout = (deviceId, modelVersion) => {
+  if (modelVersion.rolloutPercentage >= 100) return true;
+  if (!deviceId || modelVersion.rolloutPercentage <= 0) return false;
+  return getRolloutBucket(deviceId, modelVersion.version) < modelVersion.rolloutPercentage;
+};
+
+/**
+ * Store an uploaded model and register it (inactive until activated)
+ * @param {Object} params - { file, version, description, labels, confidenceThreshold, inputSize, uploadedBy }
+ * @returns {Promise<Object>} The new ModelVersion document
+ */
+async function registerModel({ file, version, description, labels, confidenceThreshold, inputSize, uploadedBy }) {
+  const checksum = getChecksum(file.buffer);
+  // Stored under the registry id, since different versions can sanitize to the same name;
+  // fileName is only the name devices see when downloading
+  const _id = new mongoose.Types.ObjectId();
+  const safeVersion = version.replace(/[^a-zA-Z0-9._-]/g, '_');
+  const fileName = `gourd_classifier-${safeVersion}.tflite`;
+  const filePath = path.join(MODEL_DIR, `${_id}.tflite`);
+
+  await fs.promises.mkdir(MODEL_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, file.buffer);
+
+  try {
+    return await ModelVersion.create({
+      _id,
+      version,
+      description,
+      classes: labels,
+      confidenceThreshold,
+      inputSize,
+      filePath,
+      fileName,
+      fileSize: file.size,
+      checksum,
+      uploadedBy
+    });
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Make a version the active one, deactivating any other
+ * @param {Object} modelVersion - ModelVersion document
+ * @param {number} [rolloutPercentage] - Optional new rollout percentage
+ */
+async function activateModel(modelVersion, rolloutPercentage) {
+  await ModelVersion.updateMany(
+    { _id: { $ne: modelVersion._id }, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  modelVersion.isActive = true;
+  modelVersion.activatedAt = new Date();
+  if (rolloutPercentage !== undefined) {
+    modelVersion.rolloutPercentage = rolloutPercentage;
+  }
+  await modelVersion.save();
+
+  return modelVersion;
+}
+
+/**
+ * Remove a stored model file and its registry entry
+ */
+async function deleteModel(modelVersion) {
+  if (modelVersion.filePath) {
+    await fs.promises.rm(modelVersion.filePath, { force: true });
+  }
+  await modelVersion.deleteOne();
+}
+
+/**
+ * Build the manifest a client uses to download and configure a model
+ */
+const toManifest = (modelVersion, downloadUrl) => ({
+  version: modelVersion.version,
+  checksum: modelVersion.checksum,
+  checksumAlgorithm: 'sha256',
+  fileSize: modelVersion.fileSize,
+  downloadUrl,
+  inputSize: modelVersion.inputSize,
+  classes: modelVersion.classes,
+  classLabels: modelVersion.classes.reduce((acc, className) => {
+    acc[className] = getClassLabel(className);
+    return acc;
+  }, {}),
+  confidenceThreshold: modelVersion.confidenceThreshold,
+  activatedAt: modelVersion.activatedAt
+});
+
+module.exports = {
+  registerModel,
+  activateModel,
+  deleteModel,
+  isInRollout,
+  toManifest,
+  parseLabels,
+  getClassLabel
+};
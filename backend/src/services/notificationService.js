@@ -0,0 +1,187 @@
+const { Notification } = require('../models');
+
+/**
+ * In-app notifications
+ *
+ * Controllers call these after the action has succeeded. A notification that cannot be saved
+ * is logged and skipped, so it never fails the like, comment or moderation that caused it.
+ * Nobody is notified about their own actions.
+ */
+
+// Post content quoted in a notification body
+const PREVIEW_LENGTH = 120;
+
+const getActorName = (actor) => (
+  actor?.username || (actor?.firstName ? `${actor.firstName} ${actor.lastName || ''}`.trim() : 'Someone')
+);
+
+const preview = (text) => {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH - 1)}…` : value;
+};
+
+const isSelf = (recipient, actor) => actor && recipient.toString() === actor._id.toString();
+
+/**
+ * Save a notification
+ * @param {Object} notification - { recipient, actor, type, title, body, post, comment }
+ * @param {Object} options - { once: keep a single notification per recipient, type, actor and target }
+ * @returns {Promise<Object|null>} The notification, or null when skipped or on error
+ */
+async function notify({ recipient, actor = null, type, title, body = '', post = null, comment = null }, { once = false } = {}) {
+  if (!recipient || isSelf(recipient, actor)) return null;
+
+  const fields = { recipient, actor: actor?._id || null, type, post, comment };
+
+  try {
+    if (once) {
+      // Liking or following again after undoing it does not notify twice
+      return await Notification.findOneAndUpdate(
+        fields,
+        { $setOnInsert: { title, body } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    }
+    return await Notification.create({ ...fields, title, body });
+  } catch (error) {
+    console.error(`Failed to create ${type} notification:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove an unread notification whose cause was undone (e.g. an unlike)
+ */
+async function retract({ recipient, actor, type, post = null, comment = null }) {
+  if (!recipient || isSelf(recipient, actor)) return;
+
+  try {
+    await Notification.deleteOne({ recipient, actor: actor._id, type, post, comment, readAt: null });
+  } catch (error) {
+    console.error(`Failed to remove ${type} notification:`, error.message);
+  }
+}
+
+/**
+ * A user liked or unliked a post
+ */
+function postLikeChanged({ post, actor, liked }) {
+  const target = { recipient: post.author, actor, type: 'post_liked', post: post._id };
+  if (!liked) return retract(target);
+
+  return notify({
+    ...target,
+    title: `${getActorName(actor)} liked your post`,
+    body: preview(post.title)
+  }, { once: true });
+}
+
+/**
+ * A user liked or unliked a comment
+ */
+function commentLikeChanged({ comment, actor, liked }) {
+  const target = { recipient: comment.user, actor, type: 'comment_liked', post: comment.post, comment: comment._id };
+  if (!liked) return retract(target);
+
+  return notify({
+    ...target,
+    title: `${getActorName(actor)} liked your comment`,
+    body: preview(comment.content)
+  }, { once: true });
+}
+
+/**
+ * A user followed or unfollowed another user
+ */
+function followChanged({ target, actor, following }) {
+  const notification = { recipient: target._id, actor, type: 'new_follower' };
+  if (!following) return retract(notification);
+
+  return notify({
+    ...notification,
+    title: `${getActorName(actor)} started following you`,
+    body: 'Your posts will now rank higher in their "For you" feed.'
+  }, { once: true });
+}
+
+/**
+ * A user commented on a post or replied to a comment
+ * The comment's author hears about a reply; the post author hears about every other comment
+ * @param {Object} params - { post, comment, parent (comment replied to, if any), actor }
+ */
+async function commentAdded({ post, comment, parent, actor }) {
+  const name = getActorName(actor);
+  const body = preview(comment.content);
+
+  if (parent) {
+    await notify({
+      recipient: parent.user,
+      actor,
+      type: 'comment_replied',
+      title: `${name} replied to your comment`,
+      body,
+      post: post._id,
+      comment: comment._id
+    });
+  }
+
+  if (!parent || parent.user.toString() !== post.author.toString()) {
+    await notify({
+      recipient: post.author,
+      actor,
+      type: 'post_commented',
+      title: `${name} commented on your post`,
+      body,
+      post: post._id,
+      comment: comment._id
+    });
+  }
+}
+
+/**
+ * An admin approved or rejected a pending post
+ * @param {Object} params - { post, approved, reason }
+ */
+function postModerated({ post, approved, reason }) {
+  const recipient = post.author?._id || post.author;
+
+  return notify(approved ? {
+    recipient,
+    type: 'post_approved',
+    title: 'Your post was approved',
+    body: `"${preview(post.title)}" is now visible in the community.`,
+    post: post._id
+  } : {
+    recipient,
+    type: 'post_rejected',
+    title: 'Your post was not approved',
+    body: reason ? `"${preview(post.title)}": ${preview(reason)}` : `"${preview(post.title)}" was not published.`,
+    post: post._id
+  });
+}
+
+/**
+ * An admin suspended a user's account
+ * @param {Object} params - { user, reason, suspendUntil }
+ */
+function accountSuspended({ user, reason, suspendUntil }) {
+  const until = suspendUntil ? ` until ${suspendUntil.toDateString()}` : '';
+
+  return notify({
+    recipient: user._id,
+    type: 'account_suspended',
+    title: `Your account has been suspended${until}`,
+    body: reason ? `Reason: ${preview(reason)}` : 'Contact support if you think this is a mistake.'
+  });
+}
+
+module.exports = {
+  notify,
+  retract,
+  postLikeChanged,
+  commentLikeChanged,
+  commentAdded,
+  followChanged,
+  postModerated,
+  accountSuspended
+};
@@ -0,0 +1,241 @@
+const { Pollination, CropVariety, User } = require('../models');
+const { getUserTimezone, getZonedParts } = require('../utils/timezone');
+
+/**
+ * Pollination success analytics
+ *
+ * An attempt is one hand-pollination with a known result:
+ *   - a tagged flower with a pollination date and a successful/failed outcome
+ *   - a Successful/Failed check-success entry on a plant with no tagged flowers,
+ *     timed by the plant's datePollinated
+ * Pending attempts are counted but left out of success rates.
+ * Hour and month buckets use each grower's farm clock, not the server's.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days-after-planting bucket width
+const DAP_BUCKET_DAYS = 10;
+
+// Community buckets with fewer growers than this are hidden so no single grower can be picked out
+const MIN_BENCHMARK_GROWERS = 3;
+
+// Growers need this many resolved attempts to count in the grower success-rate spread
+const MIN_GROWER_ATTEMPTS = 5;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+const rate = (part, total) => (total > 0 ? round((part / total) * 100) : null);
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+const formatHour = (hour) => {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 === 0 ? 12 : hour % 12} ${suffix}`;
+};
+
+/**
+ * Attempts recorded on one plant, as { user, variety, outcome, pollinatedAt, datePlanted }
+ * outcome is 'successful', 'failed' or 'pending'; pollinatedAt may be null for old checks
+ */
+const getPlantAttempts = (plant) => {
+  const base = { user: String(plant.user), variety: plant.name, datePlanted: plant.datePlanted };
+  const flowers = (plant.flowers || []).filter(flower => flower.pollinationDate);
+
+  if (flowers.length > 0) {
+    return flowers.map(flower => ({
+      ...base,
+      outcome: flower.outcome || 'pending',
+      pollinatedAt: flower.pollinationDate
+    }));
+  }
+
+  return (plant.pollinationStatus || [])
+    .filter(check => ['Successful', 'Failed'].includes(check.statuspollination))
+    .map(check => ({
+      ...base,
+      outcome: check.statuspollination.toLowerCase(),
+      pollinatedAt: plant.datePollinated || null
+    }));
+};
+
+/**
+ * Give each attempt its grower's timezone
+ */
+const addGrowerTimezones = async (attempts) => {
+  const userIds = [...new Set(attempts.map(attempt => attempt.user))];
+  const users = await User.find({ _id: { $in: userIds } }).select('farmLocation').lean();
+  const timezones = new Map(users.map(user => [String(user._id), getUserTimezone(user)]));
+
+  return attempts.map(attempt => ({ ...attempt, timeZone: timezones.get(attempt.user) || getUserTimezone() }));
+};
+
+/**
+ * Bucket keys for an attempt; a dimension is skipped when its date is missing
+ */
+const getAttemptKeys = (attempt) => {
+  const keys = { variety: attempt.variety };
+  const pollinatedAt = attempt.pollinatedAt ? new Date(attempt.pollinatedAt) : null;
+  if (!pollinatedAt) return keys;
+
+  const { year, month, hour } = getZonedParts(pollinatedAt, attempt.timeZone);
+  keys.hour = hour;
+  keys.month = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+  if (attempt.datePlanted) {
+    const days = Math.floor((pollinatedAt - new Date(attempt.datePlanted)) / DAY_MS);
+    if (days >= 0) {
+      keys.daysAfterPlanting = Math.floor(days / DAP_BUCKET_DAYS) * DAP_BUCKET_DAYS;
+    }
+  }
+  return keys;
+};
+
+const describeBucket = {
+  variety: (key) => {
+    const crop = CropVariety.getCatalogEntry(key);
+    return { key, label: crop?.displayName?.english || key };
+  },
+  hour: (key) => ({ key, label: formatHour(key) }),
+  daysAfterPlanting: (key) => ({ key, label: `${key}–${key + DAP_BUCKET_DAYS - 1} days` }),
+  month: (key) => {
+    const [year, month] = key.split('-');
+    return { key, label: `${MONTH_NAMES[Number(month) - 1]} ${year}` };
+  }
+};
+
+const DIMENSIONS = Object.keys(describeBucket);
+
+const createCounts = () => ({ attempts: 0, successful: 0, failed: 0, pending: 0, growers: new Set() });
+
+const addAttempt = (counts, attempt) => {
+  counts.attempts += 1;
+  counts[attempt.outcome] += 1;
+  counts.growers.add(attempt.user);
+};
+
+const finalizeCounts = ({ growers, ...counts }, includeGrowers) => ({
+  ...counts,
+  successRate: rate(counts.successful, counts.successful + counts.failed),
+  ...(includeGrowers ? { growers: growers.size } : {})
+});
+
+/**
+ * Success rates overall and by variety, hour of pollination, days after planting and month
+ * @param {Object[]} attempts - From getPlantAttempts
+ * @param {Object} options - { community: hide small buckets and report grower counts }
+ */
+const buildSuccessRollups = (attempts, { community = false } = {}) => {
+  const totals = createCounts();
+  const buckets = DIMENSIONS.reduce((acc, dimension) => ({ ...acc, [dimension]: new Map() }), {});
+
+  attempts.forEach(attempt => {
+    addAttempt(totals, attempt);
+    const keys = getAttemptKeys(attempt);
+    DIMENSIONS.forEach(dimension => {
+      if (keys[dimension] === undefined) return;
+      if (!buckets[dimension].has(keys[dimension])) {
+        buckets[dimension].set(keys[dimension], createCounts());
+      }
+      addAttempt(buckets[dimension].get(keys[dimension]), attempt);
+    });
+  });
+
+  const rollup = (dimension, sort) => [...buckets[dimension].entries()]
+    .filter(([, counts]) => !community || counts.growers.size >= MIN_BENCHMARK_GROWERS)
+    .sort(sort)
+    .map(([key, counts]) => ({ ...describeBucket[dimension](key), ...finalizeCounts(counts, community) }));
+
+  const byKey = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+
+  return {
+    totals: finalizeCounts(totals, community),
+    byVariety: rollup('variety', ([, a], [, b]) => b.attempts - a.attempts),
+    byTimeOfDay: rollup('hour', byKey),
+    byDaysAfterPlanting: rollup('daysAfterPlanting', byKey),
+    byMonth: rollup('month', byKey)
+  };
+};
+
+/**
+ * Plants with at least one pollination attempt, matching the filter
+ */
+const findAttemptedPlants = (filter) => Pollination.find({
+  ...filter,
+  $or: [
+    { 'flowers.pollinationDate': { $ne: null } },
+    { 'pollinationStatus.statuspollination': { $in: ['Successful', 'Failed'] } }
+  ]
+})
+  .select('user name datePlanted datePollinated flowers.pollinationDate flowers.outcome pollinationStatus')
+  .lean();
+
+const inRange = (attempt, { startDate, endDate }) => {
+  if (!startDate && !endDate) return true;
+  if (!attempt.pollinatedAt) return false;
+  const time = new Date(attempt.pollinatedAt);
+  return (!startDate || time >= startDate) && (!endDate || time <= endDate);
+};
+
+/**
+ * One grower's pollination success rates
+ * @param {string} userId
+ * @param {Object} options - { variety, startDate, endDate }
+ */
+async function getUserSuccessAnalytics(userId, { variety, startDate, endDate } = {}) {
+  const plants = await findAttemptedPlants({ user: userId, ...(variety ? { name: variety } : {}) });
+  const attempts = plants.flatMap(getPlantAttempts).filter(attempt => inRange(attempt, { startDate, endDate }));
+
+  return buildSuccessRollups(await addGrowerTimezones(attempts));
+}
+
+/**
+ * Anonymized success rates across all growers, for comparing against the community
+ * Buckets with fewer than MIN_BENCHMARK_GROWERS growers are left out, and no user ids are returned
+ * @param {Object} options - { variety, startDate, endDate }
+ */
+async function getCommunityBenchmark({ variety, startDate, endDate } = {}) {
+  const plants = await findAttemptedPlants(variety ? { name: variety } : {});
+  const attempts = plants.flatMap(getPlantAttempts).filter(attempt => inRange(attempt, { startDate, endDate }));
+
+  // Spread of per-grower success rates, so one grower can see where they stand
+  const growerCounts = new Map();
+  attempts.forEach(attempt => {
+    if (attempt.outcome === 'pending') return;
+    const counts = growerCounts.get(attempt.user) || { successful: 0, resolved: 0 };
+    counts.resolved += 1;
+    if (attempt.outcome === 'successful') counts.successful += 1;
+    growerCounts.set(attempt.user, counts);
+  });
+  const growerRates = [...growerCounts.values()]
+    .filter(counts => counts.resolved >= MIN_GROWER_ATTEMPTS)
+    .map(counts => rate(counts.successful, counts.resolved))
+    .sort((a, b) => a - b);
+  const hasSpread = growerRates.length >= MIN_BENCHMARK_GROWERS;
+
+  return {
+    ...buildSuccessRollups(await addGrowerTimezones(attempts), { community: true }),
+    growerSuccessRates: {
+      growers: growerRates.length,
+      minAttempts: MIN_GROWER_ATTEMPTS,
+      p25: hasSpread ? percentile(growerRates, 25) : null,
+      median: hasSpread ? percentile(growerRates, 50) : null,
+      p75: hasSpread ? percentile(growerRates, 75) : null
+    },
+    minGrowersPerBucket: MIN_BENCHMARK_GROWERS
+  };
+}
+
+module.exports = {
+  getUserSuccessAnalytics,
+  getCommunityBenchmark
+};
@@ -0,0 +1,132 @@
+const axios = require('axios');
+
+/**
+ * Push senders
+ *
+ * Every sender implements the same two calls, mirroring the Expo push API:
+ *   send(messages)        -> tickets, one per message in the same order:
+ *                            { status: 'ok', id } or { status: 'error', message, details: { error } }
+ *   getReceipts(ticketIds) -> { [ticketId]: { status: 'ok' } or { status: 'error', message, details: { error } } }
+ *
+ * A message is { to, title, body, data, sound, channelId }.
+ * When a request to the push service fails, each message in it gets an error ticket
+ * with details.error SEND_FAILED, so messages in the requests that did go through keep their tickets.
+ */
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_RECEIPTS_URL = 'https://exp.host/--/api/v2/push/getReceipts';
+
+// Expo limits per request
+const SEND_CHUNK_SIZE = 100;
+const RECEIPT_CHUNK_SIZE = 300;
+
+// Ticket error for messages whose request never reached the push service
+const SEND_FAILED = 'SendFailed';
+
+const EXPO_TOKEN_PATTERN = /^Expo(nent)?PushToken\[.+\]$/;
+
+/**
+ * Whether a string looks like an Expo push token
+ */
+const isExpoPushToken = (token) => typeof token === 'string' && EXPO_TOKEN_PATTERN.test(token);
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Sender that talks to the Expo push service
+ * @param {Object} options - { accessToken } for projects with enhanced push security
+ */
+const createExpoPushSender = ({ accessToken = process.env.EXPO_ACCESS_TOKEN } = {}) => {
+  const headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json',
+    ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+  };
+
+  return {
+    name: 'expo',
+
+    async send(messages) {
+      const tickets = [];
+      for (const batch of chunk(messages, SEND_CHUNK_SIZE)) {
+        try {
+          const response = await axios.post(EXPO_PUSH_URL, batch, { headers, timeout: 15000 });
+          tickets.push(...response.data.data);
+        } catch (error) {
+          console.error(`Expo push request for ${batch.length} messages failed:`, error.message);
+          tickets.push(...batch.map(() => ({ status: 'error', message: error.message, details: { error: SEND_FAILED } })));
+        }
+      }
+      return tickets;
+    },
+
+    async getReceipts(ticketIds) {
+      const receipts = {};
+      for (const batch of chunk(ticketIds, RECEIPT_CHUNK_SIZE)) {
+        const response = await axios.post(EXPO_RECEIPTS_URL, { ids: batch }, { headers, timeout: 15000 });
+        Object.assign(receipts, response.data.data);
+      }
+      return receipts;
+    }
+  };
+};
+
+/**
+ * In-process sender for development and tests: nothing leaves the server
+ * Messages are kept in `sent`; tokens that are not Expo tokens fail like an unregistered device
+ */
+const createLocalPushSender = () => {
+  let nextTicket = 1;
+  const receipts = new Map();
+
+  return {
+    name: 'local',
+    sent: [],
+
+    async send(messages) {
+      return messages.map(message => {
+        if (!isExpoPushToken(message.to)) {
+          return {
+            status: 'error',
+            message: `"${message.to}" is not a registered push token`,
+            details: { error: 'DeviceNotRegistered' }
+          };
+        }
+
+        const id = `local-${nextTicket++}`;
+        this.sent.push({ ...message, ticketId: id });
+        receipts.set(id, { status: 'ok' });
+        console.log(`📲 [local push] ${message.to}: ${message.title} — ${message.body}`);
+        return { status: 'ok', id };
+      });
+    },
+
+    async getReceipts(ticketIds) {
+      return ticketIds.reduce((result, id) => {
+        if (receipts.has(id)) result[id] = receipts.get(id);
+        return result;
+      }, {});
+    }
+  };
+};
+
+/**
+ * Sender selected by PUSH_SENDER ('expo' or 'local'); production defaults to Expo
+ */
+const createPushSender = (type = process.env.PUSH_SENDER || (process.env.NODE_ENV === 'production' ? 'expo' : 'local')) => {
+  return type === 'expo' ? createExpoPushSender() : createLocalPushSender();
+};
+
+module.exports = {
+  SEND_FAILED,
+  isExpoPushToken,
+  createExpoPushSender,
+  createLocalPushSender,
+  createPushSender
+};
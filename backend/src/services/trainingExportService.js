@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const archiver = require('archiver');
+const { Scan, TrainingExport } = require('../models');
+const { isCloudinaryImageUrl } = require('../utils/uploadHelper');
+
+// Finished archives are kept here until an admin downloads them
+const EXPORT_DIR = path.join(__dirname, '../../exports');
+
+// Scan uploads are resized to 1000px, so anything bigger is not one of ours
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Class folder names must match MODEL_CONFIG.classes used by the trainer notebook
+const VARIETY_FOLDERS = {
+  'Ampalaya Bilog': 'ampalaya_bilog',
+  'Patola': 'patola',
+  'Upo (Smooth)': 'upo_smooth'
+};
+
+const MANIFEST_COLUMNS = [
+  'file',
+  'class',
+  'scan_id',
+  'label_source',
+  'labeled_at',
+  'final_source',
+  'validation_status',
+  'prediction',
+  'confidence',
+  'tflite_variety',
+  'tflite_gender',
+  'tflite_confidence',
+  'tflite_model_version',
+  'tflite_correct',
+  'gemini_variety',
+  'gemini_gender',
+  'gemini_confidence',
+  'gemini_correct',
+  'models_agree',
+  'image_url'
+];
+
+/**
+ * Map a scan's ground truth to its training class folder
+ * @param {Object} groundTruth - Scan.groundTruth
+ * @returns {string|null} Class name (e.g. 'patola_male') or null if unmappable
+ */
+const getClassName = (groundTruth) => {
+  if (!groundTruth || !groundTruth.gender) return null;
+  if (groundTruth.gender === 'not_flower') return 'not_flower';
+
+  const folder = VARIETY_FOLDERS[groundTruth.variety];
+  return folder ? `${folder}_${groundTruth.gender}` : null;
+};
+
+/**
+ * Whether a model's prediction matches the ground truth
+ * @returns {boolean|null} null when the model did not run
+ */
+const modelMatches = (modelPrediction, groundTruth) => {
+  if (!modelPrediction || modelPrediction.confidence === undefined || modelPrediction.confidence === null) {
+    return null;
+  }
+  if (groundTruth.gender === 'not_flower') {
+    return !['male', 'female'].includes(modelPrediction.gender);
+  }
+  return modelPrediction.gender === groundTruth.gender &&
+    modelPrediction.variety === groundTruth.variety;
+};
+
+/**
+ * Escape a single CSV value
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Build a manifest row for an exported scan
+ */
+const buildManifestRow = (scan, className, file) => {
+  const { groundTruth, aiPrediction = {} } = scan;
+  const tflite = aiPrediction.tflite || {};
+  const gemini = aiPrediction.gemini || {};
+
+  const row = {
+    file,
+    class: className,
+    scan_id: scan._id,
+    label_source: groundTruth.source,
+    labeled_at: groundTruth.labeledAt,
+    final_source: aiPrediction.finalSource,
+    validation_status: scan.validationStatus,
+    prediction: scan.prediction,
+    confidence: scan.confidence,
+    tflite_variety: tflite.variety,
+    tflite_gender: tflite.gender,
+    tflite_confidence: tflite.confidence,
+    tflite_model_version: tflite.modelVersion,
+    tflite_correct: modelMatches(tflite, groundTruth),
+    gemini_variety: gemini.variety,
+    gemini_gender: gemini.gender,
+    gemini_confidence: gemini.confidence,
+    gemini_correct: modelMatches(gemini, groundTruth),
+    models_agree: aiPrediction.comparison?.modelsAgree,
+    image_url: scan.imageUrl
+  };
+
+  return MANIFEST_COLUMNS.map(column => toCsvValue(row[column])).join(',');
+};
+
+/**
+ * Build the scan query for an export's filters
+ */
+const buildScanQuery = (filters = {}) => {
+  // Only flower scans carry variety and gender labels for the classifier
+  const query = { isLabeled: true, scanType: 'flower' };
+
+  if (filters.labelSource) {
+    query['groundTruth.source'] = filters.labelSource;
+  }
+
+  if (filters.includeNotFlower === false) {
+    query['groundTruth.gender'] = { $ne: 'not_flower' };
+  }
+
+  if (filters.startDate || filters.endDate) {
+    query['groundTruth.labeledAt'] = {};
+    if (filters.startDate) query['groundTruth.labeledAt'].$gte = filters.startDate;
+    if (filters.endDate) query['groundTruth.labeledAt'].$lte = filters.endDate;
+  }
+
+  return query;
+};
+
+/**
+ * Download an image into memory
+ */
+const downloadImage = async (url) => {
+  // Scans saved before upload URLs were checked may point anywhere
+  if (!isCloudinaryImageUrl(url)) {
+    throw new Error('Image is not hosted on Cloudinary');
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 15000,
+    maxContentLength: MAX_IMAGE_BYTES,
+    maxRedirects: 0
+  });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Pick a file extension for a downloaded image
+ */
+const getImageExtension = (url) => {
+  const match = /\.(jpe?g|png|webp)(?:\?|$)/i.exec(url || '');
+  return match ? `.${match[1].toLowerCase()}` : '.jpg';
+};
+
+/**
+ * Run an export job to completion, writing a class-folder ZIP and manifest.csv
+ * @param {string} exportId - TrainingExport document ID
+ */
+async function runExport(exportId) {
+  const job = await TrainingExport.findById(exportId);
+  if (!job) throw new Error('Export job not found');
+
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  const fileName = `egourd-training-${job._id}.zip`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    const manifest = [MANIFEST_COLUMNS.join(',')];
+    const perClass = {};
+    let exported = 0;
+    let skipped = 0;
+    let total = 0;
+
+    // Stream scans so large exports don't load every document at once
+    const cursor = Scan.find(buildScanQuery(job.filters))
+      .sort({ 'groundTruth.labeledAt': 1 })
+      .cursor();
+
+    for await (const scan of cursor) {
+      total += 1;
+      const className = getClassName(scan.groundTruth);
+
+      if (!className || !scan.imageUrl) {
+        skipped += 1;
+        continue;
+      }
+
+      try {
+        const image = await downloadImage(scan.imageUrl);
+        const file = `${className}/${scan._id}${getImageExtension(scan.imageUrl)}`;
+
+        archive.append(image, { name: file });
+        manifest.push(buildManifestRow(scan, className, file));
+        perClass[className] = (perClass[className] || 0) + 1;
+        exported += 1;
+      } catch (downloadError) {
+        console.error(`Training export: could not download image for scan ${scan._id}:`, downloadError.message);
+        skipped += 1;
+      }
+    }
+
+    archive.append(manifest.join('\n') + '\n', { name: 'manifest.csv' });
+    await archive.finalize();
+    await finished;
+
+    const { size } = await fs.promises.stat(filePath);
+
+    job.status = 'completed';
+    job.counts = { total, exported, skipped, perClass };
+    job.filePath = filePath;
+    job.fileName = fileName;
+    job.fileSize = size;
+    job.completedAt = new Date();
+    await job.save();
+
+    console.log(`✅ Training export ${job._id} completed: ${exported} images, ${skipped} skipped`);
+    return job;
+  } catch (error) {
+    console.error(`❌ Training export ${job._id} failed:`, error);
+
+    await fs.promises.rm(filePath, { force: true });
+
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+
+    return job;
+  }
+}
+
+/**
+ * Create an export job and start it in the background
+ * @param {string} requestedBy - Admin user ID
+ * @param {Object} filters - { startDate, endDate, labelSource, includeNotFlower }
+ * @returns {Promise<Object>} The pending TrainingExport document
+ */
+async function startExport(requestedBy, filters = {}) {
+  const job = await TrainingExport.create({ requestedBy, filters });
+
+  // Fire and forget - progress is tracked on the job document
+  setImmediate(() => {
+    runExport(job._id).catch(error => {
+      console.error('Training export runner error:', error);
+    });
+  });
+
+  return job;
+}
+
+module.exports = {
+  startExport,
+  runExport,
+  getClassName
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedDateAt } = require('../utils/timezone');
+
+/**
+ * Weather providers
+ *
+ * Every provider implements the same calls:
+ *   getHourlyForecast({ latitude, longitude, timezone }, { start, end })
+ *     -> [{ time: Date, precipitationProbability (0-100), precipitationMm, temperatureC }]
+ *        one entry per forecast hour with start <= time < end, oldest first
+ *   getTimezone({ latitude, longitude }) -> IANA timezone of the location, or null when unknown
+ */
+
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Open-Meteo forecasts at most this many days ahead
+const MAX_FORECAST_DAYS = 16;
+
+// Fixture used by the file provider when WEATHER_FIXTURE_FILE is not set
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '../../seeds/weather-forecast.json');
+
+// A fixture location only applies to farms this close to it
+const FIXTURE_MATCH_KM = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+const distanceKm = (a, b) => {
+  const toRad = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const inRange = (time, { start, end }) => time >= start && time < end;
+
+/**
+ * Provider backed by the Open-Meteo forecast API (no API key needed)
+ */
+const createOpenMeteoProvider = ({ baseUrl = process.env.OPEN_METEO_URL || OPEN_METEO_URL } = {}) => ({
+  name: 'open-meteo',
+
+  async getHourlyForecast({ latitude, longitude }, range) {
+    const days = Math.ceil((range.end - Date.now()) / DAY_MS) + 1;
+    const response = await axios.get(baseUrl, {
+      params: {
+        latitude,
+        longitude,
+        hourly: 'temperature_2m,precipitation_probability,precipitation',
+        timeformat: 'unixtime',
+        forecast_days: Math.min(Math.max(days, 1), MAX_FORECAST_DAYS)
+      },
+      timeout: 10000
+    });
+
+    const { time = [], temperature_2m: temperature = [], precipitation_probability: probability = [], precipitation = [] } =
+      response.data.hourly || {};
+
+    return time
+      .map((seconds, index) => ({
+        time: new Date(seconds * 1000),
+        precipitationProbability: probability[index] ?? 0,
+        precipitationMm: precipitation[index] ?? 0,
+        temperatureC: temperature[index] ?? null
+      }))
+      .filter(hour => inRange(hour.time, range));
+  },
+
+  async getTimezone({ latitude, longitude }) {
+    const response = await axios.get(baseUrl, {
+      params: { latitude, longitude, timezone: 'auto', forecast_days: 1 },
+      timeout: 10000
+    });
+    return isValidTimezone(response.data.timezone) ? response.data.timezone : null;
+  }
+});
+
+/**
+ * Offline provider for development and tests: forecasts come from a JSON file
+ *
+ * The file lists locations, each with hourly entries relative to today (on the farm's clock) so the fixture never goes stale:
+ *   { "locations": [{ "name", "latitude", "longitude", "hourly": [{ "day": 0, "hour": 6, "precipitationProbability",
+ *     "precipitationMm", "temperatureC" }] }], "default": { "hourly": [...] } }
+ * A farm uses the nearest location within 50 km, otherwise "default".
+ */
+const createFileWeatherProvider = ({ file = process.env.WEATHER_FIXTURE_FILE || DEFAULT_FIXTURE_FILE } = {}) => {
+  let fixture = null;
+
+  const loadFixture = () => {
+    if (!fixture) {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return fixture;
+  };
+
+  return {
+    name: 'file',
+
+    async getHourlyForecast(location, range) {
+      const { locations = [], default: fallback } = loadFixture();
+
+      const nearest = locations
+        .map(entry => ({ entry, distance: distanceKm(location, entry) }))
+        .filter(({ distance }) => distance <= FIXTURE_MATCH_KM)
+        .sort((a, b) => a.distance - b.distance)[0];
+      const hourly = nearest ? nearest.entry.hourly : fallback?.hourly || [];
+
+      const today = zonedDateAt(new Date(), 0, 0, location.timezone || DEFAULT_TIMEZONE);
+
+      return hourly
+        .map(entry => ({
+          time: new Date(today.getTime() + (entry.day || 0) * DAY_MS + entry.hour * HOUR_MS),
+          precipitationProbability: entry.precipitationProbability ?? 0,
+          precipitationMm: entry.precipitationMm ?? 0,
+          temperatureC: entry.temperatureC ?? null
+        }))
+        .filter(hour => inRange(hour.time, range))
+        .sort((a, b) => a.time - b.time);
+    },
+
+    async getTimezone() {
+      return null;
+    }
+  };
+};
+
+/**
+ * Provider selected by WEATHER_PROVIDER ('open-meteo' or 'file'); production defaults to Open-Meteo
+ */
+const createWeatherProvider = (type = process.env.WEATHER_PROVIDER || (process.env.NODE_ENV === 'production' ? 'open-meteo' : 'file')) => {
+  return type === 'open-meteo' ? createOpenMeteoProvider() : createFileWeatherProvider();
+};
+
+module.exports = {
+  createOpenMeteoProvider,
+  createFileWeatherProvider,
+  createWeatherProvider
+};
@@ -1,28 +1,65 @@
-const { Pollination } = require('../models');
+const { Pollination, CropVariety, User, NotificationDelivery } = require('../models');
+const { createPushSender, SEND_FAILED } = require('../services/pushSenderService');
+const { createWeatherProvider } = require('../services/weatherService');
+const { getUserTimezone, zonedDateAt, toZonedDateString } = require('./timezone');
+
+// How often the push worker looks for due reminders
+const WORKER_INTERVAL = parseInt(process.env.PUSH_WORKER_INTERVAL_MS) || 60 * 1000;
+
+// Expo receipts are ready about 15 minutes after sending and are kept for a day
+const RECEIPT_DELAY = 15 * 60 * 1000;
+const RECEIPT_MAX_AGE = 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 500;
+
+// Stop reminding about flowering or harvest this many days after the expected window closed
+const REMINDER_GRACE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plant fields getDueReminders reads
+const REMINDER_PLANT_FIELDS = 'user name displayName status pollinationTiming datePlanted datePollinated';
+
+// Forecasts are reused for this long per farm and window
+const WEATHER_CACHE_TTL = 30 * 60 * 1000;
+
+// Rain chance (%) or amount (mm in an hour) that washes pollen off open flowers
+const RAIN_PROBABILITY_THRESHOLD = 60;
+const RAIN_AMOUNT_THRESHOLD = 0.5;
+
+// Temperature above which pollen dries out before it can germinate
+const HEAT_THRESHOLD_C = 35;
 
 /**
  * Pollination notification scheduler
- * Sends notifications 1 hour before and 30 minutes before pollination window
+ * Sends notifications 1 hour before and 30 minutes before pollination window,
+ * plus flowering-due and harvest reminders, as push notifications to registered devices
  */
 
 class NotificationScheduler {
   constructor() {
     this.scheduledJobs = new Map();
+    this.pushSender = null;
+    this.weatherProvider = null;
+    this.weatherCache = new Map();
+    this.workerTimer = null;
+    this.isRunning = false;
   }
 
   /**
-   * Get pollination timing for a plant
+   * Get pollination timing for a plant from the crop catalog
    */
   getPollinationTiming(plantName) {
-    const timingMap = {
-      ampalaya: { startHour: 6, endHour: 9, label: 'Morning (6:00 AM - 9:00 AM)' },
-      kalabasa: { startHour: 6, endHour: 9, label: 'Morning (6:00 AM - 9:00 AM)' },
-      kundol: { startHour: 6, endHour: 8, label: 'Morning (6:00 AM - 8:00 AM)' },
-      patola: { startHour: 17, endHour: 20, label: 'Evening (5:00 PM - 8:00 PM)' },
-      upo: { startHour: 17, endHour: 20, label: 'Evening (5:00 PM - 8:00 PM)' }
-    };
+    const crop = CropVariety.getCatalogEntry(plantName);
+    if (!crop) return null;
 
-    return timingMap[plantName] || null;
+    const { startHour, endHour } = crop.pollinationWindow;
+    const period = startHour < 12 ? 'Morning' : startHour < 17 ? 'Afternoon' : 'Evening';
+
+    return {
+      startHour,
+      endHour,
+      label: `${period} (${this.formatTime(startHour)} - ${this.formatTime(endHour)})`
+    };
   }
 
   /**
@@ -40,25 +77,20 @@ class NotificationScheduler {
 
       const now = new Date();
       const notifications = [];
+      const user = await User.findById(userId).select('farmLocation');
+      const location = this.getFarmLocation(user);
+      const timeZone = getUserTimezone(user);
 
       for (const plant of plants) {
         if (!plant.pollinationTiming) continue;
+        const countBefore = notifications.length;
 
-        const { startHour, scheduledDate, notificationScheduled } = plant.pollinationTiming;
-        
-        if (!scheduledDate) continue;
+        const { startHour, notificationScheduled } = plant.pollinationTiming;
 
-        // Create dates for notification times
-        const schedDate = new Date(scheduledDate);
-        schedDate.setHours(0, 0, 0, 0); // Set to midnight of that day
-
-        // 1 hour before pollination starts
-        const oneHourBefore = new Date(schedDate);
-        oneHourBefore.setHours(startHour - 1, 0, 0, 0);
-
-        // 30 minutes before pollination starts
-        const thirtyMinsBefore = new Date(schedDate);
-        thirtyMinsBefore.setHours(startHour - 1, 30, 0, 0);
+        // Notification times on the farm's clock
+        const times = this.getPollinationWindowTimes(plant, timeZone);
+        if (!times) continue;
+        const { oneHourBefore, thirtyMinsBefore } = times;
 
         // Check if we should send 1 hour before notification
         if (!notificationScheduled.oneHourBefore && now >= oneHourBefore) {
@@ -85,6 +117,17 @@ class NotificationScheduler {
             pollintationWindow: `${startHour}:00 - ${plant.pollinationTiming.endHour}:00`
           });
         }
+
+        // Warn about rain or heat forecast for the window these reminders are about
+        if (notifications.length > countBefore && location) {
+          const weather = await this.getPollinationWeather(plant, location, now);
+          notifications.slice(countBefore).forEach(notification => {
+            notification.weatherWarnings = weather?.warnings || [];
+            if (notification.weatherWarnings.length > 0) {
+              notification.message = `${notification.message} ${notification.weatherWarnings.map(warning => warning.message).join(' ')}`;
+            }
+          });
+        }
       }
 
       return notifications;
@@ -125,6 +168,509 @@ class NotificationScheduler {
     return `${displayHour}:00 ${period}`;
   }
 
+  /**
+   * Reminder times for a plant's scheduled pollination window, on the farm's clock
+   * @returns {Object|null} { oneHourBefore, thirtyMinsBefore, windowStart }
+   */
+  getPollinationWindowTimes(plant, timeZone = getUserTimezone()) {
+    const { startHour, scheduledDate } = plant.pollinationTiming || {};
+    if (!scheduledDate || startHour === undefined || startHour === null) return null;
+
+    const windowStart = zonedDateAt(scheduledDate, startHour, 0, timeZone);
+
+    return {
+      oneHourBefore: new Date(windowStart.getTime() - 60 * 60 * 1000),
+      thirtyMinsBefore: new Date(windowStart.getTime() - 30 * 60 * 1000),
+      windowStart
+    };
+  }
+
+  /**
+   * Provider used for pollination forecasts (Open-Meteo in production, the fixture file otherwise)
+   */
+  getWeatherProvider() {
+    if (!this.weatherProvider) {
+      this.weatherProvider = createWeatherProvider();
+    }
+    return this.weatherProvider;
+  }
+
+  /**
+   * Replace the weather provider (e.g. with createFileWeatherProvider({ file }) in tests)
+   */
+  setWeatherProvider(provider) {
+    this.weatherProvider = provider;
+    this.weatherCache.clear();
+  }
+
+  /**
+   * The user's farm location, or null when they have not set one
+   * @returns {Object|null} { latitude, longitude, name, timezone }
+   */
+  getFarmLocation(user) {
+    const { latitude, longitude, name } = user?.farmLocation || {};
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+    return { latitude, longitude, name, timezone: getUserTimezone(user) };
+  }
+
+  /**
+   * Label an hour range, e.g. "6–9 AM" or "11 AM–1 PM"
+   */
+  formatHourRange(startHour, endHour) {
+    const [start, startPeriod] = this.formatTime(startHour).replace(':00', '').split(' ');
+    const [end, endPeriod] = this.formatTime(endHour).replace(':00', '').split(' ');
+    return startPeriod === endPeriod
+      ? `${start}–${end} ${endPeriod}`
+      : `${start} ${startPeriod}–${end} ${endPeriod}`;
+  }
+
+  /**
+   * The next pollination window of a flowering or pollinated plant that has not closed yet
+   * Uses the scheduled window when there is one, otherwise the crop's daily window today or tomorrow.
+   * Window hours are on the farm's clock (timeZone), whatever timezone the server runs in.
+   * @returns {Object|null} { start, end, startHour, endHour, label }
+   */
+  getNextPollinationWindow(plant, now = new Date(), timeZone = getUserTimezone()) {
+    if (!['flowering', 'pollinated'].includes(plant.status)) return null;
+
+    const scheduled = plant.pollinationTiming;
+    const timing = scheduled?.startHour != null && scheduled?.endHour != null
+      ? scheduled
+      : this.getPollinationTiming(plant.name);
+    if (!timing) return null;
+
+    const buildWindow = (day) => {
+      const start = zonedDateAt(day, timing.startHour, 0, timeZone);
+      const end = zonedDateAt(day, timing.endHour, 0, timeZone);
+      return { start, end, startHour: timing.startHour, endHour: timing.endHour, label: this.formatHourRange(timing.startHour, timing.endHour) };
+    };
+
+    if (scheduled?.scheduledDate) {
+      const window = buildWindow(scheduled.scheduledDate);
+      if (now < window.end) return window;
+    }
+
+    const today = buildWindow(now);
+    return now < today.end ? today : buildWindow(new Date(now.getTime() + DAY_MS));
+  }
+
+  /**
+   * Hourly forecast for a farm, cached for WEATHER_CACHE_TTL
+   */
+  async getForecast(location, { start, end }, now = new Date()) {
+    const key = `${location.latitude.toFixed(2)},${location.longitude.toFixed(2)}:${start.toISOString()}:${end.toISOString()}`;
+    const cached = this.weatherCache.get(key);
+    if (cached && now - cached.fetchedAt < WEATHER_CACHE_TTL) return cached.hours;
+
+    const hours = await this.getWeatherProvider().getHourlyForecast(location, { start, end });
+
+    for (const [cachedKey, entry] of this.weatherCache) {
+      if (now - entry.fetchedAt >= WEATHER_CACHE_TTL) this.weatherCache.delete(cachedKey);
+    }
+    this.weatherCache.set(key, { hours, fetchedAt: now });
+    return hours;
+  }
+
+  /**
+   * Rain and heat warnings for a pollination window
+   * @returns {Array<{type, message, chance?, temperatureC?}>}
+   */
+  getWeatherWarnings(hours, plantName, window) {
+    const warnings = [];
+    const windowName = `${window.label} ${plantName} window`;
+
+    const rainyHours = hours.filter(hour =>
+      hour.precipitationProbability >= RAIN_PROBABILITY_THRESHOLD || hour.precipitationMm >= RAIN_AMOUNT_THRESHOLD
+    );
+    if (rainyHours.length > 0) {
+      const chance = Math.max(...rainyHours.map(hour => hour.precipitationProbability));
+      warnings.push({
+        type: 'rain',
+        chance,
+        message: `🌧️ Rain expected during the ${windowName} (${chance}% chance). Rain washes pollen off open flowers — pollinate before it starts or cover the flowers.`
+      });
+    }
+
+    const temperatures = hours.map(hour => hour.temperatureC).filter(temperature => typeof temperature === 'number');
+    const hottest = temperatures.length > 0 ? Math.max(...temperatures) : null;
+    if (hottest !== null && hottest >= HEAT_THRESHOLD_C) {
+      warnings.push({
+        type: 'heat',
+        temperatureC: hottest,
+        message: `🌡️ Up to ${Math.round(hottest)}°C during the ${windowName}. Pollen dries out in the heat — pollinate at the start of the window.`
+      });
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Forecast and warnings for a plant's next pollination window at the user's farm
+   * A provider failure is logged and reported as unavailable rather than thrown
+   * @returns {Promise<Object|null>} { window, forecast, warnings, unavailable } or null when the plant has no upcoming window
+   */
+  async getPollinationWeather(plant, location, now = new Date()) {
+    if (!location) return null;
+    const window = this.getNextPollinationWindow(plant, now, location.timezone);
+    if (!window) return null;
+
+    const plantName = plant.displayName?.english || plant.name;
+    try {
+      const forecast = await this.getForecast(location, window, now);
+      return {
+        window,
+        forecast,
+        warnings: this.getWeatherWarnings(forecast, plantName, window),
+        unavailable: false
+      };
+    } catch (error) {
+      console.error('Weather forecast error:', error.message);
+      return { window, forecast: [], warnings: [], unavailable: true };
+    }
+  }
+
+  /**
+   * Reminders due for a plant right now
+   * Each has a dedupe key identifying the occurrence, so it is only ever delivered once
+   * @param {string} timeZone - The farm's timezone (see getUserTimezone)
+   * @returns {Array<{type, dedupeKey, title, body}>}
+   */
+  getDueReminders(plant, now = new Date(), timeZone = getUserTimezone()) {
+    const reminders = [];
+    const plantName = plant.displayName?.english || plant.name;
+    const crop = CropVariety.getCatalogEntry(plant.name);
+
+    // Pollination window: the 30-minute reminder replaces the 1-hour one when both are due
+    const times = plant.status === 'pollinated' && this.getPollinationWindowTimes(plant, timeZone);
+    if (times && now < times.windowStart) {
+      const flags = plant.pollinationTiming.notificationScheduled || {};
+      const window = `${this.formatTime(plant.pollinationTiming.startHour)} - ${this.formatTime(plant.pollinationTiming.endHour)}`;
+      const day = toZonedDateString(times.windowStart, timeZone);
+
+      if (now >= times.thirtyMinsBefore && !flags.thirtyMinsBefore) {
+        reminders.push({
+          type: 'thirtyMinsBefore',
+          dedupeKey: `${plant._id}:thirtyMinsBefore:${day}`,
+          title: `🌸 ${plantName} Pollination`,
+          body: `Pollination in 30 minutes! Get your tools ready (${window}).`
+        });
+      } else if (now >= times.oneHourBefore && !flags.oneHourBefore) {
+        reminders.push({
+          type: 'oneHourBefore',
+          dedupeKey: `${plant._id}:oneHourBefore:${day}`,
+          title: `🌸 ${plantName} Pollination`,
+          body: `Pollination starts in 1 hour! ${plantName} is ready at ${this.formatTime(plant.pollinationTiming.startHour)}.`
+        });
+      }
+    }
+
+    // Flowering due: the first flowers of the crop are expected
+    if (plant.status === 'planted' && crop && plant.datePlanted) {
+      const age = Math.floor((now - new Date(plant.datePlanted)) / DAY_MS);
+      const firstFlowers = Math.min(crop.maleFlowering.min, crop.femaleFlowering.min);
+      const lastFlowers = Math.max(crop.maleFlowering.max, crop.femaleFlowering.max) + REMINDER_GRACE_DAYS;
+
+      if (age >= firstFlowers && age <= lastFlowers) {
+        reminders.push({
+          type: 'floweringDue',
+          dedupeKey: `${plant._id}:floweringDue`,
+          title: `🌼 ${plantName} should be flowering`,
+          body: `Your ${plantName} is ${age} days old. Check for flowers and record whether they are male or female.`
+        });
+      }
+    }
+
+    // Harvest due: the crop's harvest days have passed since pollination
+    if (['pollinated', 'fruiting'].includes(plant.status) && crop?.harvest && plant.datePollinated) {
+      const pollinated = new Date(plant.datePollinated);
+      const earliest = new Date(pollinated.getTime() + crop.harvest.min * DAY_MS);
+      const latest = new Date(pollinated.getTime() + (crop.harvest.max + REMINDER_GRACE_DAYS) * DAY_MS);
+
+      if (now >= earliest && now <= latest) {
+        reminders.push({
+          type: 'harvestDue',
+          dedupeKey: `${plant._id}:harvestDue:${pollinated.toISOString().slice(0, 10)}`,
+          title: `🥒 ${plantName} is ready to harvest`,
+          body: `It has been ${crop.harvest.min}+ days since pollination. Check your ${plantName} fruit for harvest.`
+        });
+      }
+    }
+
+    return reminders;
+  }
+
+  /**
+   * Query for plants that may have a reminder due now, so the worker skips plants far from any window
+   * Day ranges span every crop in the catalog; getDueReminders applies each plant's own crop
+   */
+  getReminderCandidateQuery(now = new Date()) {
+    const crops = CropVariety.getCatalog();
+    const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+    const conditions = [
+      // The scheduled day's window is within a day of its date on any farm clock
+      { status: 'pollinated', 'pollinationTiming.scheduledDate': { $gte: daysAgo(2), $lte: daysAgo(-2) } }
+    ];
+
+    const flowering = crops.map(crop => [
+      Math.min(crop.maleFlowering.min, crop.femaleFlowering.min),
+      Math.max(crop.maleFlowering.max, crop.femaleFlowering.max) + REMINDER_GRACE_DAYS
+    ]);
+    if (flowering.length > 0) {
+      conditions.push({
+        status: 'planted',
+        datePlanted: {
+          $gte: daysAgo(Math.max(...flowering.map(([, last]) => last)) + 1),
+          $lte: daysAgo(Math.min(...flowering.map(([first]) => first)))
+        }
+      });
+    }
+
+    const harvests = crops.filter(crop => crop.harvest);
+    if (harvests.length > 0) {
+      conditions.push({
+        status: { $in: ['pollinated', 'fruiting'] },
+        datePollinated: {
+          $gte: daysAgo(Math.max(...harvests.map(crop => crop.harvest.max)) + REMINDER_GRACE_DAYS + 1),
+          $lte: daysAgo(Math.min(...harvests.map(crop => crop.harvest.min)))
+        }
+      });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * Sender used by the push worker (Expo in production, the local stub otherwise)
+   */
+  getPushSender() {
+    if (!this.pushSender) {
+      this.pushSender = createPushSender();
+    }
+    return this.pushSender;
+  }
+
+  /**
+   * Replace the push sender (e.g. with createLocalPushSender() in tests)
+   */
+  setPushSender(sender) {
+    this.pushSender = sender;
+  }
+
+  /**
+   * Send every due reminder to the devices of users with push enabled
+   * @returns {Promise<{deliveries: number, messages: number, retried: number}>}
+   */
+  async dispatchDueReminders(now = new Date()) {
+    const users = await User.find({
+      isActive: true,
+      'pushTokens.0': { $exists: true },
+      'preferences.notifications.push': { $ne: false }
+    }).select('+pushTokens farmLocation');
+
+    if (users.length === 0) return { deliveries: 0, messages: 0 };
+
+    const tokensByUser = new Map(users.map(user => [user._id.toString(), user.pushTokens.map(entry => entry.token)]));
+    const timezoneByUser = new Map(users.map(user => [user._id.toString(), getUserTimezone(user)]));
+    const plants = await Pollination.find({
+      user: { $in: users.map(user => user._id) },
+      ...this.getReminderCandidateQuery(now)
+    }).select(REMINDER_PLANT_FIELDS).lean();
+
+    const outgoing = [];
+    for (const plant of plants) {
+      for (const reminder of this.getDueReminders(plant, now, timezoneByUser.get(plant.user.toString()))) {
+        let delivery;
+        try {
+          delivery = await NotificationDelivery.create({
+            user: plant.user,
+            plant: plant._id,
+            type: reminder.type,
+            dedupeKey: reminder.dedupeKey,
+            title: reminder.title,
+            body: reminder.body,
+            sentAt: now
+          });
+        } catch (error) {
+          // Already delivered by an earlier run (or another server instance)
+          if (error.code === 11000) continue;
+          throw error;
+        }
+
+        delivery.data = { deliveryId: delivery._id.toString(), plantId: plant._id.toString(), type: reminder.type };
+        outgoing.push({ plant, delivery, tokens: tokensByUser.get(plant.user.toString()) || [] });
+      }
+    }
+
+    const messages = outgoing.flatMap(({ delivery, tokens }) => tokens.map(token => ({
+      to: token,
+      title: delivery.title,
+      body: delivery.body,
+      data: delivery.data,
+      sound: 'default',
+      channelId: 'pollination'
+    })));
+
+    let tickets = [];
+    try {
+      tickets = messages.length > 0 ? await this.getPushSender().send(messages) : [];
+    } catch (error) {
+      // Release the dedupe keys so the next run retries these reminders
+      await NotificationDelivery.deleteMany({ _id: { $in: outgoing.map(({ delivery }) => delivery._id) } });
+      throw error;
+    }
+    const unregisteredTokens = new Set();
+    let retried = 0;
+
+    let ticketIndex = 0;
+    for (const { plant, delivery, tokens } of outgoing) {
+      delivery.tickets = tokens.map(token => {
+        const ticket = tickets[ticketIndex++] || { status: 'error', message: 'No ticket returned' };
+        if (ticket.details?.error === 'DeviceNotRegistered') unregisteredTokens.add(token);
+
+        return ticket.status === 'ok'
+          ? { token, ticketId: ticket.id, receiptStatus: 'pending' }
+          : { token, receiptStatus: 'error', error: ticket.details?.error || ticket.message };
+      });
+
+      // None of this reminder's messages reached the push service: release its dedupe key for the next run
+      if (delivery.tickets.length > 0 && delivery.tickets.every(ticket => ticket.error === SEND_FAILED)) {
+        await NotificationDelivery.deleteOne({ _id: delivery._id });
+        retried += 1;
+        continue;
+      }
+
+      delivery.refreshStatus();
+      await delivery.save();
+
+      // Pollination reminders also set the plant flags the app used to set through /notification-sent
+      if (['oneHourBefore', 'thirtyMinsBefore'].includes(delivery.type)) {
+        const flags = { 'pollinationTiming.notificationScheduled.oneHourBefore': true };
+        if (delivery.type === 'thirtyMinsBefore') {
+          flags['pollinationTiming.notificationScheduled.thirtyMinsBefore'] = true;
+        }
+        await Pollination.updateOne({ _id: plant._id }, { $set: flags });
+      }
+    }
+
+    if (unregisteredTokens.size > 0) {
+      await User.removePushTokens([...unregisteredTokens]);
+    }
+
+    return { deliveries: outgoing.length - retried, messages: messages.length, retried };
+  }
+
+  /**
+   * Fetch Expo receipts for sent tickets and record which devices got the notification
+   * @returns {Promise<{checked: number}>}
+   */
+  async checkDeliveryReceipts(now = new Date()) {
+    const deliveries = await NotificationDelivery.find({
+      'tickets.receiptStatus': 'pending',
+      sentAt: { $lte: new Date(now.getTime() - RECEIPT_DELAY) }
+    })
+      .sort({ sentAt: 1 })
+      .limit(RECEIPT_BATCH_SIZE);
+
+    if (deliveries.length === 0) return { checked: 0 };
+
+    const ticketIds = deliveries.flatMap(delivery =>
+      delivery.tickets.filter(ticket => ticket.receiptStatus === 'pending' && ticket.ticketId).map(ticket => ticket.ticketId)
+    );
+    const receipts = ticketIds.length > 0 ? await this.getPushSender().getReceipts(ticketIds) : {};
+    const unregisteredTokens = new Set();
+
+    for (const delivery of deliveries) {
+      const expired = now - delivery.sentAt > RECEIPT_MAX_AGE;
+
+      delivery.tickets.forEach(ticket => {
+        if (ticket.receiptStatus !== 'pending') return;
+
+        const receipt = receipts[ticket.ticketId];
+        if (receipt?.status === 'ok') {
+          ticket.receiptStatus = 'ok';
+        } else if (receipt?.status === 'error') {
+          ticket.receiptStatus = 'error';
+          ticket.error = receipt.details?.error || receipt.message;
+          if (receipt.details?.error === 'DeviceNotRegistered') unregisteredTokens.add(ticket.token);
+        } else if (expired) {
+          ticket.receiptStatus = 'error';
+          ticket.error = 'ReceiptExpired';
+        }
+      });
+
+      delivery.receiptCheckedAt = now;
+      delivery.refreshStatus();
+      await delivery.save();
+    }
+
+    if (unregisteredTokens.size > 0) {
+      await User.removePushTokens([...unregisteredTokens]);
+    }
+
+    return { checked: deliveries.length };
+  }
+
+  /**
+   * Record that the app received or opened a delivered notification
+   * Replaces the POST /:id/notification-sent round trip for push-enabled devices
+   */
+  async acknowledgeDelivery(userId, deliveryId, event) {
+    const delivery = await NotificationDelivery.findOne({ _id: deliveryId, user: userId });
+    if (!delivery) return null;
+
+    const now = new Date();
+    delivery.receivedAt = delivery.receivedAt || now;
+    if (event === 'opened') {
+      delivery.openedAt = delivery.openedAt || now;
+    }
+    delivery.refreshStatus();
+    await delivery.save();
+
+    return delivery;
+  }
+
+  /**
+   * Run one worker pass: send due reminders, then collect receipts
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const sent = await this.dispatchDueReminders(now);
+      const receipts = await this.checkDeliveryReceipts(now);
+      if (sent.deliveries > 0 || sent.retried > 0 || receipts.checked > 0) {
+        const retried = sent.retried > 0 ? `, ${sent.retried} left for the next run after failed sends` : '';
+        console.log(`🔔 Push worker: ${sent.deliveries} reminders (${sent.messages} messages)${retried}, ${receipts.checked} receipts checked`);
+      }
+      return { ...sent, ...receipts };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Start the push worker
+   */
+  start(intervalMs = WORKER_INTERVAL) {
+    if (this.workerTimer) return;
+
+    const tick = () => this.runOnce().catch(error => console.error('Push worker error:', error));
+    this.workerTimer = setInterval(tick, intervalMs);
+    this.workerTimer.unref();
+    tick();
+
+    console.log(`🔔 Push worker started (${this.getPushSender().name} sender, every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the push worker
+   */
+  stop() {
+    clearInterval(this.workerTimer);
+    this.workerTimer = null;
+  }
+
   /**
    * Get pollination summary for a plant
    */
@@ -0,0 +1,104 @@
+/**
+ * Farm-local dates and times
+ *
+ * Pollination windows, reminders and analytics are about the grower's clock, not the server's.
+ * Farms use the timezone saved with their farm location, otherwise FARM_TIMEZONE (Asia/Manila by default).
+ */
+
+const DEFAULT_TIMEZONE = process.env.FARM_TIMEZONE || 'Asia/Manila';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether a string is an IANA timezone this server knows, e.g. "Asia/Manila"
+ */
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The timezone of a user's farm
+ */
+const getUserTimezone = (user) => {
+  const timeZone = user?.farmLocation?.timezone;
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Calendar fields of an instant on a timezone's clock
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date)).reduce((result, part) => {
+    if (part.type !== 'literal') result[part.type] = Number(part.value);
+    return result;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Milliseconds the timezone's clock is ahead of UTC at an instant
+const getOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant it is hour:minute on the same farm-local day as `date`
+ * @param {Date} date - Any instant on the wanted day
+ * @returns {Date}
+ */
+const zonedDateAt = (date, hour, minute = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+
+  // Check the offset again at the result, in case a DST change falls between the two instants
+  const guess = wallClock - getOffset(date, timeZone);
+  return new Date(wallClock - getOffset(guess, timeZone));
+};
+
+/**
+ * The farm-local calendar day of an instant, as YYYY-MM-DD
+ */
+const toZonedDateString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getUserTimezone,
+  getZonedParts,
+  zonedDateAt,
+  toZonedDateString
+};
@@ -211,6 +211,29 @@ const getThumbnailUrl = (cloudinaryId, width = 200, height = 200) => {
   });
 };
 
+/**
+ * Check that a URL points at an image in this app's Cloudinary account
+ * @param {string} url - Image URL, e.g. a scan's imageUrl
+ * @returns {boolean}
+ */
+const isCloudinaryImageUrl = (url) => {
+  if (typeof url !== 'string') return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:' || parsed.hostname !== 'res.cloudinary.com' || parsed.port) {
+    return false;
+  }
+
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  return !cloudName || parsed.pathname.startsWith(`/${cloudName}/`);
+};
+
 /**
  * Middleware for single image upload with automatic Cloudinary upload
  */
@@ -325,6 +348,7 @@ module.exports = {
   deleteFromCloudinary,
   getTransformedUrl,
   getThumbnailUrl,
+  isCloudinaryImageUrl,
   uploadSingleImage,
   uploadMultipleImages
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Pollination = require('../../src/models/Pollination');
+
+// Builds a plant as if it had been loaded from the database, so status changes are validated
+const loadPlant = (status, harvests = []) => Pollination.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  name: 'ampalaya',
+  gender: 'female',
+  datePlanted: new Date('2026-01-01'),
+  status,
+  statusHistory: [{ from: null, to: status, date: new Date('2026-01-01'), source: 'created' }],
+  harvests: harvests.map(harvest => ({ _id: new mongoose.Types.ObjectId(), date: new Date('2026-03-01'), ...harvest }))
+});
+
+for (const status of ['failed', 'removed']) {
+  test(`harvest edits keep a ${status} plant ${status}`, async () => {
+    const plant = loadPlant(status, [{ fruitCount: 4 }, { fruitCount: 2 }]);
+
+    plant.harvests[0].fruitCount = 5;
+    assert.strictEqual(plant.refreshStatusFromHarvests(), status);
+
+    plant.harvests[1].deleteOne();
+    assert.strictEqual(plant.refreshStatusFromHarvests(), status);
+
+    await plant.validate();
+    assert.strictEqual(plant.statusHistory.length, 1);
+  });
+}
+
+test('removing the final harvest reopens a harvested plant', async () => {
+  const plant = loadPlant('harvested', [{ fruitCount: 4 }, { fruitCount: 2, isFinal: true }]);
+
+  plant.harvests[1].deleteOne();
+  assert.strictEqual(plant.refreshStatusFromHarvests(true), 'fruiting');
+
+  await plant.validate();
+  assert.strictEqual(plant.statusHistory.at(-1).source, 'harvest');
+});
+
+test('manual status changes only move forward', async () => {
+  assert.strictEqual(loadPlant('harvested').canTransitionTo('fruiting'), false);
+  assert.strictEqual(loadPlant('pollinated').canTransitionTo('flowering'), false);
+  assert.strictEqual(loadPlant('pollinated').canTransitionTo('flowering', 'pollination'), true);
+
+  const plant = loadPlant('harvested');
+  plant.setStatus('fruiting', { source: 'manual' });
+  await assert.rejects(plant.validate(), /Cannot change status from harvested to fruiting/);
+});
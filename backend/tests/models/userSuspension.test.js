@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../../src/models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const suspendedUser = (suspendUntil) => new User({
+  email: 'grower@example.com',
+  isActive: false,
+  suspendedAt: new Date(Date.now() - 7 * DAY),
+  suspendUntil,
+  suspensionReason: 'Spam in the forum'
+});
+
+test('a timed suspension is reported until it ends', () => {
+  const user = suspendedUser(new Date(Date.now() + DAY));
+
+  assert.strictEqual(user.getSuspension().reason, 'Spam in the forum');
+  assert.strictEqual(user.liftExpiredSuspension(), false);
+  assert.strictEqual(user.isActive, false);
+});
+
+test('an ended suspension is lifted and its fields cleared', () => {
+  const user = suspendedUser(new Date(Date.now() - DAY));
+
+  assert.strictEqual(user.getSuspension(), null);
+  assert.strictEqual(user.liftExpiredSuspension(), true);
+  assert.strictEqual(user.isActive, true);
+  assert.strictEqual(user.suspendedAt, null);
+  assert.strictEqual(user.suspensionReason, null);
+});
+
+test('a suspension without an end date waits for an admin', () => {
+  const user = suspendedUser(null);
+
+  assert.ok(user.getSuspension());
+  assert.strictEqual(user.liftExpiredSuspension(), false);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { User, ForumPost } = require('../../src/models');
+const forumRoutes = require('../../src/routes/forum');
+
+// Stands in for a mongoose query: chainable, and resolves to the result when awaited
+const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const readerId = new mongoose.Types.ObjectId();
+const authorId = new mongoose.Types.ObjectId();
+const postId = new mongoose.Types.ObjectId();
+
+const reader = { _id: readerId, role: 'user', isActive: true, getSuspension: () => null };
+const post = {
+  _id: postId,
+  author: { _id: authorId, firstName: 'Maria', lastName: 'Santos', email: 'maria@example.com' },
+  likes: [],
+  views: 0,
+  commentCount: 0,
+  createdAt: new Date(),
+  save: async () => post,
+  toObject: () => ({ _id: postId, title: 'Bagging ampalaya flowers', content: '...' })
+};
+
+const startServer = () => new Promise(resolve => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/forum', forumRoutes);
+  const server = app.listen(0, () => resolve(server));
+});
+
+test('a signed-in GET /posts/:id returns the reader\'s follow and bookmark state', async (t) => {
+  t.mock.method(User, 'findById', (id) => fakeQuery(
+    String(id) === String(readerId) ? { ...reader, savedPosts: [{ post: postId }] } : null
+  ));
+  t.mock.method(User, 'exists', async () => ({ _id: readerId }));
+  t.mock.method(ForumPost, 'findById', () => fakeQuery(post));
+
+  const server = await startServer();
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/forum/posts/${postId}`;
+
+  // Access tokens carry the user id as userId, like the ones the auth controllers issue
+  const token = jwt.sign({ userId: readerId }, process.env.JWT_SECRET);
+  const signedIn = await (await fetch(url, { headers: { Authorization: `Bearer ${token}` } })).json();
+
+  assert.strictEqual(signedIn.success, true);
+  assert.strictEqual(signedIn.data.isAuthor, false);
+  assert.strictEqual(signedIn.data.isFollowing, true);
+  assert.strictEqual(signedIn.data.isBookmarked, true);
+
+  const anonymous = await (await fetch(url)).json();
+  assert.strictEqual(anonymous.data.isFollowing, undefined);
+  assert.strictEqual(anonymous.data.isBookmarked, undefined);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createExpoPushSender, SEND_FAILED } = require('../../src/services/pushSenderService');
+
+const messages = (count) => Array.from({ length: count }, (_, i) => ({
+  to: `ExponentPushToken[device-${i}]`,
+  title: 'Pollinate ampalaya',
+  body: 'Flowers open in one hour'
+}));
+
+test('a failed Expo request only fails the tickets of its own chunk', async (t) => {
+  let request = 0;
+  t.mock.method(axios, 'post', async (url, batch) => {
+    request += 1;
+    if (request === 2) throw new Error('socket hang up');
+    return { data: { data: batch.map((message, i) => ({ status: 'ok', id: `ticket-${request}-${i}` })) } };
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const tickets = await createExpoPushSender().send(messages(250));
+
+  assert.strictEqual(tickets.length, 250);
+  assert.ok(tickets.slice(0, 100).every(ticket => ticket.status === 'ok'));
+  assert.ok(tickets.slice(100, 200).every(ticket => ticket.status === 'error' && ticket.details.error === SEND_FAILED));
+  assert.ok(tickets.slice(200).every(ticket => ticket.status === 'ok'));
+});
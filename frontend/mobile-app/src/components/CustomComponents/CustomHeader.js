@@ -12,6 +12,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
+import { NotificationBell } from './NotificationBell';
 
 export const CustomHeader = ({ 
   user, 
@@ -67,16 +68,10 @@ export const CustomHeader = ({
 
         {/* Right side - Action Icons */}
         <View style={styles.rightSection}>
-          <TouchableOpacity 
+          <NotificationBell
             style={styles.iconButton}
             onPress={onNotificationPress}
-          >
-            <Ionicons 
-              name="notifications-outline" 
-              size={24} 
-              color="#FFFFFF" 
-            />
-          </TouchableOpacity>
+          />
           
           <TouchableOpacity 
             style={styles.iconButton}
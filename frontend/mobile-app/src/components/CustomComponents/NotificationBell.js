@@ -0,0 +1,74 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { notificationService } from '../../services';
+
+/**
+ * Bell icon with the unread notification count, refreshed whenever the screen gains focus
+ * @param {Function} onPress - Defaults to opening the notifications inbox
+ * @param {string} color - Icon color
+ * @param {Object} style - Style of the touchable
+ */
+export const NotificationBell = ({ onPress, color = '#FFFFFF', style }) => {
+  const navigation = useNavigation();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+
+      notificationService.getUnreadCount()
+        .then(count => {
+          if (isActive) setUnreadCount(count);
+        })
+        .catch(() => {
+          // Keep the last known count; the inbox shows the error
+        });
+
+      return () => {
+        isActive = false;
+      };
+    }, [])
+  );
+
+  const handlePress = onPress || (() => navigation.navigate('Notifications'));
+
+  return (
+    <TouchableOpacity style={style} onPress={handlePress}>
+      <Ionicons
+        name={unreadCount > 0 ? 'notifications' : 'notifications-outline'}
+        size={24}
+        color={color}
+      />
+      {unreadCount > 0 && (
+        <View style={styles.badge}>
+          <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: theme.colors.error,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1.5,
+    borderColor: '#FFFFFF',
+  },
+  badgeText: {
+    fontSize: 10,
+    fontFamily: theme.fonts.semiBold,
+    color: '#FFFFFF',
+  },
+});
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+
+// Replies shown before "View more replies"
+const VISIBLE_REPLIES = 3;
+
+const PLACEHOLDERS = {
+  deleted: 'This comment was deleted',
+  removed: 'This comment was removed by a moderator',
+  flagged: 'This comment is hidden while moderators review it',
+};
+
+/**
+ * A comment and its nested replies
+ * @param {Object} comment - Comment from the comments endpoint, with replies
+ * @param {boolean} canModerate - Show edit and delete on every comment (admins)
+ * @param {boolean} canReply - False when the post is locked
+ * @param {Function} onReply - Called with the comment to reply to
+ * @param {Function} onEdit - Called with the comment to edit
+ * @param {Function} onDelete - Called with the comment to delete
+ * @param {Function} onLike - Called with the comment to like or unlike
+ * @param {Function} onReport - Called with the comment to report
+ */
+export const CommentThread = ({
+  comment,
+  canModerate = false,
+  canReply = true,
+  onReply,
+  onEdit,
+  onDelete,
+  onLike,
+  onReport,
+}) => {
+  const [showAllReplies, setShowAllReplies] = useState(false);
+
+  const isActive = comment.status === 'active';
+  const canManage = isActive && (comment.isAuthor || canModerate);
+  const replies = comment.replies || [];
+  const visibleReplies = showAllReplies ? replies : replies.slice(0, VISIBLE_REPLIES);
+  const hiddenCount = replies.length - visibleReplies.length;
+
+  return (
+    <View style={comment.depth > 0 ? styles.reply : styles.commentCard}>
+      {isActive ? (
+        <>
+          <View style={styles.commentHeader}>
+            <View style={styles.commentAvatar}>
+              <Ionicons name="person" size={16} color={theme.colors.text.secondary} />
+            </View>
+            <View style={styles.commentAuthorInfo}>
+              <Text style={styles.commentAuthor}>{comment.user?.username || 'Anonymous'}</Text>
+              <Text style={styles.commentTime}>
+                {comment.timestamp}{comment.editedAt ? ' · edited' : ''}
+              </Text>
+            </View>
+            {!comment.isAuthor && (
+              <TouchableOpacity style={styles.iconButton} onPress={() => onReport(comment)}>
+                <Ionicons name="flag-outline" size={16} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <Text style={styles.commentContent}>{comment.content}</Text>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.action} onPress={() => onLike(comment)}>
+              <Ionicons
+                name={comment.isLiked ? 'heart' : 'heart-outline'}
+                size={16}
+                color={comment.isLiked ? theme.colors.error : theme.colors.text.secondary}
+              />
+              {comment.likes > 0 && <Text style={styles.actionText}>{comment.likes}</Text>}
+            </TouchableOpacity>
+            {canReply && (
+              <TouchableOpacity style={styles.action} onPress={() => onReply(comment)}>
+                <Ionicons name="arrow-undo-outline" size={16} color={theme.colors.text.secondary} />
+                <Text style={styles.actionText}>Reply</Text>
+              </TouchableOpacity>
+            )}
+            {canManage && (
+              <>
+                <TouchableOpacity style={styles.action} onPress={() => onEdit(comment)}>
+                  <Ionicons name="create-outline" size={16} color={theme.colors.text.secondary} />
+                  <Text style={styles.actionText}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.action} onPress={() => onDelete(comment)}>
+                  <Ionicons name="trash-outline" size={16} color={theme.colors.error} />
+                  <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </>
+      ) : (
+        <Text style={styles.placeholder}>{PLACEHOLDERS[comment.status] || PLACEHOLDERS.deleted}</Text>
+      )}
+
+      {visibleReplies.length > 0 && (
+        <View style={styles.replies}>
+          {visibleReplies.map(reply => (
+            <CommentThread
+              key={reply._id}
+              comment={reply}
+              canModerate={canModerate}
+              canReply={canReply}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onLike={onLike}
+              onReport={onReport}
+            />
+          ))}
+          {hiddenCount > 0 && (
+            <TouchableOpacity onPress={() => setShowAllReplies(true)}>
+              <Text style={styles.moreReplies}>
+                View {hiddenCount} more {hiddenCount === 1 ? 'reply' : 'replies'}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  commentCard: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+  },
+  reply: {
+    paddingTop: theme.spacing.sm,
+  },
+  replies: {
+    marginTop: theme.spacing.sm,
+    paddingLeft: theme.spacing.md,
+    borderLeftWidth: 2,
+    borderLeftColor: theme.colors.background.secondary,
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.sm,
+  },
+  commentAvatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: theme.colors.background.secondary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: theme.spacing.sm,
+  },
+  commentAuthorInfo: {
+    flex: 1,
+  },
+  iconButton: {
+    padding: 4,
+  },
+  commentAuthor: {
+    fontSize: 14,
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.text.primary,
+  },
+  commentTime: {
+    fontSize: 12,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  commentContent: {
+    fontSize: 14,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    lineHeight: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+    gap: theme.spacing.md,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  actionText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+    marginLeft: 4,
+  },
+  deleteText: {
+    color: theme.colors.error,
+  },
+  placeholder: {
+    fontSize: 13,
+    fontFamily: theme.fonts.regular,
+    fontStyle: 'italic',
+    color: theme.colors.text.secondary,
+  },
+  moreReplies: {
+    fontSize: 13,
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.primary,
+    paddingVertical: theme.spacing.sm,
+  },
+});
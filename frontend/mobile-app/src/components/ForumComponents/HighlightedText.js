@@ -0,0 +1,28 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { theme } from '../../styles';
+
+/**
+ * Text with search matches highlighted
+ * @param {Array} segments - [{ text, match }] from the forum search endpoint
+ * @param {Object} style - Style of the whole text
+ * @param {Object} highlightStyle - Extra style for matched words
+ * @param {number} numberOfLines - Truncate after this many lines
+ */
+export const HighlightedText = ({ segments = [], style, highlightStyle, numberOfLines }) => (
+  <Text style={style} numberOfLines={numberOfLines}>
+    {segments.map((segment, index) => (
+      <Text key={index} style={segment.match ? [styles.highlight, highlightStyle] : undefined}>
+        {segment.text}
+      </Text>
+    ))}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  highlight: {
+    backgroundColor: theme.colors.warning + '40',
+    color: theme.colors.text.primary,
+    fontFamily: theme.fonts.semiBold,
+  },
+});
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { forumService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+
+const REASONS = [
+  { value: 'spam', label: 'Spam or advertising', icon: 'megaphone-outline' },
+  { value: 'harassment', label: 'Harassment or hate', icon: 'hand-left-outline' },
+  { value: 'inappropriate', label: 'Inappropriate content', icon: 'eye-off-outline' },
+  { value: 'misinformation', label: 'Wrong or harmful advice', icon: 'alert-circle-outline' },
+  { value: 'off_topic', label: 'Off topic', icon: 'shuffle-outline' },
+  { value: 'other', label: 'Something else', icon: 'ellipsis-horizontal-circle-outline' },
+];
+
+/**
+ * Report a post or comment: pick a reason and optionally explain
+ * @param {string} postId - The reported post, or the post the comment is on
+ * @param {string} commentId - Set to report a comment instead of the post
+ * @param {Function} onClose - Called when the sheet closes
+ */
+export const ReportSheet = ({ postId, commentId, onClose }) => {
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const targetLabel = commentId ? 'comment' : 'post';
+
+  const handleSubmit = async () => {
+    if (reason === 'other' && !details.trim()) {
+      Alert.alert('Add Details', `Tell us what is wrong with this ${targetLabel}.`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    const report = { reason, details: details.trim() || undefined };
+    const response = commentId
+      ? await forumService.reportComment(postId, commentId, report)
+      : await forumService.reportPost(postId, report);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      Alert.alert('Thank You', response.message);
+      onClose();
+    } else {
+      Alert.alert('Unable to Report', response.message);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Report {targetLabel}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.helpText}>
+              Why are you reporting this {targetLabel}? Moderators review every report.
+            </Text>
+
+            {REASONS.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.option, reason === option.value && styles.optionActive]}
+                onPress={() => setReason(option.value)}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={22}
+                  color={reason === option.value ? theme.colors.primary : theme.colors.text.secondary}
+                />
+                <Text style={styles.optionText}>{option.label}</Text>
+                {reason === option.value && (
+                  <Ionicons name="checkmark" size={20} color={theme.colors.primary} />
+                )}
+              </TouchableOpacity>
+            ))}
+
+            {reason && (
+              <TextInput
+                style={styles.input}
+                value={details}
+                onChangeText={setDetails}
+                placeholder={reason === 'other' ? 'Describe the problem' : 'More details (optional)'}
+                multiline
+                maxLength={500}
+                textAlignVertical="top"
+              />
+            )}
+
+            <Button
+              title={isSubmitting ? 'Sending...' : 'Send Report'}
+              onPress={handleSubmit}
+              disabled={!reason || isSubmitting}
+              style={styles.submitButton}
+            />
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+    flex: 1,
+    textTransform: 'capitalize',
+  },
+  helpText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.md,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.md,
+    paddingVertical: theme.spacing.md,
+    paddingHorizontal: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  optionActive: {
+    backgroundColor: theme.colors.primary + '10',
+  },
+  optionText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    flex: 1,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    padding: theme.spacing.sm,
+    minHeight: 80,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+  },
+  submitButton: {
+    marginTop: theme.spacing.md,
+  },
+});
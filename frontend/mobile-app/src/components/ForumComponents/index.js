@@ -0,0 +1,3 @@
+export { ReportSheet } from './ReportSheet';
+export { CommentThread } from './CommentThread';
+export { HighlightedText } from './HighlightedText';
@@ -4,6 +4,7 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
+import { NotificationBell } from '../CustomComponents/NotificationBell';
 
 export const WelcomeHeader = ({ 
   userName, 
@@ -67,16 +68,10 @@ export const WelcomeHeader = ({
 
           {/* Right side - Action Icons */}
           <View style={styles.rightSection}>
-            <TouchableOpacity 
+            <NotificationBell
               style={styles.iconButton}
               onPress={onNotificationPress}
-            >
-              <Ionicons 
-                name="notifications-outline" 
-                size={24} 
-                color="#FFFFFF" 
-              />
-            </TouchableOpacity>
+            />
             
             <TouchableOpacity 
               style={styles.iconButton}
@@ -0,0 +1,359 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+
+const FLOWERING_OPTIONS = [
+  { value: 'male', label: 'Male flowers', icon: 'male', color: '#4A90E2' },
+  { value: 'female', label: 'Female flowers', icon: 'female', color: '#E94B8A' },
+  { value: null, label: 'Flowering, gender not checked', icon: 'flower-outline', color: '#9C27B0' },
+];
+
+const STATUS_OPTIONS = ['flowering', 'pollinated', 'fruiting', 'harvested', 'failed', 'removed'];
+
+const NOTE_TYPES = [
+  { value: 'observation', label: 'Observation' },
+  { value: 'care', label: 'Care' },
+  { value: 'problem', label: 'Problem' },
+  { value: 'milestone', label: 'Milestone' },
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Option list shown from the bottom of the screen
+ */
+const OptionSheet = ({ title, children, onClose }) => (
+  <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+    <View style={styles.modalOverlay}>
+      <View style={styles.modalContent}>
+        <View style={styles.modalHeader}>
+          <Text style={styles.modalTitle}>{title}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+        </View>
+        <ScrollView showsVerticalScrollIndicator={false}>{children}</ScrollView>
+      </View>
+    </View>
+  </Modal>
+);
+
+/**
+ * Actions for the plants selected in the plant list: mark flowering, change status,
+ * add a shared note, or delete. Plants an action does not fit are skipped and listed afterwards.
+ * @param {string[]} selectedIds - Ids of the selected plants
+ * @param {Function} onComplete - Called with the server result after an action ran
+ */
+export const BulkActionBar = ({ selectedIds, onComplete }) => {
+  const [sheet, setSheet] = useState(null);
+  const [noteContent, setNoteContent] = useState('');
+  const [noteType, setNoteType] = useState('observation');
+  const [statusReason, setStatusReason] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const count = selectedIds.length;
+  const plantsLabel = `${count} plant${count === 1 ? '' : 's'}`;
+
+  const runAction = async (action, data) => {
+    try {
+      setIsWorking(true);
+      setSheet(null);
+      const response = await pollinationService.bulkUpdatePollinations(selectedIds, action, data);
+      const { updated, failed } = response.data;
+
+      if (failed.length > 0) {
+        const skipped = failed
+          .slice(0, 5)
+          .map(item => `• ${item.label || 'Plant'}: ${item.message}`)
+          .join('\n');
+        const more = failed.length > 5 ? `\n…and ${failed.length - 5} more` : '';
+        Alert.alert(
+          `${updated.length} of ${count} updated`,
+          `Skipped:\n${skipped}${more}`
+        );
+      }
+
+      onComplete(response.data);
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      Alert.alert('Error', getErrorMessage(error, 'Failed to update the selected plants.'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Plants',
+      `Delete ${plantsLabel} with their photos and records? This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => runAction('delete') }
+      ]
+    );
+  };
+
+  const handleAddNote = () => {
+    if (!noteContent.trim()) {
+      Alert.alert('Missing Note', 'Write the note to add to each plant.');
+      return;
+    }
+    runAction('note', { content: noteContent.trim(), type: noteType });
+    setNoteContent('');
+  };
+
+  const actions = [
+    { id: 'flowering', label: 'Flowering', icon: 'flower-outline', onPress: () => setSheet('flowering') },
+    { id: 'status', label: 'Status', icon: 'flag-outline', onPress: () => setSheet('status') },
+    { id: 'note', label: 'Note', icon: 'document-text-outline', onPress: () => setSheet('note') },
+    { id: 'delete', label: 'Delete', icon: 'trash-outline', onPress: handleDelete, destructive: true },
+  ];
+
+  return (
+    <View style={styles.bar}>
+      {isWorking ? (
+        <View style={styles.working}>
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+          <Text style={styles.workingText}>Updating {plantsLabel}...</Text>
+        </View>
+      ) : (
+        actions.map(action => (
+          <TouchableOpacity
+            key={action.id}
+            style={styles.action}
+            onPress={action.onPress}
+            disabled={count === 0}
+          >
+            <Ionicons
+              name={action.icon}
+              size={22}
+              color={count === 0
+                ? theme.colors.text.secondary
+                : action.destructive ? theme.colors.error : theme.colors.primary}
+            />
+            <Text style={[
+              styles.actionText,
+              action.destructive && styles.destructiveText,
+              count === 0 && styles.disabledText
+            ]}>
+              {action.label}
+            </Text>
+          </TouchableOpacity>
+        ))
+      )}
+
+      {sheet === 'flowering' && (
+        <OptionSheet title={`Mark ${plantsLabel} flowering`} onClose={() => setSheet(null)}>
+          {FLOWERING_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.label}
+              style={styles.option}
+              onPress={() => runAction('flowering', option.value ? { gender: option.value } : {})}
+            >
+              <Ionicons name={option.icon} size={22} color={option.color} />
+              <Text style={styles.optionText}>{option.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </OptionSheet>
+      )}
+
+      {sheet === 'status' && (
+        <OptionSheet title={`Change status of ${plantsLabel}`} onClose={() => setSheet(null)}>
+          <TextInput
+            style={styles.input}
+            value={statusReason}
+            onChangeText={setStatusReason}
+            placeholder="Reason (optional)"
+            maxLength={200}
+          />
+          {STATUS_OPTIONS.map(status => (
+            <TouchableOpacity
+              key={status}
+              style={styles.option}
+              onPress={() => {
+                runAction('status', { newStatus: status, reason: statusReason.trim() || undefined });
+                setStatusReason('');
+              }}
+            >
+              <View style={[styles.statusDot, { backgroundColor: pollinationService.getStatusColor(status) }]} />
+              <Text style={styles.optionText}>{capitalize(status)}</Text>
+            </TouchableOpacity>
+          ))}
+        </OptionSheet>
+      )}
+
+      {sheet === 'note' && (
+        <OptionSheet title={`Add a note to ${plantsLabel}`} onClose={() => setSheet(null)}>
+          <View style={styles.chipRow}>
+            {NOTE_TYPES.map(type => (
+              <TouchableOpacity
+                key={type.value}
+                style={[styles.chip, noteType === type.value && styles.chipActive]}
+                onPress={() => setNoteType(type.value)}
+              >
+                <Text style={[styles.chipText, noteType === type.value && styles.chipTextActive]}>
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={[styles.input, styles.noteInput]}
+            value={noteContent}
+            onChangeText={setNoteContent}
+            placeholder="e.g. Applied fertilizer to the whole bed"
+            multiline
+            maxLength={500}
+            textAlignVertical="top"
+          />
+          <Button title="Add Note" onPress={handleAddNote} style={styles.sheetButton} />
+        </OptionSheet>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  bar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 8,
+  },
+  action: {
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+  },
+  actionText: {
+    ...theme.typography.caption,
+    color: theme.colors.primary,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  destructiveText: {
+    color: theme.colors.error,
+  },
+  disabledText: {
+    color: theme.colors.text.secondary,
+  },
+  working: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+  },
+  workingText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.sm,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+    flex: 1,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.md,
+    paddingVertical: theme.spacing.md,
+    paddingHorizontal: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  optionText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    flex: 1,
+  },
+  statusDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  noteInput: {
+    minHeight: 100,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  sheetButton: {
+    marginTop: theme.spacing.sm,
+  },
+});
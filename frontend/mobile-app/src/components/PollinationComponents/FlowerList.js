@@ -0,0 +1,645 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+import { SimpleDatePicker } from './SimpleDatePicker';
+
+const STAGES = {
+  open: { label: 'Open', color: '#9C27B0', icon: 'flower-outline' },
+  pollinated: { label: 'Pollinated', color: '#2196F3', icon: 'hourglass-outline' },
+  successful: { label: 'Fruit set', color: '#4CAF50', icon: 'checkmark-circle' },
+  failed: { label: 'Failed', color: '#F44336', icon: 'close-circle' },
+};
+
+const OUTCOMES = [
+  { id: 'pending', label: 'Waiting' },
+  { id: 'successful', label: 'Fruit set' },
+  { id: 'failed', label: 'Failed' },
+];
+
+const getStage = (flower) => {
+  if (!flower.pollinationDate) return 'open';
+  return flower.outcome === 'pending' ? 'pollinated' : flower.outcome;
+};
+
+const formatShortDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const formatDateTime = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// Keep the time of day from now on a picked day, without going past the current time
+const withCurrentTime = (day) => {
+  const now = new Date();
+  const date = new Date(day);
+  date.setHours(now.getHours(), now.getMinutes(), 0, 0);
+  return date > now ? now : date;
+};
+
+const getErrorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+/**
+ * Add / edit form for a single tagged flower
+ */
+const FlowerForm = ({ flower, nextTagId, donors, onClose, onSave, onDelete }) => {
+  const [tagId, setTagId] = useState(flower?.tagId || nextTagId || '');
+  const [openDate, setOpenDate] = useState(flower?.openDate ? new Date(flower.openDate) : new Date());
+  const [pollinationDate, setPollinationDate] = useState(flower?.pollinationDate ? new Date(flower.pollinationDate) : null);
+  const [donorPlant, setDonorPlant] = useState(flower?.donorPlant?._id || flower?.donorPlant || null);
+  const [outcome, setOutcome] = useState(flower?.outcome || 'pending');
+  const [fruitTag, setFruitTag] = useState(flower?.fruit?.tagId || '');
+  const [notes, setNotes] = useState(flower?.notes || '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      await onSave({
+        tagId: tagId.trim() || undefined,
+        openDate: openDate.toISOString(),
+        pollinationDate: pollinationDate ? pollinationDate.toISOString() : null,
+        donorPlant,
+        outcome: pollinationDate ? outcome : 'pending',
+        fruit: { tagId: pollinationDate && outcome === 'successful' ? fruitTag.trim() : '' },
+        notes: notes.trim()
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{flower ? `Flower ${flower.tagId}` : 'Tag a Flower'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.fieldLabel}>Tag</Text>
+            <TextInput
+              style={styles.input}
+              value={tagId}
+              onChangeText={setTagId}
+              placeholder={nextTagId || 'F1'}
+              maxLength={20}
+              autoCapitalize="characters"
+            />
+
+            <Text style={styles.fieldLabel}>Opened</Text>
+            <SimpleDatePicker value={openDate} onDateChange={setOpenDate} />
+
+            <Text style={styles.fieldLabel}>Pollinated</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={[styles.chip, !pollinationDate && styles.chipActive]}
+                onPress={() => setPollinationDate(null)}
+              >
+                <Text style={[styles.chipText, !pollinationDate && styles.chipTextActive]}>Not yet</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.chip, !!pollinationDate && styles.chipActive]}
+                onPress={() => setPollinationDate(pollinationDate || new Date())}
+              >
+                <Text style={[styles.chipText, !!pollinationDate && styles.chipTextActive]}>
+                  {pollinationDate ? formatDateTime(pollinationDate) : 'Now'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+            {pollinationDate && (
+              <SimpleDatePicker
+                value={pollinationDate}
+                minimumDate={openDate}
+                onDateChange={(day) => setPollinationDate(withCurrentTime(day))}
+              />
+            )}
+
+            {pollinationDate && (
+              <>
+                <Text style={styles.fieldLabel}>Pollen from</Text>
+                {donors.length === 0 ? (
+                  <Text style={styles.helperText}>No male plants of this type are being tracked.</Text>
+                ) : (
+                  <View style={styles.chipRow}>
+                    <TouchableOpacity
+                      style={[styles.chip, !donorPlant && styles.chipActive]}
+                      onPress={() => setDonorPlant(null)}
+                    >
+                      <Text style={[styles.chipText, !donorPlant && styles.chipTextActive]}>Not recorded</Text>
+                    </TouchableOpacity>
+                    {donors.map(donor => (
+                      <TouchableOpacity
+                        key={donor._id}
+                        style={[styles.chip, donorPlant === donor._id && styles.chipActive]}
+                        onPress={() => setDonorPlant(donor._id)}
+                      >
+                        <Ionicons name="male" size={12} color={donorPlant === donor._id ? '#FFFFFF' : '#4A90E2'} />
+                        <Text style={[styles.chipText, donorPlant === donor._id && styles.chipTextActive]}>
+                          Planted {formatShortDate(donor.datePlanted)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                <Text style={styles.fieldLabel}>Outcome</Text>
+                <View style={styles.chipRow}>
+                  {OUTCOMES.map(option => (
+                    <TouchableOpacity
+                      key={option.id}
+                      style={[styles.chip, outcome === option.id && styles.chipActive]}
+                      onPress={() => setOutcome(option.id)}
+                    >
+                      <Text style={[styles.chipText, outcome === option.id && styles.chipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {outcome === 'successful' && (
+                  <>
+                    <Text style={styles.fieldLabel}>Fruit tag</Text>
+                    <TextInput
+                      style={styles.input}
+                      value={fruitTag}
+                      onChangeText={setFruitTag}
+                      placeholder="Optional"
+                      maxLength={20}
+                      autoCapitalize="characters"
+                    />
+                  </>
+                )}
+              </>
+            )}
+
+            <Text style={styles.fieldLabel}>Notes</Text>
+            <TextInput
+              style={[styles.input, styles.notesInput]}
+              value={notes}
+              onChangeText={setNotes}
+              placeholder="Optional"
+              maxLength={500}
+              multiline
+            />
+
+            <Button
+              title={isSaving ? 'Saving...' : 'Save Flower'}
+              onPress={handleSave}
+              disabled={isSaving}
+              style={styles.saveButton}
+            />
+            {flower && (
+              <TouchableOpacity style={styles.deleteButton} onPress={onDelete} disabled={isSaving}>
+                <Text style={styles.deleteText}>Remove flower</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Tagged flowers on a plant, each with its own pollination and outcome
+ * @param {Object} plant - Pollination record
+ * @param {Function} onPlantChange - Called with { status, gender, datePollinated, flowerSummary } after a change
+ */
+export const FlowerList = ({ plant, onPlantChange }) => {
+  const [flowers, setFlowers] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [nextTagId, setNextTagId] = useState('F1');
+  const [donors, setDonors] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingFlower, setEditingFlower] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [busyFlowerId, setBusyFlowerId] = useState(null);
+
+  useEffect(() => {
+    loadFlowers();
+  }, [plant._id]);
+
+  const loadFlowers = async () => {
+    try {
+      const response = await pollinationService.getFlowers(plant._id);
+      setFlowers(response.data.flowers);
+      setSummary(response.data.summary);
+      setNextTagId(response.data.nextTagId);
+    } catch (error) {
+      console.error('Error loading flowers:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadDonors = async () => {
+    try {
+      const response = await pollinationService.getPollinations({ name: plant.name, limit: 50 });
+      setDonors(response.data.filter(other => other._id !== plant._id && other.gender === 'male'));
+    } catch (error) {
+      console.error('Error loading donor plants:', error);
+      setDonors([]);
+    }
+  };
+
+  const applyResponse = (response) => {
+    if (response.data?.plant) {
+      setSummary(response.data.plant.flowerSummary);
+      onPlantChange?.(response.data.plant);
+    }
+    return loadFlowers();
+  };
+
+  const openForm = (flower = null) => {
+    setEditingFlower(flower);
+    setShowForm(true);
+    loadDonors();
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingFlower(null);
+  };
+
+  const handleSave = async (flowerData) => {
+    try {
+      const response = editingFlower
+        ? await pollinationService.updateFlower(plant._id, editingFlower._id, flowerData)
+        : await pollinationService.addFlower(plant._id, flowerData);
+      closeForm();
+      await applyResponse(response);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to save flower.'));
+    }
+  };
+
+  const handleDelete = () => {
+    const flower = editingFlower;
+    Alert.alert(
+      'Remove Flower',
+      `Remove flower ${flower.tagId} and its pollination record?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await pollinationService.deleteFlower(plant._id, flower._id);
+              closeForm();
+              await applyResponse(response);
+            } catch (error) {
+              Alert.alert('Error', getErrorMessage(error, 'Failed to remove flower.'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // One-tap updates from the list row
+  const quickUpdate = async (flower, flowerData) => {
+    try {
+      setBusyFlowerId(flower._id);
+      const response = await pollinationService.updateFlower(plant._id, flower._id, flowerData);
+      await applyResponse(response);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to update flower.'));
+    } finally {
+      setBusyFlowerId(null);
+    }
+  };
+
+  const canTagFlowers = plant.gender !== 'male' && plant.status !== 'harvested';
+
+  const renderFlower = (flower) => {
+    const stage = getStage(flower);
+    const stageInfo = STAGES[stage];
+    const isBusy = busyFlowerId === flower._id;
+
+    return (
+      <TouchableOpacity key={flower._id} style={styles.flowerRow} onPress={() => openForm(flower)}>
+        <View style={[styles.tagBadge, { borderColor: stageInfo.color }]}>
+          <Text style={[styles.tagText, { color: stageInfo.color }]}>{flower.tagId}</Text>
+        </View>
+
+        <View style={styles.flowerInfo}>
+          <View style={styles.stageRow}>
+            <Ionicons name={stageInfo.icon} size={14} color={stageInfo.color} />
+            <Text style={[styles.stageText, { color: stageInfo.color }]}>{stageInfo.label}</Text>
+          </View>
+          <Text style={styles.flowerMeta}>
+            Opened {formatShortDate(flower.openDate)}
+            {flower.pollinationDate ? ` · Pollinated ${formatDateTime(flower.pollinationDate)}` : ''}
+          </Text>
+          {flower.donorPlant?.datePlanted && (
+            <Text style={styles.flowerMeta}>Pollen from male planted {formatShortDate(flower.donorPlant.datePlanted)}</Text>
+          )}
+          {flower.fruit?.tagId && (
+            <Text style={styles.flowerMeta}>Fruit {flower.fruit.tagId}</Text>
+          )}
+        </View>
+
+        {isBusy ? (
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+        ) : stage === 'open' ? (
+          <TouchableOpacity
+            style={styles.quickButton}
+            onPress={() => quickUpdate(flower, { pollinationDate: new Date().toISOString() })}
+          >
+            <Text style={styles.quickButtonText}>Pollinated</Text>
+          </TouchableOpacity>
+        ) : stage === 'pollinated' ? (
+          <View style={styles.quickActions}>
+            <TouchableOpacity onPress={() => quickUpdate(flower, { outcome: 'successful' })}>
+              <Ionicons name="checkmark-circle-outline" size={28} color="#4CAF50" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => quickUpdate(flower, { outcome: 'failed' })}>
+              <Ionicons name="close-circle-outline" size={28} color="#F44336" />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Ionicons name="chevron-forward" size={18} color={theme.colors.text.secondary} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Flowers{flowers.length > 0 ? ` (${flowers.length})` : ''}</Text>
+        {canTagFlowers && (
+          <TouchableOpacity style={styles.addButton} onPress={() => openForm()}>
+            <Ionicons name="add" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {summary && summary.total > 0 && (
+        <View style={styles.summaryRow}>
+          {['open', 'pollinated', 'successful', 'failed'].map(stage => (
+            <View key={stage} style={styles.summaryItem}>
+              <Text style={[styles.summaryCount, { color: STAGES[stage].color }]}>{summary[stage]}</Text>
+              <Text style={styles.summaryLabel}>{STAGES[stage].label}</Text>
+            </View>
+          ))}
+          {summary.successRate !== null && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryCount}>{summary.successRate}%</Text>
+              <Text style={styles.summaryLabel}>Success</Text>
+            </View>
+          )}
+        </View>
+      )}
+
+      {isLoading ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loader} />
+      ) : flowers.length === 0 ? (
+        <Text style={styles.emptyText}>
+          {canTagFlowers
+            ? 'Tag each female flower as it opens to track its pollination and whether it sets fruit.'
+            : 'No flowers were tagged on this plant.'}
+        </Text>
+      ) : (
+        flowers.map(renderFlower)
+      )}
+
+      {showForm && (
+        <FlowerForm
+          flower={editingFlower}
+          nextTagId={nextTagId}
+          donors={donors}
+          onClose={closeForm}
+          onSave={handleSave}
+          onDelete={handleDelete}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  addButton: {
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.md,
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  summaryItem: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  summaryCount: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  summaryLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    fontSize: 11,
+  },
+  loader: {
+    marginVertical: theme.spacing.md,
+  },
+  emptyText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    paddingVertical: theme.spacing.sm,
+  },
+  flowerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  tagBadge: {
+    minWidth: 44,
+    paddingHorizontal: theme.spacing.xs,
+    paddingVertical: theme.spacing.xs,
+    borderWidth: 2,
+    borderRadius: theme.borderRadius.small,
+    alignItems: 'center',
+    marginRight: theme.spacing.sm,
+  },
+  tagText: {
+    fontWeight: '700',
+    fontSize: 13,
+  },
+  flowerInfo: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  stageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  stageText: {
+    fontWeight: '600',
+    fontSize: 13,
+  },
+  flowerMeta: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  quickButton: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.small,
+  },
+  quickButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 12,
+  },
+  quickActions: {
+    flexDirection: 'row',
+    gap: theme.spacing.xs,
+  },
+
+  // Form
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  fieldLabel: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  helperText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+    backgroundColor: theme.colors.background.primary,
+  },
+  notesInput: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  saveButton: {
+    marginTop: theme.spacing.lg,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  deleteText: {
+    color: theme.colors.error,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,617 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  FlatList,
+  Image,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+import { SimpleDatePicker } from './SimpleDatePicker';
+
+const IMAGE_TYPES = [
+  { id: 'seedling', label: 'Seedling', icon: 'leaf-outline', color: '#FF9800' },
+  { id: 'flower', label: 'Flower', icon: 'flower-outline', color: '#9C27B0' },
+  { id: 'pollination', label: 'Pollination', icon: 'color-wand-outline', color: '#2196F3' },
+  { id: 'fruit', label: 'Fruit', icon: 'nutrition-outline', color: '#4CAF50' },
+  { id: 'harvest', label: 'Harvest', icon: 'basket-outline', color: '#8BC34A' },
+];
+
+const getImageType = (id) => IMAGE_TYPES.find(type => type.id === id) || IMAGE_TYPES[0];
+
+const formatShortDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Days since planting, e.g. "Day 24"
+const getPlantDay = (plant, date) => {
+  if (!plant.datePlanted || !date) return null;
+  const days = Math.floor((new Date(date) - new Date(plant.datePlanted)) / (1000 * 3600 * 24));
+  return Math.max(days, 0);
+};
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Photo kind picker shown before taking a new photo
+ */
+const TypePicker = ({ suggestedType, onClose, onSelect }) => (
+  <Modal visible animationType="fade" transparent onRequestClose={onClose}>
+    <View style={styles.modalOverlay}>
+      <View style={styles.modalContent}>
+        <View style={styles.modalHeader}>
+          <Text style={styles.modalTitle}>What does the photo show?</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+        </View>
+        {IMAGE_TYPES.map(type => (
+          <TouchableOpacity
+            key={type.id}
+            style={[styles.typeOption, type.id === suggestedType && styles.typeOptionSuggested]}
+            onPress={() => onSelect(type.id)}
+          >
+            <Ionicons name={type.icon} size={22} color={type.color} />
+            <Text style={styles.typeOptionText}>{type.label}</Text>
+            {type.id === suggestedType && <Text style={styles.suggestedText}>Current stage</Text>}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  </Modal>
+);
+
+/**
+ * Edit form for a gallery photo
+ */
+const PhotoForm = ({ plant, image, onClose, onSave, onDelete }) => {
+  const [imageType, setImageType] = useState(image.type);
+  const [caption, setCaption] = useState(image.caption || '');
+  const [date, setDate] = useState(new Date(image.date));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      await onSave({ imageType, caption: caption.trim(), date: date.toISOString() });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Edit Photo</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Image source={{ uri: image.url }} style={styles.formImage} />
+
+            <Text style={styles.fieldLabel}>Shows</Text>
+            <View style={styles.chipRow}>
+              {IMAGE_TYPES.map(type => (
+                <TouchableOpacity
+                  key={type.id}
+                  style={[styles.chip, imageType === type.id && styles.chipActive]}
+                  onPress={() => setImageType(type.id)}
+                >
+                  <Text style={[styles.chipText, imageType === type.id && styles.chipTextActive]}>
+                    {type.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.fieldLabel}>Taken</Text>
+            <SimpleDatePicker
+              value={date}
+              minimumDate={new Date(plant.datePlanted)}
+              onDateChange={setDate}
+            />
+
+            <Text style={styles.fieldLabel}>Caption</Text>
+            <TextInput
+              style={styles.input}
+              value={caption}
+              onChangeText={setCaption}
+              placeholder="e.g. First true leaves"
+              maxLength={200}
+            />
+
+            <Button
+              title={isSaving ? 'Saving...' : 'Save Photo'}
+              onPress={handleSave}
+              disabled={isSaving}
+              style={styles.saveButton}
+            />
+            <TouchableOpacity style={styles.deleteButton} onPress={onDelete} disabled={isSaving}>
+              <Text style={styles.deleteText}>Delete photo</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Swipeable progress photo gallery, oldest first, with a before/after comparison
+ * @param {Object} plant - The plant being shown (uses plant.images)
+ * @param {Function} onAddPhoto - Called with the chosen photo type to capture a new photo
+ * @param {Function} onPlantChange - Called with { images } after a photo is edited or deleted
+ */
+export const GrowthGallery = ({ plant, onAddPhoto, onPlantChange }) => {
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [pageWidth, setPageWidth] = useState(0);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [compare, setCompare] = useState(false);
+  const [showTypePicker, setShowTypePicker] = useState(false);
+  const [editingImage, setEditingImage] = useState(null);
+
+  const images = [...(plant.images || [])]
+    .filter(image => typeFilter === 'all' || image.type === typeFilter)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const current = images[Math.min(pageIndex, images.length - 1)];
+  const first = images[0];
+
+  // Start on the newest photo whenever the set of photos changes
+  useEffect(() => {
+    setPageIndex(Math.max(images.length - 1, 0));
+  }, [typeFilter, plant.images?.length]);
+
+  const countsByType = (plant.images || []).reduce((counts, image) => {
+    counts[image.type] = (counts[image.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  const handleSelectType = (imageType) => {
+    setShowTypePicker(false);
+    onAddPhoto?.(imageType);
+  };
+
+  const handleSave = async (imageData) => {
+    try {
+      const response = await pollinationService.updateImage(plant._id, editingImage._id, imageData);
+      setEditingImage(null);
+      onPlantChange?.({ images: response.data.images });
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to update photo.'));
+    }
+  };
+
+  const handleDelete = () => {
+    const image = editingImage;
+    Alert.alert('Delete Photo', 'Remove this photo from the gallery?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const response = await pollinationService.deleteImage(plant._id, image._id);
+            setEditingImage(null);
+            onPlantChange?.({ images: response.data.images });
+          } catch (error) {
+            Alert.alert('Error', getErrorMessage(error, 'Failed to delete photo.'));
+          }
+        }
+      }
+    ]);
+  };
+
+  const renderBadge = (image) => {
+    const type = getImageType(image.type);
+    const day = getPlantDay(plant, image.date);
+    return (
+      <View style={styles.badgeRow}>
+        <View style={[styles.typeBadge, { backgroundColor: type.color }]}>
+          <Ionicons name={type.icon} size={12} color="#FFFFFF" />
+          <Text style={styles.typeBadgeText}>{type.label}</Text>
+        </View>
+        {day !== null && (
+          <View style={styles.dayBadge}>
+            <Text style={styles.dayBadgeText}>Day {day}</Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderPage = ({ item }) => (
+    <TouchableOpacity
+      activeOpacity={0.9}
+      style={{ width: pageWidth }}
+      onLongPress={() => setEditingImage(item)}
+    >
+      <Image source={{ uri: item.url }} style={styles.pageImage} />
+      {renderBadge(item)}
+    </TouchableOpacity>
+  );
+
+  const renderComparison = () => {
+    const daysBetween = (getPlantDay(plant, current.date) ?? 0) - (getPlantDay(plant, first.date) ?? 0);
+    return (
+      <View>
+        <View style={styles.compareRow}>
+          {[{ label: 'Before', image: first }, { label: 'After', image: current }].map(({ label, image }) => (
+            <View key={label} style={styles.compareColumn}>
+              <Image source={{ uri: image.url }} style={styles.compareImage} />
+              {renderBadge(image)}
+              <Text style={styles.compareLabel}>{label} · {formatShortDate(image.date)}</Text>
+            </View>
+          ))}
+        </View>
+        <Text style={styles.compareSummary}>
+          {daysBetween > 0 ? `${daysBetween} days of growth` : 'Swipe to a later photo to compare'}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Growth Gallery</Text>
+        <View style={styles.headerActions}>
+          {images.length > 1 && (
+            <TouchableOpacity
+              style={[styles.iconButton, compare && styles.iconButtonActive]}
+              onPress={() => setCompare(!compare)}
+            >
+              <Ionicons name="git-compare-outline" size={20} color={compare ? '#FFFFFF' : theme.colors.primary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.iconButton} onPress={() => setShowTypePicker(true)}>
+            <Ionicons name="camera-outline" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {(plant.images || []).length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+          {[{ id: 'all', label: 'All' }, ...IMAGE_TYPES].map(type => {
+            const count = type.id === 'all' ? plant.images.length : countsByType[type.id] || 0;
+            if (type.id !== 'all' && count === 0) return null;
+            return (
+              <TouchableOpacity
+                key={type.id}
+                style={[styles.chip, typeFilter === type.id && styles.chipActive]}
+                onPress={() => setTypeFilter(type.id)}
+              >
+                <Text style={[styles.chipText, typeFilter === type.id && styles.chipTextActive]}>
+                  {type.label} ({count})
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
+      {images.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="images-outline" size={48} color={theme.colors.text.secondary} />
+          <Text style={styles.emptyText}>No photos yet</Text>
+          <Text style={styles.emptySubtext}>
+            Take a photo at each stage to watch your plant grow
+          </Text>
+        </View>
+      ) : (
+        <View onLayout={(event) => setPageWidth(event.nativeEvent.layout.width)}>
+          {compare && current !== first ? renderComparison() : pageWidth > 0 && (
+            <FlatList
+              key={`${typeFilter}-${pageWidth}`}
+              data={images}
+              keyExtractor={(item) => item._id}
+              renderItem={renderPage}
+              horizontal
+              pagingEnabled
+              showsHorizontalScrollIndicator={false}
+              initialScrollIndex={Math.min(pageIndex, images.length - 1)}
+              getItemLayout={(data, index) => ({ length: pageWidth, offset: pageWidth * index, index })}
+              onMomentumScrollEnd={(event) => {
+                setPageIndex(Math.round(event.nativeEvent.contentOffset.x / pageWidth));
+              }}
+            />
+          )}
+
+          {current && (
+            <View style={styles.pageFooter}>
+              <View style={styles.pageInfo}>
+                <Text style={styles.pageDate}>{formatShortDate(current.date)}</Text>
+                {!!current.caption && <Text style={styles.pageCaption}>{current.caption}</Text>}
+              </View>
+              <View style={styles.pageActions}>
+                <Text style={styles.pageCounter}>{pageIndex + 1} / {images.length}</Text>
+                <TouchableOpacity onPress={() => setEditingImage(current)}>
+                  <Ionicons name="create-outline" size={20} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+          {compare && current === first && (
+            <Text style={styles.compareSummary}>Swipe to a later photo, then compare it with the first one</Text>
+          )}
+        </View>
+      )}
+
+      {showTypePicker && (
+        <TypePicker
+          suggestedType={pollinationService.getImageTypeForStatus(plant.status)}
+          onClose={() => setShowTypePicker(false)}
+          onSelect={handleSelectType}
+        />
+      )}
+
+      {editingImage && (
+        <PhotoForm
+          plant={plant}
+          image={editingImage}
+          onClose={() => setEditingImage(null)}
+          onSave={handleSave}
+          onDelete={handleDelete}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    gap: theme.spacing.xs,
+  },
+  iconButton: {
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  iconButtonActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  filterRow: {
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: theme.spacing.lg,
+  },
+  emptyText: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.sm,
+  },
+  emptySubtext: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  pageImage: {
+    width: '100%',
+    height: 240,
+    borderRadius: theme.borderRadius.medium,
+  },
+  badgeRow: {
+    position: 'absolute',
+    top: theme.spacing.sm,
+    left: theme.spacing.sm,
+    flexDirection: 'row',
+    gap: theme.spacing.xs,
+  },
+  typeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  typeBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  dayBadge: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  dayBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  pageFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginTop: theme.spacing.sm,
+  },
+  pageInfo: {
+    flex: 1,
+  },
+  pageDate: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+  },
+  pageCaption: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginTop: 2,
+  },
+  pageActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+  },
+  pageCounter: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  compareRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  compareColumn: {
+    flex: 1,
+  },
+  compareImage: {
+    width: '100%',
+    height: 180,
+    borderRadius: theme.borderRadius.medium,
+  },
+  compareLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  compareSummary: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.primary,
+    textAlign: 'center',
+    fontWeight: '600',
+    marginTop: theme.spacing.sm,
+  },
+
+  // Forms
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  typeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.md,
+    paddingVertical: theme.spacing.md,
+    paddingHorizontal: theme.spacing.sm,
+    borderRadius: theme.borderRadius.small,
+  },
+  typeOptionSuggested: {
+    backgroundColor: theme.colors.background.secondary,
+  },
+  typeOptionText: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    flex: 1,
+  },
+  suggestedText: {
+    ...theme.typography.caption,
+    color: theme.colors.primary,
+  },
+  formImage: {
+    width: '100%',
+    height: 160,
+    borderRadius: theme.borderRadius.medium,
+  },
+  fieldLabel: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+    backgroundColor: theme.colors.background.primary,
+  },
+  saveButton: {
+    marginTop: theme.spacing.lg,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  deleteText: {
+    color: theme.colors.error,
+    fontWeight: '600',
+  },
+});
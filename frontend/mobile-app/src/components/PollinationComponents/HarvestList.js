@@ -0,0 +1,690 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Image,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+import { SimpleDatePicker } from './SimpleDatePicker';
+
+const MAX_PHOTOS = 5;
+
+const GRADES = [
+  { id: 'A', label: 'Grade A', color: '#4CAF50' },
+  { id: 'B', label: 'Grade B', color: '#8BC34A' },
+  { id: 'C', label: 'Grade C', color: '#FF9800' },
+  { id: 'reject', label: 'Reject', color: '#F44336' },
+];
+
+const formatShortDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const formatPeso = (amount) => `₱${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const formatWeight = (kg) => `${Number(kg).toLocaleString('en-US', { maximumFractionDigits: 2 })} kg`;
+
+const getGrade = (id) => GRADES.find(grade => grade.id === id);
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.error || data?.message || fallback;
+};
+
+/**
+ * Add / edit form for a single harvest
+ */
+const HarvestForm = ({ harvest, plant, onClose, onSave, onDelete, onDeletePhoto }) => {
+  const [date, setDate] = useState(harvest?.date ? new Date(harvest.date) : new Date());
+  const [fruitCount, setFruitCount] = useState(harvest ? String(harvest.fruitCount) : '');
+  const [weightKg, setWeightKg] = useState(harvest?.weightKg ? String(harvest.weightKg) : '');
+  const [qualityGrade, setQualityGrade] = useState(harvest?.qualityGrade || null);
+  const [salePrice, setSalePrice] = useState(harvest?.salePrice ? String(harvest.salePrice) : '');
+  const [isFinal, setIsFinal] = useState(harvest?.isFinal || false);
+  const [notes, setNotes] = useState(harvest?.notes || '');
+  const [newPhotos, setNewPhotos] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const savedPhotos = harvest?.photos || [];
+  const photoCount = savedPhotos.length + newPhotos.length;
+
+  const handlePickPhoto = async () => {
+    try {
+      if (photoCount >= MAX_PHOTOS) {
+        Alert.alert('Maximum Photos', `You can add up to ${MAX_PHOTOS} photos per harvest.`);
+        return;
+      }
+
+      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission Required', 'Please grant permission to access your photos.');
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsEditing: true,
+        quality: 0.7,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        setNewPhotos([...newPhotos, { uri: result.assets[0].uri }]);
+      }
+    } catch (error) {
+      console.error('Error picking harvest photo:', error);
+      Alert.alert('Error', 'Failed to pick photo');
+    }
+  };
+
+  const handleSave = async () => {
+    const count = parseInt(fruitCount, 10);
+    if (!count || count < 1) {
+      Alert.alert('Fruit Count', 'Enter how many fruits were picked.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await onSave({
+        date: date.toISOString(),
+        fruitCount: count,
+        weightKg: weightKg.trim() ? parseFloat(weightKg) : null,
+        qualityGrade,
+        salePrice: salePrice.trim() ? parseFloat(salePrice) : null,
+        isFinal,
+        notes: notes.trim()
+      }, newPhotos);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{harvest ? 'Edit Harvest' : 'Record Harvest'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.fieldLabel}>Harvested</Text>
+            <SimpleDatePicker
+              value={date}
+              minimumDate={plant.datePollinated ? new Date(plant.datePollinated) : new Date(plant.datePlanted)}
+              onDateChange={setDate}
+            />
+
+            <View style={styles.fieldRow}>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Fruits</Text>
+                <TextInput
+                  style={styles.input}
+                  value={fruitCount}
+                  onChangeText={setFruitCount}
+                  placeholder="0"
+                  keyboardType="number-pad"
+                  maxLength={5}
+                />
+              </View>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Weight (kg)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={weightKg}
+                  onChangeText={setWeightKg}
+                  placeholder="Optional"
+                  keyboardType="decimal-pad"
+                  maxLength={8}
+                />
+              </View>
+            </View>
+
+            <Text style={styles.fieldLabel}>Quality</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={[styles.chip, !qualityGrade && styles.chipActive]}
+                onPress={() => setQualityGrade(null)}
+              >
+                <Text style={[styles.chipText, !qualityGrade && styles.chipTextActive]}>Not graded</Text>
+              </TouchableOpacity>
+              {GRADES.map(grade => (
+                <TouchableOpacity
+                  key={grade.id}
+                  style={[styles.chip, qualityGrade === grade.id && styles.chipActive]}
+                  onPress={() => setQualityGrade(grade.id)}
+                >
+                  <Text style={[styles.chipText, qualityGrade === grade.id && styles.chipTextActive]}>
+                    {grade.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.fieldLabel}>Sold for (₱ total)</Text>
+            <TextInput
+              style={styles.input}
+              value={salePrice}
+              onChangeText={setSalePrice}
+              placeholder="Optional"
+              keyboardType="decimal-pad"
+              maxLength={10}
+            />
+
+            <Text style={styles.fieldLabel}>Photos</Text>
+            <View style={styles.photoRow}>
+              {savedPhotos.map(photo => (
+                <View key={photo._id} style={styles.photoWrapper}>
+                  <Image source={{ uri: photo.url }} style={styles.photo} />
+                  <TouchableOpacity style={styles.photoRemove} onPress={() => onDeletePhoto(photo)}>
+                    <Ionicons name="close-circle" size={20} color={theme.colors.error} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {newPhotos.map((photo, index) => (
+                <View key={photo.uri} style={styles.photoWrapper}>
+                  <Image source={{ uri: photo.uri }} style={styles.photo} />
+                  <TouchableOpacity
+                    style={styles.photoRemove}
+                    onPress={() => setNewPhotos(newPhotos.filter((_, i) => i !== index))}
+                  >
+                    <Ionicons name="close-circle" size={20} color={theme.colors.error} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {photoCount < MAX_PHOTOS && (
+                <TouchableOpacity style={[styles.photo, styles.addPhoto]} onPress={handlePickPhoto}>
+                  <Ionicons name="camera-outline" size={24} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <TouchableOpacity style={styles.finalToggle} onPress={() => setIsFinal(!isFinal)}>
+              <Ionicons
+                name={isFinal ? 'checkbox' : 'square-outline'}
+                size={22}
+                color={isFinal ? theme.colors.primary : theme.colors.text.secondary}
+              />
+              <View style={styles.finalTextWrapper}>
+                <Text style={styles.finalTitle}>Final harvest</Text>
+                <Text style={styles.helperText}>No more fruit expected; the plant is marked as harvested.</Text>
+              </View>
+            </TouchableOpacity>
+
+            <Text style={styles.fieldLabel}>Notes</Text>
+            <TextInput
+              style={[styles.input, styles.notesInput]}
+              value={notes}
+              onChangeText={setNotes}
+              placeholder="Optional"
+              maxLength={500}
+              multiline
+            />
+
+            <Button
+              title={isSaving ? 'Saving...' : 'Save Harvest'}
+              onPress={handleSave}
+              disabled={isSaving}
+              style={styles.saveButton}
+            />
+            {harvest && (
+              <TouchableOpacity style={styles.deleteButton} onPress={onDelete} disabled={isSaving}>
+                <Text style={styles.deleteText}>Remove harvest</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Harvests picked from a plant, with fruit, weight, grade and sales totals
+ * @param {Object} plant - Pollination record
+ * @param {Function} onPlantChange - Called with { status, harvestSummary } after a change
+ */
+export const HarvestList = ({ plant, onPlantChange }) => {
+  const [harvests, setHarvests] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingHarvest, setEditingHarvest] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    loadHarvests();
+  }, [plant._id]);
+
+  const loadHarvests = async () => {
+    try {
+      const response = await pollinationService.getHarvests(plant._id);
+      setHarvests(response.data.harvests);
+      setSummary(response.data.summary);
+    } catch (error) {
+      console.error('Error loading harvests:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const applyResponse = (response) => {
+    if (response.data?.plant) {
+      setSummary(response.data.plant.harvestSummary);
+      onPlantChange?.(response.data.plant);
+    }
+    return loadHarvests();
+  };
+
+  const openForm = (harvest = null) => {
+    setEditingHarvest(harvest);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingHarvest(null);
+  };
+
+  const handleSave = async (harvestData, photos) => {
+    try {
+      const response = editingHarvest
+        ? await pollinationService.updateHarvest(plant._id, editingHarvest._id, harvestData, photos)
+        : await pollinationService.addHarvest(plant._id, harvestData, photos);
+      closeForm();
+      await applyResponse(response);
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to save harvest.'));
+    }
+  };
+
+  const handleDelete = () => {
+    const harvest = editingHarvest;
+    Alert.alert(
+      'Remove Harvest',
+      `Remove the harvest of ${harvest.fruitCount} fruit from ${formatShortDate(harvest.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await pollinationService.deleteHarvest(plant._id, harvest._id);
+              closeForm();
+              await applyResponse(response);
+            } catch (error) {
+              Alert.alert('Error', getErrorMessage(error, 'Failed to remove harvest.'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleDeletePhoto = async (photo) => {
+    try {
+      const response = await pollinationService.deleteHarvestPhoto(plant._id, editingHarvest._id, photo._id);
+      setEditingHarvest(response.data.harvest);
+      await loadHarvests();
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to remove photo.'));
+    }
+  };
+
+  const hasFinalHarvest = harvests.some(harvest => harvest.isFinal);
+  const canRecordHarvest = !hasFinalHarvest;
+
+  const renderHarvest = (harvest) => {
+    const grade = getGrade(harvest.qualityGrade);
+    const details = [
+      harvest.weightKg ? formatWeight(harvest.weightKg) : null,
+      harvest.salePrice ? formatPeso(harvest.salePrice) : null,
+      harvest.photos?.length ? `${harvest.photos.length} photo${harvest.photos.length === 1 ? '' : 's'}` : null,
+    ].filter(Boolean);
+
+    return (
+      <TouchableOpacity key={harvest._id} style={styles.harvestRow} onPress={() => openForm(harvest)}>
+        <View style={styles.countBadge}>
+          <Text style={styles.countText}>{harvest.fruitCount}</Text>
+          <Text style={styles.countLabel}>fruit</Text>
+        </View>
+
+        <View style={styles.harvestInfo}>
+          <View style={styles.harvestTitleRow}>
+            <Text style={styles.harvestDate}>{formatShortDate(harvest.date)}</Text>
+            {grade && (
+              <View style={[styles.gradeBadge, { backgroundColor: grade.color }]}>
+                <Text style={styles.gradeText}>{grade.label}</Text>
+              </View>
+            )}
+            {harvest.isFinal && (
+              <View style={[styles.gradeBadge, styles.finalBadge]}>
+                <Text style={styles.gradeText}>Final</Text>
+              </View>
+            )}
+          </View>
+          {details.length > 0 && <Text style={styles.harvestMeta}>{details.join(' · ')}</Text>}
+        </View>
+
+        <Ionicons name="chevron-forward" size={18} color={theme.colors.text.secondary} />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Harvests{harvests.length > 0 ? ` (${harvests.length})` : ''}</Text>
+        {canRecordHarvest && (
+          <TouchableOpacity style={styles.addButton} onPress={() => openForm()}>
+            <Ionicons name="add" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {summary && summary.count > 0 && (
+        <View style={styles.summaryRow}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryCount}>{summary.fruitCount}</Text>
+            <Text style={styles.summaryLabel}>Fruit</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryCount}>{summary.weightKg > 0 ? formatWeight(summary.weightKg) : '—'}</Text>
+            <Text style={styles.summaryLabel}>Weight</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryCount}>{summary.revenue > 0 ? formatPeso(summary.revenue) : '—'}</Text>
+            <Text style={styles.summaryLabel}>Sales</Text>
+          </View>
+        </View>
+      )}
+
+      {isLoading ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loader} />
+      ) : harvests.length === 0 ? (
+        <Text style={styles.emptyText}>
+          Record each picking to track how much this plant yields and what it sells for.
+        </Text>
+      ) : (
+        harvests.map(renderHarvest)
+      )}
+
+      {showForm && (
+        <HarvestForm
+          harvest={editingHarvest}
+          plant={plant}
+          onClose={closeForm}
+          onSave={handleSave}
+          onDelete={handleDelete}
+          onDeletePhoto={handleDeletePhoto}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  addButton: {
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.md,
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  summaryItem: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  summaryCount: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  summaryLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    fontSize: 11,
+  },
+  loader: {
+    marginVertical: theme.spacing.md,
+  },
+  emptyText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    paddingVertical: theme.spacing.sm,
+  },
+  harvestRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  countBadge: {
+    minWidth: 48,
+    paddingVertical: theme.spacing.xs,
+    borderWidth: 2,
+    borderColor: '#4CAF50',
+    borderRadius: theme.borderRadius.small,
+    alignItems: 'center',
+    marginRight: theme.spacing.sm,
+  },
+  countText: {
+    fontWeight: '700',
+    fontSize: 15,
+    color: '#4CAF50',
+  },
+  countLabel: {
+    fontSize: 10,
+    color: theme.colors.text.secondary,
+  },
+  harvestInfo: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  harvestTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  harvestDate: {
+    fontWeight: '600',
+    fontSize: 14,
+    color: theme.colors.text.primary,
+  },
+  gradeBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  finalBadge: {
+    backgroundColor: theme.colors.primary,
+  },
+  gradeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  harvestMeta: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+
+  // Form
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  fieldColumn: {
+    flex: 1,
+  },
+  fieldLabel: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  helperText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+    backgroundColor: theme.colors.background.primary,
+  },
+  notesInput: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  photoRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+  },
+  photoWrapper: {
+    position: 'relative',
+  },
+  photo: {
+    width: 64,
+    height: 64,
+    borderRadius: theme.borderRadius.small,
+  },
+  photoRemove: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    backgroundColor: theme.colors.surface,
+    borderRadius: 10,
+  },
+  addPhoto: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#BDBDBD',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  finalToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  finalTextWrapper: {
+    flex: 1,
+  },
+  finalTitle: {
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  saveButton: {
+    marginTop: theme.spacing.lg,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  deleteText: {
+    color: theme.colors.error,
+    fontWeight: '600',
+  },
+});
@@ -4,7 +4,17 @@ import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
 import { pollinationService } from '../../services';
 
-export const PlantCard = ({ plant, onPress, onEdit, onDelete }) => {
+// In selection mode the card shows a checkbox instead of its Edit/Delete actions;
+// a long press is how the list enters selection mode
+export const PlantCard = ({
+  plant,
+  onPress,
+  onLongPress,
+  onEdit,
+  onDelete,
+  selectionMode = false,
+  isSelected = false
+}) => {
   const getStatusColor = (status) => pollinationService.getStatusColor(status);
   const getPollinationStatus = () => pollinationService.getPollinationStatus(plant.estimatedDates, plant.datePollinated);
   
@@ -29,14 +39,28 @@ export const PlantCard = ({ plant, onPress, onEdit, onDelete }) => {
   const plantAge = calculateAge();
 
   return (
-    <TouchableOpacity style={styles.card} onPress={onPress}>
+    <TouchableOpacity
+      style={[styles.card, isSelected && styles.cardSelected]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
       <View style={styles.header}>
+        {selectionMode && (
+          <Ionicons
+            name={isSelected ? 'checkbox' : 'square-outline'}
+            size={24}
+            color={isSelected ? theme.colors.primary : theme.colors.text.secondary}
+            style={styles.checkbox}
+          />
+        )}
         <View style={styles.plantInfo}>
           <Text style={styles.plantName}>
-            {pollinationService.formatPlantName(plant.name, 'english')}
+            {plant.label || pollinationService.formatPlantName(plant.name, 'english')}
           </Text>
           <Text style={styles.plantNameTagalog}>
-            {pollinationService.formatPlantName(plant.name, 'tagalog')}
+            {plant.label
+              ? `${pollinationService.formatPlantName(plant.name, 'english')} (${pollinationService.formatPlantName(plant.name, 'tagalog')})`
+              : pollinationService.formatPlantName(plant.name, 'tagalog')}
           </Text>
           <View style={styles.ageContainer}>
             <Text style={styles.ageText}>{plantAge} days old</Text>
@@ -54,9 +78,9 @@ export const PlantCard = ({ plant, onPress, onEdit, onDelete }) => {
       </View>
 
       {/* Plant Image */}
-      {plant.image && plant.image.url && (
+      {plant.coverImage?.url && (
         <Image 
-          source={{ uri: plant.image.url }} 
+          source={{ uri: plant.coverImage.url }} 
           style={styles.plantImage}
           resizeMode="cover"
         />
@@ -117,29 +141,30 @@ export const PlantCard = ({ plant, onPress, onEdit, onDelete }) => {
           </View>
         )}
 
-        {plant.location?.garden && (
+        {plant.plot?.name && (
           <View style={styles.detailRow}>
             <Ionicons name="location-outline" size={16} color={theme.colors.text.secondary} />
             <Text style={styles.detailText}>
-              {plant.location.garden}
-              {plant.location.plot && ` - Plot ${plant.location.plot}`}
+              {pollinationService.formatPlantLocation(plant)}
             </Text>
           </View>
         )}
       </View>
 
       {/* Action Buttons */}
-      <View style={styles.actions}>
-        <TouchableOpacity style={styles.actionButton} onPress={onEdit}>
-          <Ionicons name="create-outline" size={20} color={theme.colors.primary} />
-          <Text style={styles.actionText}>Edit</Text>
-        </TouchableOpacity>
-        
-        <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={onDelete}>
-          <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
-          <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
-        </TouchableOpacity>
-      </View>
+      {!selectionMode && (
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={onEdit}>
+            <Ionicons name="create-outline" size={20} color={theme.colors.primary} />
+            <Text style={styles.actionText}>Edit</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={onDelete}>
+            <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+            <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </TouchableOpacity>
   );
 };
@@ -155,6 +180,14 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
     elevation: 3,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  cardSelected: {
+    borderColor: theme.colors.primary,
+  },
+  checkbox: {
+    marginRight: theme.spacing.sm,
   },
   header: {
     flexDirection: 'row',
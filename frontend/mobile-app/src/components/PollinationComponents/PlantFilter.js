@@ -17,6 +17,8 @@ export const PlantFilter = ({
     { value: 'pollinated', label: 'Pollinated', icon: 'heart' },
     { value: 'fruiting', label: 'Fruiting', icon: 'nutrition' },
     { value: 'harvested', label: 'Harvested', icon: 'checkmark-circle' },
+    { value: 'failed', label: 'Failed', icon: 'close-circle' },
+    { value: 'removed', label: 'Removed', icon: 'trash' },
   ];
 
   const sortOptions = [
@@ -40,14 +42,7 @@ export const PlantFilter = ({
   };
 
   const formatPlantName = (name) => {
-    const plantNames = {
-      ampalaya: 'Ampalaya',
-      patola: 'Patola',
-      upo: 'Upo',
-      kalabasa: 'Kalabasa',
-      kundol: 'Kundol',
-    };
-    return plantNames[name] || name;
+    return plantTypes.find(plant => plant.value === name)?.tagalog || name;
   };
 
   return (
@@ -112,11 +107,7 @@ export const PlantFilter = ({
         <FlatList
           data={[
             { value: '', label: 'All Plants' },
-            { value: 'ampalaya', label: 'Ampalaya' },
-            { value: 'patola', label: 'Patola' },
-            { value: 'upo', label: 'Upo' },
-            { value: 'kalabasa', label: 'Kalabasa' },
-            { value: 'kundol', label: 'Kundol' },
+            ...plantTypes.map(plant => ({ value: plant.value, label: plant.tagalog })),
           ]}
           horizontal
           showsHorizontalScrollIndicator={false}
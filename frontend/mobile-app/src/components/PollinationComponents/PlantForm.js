@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -14,6 +14,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
 import { Button } from '../CustomComponents/Button';
 import { ImageCapture } from './ImageCapture';
+import { pollinationService } from '../../services';
 
 export const PlantForm = ({ 
   initialData = {}, 
@@ -22,11 +23,23 @@ export const PlantForm = ({
   title = 'Add New Plant',
   isLoading = false 
 }) => {
+  // Several plants can be added at once, but only when creating
+  const isCreating = !initialData.name;
+  const maxBatchSize = 100;
+
   const [formData, setFormData] = useState({
     name: initialData.name || 'ampalaya',
+    label: initialData.label || '',
+    count: '1',
+    namingPattern: '',
+    startNumber: '1',
     datePlanted: initialData.datePlanted ? new Date(initialData.datePlanted) : new Date(),
     gender: initialData.gender || 'undetermined',
-    notes: initialData.notes?.[0]?.content || ''
+    notes: initialData.notes?.[0]?.content || '',
+    // initialData.plot may be populated ({ _id, name, dimensions }) or a bare id
+    plot: initialData.plot?._id || initialData.plot || '',
+    row: initialData.location?.row ? String(initialData.location.row) : '',
+    position: initialData.location?.position ? String(initialData.location.position) : ''
   });
 
   const [showPlantTypeModal, setShowPlantTypeModal] = useState(false);
@@ -40,13 +53,44 @@ export const PlantForm = ({
   const [selectedMonth, setSelectedMonth] = useState(formData.datePlanted.getMonth());
   const [selectedDay, setSelectedDay] = useState(formData.datePlanted.getDate());
 
-  const plantTypes = [
-    { value: 'ampalaya', english: 'Bitter Gourd', tagalog: 'Ampalaya' },
-    { value: 'patola', english: 'Sponge Gourd', tagalog: 'Patola' },
-    { value: 'upo', english: 'Bottle Gourd', tagalog: 'Upo' },
-    { value: 'kalabasa', english: 'Squash', tagalog: 'Kalabasa' },
-    { value: 'kundol', english: 'Winter Melon', tagalog: 'Kundol' },
-  ];
+  const [plantTypes, setPlantTypes] = useState(() =>
+    Object.entries(pollinationService.plantTypes).map(([value, names]) => ({ value, ...names }))
+  );
+
+  // Crop list comes from the admin-managed catalog
+  useEffect(() => {
+    let isMounted = true;
+    pollinationService.getPlantTypeOptions().then(options => {
+      if (isMounted) setPlantTypes(options);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const [plots, setPlots] = useState([]);
+
+  // Garden plots the plant can be placed on
+  useEffect(() => {
+    let isMounted = true;
+    pollinationService.getPlots()
+      .then(response => {
+        if (isMounted) setPlots(response.data.plots);
+      })
+      .catch(error => console.error('Error loading plots:', error));
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const selectedPlot = plots.find(plot => plot._id === formData.plot);
+  const count = parseInt(formData.count, 10) || 1;
+  const isBatch = isCreating && count > 1;
+
+  const handleCountStep = (step) => {
+    const next = Math.min(Math.max(count + step, 1), maxBatchSize);
+    handleInputChange('count', String(next));
+  };
 
   const genderTypes = [
     { value: 'undetermined', label: 'Not Determined Yet' },
@@ -85,17 +129,40 @@ export const PlantForm = ({
       return;
     }
 
+    if (isBatch && count > maxBatchSize) {
+      Alert.alert('Too Many Plants', `You can add up to ${maxBatchSize} plants at a time.`);
+      return;
+    }
+
+    const row = parseInt(formData.row, 10) || null;
+    const position = parseInt(formData.position, 10) || null;
+    if (formData.plot && Boolean(row) !== Boolean(position)) {
+      Alert.alert('Incomplete Location', 'Enter both the row and the position, or leave both empty.');
+      return;
+    }
+
     // Prepare data for submission
     const submissionData = {
       name: formData.name,
       datePlanted: formData.datePlanted.toISOString(),
       gender: formData.gender,
+      plot: formData.plot || null,
+      location: formData.plot && row && position ? { row, position } : null,
       // Only include notes if provided
-      notes: formData.notes.trim() || undefined,
-      // Include captured image
-      image: capturedImage
+      notes: formData.notes.trim() || undefined
     };
 
+    if (isBatch) {
+      // A batch is named by pattern and fills the plot from the chosen spot
+      submissionData.count = count;
+      submissionData.namingPattern = formData.namingPattern.trim() || undefined;
+      submissionData.startNumber = parseInt(formData.startNumber, 10) || 1;
+    } else {
+      submissionData.label = formData.label.trim() || undefined;
+      // Include captured image
+      submissionData.image = capturedImage;
+    }
+
     onSubmit(submissionData);
   };
 
@@ -107,7 +174,12 @@ export const PlantForm = ({
     setCapturedImage(null);
   };
 
-  const selectedPlant = plantTypes.find(plant => plant.value === formData.name);
+  // Plants of a deactivated crop are no longer offered but still need a label
+  const selectedPlant = plantTypes.find(plant => plant.value === formData.name) || {
+    value: formData.name,
+    english: pollinationService.formatPlantName(formData.name, 'english'),
+    tagalog: pollinationService.formatPlantName(formData.name, 'tagalog'),
+  };
 
   return (
     <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
@@ -132,6 +204,85 @@ export const PlantForm = ({
         </TouchableOpacity>
       </View>
 
+      {/* Number of plants */}
+      {isCreating && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Number of Plants</Text>
+          <Text style={styles.sectionSubtitle}>
+            Add every seed you sowed today in one go
+          </Text>
+          <View style={styles.countRow}>
+            <TouchableOpacity
+              style={styles.countButton}
+              onPress={() => handleCountStep(-1)}
+              disabled={count <= 1}
+            >
+              <Ionicons name="remove" size={20} color={count <= 1 ? theme.colors.text.secondary : theme.colors.primary} />
+            </TouchableOpacity>
+            <TextInput
+              style={styles.countInput}
+              value={formData.count}
+              onChangeText={(value) => handleInputChange('count', value.replace(/[^0-9]/g, ''))}
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+            <TouchableOpacity
+              style={styles.countButton}
+              onPress={() => handleCountStep(1)}
+              disabled={count >= maxBatchSize}
+            >
+              <Ionicons name="add" size={20} color={count >= maxBatchSize ? theme.colors.text.secondary : theme.colors.primary} />
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {/* Plant names */}
+      {isBatch ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Naming Pattern</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="{variety} #{n}"
+            value={formData.namingPattern}
+            onChangeText={(value) => handleInputChange('namingPattern', value)}
+            maxLength={50}
+            autoCapitalize="none"
+          />
+          <Text style={styles.helperText}>
+            {'{n}'} is the plant number and {'{variety}'} the plant type
+          </Text>
+          <View style={styles.locationField}>
+            <Text style={styles.locationLabel}>Start numbering at</Text>
+            <TextInput
+              style={styles.locationInput}
+              value={formData.startNumber}
+              onChangeText={(value) => handleInputChange('startNumber', value.replace(/[^0-9]/g, ''))}
+              keyboardType="number-pad"
+              maxLength={4}
+            />
+          </View>
+          <View style={styles.plantInfo}>
+            <Text style={styles.plantPreviewText}>
+              {pollinationService.formatBatchLabel(formData.namingPattern, parseInt(formData.startNumber, 10) || 1, selectedPlant?.english)}
+              {' … '}
+              {pollinationService.formatBatchLabel(formData.namingPattern, (parseInt(formData.startNumber, 10) || 1) + count - 1, selectedPlant?.english)}
+            </Text>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Label (Optional)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={`e.g. ${selectedPlant?.english} #1`}
+            value={formData.label}
+            onChangeText={(value) => handleInputChange('label', value)}
+            maxLength={60}
+          />
+        </View>
+      )}
+
       {/* Date Planted */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Date Planted</Text>
@@ -168,6 +319,60 @@ export const PlantForm = ({
         </TouchableOpacity>
       </View>
 
+      {/* Plot Location */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Plot Location (Optional)</Text>
+        <Text style={styles.sectionSubtitle}>
+          {isBatch
+            ? 'The plants fill free spots row by row, starting from the row and position below (or the first spot)'
+            : 'Where the plant grows, so you can find it on the plot grid'}
+        </Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.plotChips}>
+          {[{ _id: '', name: 'No plot' }, ...plots].map(plot => (
+            <TouchableOpacity
+              key={plot._id || 'none'}
+              style={[styles.plotChip, formData.plot === plot._id && styles.plotChipActive]}
+              onPress={() => handleInputChange('plot', plot._id)}
+            >
+              <Text style={[styles.plotChipText, formData.plot === plot._id && styles.plotChipTextActive]}>
+                {plot.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {formData.plot !== '' && (
+          <View style={styles.locationRow}>
+            <View style={styles.locationField}>
+              <Text style={styles.locationLabel}>
+                Row{selectedPlot ? ` (1-${selectedPlot.dimensions.rows})` : ''}
+              </Text>
+              <TextInput
+                style={styles.locationInput}
+                value={formData.row}
+                onChangeText={(value) => handleInputChange('row', value.replace(/[^0-9]/g, ''))}
+                placeholder="Row"
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+            <View style={styles.locationField}>
+              <Text style={styles.locationLabel}>
+                Position{selectedPlot ? ` (1-${selectedPlot.dimensions.positionsPerRow})` : ''}
+              </Text>
+              <TextInput
+                style={styles.locationInput}
+                value={formData.position}
+                onChangeText={(value) => handleInputChange('position', value.replace(/[^0-9]/g, ''))}
+                placeholder="Position"
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+          </View>
+        )}
+      </View>
+
       {/* Initial Notes */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Initial Notes (Optional)</Text>
@@ -187,34 +392,36 @@ export const PlantForm = ({
       </View>
 
       {/* Plant Photo */}
-      <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Plant Photo (Optional)</Text>
-        <Text style={styles.sectionSubtitle}>
-          Add a photo to track your plant's growth
-        </Text>
-        
-        {capturedImage && (
-          <View style={styles.imageContainer}>
-            <Image source={{ uri: capturedImage.uri }} style={styles.plantImage} />
-            <TouchableOpacity 
-              style={styles.removeImageButton}
-              onPress={removeImage}
-            >
-              <Ionicons name="close-circle" size={24} color="#FF6B6B" />
-            </TouchableOpacity>
-          </View>
-        )}
-        
-        <TouchableOpacity 
-          style={styles.addPhotoButton}
-          onPress={() => setShowImageCapture(true)}
-        >
-          <Ionicons name="camera" size={24} color={theme.colors.primary} />
-          <Text style={styles.addPhotoText}>
-            {capturedImage ? 'Change Photo' : 'Add Photo'}
+      {!isBatch && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Plant Photo (Optional)</Text>
+          <Text style={styles.sectionSubtitle}>
+            Add a photo to track your plant's growth
           </Text>
-        </TouchableOpacity>
-      </View>
+          
+          {capturedImage && (
+            <View style={styles.imageContainer}>
+              <Image source={{ uri: capturedImage.uri }} style={styles.plantImage} />
+              <TouchableOpacity 
+                style={styles.removeImageButton}
+                onPress={removeImage}
+              >
+                <Ionicons name="close-circle" size={24} color="#FF6B6B" />
+              </TouchableOpacity>
+            </View>
+          )}
+          
+          <TouchableOpacity 
+            style={styles.addPhotoButton}
+            onPress={() => setShowImageCapture(true)}
+          >
+            <Ionicons name="camera" size={24} color={theme.colors.primary} />
+            <Text style={styles.addPhotoText}>
+              {capturedImage ? 'Change Photo' : 'Add Photo'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
 
       {/* Submit Buttons */}
       <View style={styles.buttonContainer}>
@@ -225,7 +432,7 @@ export const PlantForm = ({
           style={styles.cancelButton}
         />
         <Button
-          title={initialData.name ? 'Update Plant' : 'Add Plant'}
+          title={!isCreating ? 'Update Plant' : isBatch ? `Add ${count} Plants` : 'Add Plant'}
           onPress={handleSubmit}
           disabled={isLoading}
           style={styles.submitButton}
@@ -248,23 +455,25 @@ export const PlantForm = ({
               </TouchableOpacity>
             </View>
             
-            {plantTypes.map((plant) => (
-              <TouchableOpacity
-                key={plant.value}
-                style={styles.modalOption}
-                onPress={() => {
-                  handleInputChange('name', plant.value);
-                  setShowPlantTypeModal(false);
-                }}
-              >
-                <Text style={styles.modalOptionText}>
-                  {plant.english} ({plant.tagalog})
-                </Text>
-                {formData.name === plant.value && (
-                  <Ionicons name="checkmark" size={20} color={theme.colors.primary} />
-                )}
-              </TouchableOpacity>
-            ))}
+            <ScrollView style={styles.modalList}>
+              {plantTypes.map((plant) => (
+                <TouchableOpacity
+                  key={plant.value}
+                  style={styles.modalOption}
+                  onPress={() => {
+                    handleInputChange('name', plant.value);
+                    setShowPlantTypeModal(false);
+                  }}
+                >
+                  <Text style={styles.modalOptionText}>
+                    {plant.english} ({plant.tagalog})
+                  </Text>
+                  {formData.name === plant.value && (
+                    <Ionicons name="checkmark" size={20} color={theme.colors.primary} />
+                  )}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
           </View>
         </View>
       </Modal>
@@ -535,6 +744,9 @@ const styles = StyleSheet.create({
     ...theme.typography.h2,
     color: theme.colors.text.primary,
   },
+  modalList: {
+    flexGrow: 0,
+  },
   modalOption: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -548,6 +760,77 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     flex: 1,
   },
+  plotChips: {
+    gap: theme.spacing.xs,
+  },
+  plotChip: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    backgroundColor: theme.colors.surface,
+  },
+  plotChipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  plotChipText: {
+    ...theme.typography.caption,
+    color: theme.colors.text.primary,
+  },
+  plotChipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  countRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+  },
+  countButton: {
+    width: 44,
+    height: 44,
+    borderRadius: theme.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    backgroundColor: theme.colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  countInput: {
+    width: 72,
+    textAlign: 'center',
+    backgroundColor: theme.colors.surface,
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  locationField: {
+    flex: 1,
+  },
+  locationLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  locationInput: {
+    backgroundColor: theme.colors.surface,
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+  },
   textArea: {
     backgroundColor: theme.colors.surface,
     padding: theme.spacing.md,
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+
+const FILTERS = [
+  { id: 'all', label: 'All', types: [] },
+  { id: 'status', label: 'Status', types: ['status'] },
+  { id: 'note', label: 'Notes', types: ['note'] },
+  { id: 'image', label: 'Photos', types: ['image'] },
+  { id: 'scan', label: 'Scans', types: ['scan', 'pollination'] },
+];
+
+const EVENT_ICONS = {
+  status: 'flag',
+  note: 'document-text-outline',
+  image: 'image-outline',
+  scan: 'scan-outline',
+  pollination: 'flower-outline',
+};
+
+// How many entries to show before "Show all"
+const COLLAPSED_COUNT = 8;
+
+const SOURCE_LABELS = {
+  created: 'Added',
+  manual: 'Set by you',
+  flower: 'From flower tracking',
+  pollination: 'From pollination',
+  harvest: 'From harvest records',
+  scan: 'From a scan',
+  system: 'Automatic',
+};
+
+const formatDateTime = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const getEventColor = (event) => {
+  if (event.type === 'status') return pollinationService.getStatusColor(event.data.to);
+  if (event.type === 'pollination') {
+    return event.data.result === 'Failed' ? '#F44336' : '#2196F3';
+  }
+  return theme.colors.text.secondary;
+};
+
+/**
+ * Plant history: status changes, notes, photos, scans and pollination checks, newest first
+ * @param {Object} plant - The plant being shown
+ * @param {*} refreshKey - Change to reload the timeline (e.g. the plant's updatedAt)
+ */
+export const PlantTimeline = ({ plant, refreshKey }) => {
+  const [events, setEvents] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [plant._id, filter, refreshKey]);
+
+  const loadTimeline = async () => {
+    try {
+      setIsLoading(true);
+      const { types } = FILTERS.find(option => option.id === filter);
+      const response = await pollinationService.getTimeline(plant._id, { types });
+      setEvents(response.data.events);
+    } catch (error) {
+      console.error('Error loading plant timeline:', error);
+      setEvents([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderEvent = (event, index, shown) => {
+    const color = getEventColor(event);
+    const isLast = index === shown.length - 1;
+
+    return (
+      <View key={`${event.type}-${event.id}`} style={styles.eventRow}>
+        <View style={styles.rail}>
+          <View style={[styles.dot, { backgroundColor: color }]}>
+            <Ionicons name={EVENT_ICONS[event.type]} size={12} color="#FFFFFF" />
+          </View>
+          {!isLast && <View style={styles.line} />}
+        </View>
+
+        <View style={styles.eventBody}>
+          <View style={styles.eventHeader}>
+            <Text style={styles.eventTitle}>{event.title}</Text>
+            <Text style={styles.eventDate}>{formatDateTime(event.date)}</Text>
+          </View>
+          {!!event.detail && <Text style={styles.eventDetail}>{event.detail}</Text>}
+          {event.type === 'status' && (
+            <Text style={styles.eventMeta}>
+              {event.data.inferred ? 'Estimated' : SOURCE_LABELS[event.data.source]}
+            </Text>
+          )}
+          {event.type === 'scan' && event.data.confidence != null && (
+            <Text style={styles.eventMeta}>
+              {Math.round(event.data.confidence)}% confidence{event.data.confirmed ? ' · confirmed' : ''}
+            </Text>
+          )}
+          {!!(event.data.url || event.data.imageUrl) && (
+            <Image source={{ uri: event.data.url || event.data.imageUrl }} style={styles.eventImage} />
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const shown = showAll ? events : events.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Timeline</Text>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.chip, filter === option.id && styles.chipActive]}
+            onPress={() => {
+              setFilter(option.id);
+              setShowAll(false);
+            }}
+          >
+            <Text style={[styles.chipText, filter === option.id && styles.chipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {isLoading ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loader} />
+      ) : events.length === 0 ? (
+        <Text style={styles.emptyText}>Nothing recorded yet.</Text>
+      ) : (
+        <>
+          {shown.map((event, index) => renderEvent(event, index, shown))}
+          {events.length > COLLAPSED_COUNT && (
+            <TouchableOpacity style={styles.toggle} onPress={() => setShowAll(!showAll)}>
+              <Text style={styles.toggleText}>
+                {showAll ? 'Show less' : `Show all ${events.length}`}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  title: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  chipRow: {
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  loader: {
+    marginVertical: theme.spacing.md,
+  },
+  emptyText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  eventRow: {
+    flexDirection: 'row',
+  },
+  rail: {
+    width: 24,
+    alignItems: 'center',
+  },
+  dot: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E0E0E0',
+    marginVertical: 2,
+  },
+  eventBody: {
+    flex: 1,
+    marginLeft: theme.spacing.sm,
+    paddingBottom: theme.spacing.md,
+  },
+  eventHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    gap: theme.spacing.sm,
+  },
+  eventTitle: {
+    ...theme.typography.bodyMedium,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+    flexShrink: 1,
+  },
+  eventDate: {
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+  },
+  eventDetail: {
+    ...theme.typography.body,
+    color: theme.colors.text.primary,
+    marginTop: 2,
+  },
+  eventMeta: {
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  eventImage: {
+    width: 120,
+    height: 90,
+    borderRadius: theme.borderRadius.small,
+    marginTop: theme.spacing.xs,
+  },
+  toggle: {
+    alignItems: 'center',
+    paddingTop: theme.spacing.xs,
+  },
+  toggleText: {
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,696 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+
+const CELL_SIZE = 44;
+const WINDOW_OPEN_COLOR = '#FFC107';
+const STATUSES = ['planted', 'flowering', 'pollinated', 'fruiting', 'harvested'];
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+// Two-letter cell label from the crop's local name, e.g. "Pa" for Patola
+const getCellLabel = (plant) => {
+  const name = plant.displayName?.tagalog || pollinationService.formatPlantName(plant.name, 'tagalog');
+  return name.slice(0, 2);
+};
+
+const toNumberText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Create / edit form for a garden plot
+ */
+const PlotForm = ({ plot, onClose, onSave, onDelete }) => {
+  const [name, setName] = useState(plot?.name || '');
+  const [rows, setRows] = useState(toNumberText(plot?.dimensions?.rows));
+  const [positionsPerRow, setPositionsPerRow] = useState(toNumberText(plot?.dimensions?.positionsPerRow));
+  const [widthMeters, setWidthMeters] = useState(toNumberText(plot?.dimensions?.widthMeters));
+  const [lengthMeters, setLengthMeters] = useState(toNumberText(plot?.dimensions?.lengthMeters));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    const rowCount = parseInt(rows, 10);
+    const positionCount = parseInt(positionsPerRow, 10);
+    if (!name.trim() || !rowCount || !positionCount) {
+      Alert.alert('Missing Information', 'Enter a name, the number of rows and the plants per row.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await onSave({
+        name: name.trim(),
+        dimensions: {
+          rows: rowCount,
+          positionsPerRow: positionCount,
+          widthMeters: widthMeters.trim() ? parseFloat(widthMeters) : null,
+          lengthMeters: lengthMeters.trim() ? parseFloat(lengthMeters) : null,
+        }
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{plot ? `Edit ${plot.name}` : 'New Plot'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.fieldLabel}>Name</Text>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Bed A"
+              maxLength={60}
+            />
+
+            <View style={styles.fieldRow}>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Rows</Text>
+                <TextInput
+                  style={styles.input}
+                  value={rows}
+                  onChangeText={setRows}
+                  placeholder="4"
+                  keyboardType="number-pad"
+                  maxLength={2}
+                />
+              </View>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Plants per row</Text>
+                <TextInput
+                  style={styles.input}
+                  value={positionsPerRow}
+                  onChangeText={setPositionsPerRow}
+                  placeholder="6"
+                  keyboardType="number-pad"
+                  maxLength={2}
+                />
+              </View>
+            </View>
+
+            <View style={styles.fieldRow}>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Width (m)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={widthMeters}
+                  onChangeText={setWidthMeters}
+                  placeholder="Optional"
+                  keyboardType="decimal-pad"
+                  maxLength={8}
+                />
+              </View>
+              <View style={styles.fieldColumn}>
+                <Text style={styles.fieldLabel}>Length (m)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={lengthMeters}
+                  onChangeText={setLengthMeters}
+                  placeholder="Optional"
+                  keyboardType="decimal-pad"
+                  maxLength={8}
+                />
+              </View>
+            </View>
+
+            <Button
+              title={isSaving ? 'Saving...' : 'Save Plot'}
+              onPress={handleSave}
+              disabled={isSaving}
+              style={styles.saveButton}
+            />
+            {plot && (
+              <TouchableOpacity style={styles.deleteButton} onPress={onDelete} disabled={isSaving}>
+                <Text style={styles.deleteText}>Delete plot</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Garden plots drawn as planting grids, with plants color-coded by status
+ * and plants to pollinate now outlined
+ * @param {Function} onPlantPress - Called with a plant from the grid
+ * @param {Function} onEmptyCellPress - Called with (plot, { row, position }) for an empty spot
+ * @param {number} refreshKey - Change to reload the plots (e.g. when the screen regains focus)
+ */
+export const PlotGrid = ({ onPlantPress, onEmptyCellPress, refreshKey }) => {
+  const [plots, setPlots] = useState([]);
+  const [selectedPlotId, setSelectedPlotId] = useState(null);
+  const [layout, setLayout] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingLayout, setIsLoadingLayout] = useState(false);
+  const [editingPlot, setEditingPlot] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    loadPlots();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    if (selectedPlotId) {
+      loadLayout(selectedPlotId);
+    } else {
+      setLayout(null);
+    }
+  }, [selectedPlotId, refreshKey]);
+
+  const loadPlots = async (preferredPlotId = selectedPlotId) => {
+    try {
+      const response = await pollinationService.getPlots();
+      const loadedPlots = response.data.plots;
+      setPlots(loadedPlots);
+      const stillExists = loadedPlots.some(plot => plot._id === preferredPlotId);
+      setSelectedPlotId(stillExists ? preferredPlotId : loadedPlots[0]?._id || null);
+    } catch (error) {
+      console.error('Error loading plots:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadLayout = async (plotId) => {
+    try {
+      setIsLoadingLayout(true);
+      const response = await pollinationService.getPlotLayout(plotId);
+      setLayout(response.data);
+    } catch (error) {
+      console.error('Error loading plot layout:', error);
+      setLayout(null);
+    } finally {
+      setIsLoadingLayout(false);
+    }
+  };
+
+  const openForm = (plot = null) => {
+    setEditingPlot(plot);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingPlot(null);
+  };
+
+  const handleSave = async (plotData) => {
+    try {
+      const response = editingPlot
+        ? await pollinationService.updatePlot(editingPlot._id, plotData)
+        : await pollinationService.createPlot(plotData);
+      closeForm();
+      const savedPlotId = response.data.plot._id;
+      await loadPlots(savedPlotId);
+      if (savedPlotId === selectedPlotId) {
+        await loadLayout(savedPlotId);
+      }
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to save plot.'));
+    }
+  };
+
+  const handleDelete = () => {
+    const plot = editingPlot;
+    Alert.alert(
+      'Delete Plot',
+      `Delete ${plot.name}? Its plants are kept but will no longer have a spot.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await pollinationService.deletePlot(plot._id);
+              closeForm();
+              await loadPlots(null);
+            } catch (error) {
+              Alert.alert('Error', getErrorMessage(error, 'Failed to delete plot.'));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderGrid = () => {
+    const { plot, plants, unplaced } = layout;
+    const { rows, positionsPerRow } = plot.dimensions;
+    const plantsByCell = plants.reduce((cells, plant) => {
+      cells[`${plant.location.row}-${plant.location.position}`] = plant;
+      return cells;
+    }, {});
+    const openCount = [...plants, ...unplaced].filter(plant => plant.isPollinationWindowOpen).length;
+
+    return (
+      <>
+        {openCount > 0 && (
+          <View style={styles.windowBanner}>
+            <Ionicons name="flower" size={16} color="#F57F17" />
+            <Text style={styles.windowBannerText}>
+              {openCount} plant{openCount === 1 ? '' : 's'} ready to pollinate now
+            </Text>
+          </View>
+        )}
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={styles.gridRow}>
+              <View style={styles.rowLabel} />
+              {Array.from({ length: positionsPerRow }, (_, index) => (
+                <Text key={index} style={styles.columnLabel}>{index + 1}</Text>
+              ))}
+            </View>
+            {Array.from({ length: rows }, (_, rowIndex) => {
+              const row = rowIndex + 1;
+              return (
+                <View key={row} style={styles.gridRow}>
+                  <Text style={styles.rowLabel}>R{row}</Text>
+                  {Array.from({ length: positionsPerRow }, (_, positionIndex) => {
+                    const position = positionIndex + 1;
+                    const plant = plantsByCell[`${row}-${position}`];
+
+                    if (!plant) {
+                      return (
+                        <TouchableOpacity
+                          key={position}
+                          style={[styles.cell, styles.emptyCell]}
+                          onPress={() => onEmptyCellPress?.(plot, { row, position })}
+                        >
+                          <Ionicons name="add" size={14} color="#BDBDBD" />
+                        </TouchableOpacity>
+                      );
+                    }
+
+                    return (
+                      <TouchableOpacity
+                        key={position}
+                        style={[
+                          styles.cell,
+                          { backgroundColor: pollinationService.getStatusColor(plant.status) },
+                          plant.isPollinationWindowOpen && styles.windowOpenCell
+                        ]}
+                        onPress={() => onPlantPress?.(plant)}
+                      >
+                        <Text style={styles.cellText}>{getCellLabel(plant)}</Text>
+                        {plant.gender !== 'undetermined' && (
+                          <Ionicons
+                            name={plant.gender === 'male' ? 'male' : 'female'}
+                            size={10}
+                            color="#FFFFFF"
+                          />
+                        )}
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              );
+            })}
+          </View>
+        </ScrollView>
+
+        {unplaced.length > 0 && (
+          <View style={styles.unplaced}>
+            <Text style={styles.unplacedTitle}>On this plot without a spot</Text>
+            <View style={styles.chipRow}>
+              {unplaced.map(plant => (
+                <TouchableOpacity
+                  key={plant._id}
+                  style={[
+                    styles.chip,
+                    { borderColor: pollinationService.getStatusColor(plant.status) },
+                    plant.isPollinationWindowOpen && styles.windowOpenChip
+                  ]}
+                  onPress={() => onPlantPress?.(plant)}
+                >
+                  <Text style={styles.chipText}>
+                    {plant.label || plant.displayName?.english || pollinationService.formatPlantName(plant.name)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
+        <View style={styles.legend}>
+          {STATUSES.filter(status => status !== 'harvested').map(status => (
+            <View key={status} style={styles.legendItem}>
+              <View style={[styles.legendSwatch, { backgroundColor: pollinationService.getStatusColor(status) }]} />
+              <Text style={styles.legendText}>{status}</Text>
+            </View>
+          ))}
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.windowOpenSwatch]} />
+            <Text style={styles.legendText}>pollinate now</Text>
+          </View>
+        </View>
+      </>
+    );
+  };
+
+  if (isLoading) {
+    return <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loader} />;
+  }
+
+  const selectedPlot = plots.find(plot => plot._id === selectedPlotId);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.plotTabs}>
+        {plots.map(plot => (
+          <TouchableOpacity
+            key={plot._id}
+            style={[styles.plotTab, plot._id === selectedPlotId && styles.plotTabActive]}
+            onPress={() => setSelectedPlotId(plot._id)}
+          >
+            <Text style={[styles.plotTabText, plot._id === selectedPlotId && styles.plotTabTextActive]}>
+              {plot.name} ({plot.plantCount})
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity style={[styles.plotTab, styles.newPlotTab]} onPress={() => openForm()}>
+          <Ionicons name="add" size={16} color={theme.colors.primary} />
+          <Text style={[styles.plotTabText, { color: theme.colors.primary }]}>New plot</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {plots.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="grid-outline" size={56} color={theme.colors.text.secondary} />
+          <Text style={styles.emptyTitle}>No plots yet</Text>
+          <Text style={styles.emptyText}>
+            Add your beds as plots, then give each plant a row and position so you can find it in the garden.
+          </Text>
+        </View>
+      ) : (
+        <View style={styles.card}>
+          {selectedPlot && (
+            <View style={styles.cardHeader}>
+              <View>
+                <Text style={styles.cardTitle}>{selectedPlot.name}</Text>
+                <Text style={styles.cardSubtitle}>
+                  {selectedPlot.dimensions.rows} rows × {selectedPlot.dimensions.positionsPerRow} plants
+                  {selectedPlot.dimensions.widthMeters && selectedPlot.dimensions.lengthMeters
+                    ? ` · ${selectedPlot.dimensions.widthMeters} × ${selectedPlot.dimensions.lengthMeters} m`
+                    : ''}
+                </Text>
+              </View>
+              <TouchableOpacity style={styles.editButton} onPress={() => openForm(selectedPlot)}>
+                <Ionicons name="create-outline" size={20} color={theme.colors.primary} />
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {isLoadingLayout || !layout ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loader} />
+          ) : (
+            renderGrid()
+          )}
+        </View>
+      )}
+
+      {showForm && (
+        <PlotForm
+          plot={editingPlot}
+          onClose={closeForm}
+          onSave={handleSave}
+          onDelete={handleDelete}
+        />
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.md,
+    paddingBottom: 100, // Space for FAB
+  },
+  loader: {
+    marginVertical: theme.spacing.lg,
+  },
+  plotTabs: {
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  plotTab: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: 16,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  plotTabActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  newPlotTab: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderStyle: 'dashed',
+  },
+  plotTabText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text.secondary,
+  },
+  plotTabTextActive: {
+    color: '#FFFFFF',
+  },
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  cardTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  cardSubtitle: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  editButton: {
+    padding: theme.spacing.sm,
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: theme.borderRadius.small,
+  },
+  windowBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.xs,
+    padding: theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+    backgroundColor: '#FFF8E1',
+    borderRadius: theme.borderRadius.small,
+  },
+  windowBannerText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#F57F17',
+  },
+  gridRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowLabel: {
+    width: 28,
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+  },
+  columnLabel: {
+    width: CELL_SIZE,
+    margin: 2,
+    textAlign: 'center',
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+  },
+  cell: {
+    width: CELL_SIZE,
+    height: CELL_SIZE,
+    margin: 2,
+    borderRadius: theme.borderRadius.small,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emptyCell: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#E0E0E0',
+  },
+  windowOpenCell: {
+    borderWidth: 3,
+    borderColor: WINDOW_OPEN_COLOR,
+  },
+  cellText: {
+    color: '#FFFFFF',
+    fontWeight: '700',
+    fontSize: 13,
+  },
+  unplaced: {
+    marginTop: theme.spacing.md,
+  },
+  unplacedTitle: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 6,
+    borderWidth: 2,
+    borderRadius: 16,
+  },
+  windowOpenChip: {
+    backgroundColor: '#FFF8E1',
+  },
+  chipText: {
+    fontSize: 12,
+    color: theme.colors.text.primary,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+  },
+  windowOpenSwatch: {
+    borderWidth: 2,
+    borderColor: WINDOW_OPEN_COLOR,
+  },
+  legendText: {
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+    textTransform: 'capitalize',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  emptyTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+  },
+  emptyText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+  },
+
+  // Form
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  fieldColumn: {
+    flex: 1,
+  },
+  fieldLabel: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+    backgroundColor: theme.colors.background.primary,
+  },
+  saveButton: {
+    marginTop: theme.spacing.lg,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+  },
+  deleteText: {
+    color: theme.colors.error,
+    fontWeight: '600',
+  },
+});
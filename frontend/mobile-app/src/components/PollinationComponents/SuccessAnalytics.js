@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+
+const CHARTS = [
+  { id: 'byVariety', title: 'By variety', icon: 'leaf-outline', hideWhenFiltered: true },
+  { id: 'byTimeOfDay', title: 'Time of day pollinated', icon: 'time-outline' },
+  { id: 'byDaysAfterPlanting', title: 'Days after planting', icon: 'calendar-outline' },
+  { id: 'byMonth', title: 'By month', icon: 'stats-chart-outline' },
+];
+
+const getRateColor = (rate) => {
+  if (rate >= 70) return '#4CAF50';
+  if (rate >= 40) return '#FF9800';
+  return '#F44336';
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate)}%`);
+
+/**
+ * Horizontal bars of success rate per bucket; buckets with only pending attempts show no bar
+ */
+const RateChart = ({ title, icon, buckets }) => (
+  <View style={styles.card}>
+    <View style={styles.cardHeader}>
+      <Ionicons name={icon} size={18} color={theme.colors.primary} />
+      <Text style={styles.cardTitle}>{title}</Text>
+    </View>
+    {buckets.map(bucket => {
+      const resolved = bucket.successful + bucket.failed;
+      return (
+        <View key={String(bucket.key)} style={styles.barRow}>
+          <Text style={styles.barLabel} numberOfLines={1}>{bucket.label}</Text>
+          <View style={styles.barTrack}>
+            {bucket.successRate !== null && (
+              <View
+                style={[
+                  styles.barFill,
+                  { width: `${Math.max(bucket.successRate, 2)}%`, backgroundColor: getRateColor(bucket.successRate) }
+                ]}
+              />
+            )}
+          </View>
+          <Text style={styles.barValue}>{formatRate(bucket.successRate)}</Text>
+          <Text style={styles.barCount}>{resolved}/{bucket.attempts}</Text>
+        </View>
+      );
+    })}
+  </View>
+);
+
+/**
+ * Pollination success rates by variety, time of day, days after planting and month
+ * @param {*} refreshKey - Change to reload the analytics
+ */
+export const SuccessAnalytics = ({ refreshKey }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [varieties, setVarieties] = useState([]);
+  const [variety, setVariety] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [variety, refreshKey]);
+
+  const loadAnalytics = async () => {
+    try {
+      setIsLoading(true);
+      const response = await pollinationService.getSuccessAnalytics({ variety });
+      setAnalytics(response.data);
+      // Keep the variety chips from the unfiltered result
+      if (!variety) {
+        setVarieties(response.data.byVariety.map(bucket => ({ key: bucket.key, label: bucket.label })));
+      }
+    } catch (error) {
+      console.error('Error loading success analytics:', error);
+      setAnalytics(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loader} />;
+    }
+
+    if (!analytics || analytics.totals.attempts === 0) {
+      return (
+        <View style={styles.emptyState}>
+          <Ionicons name="stats-chart-outline" size={64} color={theme.colors.text.secondary} />
+          <Text style={styles.emptyTitle}>No pollination results yet</Text>
+          <Text style={styles.emptyText}>
+            Record whether your pollinations set fruit to see which varieties, hours and plant ages work best.
+          </Text>
+        </View>
+      );
+    }
+
+    const { totals } = analytics;
+
+    return (
+      <>
+        <View style={[styles.card, styles.summary]}>
+          <View style={styles.summaryMain}>
+            <Text style={[styles.summaryRate, { color: totals.successRate === null ? theme.colors.text.secondary : getRateColor(totals.successRate) }]}>
+              {formatRate(totals.successRate)}
+            </Text>
+            <Text style={styles.summaryLabel}>success rate</Text>
+          </View>
+          <View style={styles.summaryCounts}>
+            <Text style={styles.summaryCount}>
+              <Text style={styles.successText}>{totals.successful}</Text> successful
+            </Text>
+            <Text style={styles.summaryCount}>
+              <Text style={styles.failedText}>{totals.failed}</Text> failed
+            </Text>
+            <Text style={styles.summaryCount}>{totals.pending} waiting for a result</Text>
+          </View>
+        </View>
+
+        {CHARTS
+          .filter(chart => analytics[chart.id].length > 0 && !(chart.hideWhenFiltered && variety))
+          .map(chart => (
+            <RateChart key={chart.id} title={chart.title} icon={chart.icon} buckets={analytics[chart.id]} />
+          ))}
+
+        <Text style={styles.footnote}>
+          Bars show the share of pollinations with a result that set fruit. Counts are results / all attempts.
+        </Text>
+      </>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+      {varieties.length > 1 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {[{ key: '', label: 'All varieties' }, ...varieties].map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.chip, variety === option.key && styles.chipActive]}
+              onPress={() => setVariety(option.key)}
+            >
+              <Text style={[styles.chipText, variety === option.key && styles.chipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {renderBody()}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.md,
+    paddingBottom: 100, // Space for FAB
+  },
+  loader: {
+    marginVertical: theme.spacing.lg,
+  },
+  chipRow: {
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  chip: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: 16,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  summaryMain: {
+    alignItems: 'center',
+    paddingRight: theme.spacing.lg,
+    marginRight: theme.spacing.lg,
+    borderRightWidth: 1,
+    borderRightColor: '#E0E0E0',
+  },
+  summaryRate: {
+    fontSize: 36,
+    fontWeight: '700',
+  },
+  summaryLabel: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+  },
+  summaryCounts: {
+    flex: 1,
+    gap: 4,
+  },
+  summaryCount: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+  },
+  successText: {
+    fontWeight: '700',
+    color: '#4CAF50',
+  },
+  failedText: {
+    fontWeight: '700',
+    color: '#F44336',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.md,
+  },
+  cardTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  barLabel: {
+    width: 90,
+    fontSize: 12,
+    color: theme.colors.text.primary,
+  },
+  barTrack: {
+    flex: 1,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: theme.colors.background.secondary,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 7,
+  },
+  barValue: {
+    width: 42,
+    textAlign: 'right',
+    fontSize: 12,
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  barCount: {
+    width: 44,
+    textAlign: 'right',
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+  },
+  footnote: {
+    ...theme.typography.caption,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  emptyTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+  },
+  emptyText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+  },
+});
@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { pollinationService } from '../../services';
+import { Button } from '../CustomComponents/Button';
+
+const WARNING_STYLES = {
+  rain: { icon: 'rainy-outline', color: '#1976D2', background: '#E3F2FD' },
+  heat: { icon: 'thermometer-outline', color: '#E65100', background: '#FFF3E0' },
+};
+
+const formatHour = (time) => new Date(time).toLocaleTimeString('en-US', { hour: 'numeric' });
+
+const formatDay = (time) => {
+  const date = new Date(time);
+  const today = new Date();
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.errors?.[0]?.message || data?.message || fallback;
+};
+
+/**
+ * Farm location form; coordinates can be copied from a maps app
+ */
+const FarmLocationForm = ({ farmLocation, onClose, onSaved }) => {
+  const [name, setName] = useState(farmLocation?.name || '');
+  const [latitude, setLatitude] = useState(farmLocation ? String(farmLocation.latitude) : '');
+  const [longitude, setLongitude] = useState(farmLocation ? String(farmLocation.longitude) : '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (Number.isNaN(lat) || lat < -90 || lat > 90 || Number.isNaN(lon) || lon < -180 || lon > 180) {
+      Alert.alert('Invalid Location', 'Enter a latitude between -90 and 90 and a longitude between -180 and 180.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await pollinationService.updateFarmLocation({ name: name.trim() || undefined, latitude: lat, longitude: lon });
+      onSaved();
+    } catch (error) {
+      Alert.alert('Error', getErrorMessage(error, 'Failed to save farm location.'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Farm Location</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            <Text style={styles.helpText}>
+              Forecasts for your pollination windows use this location. Long-press your farm in a maps app to copy its coordinates.
+            </Text>
+
+            <Text style={styles.fieldLabel}>Name (optional)</Text>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Home farm, Los Baños"
+              maxLength={100}
+            />
+
+            <View style={styles.coordinateRow}>
+              <View style={styles.coordinateField}>
+                <Text style={styles.fieldLabel}>Latitude</Text>
+                <TextInput
+                  style={styles.input}
+                  value={latitude}
+                  onChangeText={setLatitude}
+                  placeholder="14.1699"
+                  keyboardType="numbers-and-punctuation"
+                />
+              </View>
+              <View style={styles.coordinateField}>
+                <Text style={styles.fieldLabel}>Longitude</Text>
+                <TextInput
+                  style={styles.input}
+                  value={longitude}
+                  onChangeText={setLongitude}
+                  placeholder="121.2441"
+                  keyboardType="numbers-and-punctuation"
+                />
+              </View>
+            </View>
+
+            <Button
+              title={isSaving ? 'Saving...' : 'Save Location'}
+              onPress={handleSave}
+              disabled={isSaving}
+              style={styles.saveButton}
+            />
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Rain and heat forecast for a flowering or pollinated plant's next pollination window
+ * @param {Object} plant - The plant being shown
+ */
+export const WeatherAdvice = ({ plant }) => {
+  const [weather, setWeather] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showLocationForm, setShowLocationForm] = useState(false);
+
+  useEffect(() => {
+    loadWeather();
+  }, [plant._id, plant.status]);
+
+  const loadWeather = async () => {
+    try {
+      setIsLoading(true);
+      const response = await pollinationService.getPlantWeather(plant._id);
+      setWeather(response.data);
+    } catch (error) {
+      console.error('Error loading weather advice:', error);
+      setWeather({ unavailable: true, warnings: [], forecast: [] });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleLocationSaved = () => {
+    setShowLocationForm(false);
+    loadWeather();
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loader} />;
+    }
+
+    // No farm location yet
+    if (!weather) {
+      return (
+        <TouchableOpacity style={styles.setLocation} onPress={() => setShowLocationForm(true)}>
+          <Ionicons name="location-outline" size={20} color={theme.colors.primary} />
+          <Text style={styles.setLocationText}>
+            Set your farm location to get rain and heat warnings for pollination
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    if (weather.unavailable) {
+      return <Text style={styles.mutedText}>Forecast unavailable right now. Try again later.</Text>;
+    }
+
+    if (!weather.window) {
+      return <Text style={styles.mutedText}>No pollination window coming up.</Text>;
+    }
+
+    return (
+      <>
+        <Text style={styles.windowText}>
+          {formatDay(weather.window.start)}, {weather.window.label}
+        </Text>
+
+        {weather.warnings.length === 0 ? (
+          <View style={[styles.warning, styles.clear]}>
+            <Ionicons name="sunny-outline" size={20} color="#2E7D32" />
+            <Text style={[styles.warningText, { color: '#2E7D32' }]}>
+              No rain or extreme heat expected. Good conditions for pollination.
+            </Text>
+          </View>
+        ) : (
+          weather.warnings.map(warning => {
+            const look = WARNING_STYLES[warning.type] || WARNING_STYLES.rain;
+            return (
+              <View key={warning.type} style={[styles.warning, { backgroundColor: look.background }]}>
+                <Ionicons name={look.icon} size={20} color={look.color} />
+                <Text style={[styles.warningText, { color: look.color }]}>{warning.message}</Text>
+              </View>
+            );
+          })
+        )}
+
+        {weather.forecast.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.hourRow}>
+            {weather.forecast.map(hour => (
+              <View key={hour.time} style={styles.hour}>
+                <Text style={styles.hourTime}>{formatHour(hour.time)}</Text>
+                <Ionicons
+                  name={hour.precipitationProbability >= 60 ? 'rainy' : 'partly-sunny-outline'}
+                  size={18}
+                  color={hour.precipitationProbability >= 60 ? '#1976D2' : theme.colors.text.secondary}
+                />
+                <Text style={styles.hourValue}>{hour.precipitationProbability}%</Text>
+                {hour.temperatureC != null && (
+                  <Text style={styles.hourValue}>{Math.round(hour.temperatureC)}°</Text>
+                )}
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Pollination Weather</Text>
+        {weather?.location && (
+          <TouchableOpacity style={styles.locationButton} onPress={() => setShowLocationForm(true)}>
+            <Ionicons name="location-outline" size={14} color={theme.colors.text.secondary} />
+            <Text style={styles.locationText} numberOfLines={1}>
+              {weather.location.name || `${weather.location.latitude.toFixed(2)}, ${weather.location.longitude.toFixed(2)}`}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {renderBody()}
+
+      {showLocationForm && (
+        <FarmLocationForm
+          farmLocation={weather?.location}
+          onClose={() => setShowLocationForm(false)}
+          onSaved={handleLocationSaved}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  locationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: '50%',
+  },
+  locationText: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+    marginLeft: 2,
+  },
+  loader: {
+    marginVertical: theme.spacing.md,
+  },
+  setLocation: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.small,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  setLocationText: {
+    ...theme.typography.body,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+    flex: 1,
+  },
+  mutedText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+  },
+  windowText: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginBottom: theme.spacing.sm,
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.small,
+    marginBottom: theme.spacing.xs,
+  },
+  clear: {
+    backgroundColor: '#E8F5E9',
+  },
+  warningText: {
+    ...theme.typography.body,
+    marginLeft: theme.spacing.sm,
+    flex: 1,
+  },
+  hourRow: {
+    gap: theme.spacing.sm,
+    paddingTop: theme.spacing.sm,
+  },
+  hour: {
+    alignItems: 'center',
+    minWidth: 48,
+  },
+  hourTime: {
+    fontSize: 11,
+    color: theme.colors.text.secondary,
+    marginBottom: 2,
+  },
+  hourValue: {
+    fontSize: 12,
+    color: theme.colors.text.primary,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.surface,
+    borderTopLeftRadius: theme.borderRadius.large,
+    borderTopRightRadius: theme.borderRadius.large,
+    padding: theme.spacing.lg,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    ...theme.typography.h3,
+    color: theme.colors.text.primary,
+  },
+  helpText: {
+    ...theme.typography.body,
+    color: theme.colors.text.secondary,
+  },
+  fieldLabel: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.text.primary,
+    fontWeight: '600',
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: theme.borderRadius.small,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    color: theme.colors.text.primary,
+  },
+  coordinateRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+  },
+  coordinateField: {
+    flex: 1,
+  },
+  saveButton: {
+    marginTop: theme.spacing.lg,
+  },
+});
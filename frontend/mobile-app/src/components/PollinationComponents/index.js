@@ -2,4 +2,12 @@ export { PlantCard } from './PlantCard';
 export { PlantForm } from './PlantForm';
 export { ImageCapture } from './ImageCapture';
 export { PlantFilter } from './PlantFilter';
-export { SimpleDatePicker } from './SimpleDatePicker';
\ No newline at end of file
+export { SimpleDatePicker } from './SimpleDatePicker';
+export { FlowerList } from './FlowerList';
+export { HarvestList } from './HarvestList';
+export { PlotGrid } from './PlotGrid';
+export { PlantTimeline } from './PlantTimeline';
+export { GrowthGallery } from './GrowthGallery';
+export { BulkActionBar } from './BulkActionBar';
+export { WeatherAdvice } from './WeatherAdvice';
+export { SuccessAnalytics } from './SuccessAnalytics';
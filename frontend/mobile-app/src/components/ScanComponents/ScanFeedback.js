@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+
+const VARIETIES = ['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'];
+
+const GENDERS = [
+  { id: 'female', label: 'Female', icon: 'female' },
+  { id: 'male', label: 'Male', icon: 'male' },
+  { id: 'not_flower', label: 'Not a flower', icon: 'close-circle-outline' },
+];
+
+const formatLabel = (variety, gender) => {
+  if (gender === 'not_flower') return 'Not a flower';
+  const genderLabel = gender ? gender.charAt(0).toUpperCase() + gender.slice(1) : '';
+  return `${genderLabel} ${variety || ''}`.trim();
+};
+
+/**
+ * "Was this right?" control for confirming or correcting a scan prediction
+ * @param {Object} feedback - Existing userFeedback on the scan, if any
+ * @param {Object} groundTruth - Existing groundTruth on the scan, if any
+ * @param {Function} onSubmit - Called with { isCorrect, variety, gender }
+ * @param {boolean} dark - Use the dark palette (TM results screen)
+ * @param {boolean} compact - Smaller layout for list rows
+ */
+export const ScanFeedback = ({ feedback, groundTruth, onSubmit, dark = false, compact = false }) => {
+  const [mode, setMode] = useState('ask'); // 'ask', 'correct'
+  const [gender, setGender] = useState(null);
+  const [variety, setVariety] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const palette = dark ? darkPalette : lightPalette;
+
+  const submit = async (payload) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      await onSubmit(payload);
+      setMode('ask');
+    } catch (err) {
+      setError(err.message || 'Could not save your answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Already answered
+  if (feedback?.submittedAt && mode === 'ask') {
+    return (
+      <View style={[styles.container, compact && styles.compact, { backgroundColor: palette.surface }]}>
+        <View style={styles.answeredRow}>
+          <Ionicons
+            name={feedback.isCorrect ? 'checkmark-circle' : 'create-outline'}
+            size={18}
+            color={feedback.isCorrect ? '#4CAF50' : theme.colors.warning}
+          />
+          <Text style={[styles.answeredText, { color: palette.text }]}>
+            {feedback.isCorrect
+              ? 'You confirmed this result'
+              : `Corrected to ${formatLabel(groundTruth?.variety, groundTruth?.gender)}`}
+          </Text>
+          <TouchableOpacity onPress={() => setMode('correct')}>
+            <Text style={styles.linkText}>Change</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  const canSubmitCorrection = gender === 'not_flower' || (gender && variety);
+
+  return (
+    <View style={[styles.container, compact && styles.compact, { backgroundColor: palette.surface }]}>
+      {mode === 'ask' ? (
+        <View style={styles.askRow}>
+          <Text style={[styles.question, { color: palette.text }]}>Was this right?</Text>
+          {submitting ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <View style={styles.answerButtons}>
+              <TouchableOpacity
+                style={[styles.answerButton, styles.yesButton]}
+                onPress={() => submit({ isCorrect: true })}
+              >
+                <Ionicons name="thumbs-up" size={16} color="#FFF" />
+                <Text style={styles.answerText}>Yes</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.answerButton, styles.noButton]}
+                onPress={() => setMode('correct')}
+              >
+                <Ionicons name="thumbs-down" size={16} color="#FFF" />
+                <Text style={styles.answerText}>No</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ) : (
+        <View>
+          <Text style={[styles.question, { color: palette.text }]}>What was it actually?</Text>
+
+          <View style={styles.optionRow}>
+            {GENDERS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.option, { borderColor: palette.border }, gender === option.id && styles.optionActive]}
+                onPress={() => setGender(option.id)}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={14}
+                  color={gender === option.id ? '#FFF' : palette.muted}
+                />
+                <Text style={[styles.optionText, { color: palette.muted }, gender === option.id && styles.optionTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {gender && gender !== 'not_flower' && (
+            <View style={styles.optionRow}>
+              {VARIETIES.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.option, { borderColor: palette.border }, variety === option && styles.optionActive]}
+                  onPress={() => setVariety(option)}
+                >
+                  <Text style={[styles.optionText, { color: palette.muted }, variety === option && styles.optionTextActive]}>
+                    {option}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.correctionActions}>
+            <TouchableOpacity onPress={() => setMode('ask')} disabled={submitting}>
+              <Text style={[styles.cancelText, { color: palette.muted }]}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.submitButton, (!canSubmitCorrection || submitting) && styles.submitDisabled]}
+              onPress={() => submit({ isCorrect: false, gender, variety: gender === 'not_flower' ? null : variety })}
+              disabled={!canSubmitCorrection || submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#FFF" />
+              ) : (
+                <Text style={styles.submitText}>Submit correction</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const lightPalette = {
+  surface: theme.colors.background.secondary,
+  text: theme.colors.text.primary,
+  muted: theme.colors.text.secondary,
+  border: '#E0E0E0',
+};
+
+const darkPalette = {
+  surface: '#1E1E1E',
+  text: '#FFFFFF',
+  muted: '#B0B0B0',
+  border: '#333333',
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  compact: {
+    padding: 10,
+    marginTop: -8,
+  },
+  askRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  question: {
+    fontSize: 14,
+    fontFamily: theme.fonts.semiBold,
+  },
+  answerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  answerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    gap: 4,
+  },
+  yesButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  noButton: {
+    backgroundColor: theme.colors.accent,
+  },
+  answerText: {
+    color: '#FFF',
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+    gap: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    gap: 4,
+  },
+  optionActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  optionText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.medium,
+  },
+  optionTextActive: {
+    color: '#FFF',
+  },
+  correctionActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 12,
+    gap: 16,
+  },
+  cancelText: {
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+  },
+  submitButton: {
+    backgroundColor: theme.colors.primary,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  submitDisabled: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#FFF',
+    fontSize: 13,
+    fontFamily: theme.fonts.semiBold,
+  },
+  answeredRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  answeredText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: theme.fonts.regular,
+  },
+  linkText: {
+    fontSize: 13,
+    color: theme.colors.primary,
+    fontFamily: theme.fonts.semiBold,
+  },
+  errorText: {
+    marginTop: 8,
+    fontSize: 12,
+    color: theme.colors.error,
+    fontFamily: theme.fonts.regular,
+  },
+});
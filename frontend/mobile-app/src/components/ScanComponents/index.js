@@ -0,0 +1 @@
+export { ScanFeedback } from './ScanFeedback';
\ No newline at end of file
@@ -1,5 +1,6 @@
 export { Button } from './CustomComponents/Button';
 export { CustomHeader } from './CustomComponents/CustomHeader';
+export { NotificationBell } from './CustomComponents/NotificationBell';
 export { default as SplashScreen } from './CustomComponents/SplashScreen';
 export { CustomAlert } from './CustomComponents/CustomAlert';
 export { NewsCard } from './NewsComponents/NewsCard';
@@ -21,5 +22,19 @@ export {
   PlantCard,
   PlantForm,
   ImageCapture,
-  PlantFilter
-} from './PollinationComponents';
\ No newline at end of file
+  PlantFilter,
+  FlowerList,
+  HarvestList,
+  PlotGrid,
+  PlantTimeline,
+  GrowthGallery,
+  BulkActionBar,
+  WeatherAdvice,
+  SuccessAnalytics
+} from './PollinationComponents';
+
+// Scan Components
+export { ScanFeedback } from './ScanComponents';
+
+// Forum Components
+export { ReportSheet, CommentThread, HighlightedText } from './ForumComponents';
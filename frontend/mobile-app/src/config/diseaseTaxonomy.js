@@ -0,0 +1,374 @@
+/**
+ * Gourd Disease & Pest Taxonomy
+ * Conditions the plant health scan can report for ampalaya, patola and upo,
+ * with the treatment guidance shown on the results screen.
+ * IDs are stored on saved scans (diseaseInfo.conditions[].conditionId) - do not rename them.
+ */
+
+// Variety keys used in Gemini prompts, mapped to the names stored on scans
+export const GOURD_VARIETIES = {
+  ampalaya_bilog: 'Ampalaya Bilog',
+  patola: 'Patola',
+  upo_smooth: 'Upo (Smooth)',
+};
+
+export const CONDITION_CATEGORIES = {
+  disease: { label: 'Disease', icon: 'bug-outline', color: '#E67E22' },
+  pest: { label: 'Pest', icon: 'bug', color: '#C0392B' },
+  disorder: { label: 'Disorder', icon: 'nutrition-outline', color: '#8E44AD' },
+};
+
+export const SEVERITY_LEVELS = {
+  mild: { label: 'Mild', color: '#F1C40F' },
+  moderate: { label: 'Moderate', color: '#E67E22' },
+  severe: { label: 'Severe', color: '#E74C3C' },
+};
+
+const ALL_VARIETIES = Object.keys(GOURD_VARIETIES);
+
+export const DISEASE_TAXONOMY = [
+  // ===== FUNGAL / OOMYCETE DISEASES =====
+  {
+    id: 'powdery_mildew',
+    name: 'Powdery Mildew',
+    scientificName: 'Podosphaera xanthii',
+    category: 'disease',
+    parts: ['leaf', 'stem'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'White, talc-like powdery patches on upper leaf surfaces',
+      'Older leaves yellow, dry out and die early',
+    ],
+    treatment: [
+      'Remove and destroy the most heavily covered leaves',
+      'Spray sulfur or potassium bicarbonate, covering both leaf surfaces',
+      'Repeat every 7-10 days while new patches appear',
+    ],
+    prevention: [
+      'Space plants and prune the trellis for airflow',
+      'Avoid excess nitrogen fertilizer',
+    ],
+  },
+  {
+    id: 'downy_mildew',
+    name: 'Downy Mildew',
+    scientificName: 'Pseudoperonospora cubensis',
+    category: 'disease',
+    parts: ['leaf'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Angular yellow spots bounded by leaf veins',
+      'Grey to purple fuzzy growth on the leaf underside, especially after humid nights',
+    ],
+    treatment: [
+      'Remove infected leaves and keep them out of the compost',
+      'Apply a copper-based or mancozeb fungicide at the first spots',
+    ],
+    prevention: [
+      'Water at the base in the morning, never overhead in the evening',
+      'Clear crop debris after harvest',
+    ],
+  },
+  {
+    id: 'anthracnose',
+    name: 'Anthracnose',
+    scientificName: 'Colletotrichum orbiculare',
+    category: 'disease',
+    parts: ['leaf', 'fruit', 'stem'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Round, water-soaked spots that turn brown to black on leaves',
+      'Sunken dark lesions on fruit, sometimes with pink spore masses',
+    ],
+    treatment: [
+      'Pick off and destroy spotted leaves and fruit',
+      'Spray a copper-based fungicide, repeating after heavy rain',
+    ],
+    prevention: [
+      'Rotate away from cucurbits for at least two seasons',
+      'Use clean seed and avoid working with wet plants',
+    ],
+  },
+  {
+    id: 'cercospora_leaf_spot',
+    name: 'Cercospora Leaf Spot',
+    scientificName: 'Cercospora citrullina',
+    category: 'disease',
+    parts: ['leaf'],
+    varieties: ['ampalaya_bilog', 'patola'],
+    symptoms: [
+      'Small circular spots with pale tan centers and dark borders',
+      'Spots merge and leaves yellow and drop',
+    ],
+    treatment: [
+      'Remove spotted lower leaves',
+      'Apply a copper-based or chlorothalonil fungicide',
+    ],
+    prevention: [
+      'Mulch to stop soil splashing onto leaves',
+      'Remove volunteer gourds and weeds that host the fungus',
+    ],
+  },
+  {
+    id: 'gummy_stem_blight',
+    name: 'Gummy Stem Blight',
+    scientificName: 'Stagonosporopsis cucurbitacearum',
+    category: 'disease',
+    parts: ['leaf', 'stem', 'fruit'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Brown wedge-shaped lesions starting at the leaf edge',
+      'Cracked stems oozing amber, gummy sap',
+    ],
+    treatment: [
+      'Cut out infected vines below the lesion',
+      'Apply a protectant fungicide to the remaining plants',
+    ],
+    prevention: [
+      'Rotate crops and avoid overhead irrigation',
+      'Handle vines gently - wounds let the fungus in',
+    ],
+  },
+  {
+    id: 'fruit_rot',
+    name: 'Fruit Rot',
+    scientificName: 'Pythium / Phytophthora spp.',
+    category: 'disease',
+    parts: ['fruit'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Soft, water-soaked patches on fruit, usually where it touches the soil',
+      'White cottony growth on the rotting area',
+    ],
+    treatment: [
+      'Remove and destroy rotting fruit immediately',
+      'Improve drainage around affected plants',
+    ],
+    prevention: [
+      'Trellis vines so fruit hangs clear of the soil',
+      'Use mulch or straw under fruit that does touch the ground',
+    ],
+  },
+
+  // ===== VIRAL DISEASES =====
+  {
+    id: 'mosaic_virus',
+    name: 'Mosaic Virus',
+    scientificName: 'CMV, ZYMV, PRSV-W',
+    category: 'disease',
+    parts: ['leaf', 'fruit'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Light and dark green mottling on young leaves',
+      'Puckered, distorted leaves and bumpy, misshapen fruit',
+    ],
+    treatment: [
+      'There is no cure - uproot and destroy infected plants',
+      'Control aphids, which spread the virus between plants',
+    ],
+    prevention: [
+      'Use reflective mulch or netting to keep aphids away from seedlings',
+      'Remove weeds that host the virus around the field',
+    ],
+  },
+
+  // ===== INSECT & MITE PESTS =====
+  {
+    id: 'fruit_fly',
+    name: 'Melon Fruit Fly',
+    scientificName: 'Zeugodacus cucurbitae',
+    category: 'pest',
+    parts: ['fruit'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Small puncture marks on young fruit, sometimes oozing sap',
+      'Fruit yellows, rots from inside and contains maggots',
+    ],
+    treatment: [
+      'Collect and bury or burn all infested fruit',
+      'Hang protein bait or cue-lure traps around the plot',
+    ],
+    prevention: [
+      'Bag young fruit with paper or fine net 2-3 days after fruit set',
+      'Harvest on time and never leave overripe fruit on the vine',
+    ],
+  },
+  {
+    id: 'aphids',
+    name: 'Aphids',
+    scientificName: 'Aphis gossypii',
+    category: 'pest',
+    parts: ['leaf', 'stem', 'flower'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Clusters of tiny soft insects under leaves and on shoot tips',
+      'Curled leaves, sticky honeydew and black sooty mould',
+    ],
+    treatment: [
+      'Knock colonies off with a strong spray of water',
+      'Apply insecticidal soap or neem oil to leaf undersides',
+    ],
+    prevention: [
+      'Encourage ladybugs and lacewings by limiting broad-spectrum sprays',
+      'Check shoot tips twice a week during dry weather',
+    ],
+  },
+  {
+    id: 'leaf_miner',
+    name: 'Leaf Miner',
+    scientificName: 'Liriomyza spp.',
+    category: 'pest',
+    parts: ['leaf'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Winding white or silvery trails inside the leaf',
+      'Heavily mined leaves dry out and drop',
+    ],
+    treatment: [
+      'Pick and destroy mined leaves',
+      'Use yellow sticky traps to catch adult flies',
+    ],
+    prevention: [
+      'Remove weeds and old crop residue that harbour the pest',
+    ],
+  },
+  {
+    id: 'leaf_beetle',
+    name: 'Cucurbit Leaf Beetle',
+    scientificName: 'Aulacophora spp.',
+    category: 'pest',
+    parts: ['leaf', 'flower'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Round holes chewed in leaves and flowers',
+      'Orange or black-and-yellow beetles on the foliage',
+    ],
+    treatment: [
+      'Hand-pick beetles early in the morning when they are sluggish',
+      'Dust seedlings with wood ash or apply a botanical insecticide',
+    ],
+    prevention: [
+      'Protect young plants with row covers until flowering',
+    ],
+  },
+  {
+    id: 'thrips',
+    name: 'Thrips',
+    scientificName: 'Thrips palmi',
+    category: 'pest',
+    parts: ['leaf', 'fruit', 'flower'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Silvery or bronze scarring on leaves and fruit skin',
+      'Stunted, cupped young leaves',
+    ],
+    treatment: [
+      'Use blue sticky traps to monitor and reduce numbers',
+      'Spray spinosad or neem oil in the late afternoon',
+    ],
+    prevention: [
+      'Keep the field free of weeds between crops',
+    ],
+  },
+  {
+    id: 'whitefly',
+    name: 'Whitefly',
+    scientificName: 'Bemisia tabaci',
+    category: 'pest',
+    parts: ['leaf'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Tiny white insects that fly up when leaves are disturbed',
+      'Yellowing leaves and sooty mould on honeydew',
+    ],
+    treatment: [
+      'Use yellow sticky traps near the canopy',
+      'Spray insecticidal soap or neem oil on leaf undersides',
+    ],
+    prevention: [
+      'Avoid planting next to heavily infested crops such as tomato or eggplant',
+    ],
+  },
+  {
+    id: 'spider_mites',
+    name: 'Spider Mites',
+    scientificName: 'Tetranychus urticae',
+    category: 'pest',
+    parts: ['leaf'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Fine yellow stippling on the upper leaf surface',
+      'Fine webbing on the leaf underside in severe cases',
+    ],
+    treatment: [
+      'Spray leaf undersides with water to break up colonies',
+      'Apply sulfur or a miticide if stippling keeps spreading',
+    ],
+    prevention: [
+      'Keep plants well watered - mites thrive on drought-stressed vines',
+    ],
+  },
+
+  // ===== NON-INFECTIOUS DISORDERS =====
+  {
+    id: 'nutrient_deficiency',
+    name: 'Nutrient Deficiency',
+    scientificName: null,
+    category: 'disorder',
+    parts: ['leaf'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Even yellowing of older leaves (nitrogen) or between veins (magnesium)',
+      'Scorched or curled leaf edges (potassium)',
+    ],
+    treatment: [
+      'Side-dress with a balanced fertilizer or compost',
+      'Have the soil tested if yellowing continues after feeding',
+    ],
+    prevention: [
+      'Work compost into beds before planting and feed during fruiting',
+    ],
+  },
+  {
+    id: 'poor_fruit_set',
+    name: 'Poor Pollination',
+    scientificName: null,
+    category: 'disorder',
+    parts: ['fruit'],
+    varieties: ALL_VARIETIES,
+    symptoms: [
+      'Small fruit that yellows and drops soon after flowering',
+      'Fruit that is narrow or shrivelled at the blossom end',
+    ],
+    treatment: [
+      'Hand-pollinate female flowers in the morning using fresh male flowers',
+      'Remove malformed fruit so the vine sets new ones',
+    ],
+    prevention: [
+      'Plant flowering herbs nearby to attract bees',
+      'Track pollination in the app to time hand-pollination',
+    ],
+  },
+];
+
+/**
+ * Look up a condition by ID
+ * @param {string} id - Condition ID, e.g. 'powdery_mildew'
+ * @returns {Object|null} Taxonomy entry
+ */
+export const getCondition = (id) => DISEASE_TAXONOMY.find(condition => condition.id === id) || null;
+
+/**
+ * Conditions that can affect a variety
+ * @param {string} [varietyKey] - e.g. 'patola'; all conditions when omitted
+ */
+export const getConditionsForVariety = (varietyKey) => {
+  if (!varietyKey || !GOURD_VARIETIES[varietyKey]) return DISEASE_TAXONOMY;
+  return DISEASE_TAXONOMY.filter(condition => condition.varieties.includes(varietyKey));
+};
+
+/**
+ * Reverse lookup from a stored variety name ('Patola') to its key ('patola')
+ */
+export const getVarietyKey = (varietyName) =>
+  Object.keys(GOURD_VARIETIES).find(key => GOURD_VARIETIES[key] === varietyName) || null;
@@ -4,7 +4,7 @@
  */
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authService } from '../services';
+import { authService, scanOutboxService } from '../services';
 import { pollinationNotificationHelper } from '../utils/pollinationNotificationHelper';
 
 const AuthContext = createContext({
@@ -44,6 +44,9 @@ export const AuthProvider = ({ children }) => {
         } catch (error) {
           console.error('Error initializing notifications after login:', error);
         }
+
+        // Upload any scans saved while offline
+        scanOutboxService.start();
       } else {
         setUserRole(null);
       }
@@ -58,6 +61,8 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      scanOutboxService.stop();
+      await pollinationNotificationHelper.unregisterPushToken();
       await authService.logout();
       setIsAuthenticated(false);
       setUserRole(null);
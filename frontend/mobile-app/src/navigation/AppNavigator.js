@@ -6,6 +6,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { ActivityIndicator, View } from 'react-native';
 import { useAuth } from '../contexts/AuthContext';
 import { theme } from '../styles';
+import { NotificationsScreen } from '../screens';
 
 // Import Stacks
 import {
@@ -165,12 +166,16 @@ export const AppNavigator = () => {
     <NavigationContainer theme={navigationTheme}>
       <Stack.Navigator screenOptions={{ headerShown: false }}>
         {isAuthenticated ? (
-          <Stack.Screen
-            name="Main"
-            initialParams={{ showWelcome }}
-          >
-            {(props) => <MainTabs {...props} onAuthChange={handleAuthChange} showWelcome={showWelcome} userRole={userRole} />}
-          </Stack.Screen>
+          <>
+            <Stack.Screen
+              name="Main"
+              initialParams={{ showWelcome }}
+            >
+              {(props) => <MainTabs {...props} onAuthChange={handleAuthChange} showWelcome={showWelcome} userRole={userRole} />}
+            </Stack.Screen>
+            {/* Above the tabs so the bell in any tab's header can open it */}
+            <Stack.Screen name="Notifications" component={NotificationsScreen} />
+          </>
         ) : (
           <Stack.Screen name="Auth">
             {(props) => <AuthStack {...props} onAuthSuccess={handleAuthChange} />}
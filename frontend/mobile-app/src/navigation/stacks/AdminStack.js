@@ -4,7 +4,8 @@ import {
     AdminDashboardScreen,
     UserManagementScreen,
     UserDetailScreen,
-    ForumManagementScreen
+    ForumManagementScreen,
+    ScanReviewScreen
 } from '../../screens/AdminScreens';
 import { theme } from '../../styles';
 
@@ -45,6 +46,11 @@ export const AdminStack = () => {
                 component={ForumManagementScreen}
                 options={{ title: 'Forum Management' }}
             />
+            <Stack.Screen
+                name="ScanReview"
+                component={ScanReviewScreen}
+                options={{ title: 'Scan Review' }}
+            />
         </Stack.Navigator>
     );
 };
@@ -4,7 +4,8 @@ import {
     CameraScreen,
     CameraScreenTM,
     ResultsScreen,
-    ResultsScreenTM
+    ResultsScreenTM,
+    PlantHealthResultsScreen
 } from '../../screens';
 
 const Stack = createStackNavigator();
@@ -42,6 +43,11 @@ export const CameraStack = () => {
                 component={ResultsScreenTM}
                 options={{ title: 'TM Analysis Results', headerShown: false }}
             />
+            <Stack.Screen
+                name="PlantHealthResults"
+                component={PlantHealthResultsScreen}
+                options={{ title: 'Plant Health', headerShown: false }}
+            />
         </Stack.Navigator>
     );
 };
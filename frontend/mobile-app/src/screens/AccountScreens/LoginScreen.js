@@ -17,6 +17,25 @@ import { authService } from '../../services';
 import { theme } from '../../styles';
 import { CustomAlert } from '../../components';
 
+// Alert title and message for a suspended or deactivated account
+const getDeactivatedAlert = (result) => {
+  if (result.accountSuspended && result.suspension) {
+    const { reason, suspendUntil } = result.suspension;
+    const until = suspendUntil ? ` until ${new Date(suspendUntil).toLocaleDateString()}` : '';
+    return {
+      title: 'Account Suspended',
+      message: `Your account has been suspended${until}.${reason ? `\n\nReason: ${reason}` : ''}\n\nPlease contact support if you think this is a mistake.`,
+    };
+  }
+
+  return {
+    title: 'Account Deactivated',
+    message: result.deactivationReason
+      ? `Your account has been deactivated.\n\nReason: ${result.deactivationReason}\n\nPlease contact support for assistance.`
+      : 'Your account has been deactivated. Please contact support for assistance.',
+  };
+};
+
 export const LoginScreen = ({ navigation, onAuthSuccess }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -62,15 +81,10 @@ export const LoginScreen = ({ navigation, onAuthSuccess }) => {
       } else {
         // Check if account is deactivated
         if (result.accountDeactivated) {
-          const message = result.deactivationReason 
-            ? `Your account has been deactivated.\n\nReason: ${result.deactivationReason}\n\nPlease contact support for assistance.`
-            : 'Your account has been deactivated. Please contact support for assistance.';
-          
           setAlert({
             visible: true,
             type: 'error',
-            title: 'Account Deactivated',
-            message: message,
+            ...getDeactivatedAlert(result),
             buttons: [],
           });
         } else {
@@ -116,15 +130,10 @@ export const LoginScreen = ({ navigation, onAuthSuccess }) => {
       } else {
         // Check if account is deactivated
         if (result.accountDeactivated) {
-          const message = result.deactivationReason 
-            ? `Your account has been deactivated.\n\nReason: ${result.deactivationReason}\n\nPlease contact support for assistance.`
-            : 'Your account has been deactivated. Please contact support for assistance.';
-          
           setAlert({
             visible: true,
             type: 'error',
-            title: 'Account Deactivated',
-            message: message,
+            ...getDeactivatedAlert(result),
             buttons: [],
           });
         } else {
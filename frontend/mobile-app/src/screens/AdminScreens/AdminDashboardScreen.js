@@ -22,6 +22,8 @@ export const AdminDashboardScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [dashboardData, setDashboardData] = useState(null);
+  const [modelAnalytics, setModelAnalytics] = useState([]);
+  const [pollinationBenchmark, setPollinationBenchmark] = useState(null);
 
   useEffect(() => {
     loadDashboardData();
@@ -30,13 +32,25 @@ export const AdminDashboardScreen = ({ navigation }) => {
   const loadDashboardData = async () => {
     try {
       setLoading(true);
-      const result = await adminService.getDashboardOverview();
+      const [result, analytics, benchmark] = await Promise.all([
+        adminService.getDashboardOverview(),
+        adminService.getModelAnalytics(),
+        adminService.getPollinationBenchmark(),
+      ]);
       
       if (result.success) {
         setDashboardData(result.data);
       } else {
         console.error('Failed to load dashboard:', result.message);
       }
+
+      if (analytics.success) {
+        setModelAnalytics(analytics.models);
+      }
+
+      if (benchmark.success) {
+        setPollinationBenchmark(benchmark.data);
+      }
     } catch (error) {
       console.error('Error loading dashboard:', error);
     } finally {
@@ -86,6 +100,13 @@ export const AdminDashboardScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const ModelMetric = ({ label, value }) => (
+    <View style={styles.modelMetric}>
+      <Text style={styles.modelMetricValue}>{value}</Text>
+      <Text style={styles.modelMetricLabel}>{label}</Text>
+    </View>
+  );
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -215,6 +236,106 @@ export const AdminDashboardScreen = ({ navigation }) => {
           </View>
         )}
 
+        {/* Scan Review */}
+        {dashboardData?.scanStats && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Scan Review</Text>
+            <View style={styles.statsGrid}>
+              <StatCard
+                title="Needs Review"
+                value={dashboardData.scanStats.pendingReviewScans || 0}
+                icon="eye"
+                color="#FF9800"
+                onPress={() => navigation.navigate('ScanReview')}
+              />
+              <StatCard
+                title="Model Conflicts"
+                value={dashboardData.scanStats.conflictScans || 0}
+                icon="git-compare"
+                color="#F44336"
+                onPress={() => navigation.navigate('ScanReview', { filter: 'conflict' })}
+              />
+              <StatCard
+                title="Low Confidence"
+                value={dashboardData.scanStats.lowConfidenceScans || 0}
+                icon="help-circle"
+                color="#9C27B0"
+                onPress={() => navigation.navigate('ScanReview', { filter: 'low_confidence' })}
+              />
+              <StatCard
+                title="Expert Labeled"
+                value={dashboardData.scanStats.expertLabeledScans || 0}
+                icon="ribbon"
+                color="#4CAF50"
+                onPress={() => navigation.navigate('ScanReview', { filter: 'all', includeResolved: true })}
+              />
+            </View>
+          </View>
+        )}
+
+        {/* Model Performance */}
+        {modelAnalytics.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Model Performance</Text>
+            {modelAnalytics.map(model => (
+              <View key={model.modelVersion} style={styles.modelCard}>
+                <View style={styles.modelCardHeader}>
+                  <Text style={styles.modelVersion}>{model.modelVersion}</Text>
+                  <Text style={styles.modelScans}>{model.scanCount} scans</Text>
+                </View>
+                <View style={styles.modelMetrics}>
+                  <ModelMetric label="Accuracy" value={formatRate(model.accuracy.rate)} />
+                  <ModelMetric label="Gemini agree" value={formatRate(model.geminiAgreement.rate)} />
+                  <ModelMetric label="Rejected" value={formatRate(model.notFlowerRejection.rate)} />
+                </View>
+                <View style={styles.modelMetrics}>
+                  <ModelMetric label="Mean" value={formatMs(model.inferenceTime.mean)} />
+                  <ModelMetric label="p95" value={formatMs(model.inferenceTime.p95)} />
+                  <ModelMetric label="Confidence" value={formatRate(model.confidence.mean)} />
+                </View>
+                <Text style={styles.modelFootnote}>
+                  Accuracy from {model.accuracy.labeled} labeled scans
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Pollination Benchmark */}
+        {pollinationBenchmark?.totals.attempts > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Pollination Benchmark</Text>
+            <View style={styles.modelCard}>
+              <View style={styles.modelCardHeader}>
+                <Text style={styles.modelVersion}>Community</Text>
+                <Text style={styles.modelScans}>
+                  {pollinationBenchmark.totals.growers} growers · {pollinationBenchmark.totals.attempts} pollinations
+                </Text>
+              </View>
+              <View style={styles.modelMetrics}>
+                <ModelMetric label="Success rate" value={formatRate(pollinationBenchmark.totals.successRate)} />
+                <ModelMetric label="Grower median" value={formatRate(pollinationBenchmark.growerSuccessRates.median)} />
+                <ModelMetric label="Middle half" value={
+                  pollinationBenchmark.growerSuccessRates.p25 === null
+                    ? '—'
+                    : `${pollinationBenchmark.growerSuccessRates.p25}–${pollinationBenchmark.growerSuccessRates.p75}%`
+                } />
+              </View>
+              {pollinationBenchmark.byVariety.map(variety => (
+                <View key={variety.key} style={styles.benchmarkRow}>
+                  <Text style={styles.benchmarkLabel}>{variety.label}</Text>
+                  <Text style={styles.benchmarkValue}>{formatRate(variety.successRate)}</Text>
+                  <Text style={styles.benchmarkCount}>{variety.growers} growers</Text>
+                </View>
+              ))}
+              <Text style={styles.modelFootnote}>
+                Varieties with fewer than {pollinationBenchmark.minGrowersPerBucket} growers are hidden.
+                Grower spread counts growers with {pollinationBenchmark.growerSuccessRates.minAttempts}+ results.
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Users by Role */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Users by Role</Text>
@@ -267,6 +388,18 @@ export const AdminDashboardScreen = ({ navigation }) => {
               color="#4CAF50"
               onPress={() => navigation.navigate('ForumManagement')}
             />
+            <QuickAction
+              title="Forum Reports"
+              icon="flag"
+              color="#F44336"
+              onPress={() => navigation.navigate('ForumManagement', { initialTab: 'reports' })}
+            />
+            <QuickAction
+              title="Review Scans"
+              icon="scan"
+              color="#2196F3"
+              onPress={() => navigation.navigate('ScanReview')}
+            />
             <QuickAction
               title="View Reports"
               icon="stats-chart"
@@ -307,6 +440,10 @@ const getProviderIcon = (provider) => {
   return icons[provider] || 'person';
 };
 
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const formatMs = (value) => (value === null || value === undefined ? '—' : `${Math.round(value)}ms`);
+
 const capitalizeFirst = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1);
 };
@@ -471,6 +608,84 @@ const styles = StyleSheet.create({
     fontFamily: 'Poppins_600SemiBold',
     color: theme.colors.text.primary,
   },
+  modelCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    ...theme.shadows.medium,
+  },
+  modelCardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  modelVersion: {
+    fontSize: 15,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.primary,
+  },
+  modelScans: {
+    fontSize: 13,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+  },
+  modelMetrics: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 8,
+  },
+  modelMetric: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  modelMetricValue: {
+    fontSize: 16,
+    fontFamily: 'Poppins_700Bold',
+    color: theme.colors.primary,
+  },
+  modelMetricLabel: {
+    fontSize: 11,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+  },
+  benchmarkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.background.secondary,
+  },
+  benchmarkLabel: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.primary,
+  },
+  benchmarkValue: {
+    width: 60,
+    textAlign: 'right',
+    fontSize: 14,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.primary,
+  },
+  benchmarkCount: {
+    width: 80,
+    textAlign: 'right',
+    fontSize: 11,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+  },
+  modelFootnote: {
+    fontSize: 11,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+    marginTop: 4,
+  },
   quickActionsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -35,10 +35,25 @@ export const ForumManagementScreen = ({ navigation, route }) => {
   const [showFilters, setShowFilters] = useState(false);
   const [selectedPost, setSelectedPost] = useState(null);
   const [showActionsModal, setShowActionsModal] = useState(false);
+  const [activeTab, setActiveTab] = useState(route.params?.initialTab || 'posts');
+  const [reportGroups, setReportGroups] = useState([]);
+  const [reportStatus, setReportStatus] = useState('open');
+  const [reportPage, setReportPage] = useState(1);
+  const [reportPagination, setReportPagination] = useState(null);
+  const [flagThreshold, setFlagThreshold] = useState(null);
+  const [selectedGroup, setSelectedGroup] = useState(null);
 
   useEffect(() => {
-    loadPosts();
-  }, [page, filters]);
+    if (activeTab === 'posts') {
+      loadPosts();
+    }
+  }, [page, filters, activeTab]);
+
+  useEffect(() => {
+    if (activeTab === 'reports') {
+      loadReports();
+    }
+  }, [reportPage, reportStatus, activeTab]);
 
   useEffect(() => {
     // Handle route params for filtering
@@ -46,6 +61,9 @@ export const ForumManagementScreen = ({ navigation, route }) => {
       const { filter } = route.params;
       setFilters(prev => ({ ...prev, status: filter }));
     }
+    if (route.params?.initialTab) {
+      setActiveTab(route.params.initialTab);
+    }
   }, [route.params]);
 
   const loadPosts = async () => {
@@ -72,12 +90,41 @@ export const ForumManagementScreen = ({ navigation, route }) => {
     }
   };
 
+  const loadReports = async () => {
+    try {
+      setLoading(true);
+      const result = await adminService.getForumReports({
+        status: reportStatus,
+        page: reportPage,
+        limit: 20,
+      });
+
+      if (result.success) {
+        setReportGroups(result.groups);
+        setReportPagination(result.pagination);
+        setFlagThreshold(result.flagThreshold);
+      } else {
+        Alert.alert('Error', result.message);
+      }
+    } catch (error) {
+      console.error('Error loading reports:', error);
+      Alert.alert('Error', 'Failed to load forum reports');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    setPage(1);
-    await loadPosts();
+    if (activeTab === 'reports') {
+      setReportPage(1);
+      await loadReports();
+    } else {
+      setPage(1);
+      await loadPosts();
+    }
     setRefreshing(false);
-  }, [search, filters]);
+  }, [search, filters, activeTab, reportStatus]);
 
   const handleSearch = () => {
     setPage(1);
@@ -264,6 +311,42 @@ export const ForumManagementScreen = ({ navigation, route }) => {
     );
   };
 
+  const handleResolveReports = (group, action) => {
+    const target = group.targetType === 'comment' ? 'comment' : 'post';
+    const isRemove = action === 'remove';
+
+    Alert.alert(
+      isRemove ? `Remove ${target}` : 'Dismiss Reports',
+      isRemove
+        ? `Remove this ${target} from the community and close its ${group.reportCount} report(s)?`
+        : `Keep this ${target} and dismiss its ${group.reportCount} report(s)?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: isRemove ? 'Remove' : 'Dismiss',
+          style: isRemove ? 'destructive' : 'default',
+          onPress: async () => {
+            try {
+              const result = await adminService.resolveForumReports(group.postId, group.commentId, action);
+
+              if (result.success) {
+                Alert.alert('Success', result.message);
+                setSelectedGroup(null);
+                loadReports();
+              } else {
+                Alert.alert('Error', result.message);
+              }
+            } catch (error) {
+              Alert.alert('Error', 'Failed to resolve reports');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatReason = (reason) => reason.replace('_', ' ');
+
   const getStatusColor = (status) => {
     const colors = {
       pending: '#FF9800',
@@ -272,6 +355,7 @@ export const ForumManagementScreen = ({ navigation, route }) => {
       deleted: '#F44336',
       flagged: '#9C27B0',
       rejected: '#F44336',
+      removed: '#F44336',
     };
     return colors[status] || '#9E9E9E';
   };
@@ -388,6 +472,121 @@ export const ForumManagementScreen = ({ navigation, route }) => {
     </TouchableOpacity>
   );
 
+  const renderReportGroup = ({ item }) => {
+    const target = item.targetType === 'comment' ? item.comment : item.post;
+
+    return (
+      <TouchableOpacity
+        style={styles.postCard}
+        onPress={() => setSelectedGroup(item)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.reportHeader}>
+          <View style={styles.postMeta}>
+            <View style={[styles.categoryBadge, { backgroundColor: theme.colors.primary + '20' }]}>
+              <Text style={[styles.categoryText, { color: theme.colors.primary }]}>
+                {item.targetType}
+              </Text>
+            </View>
+            {target && (
+              <View style={[styles.statusBadge, { backgroundColor: getStatusColor(target.status) + '20' }]}>
+                <Text style={[styles.statusText, { color: getStatusColor(target.status) }]}>
+                  {target.status || 'active'}
+                </Text>
+              </View>
+            )}
+          </View>
+          <View style={styles.stat}>
+            <Ionicons name="flag" size={16} color="#F44336" />
+            <Text style={[styles.statText, styles.reportCountText]}>
+              {item.reportCount}{flagThreshold ? ` / ${flagThreshold}` : ''}
+            </Text>
+          </View>
+        </View>
+
+        {item.post && (
+          <Text style={styles.postTitle} numberOfLines={1}>
+            {item.targetType === 'comment' ? `On: ${item.post.title}` : item.post.title}
+          </Text>
+        )}
+        <Text style={styles.postContent} numberOfLines={2}>
+          {target ? target.content : 'This content no longer exists'}
+        </Text>
+        {target && <Text style={styles.postDate}>by {target.author}</Text>}
+
+        <View style={styles.reasonRow}>
+          {Object.entries(item.reasonCounts).map(([reason, count]) => (
+            <View key={reason} style={styles.reasonChip}>
+              <Text style={styles.reasonChipText}>{formatReason(reason)} ×{count}</Text>
+            </View>
+          ))}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const ReportDetailModal = () => (
+    <Modal
+      visible={!!selectedGroup}
+      transparent
+      animationType="slide"
+      onRequestClose={() => setSelectedGroup(null)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              {selectedGroup?.reportCount} Report{selectedGroup?.reportCount === 1 ? '' : 's'}
+            </Text>
+            <TouchableOpacity onPress={() => setSelectedGroup(null)}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          {selectedGroup && (
+            <FlatList
+              data={selectedGroup.reports}
+              keyExtractor={(report) => report._id}
+              style={styles.reportList}
+              renderItem={({ item: report }) => (
+                <View style={styles.reportItem}>
+                  <View style={styles.reportHeader}>
+                    <Text style={styles.authorName}>{report.reporter}</Text>
+                    <Text style={styles.postDate}>{new Date(report.createdAt).toLocaleDateString()}</Text>
+                  </View>
+                  <Text style={styles.reportReason}>{formatReason(report.reason)}</Text>
+                  {!!report.details && <Text style={styles.postContent}>{report.details}</Text>}
+                </View>
+              )}
+            />
+          )}
+
+          {selectedGroup && reportStatus === 'open' && (
+            <View style={styles.actionsContainer}>
+              <View style={styles.divider} />
+              <TouchableOpacity
+                style={[styles.actionItem, styles.approveAction]}
+                onPress={() => handleResolveReports(selectedGroup, 'dismiss')}
+              >
+                <Ionicons name="checkmark-circle" size={24} color="#4CAF50" />
+                <Text style={[styles.actionText, styles.approveText]}>Dismiss (keep content)</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionItem, styles.rejectAction]}
+                onPress={() => handleResolveReports(selectedGroup, 'remove')}
+              >
+                <Ionicons name="trash" size={24} color="#F44336" />
+                <Text style={[styles.actionText, styles.rejectText]}>
+                  Remove {selectedGroup.targetType}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+
   const ActionsModal = () => (
     <Modal
       visible={showActionsModal}
@@ -628,100 +827,205 @@ export const ForumManagementScreen = ({ navigation, route }) => {
             <Ionicons name="arrow-back" size={24} color="#fff" />
           </TouchableOpacity>
           <Text style={styles.headerTitle}>Forum Management</Text>
-          <TouchableOpacity
-            style={styles.filterButton}
-            onPress={() => setShowFilters(true)}
-          >
-            <Ionicons name="options" size={24} color="#fff" />
-          </TouchableOpacity>
+          {activeTab === 'posts' ? (
+            <TouchableOpacity
+              style={styles.filterButton}
+              onPress={() => setShowFilters(true)}
+            >
+              <Ionicons name="options" size={24} color="#fff" />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.filterButton} />
+          )}
         </View>
 
-        {/* Search Bar */}
-        <View style={styles.searchContainer}>
-          <Ionicons name="search" size={20} color={theme.colors.text.secondary} style={styles.searchIcon} />
-          <TextInput
-            style={styles.searchInput}
-            placeholder="Search by title or content..."
-            placeholderTextColor={theme.colors.text.secondary}
-            value={search}
-            onChangeText={setSearch}
-            onSubmitEditing={handleSearch}
-            returnKeyType="search"
-          />
-          {search.length > 0 && (
-            <TouchableOpacity onPress={() => { setSearch(''); handleSearch(); }}>
-              <Ionicons name="close-circle" size={20} color={theme.colors.text.secondary} />
+        {/* Tabs */}
+        <View style={styles.tabBar}>
+          {[
+            { key: 'posts', label: 'Posts', icon: 'chatbubbles' },
+            { key: 'reports', label: 'Reports', icon: 'flag' },
+          ].map((tab) => (
+            <TouchableOpacity
+              key={tab.key}
+              style={[styles.tab, activeTab === tab.key && styles.tabActive]}
+              onPress={() => setActiveTab(tab.key)}
+            >
+              <Ionicons
+                name={tab.icon}
+                size={16}
+                color={activeTab === tab.key ? theme.colors.primary : '#fff'}
+              />
+              <Text style={[styles.tabText, activeTab === tab.key && styles.tabTextActive]}>
+                {tab.label}
+              </Text>
             </TouchableOpacity>
-          )}
+          ))}
         </View>
+
+        {/* Search Bar */}
+        {activeTab === 'posts' && (
+          <View style={styles.searchContainer}>
+            <Ionicons name="search" size={20} color={theme.colors.text.secondary} style={styles.searchIcon} />
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search by title or content..."
+              placeholderTextColor={theme.colors.text.secondary}
+              value={search}
+              onChangeText={setSearch}
+              onSubmitEditing={handleSearch}
+              returnKeyType="search"
+            />
+            {search.length > 0 && (
+              <TouchableOpacity onPress={() => { setSearch(''); handleSearch(); }}>
+                <Ionicons name="close-circle" size={20} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
       </LinearGradient>
 
-      {/* Pagination Info */}
-      {pagination && (
-        <View style={styles.paginationInfo}>
-          <Text style={styles.paginationText}>
-            Showing {posts.length} of {pagination.totalPosts} posts
-          </Text>
-          {pagination.totalPages > 1 && (
-            <Text style={styles.paginationText}>
-              Page {pagination.currentPage} of {pagination.totalPages}
-            </Text>
+      {activeTab === 'reports' ? (
+        <>
+          {/* Report Status Filter */}
+          <View style={styles.reportStatusBar}>
+            {['open', 'dismissed', 'actioned'].map((status) => (
+              <TouchableOpacity
+                key={status}
+                style={[styles.filterOption, reportStatus === status && styles.filterOptionActive]}
+                onPress={() => {
+                  setReportPage(1);
+                  setReportStatus(status);
+                }}
+              >
+                <Text style={[
+                  styles.filterOptionText,
+                  reportStatus === status && styles.filterOptionTextActive,
+                ]}>
+                  {status}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {loading ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color={theme.colors.primary} />
+              <Text style={styles.loadingText}>Loading reports...</Text>
+            </View>
+          ) : (
+            <FlatList
+              data={reportGroups}
+              renderItem={renderReportGroup}
+              keyExtractor={(item) => `${item.postId}-${item.commentId || 'post'}`}
+              contentContainerStyle={styles.listContent}
+              refreshControl={
+                <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+              }
+              ListEmptyComponent={
+                <View style={styles.emptyContainer}>
+                  <Ionicons name="flag-outline" size={64} color={theme.colors.text.secondary} />
+                  <Text style={styles.emptyText}>No {reportStatus} reports</Text>
+                  <Text style={styles.emptySubtext}>Reported posts and comments show up here</Text>
+                </View>
+              }
+            />
           )}
-        </View>
-      )}
 
-      {/* Post List */}
-      {loading ? (
-        <View style={styles.loadingContainer}>
-          <ActivityIndicator size="large" color={theme.colors.primary} />
-          <Text style={styles.loadingText}>Loading posts...</Text>
-        </View>
+          {reportPagination && reportPagination.totalPages > 1 && (
+            <View style={styles.paginationControls}>
+              <TouchableOpacity
+                style={[styles.pageButton, !reportPagination.hasPrevPage && styles.pageButtonDisabled]}
+                onPress={() => setReportPage(prev => Math.max(1, prev - 1))}
+                disabled={!reportPagination.hasPrevPage}
+              >
+                <Ionicons name="chevron-back" size={24} color={reportPagination.hasPrevPage ? theme.colors.primary : theme.colors.text.secondary} />
+              </TouchableOpacity>
+
+              <Text style={styles.pageText}>
+                Page {reportPagination.currentPage} of {reportPagination.totalPages}
+              </Text>
+
+              <TouchableOpacity
+                style={[styles.pageButton, !reportPagination.hasNextPage && styles.pageButtonDisabled]}
+                onPress={() => setReportPage(prev => prev + 1)}
+                disabled={!reportPagination.hasNextPage}
+              >
+                <Ionicons name="chevron-forward" size={24} color={reportPagination.hasNextPage ? theme.colors.primary : theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+          )}
+        </>
       ) : (
-        <FlatList
-          data={posts}
-          renderItem={renderPost}
-          keyExtractor={(item) => item._id}
-          contentContainerStyle={styles.listContent}
-          refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
-          }
-          ListEmptyComponent={
-            <View style={styles.emptyContainer}>
-              <Ionicons name="chatbubbles" size={64} color={theme.colors.text.secondary} />
-              <Text style={styles.emptyText}>No posts found</Text>
-              <Text style={styles.emptySubtext}>Try adjusting your filters</Text>
+        <>
+          {/* Pagination Info */}
+          {pagination && (
+            <View style={styles.paginationInfo}>
+              <Text style={styles.paginationText}>
+                Showing {posts.length} of {pagination.totalPosts} posts
+              </Text>
+              {pagination.totalPages > 1 && (
+                <Text style={styles.paginationText}>
+                  Page {pagination.currentPage} of {pagination.totalPages}
+                </Text>
+              )}
             </View>
-          }
-        />
-      )}
+          )}
 
-      {/* Pagination Controls */}
-      {pagination && pagination.totalPages > 1 && (
-        <View style={styles.paginationControls}>
-          <TouchableOpacity
-            style={[styles.pageButton, !pagination.hasPrevPage && styles.pageButtonDisabled]}
-            onPress={() => setPage(prev => Math.max(1, prev - 1))}
-            disabled={!pagination.hasPrevPage}
-          >
-            <Ionicons name="chevron-back" size={24} color={pagination.hasPrevPage ? theme.colors.primary : theme.colors.text.secondary} />
-          </TouchableOpacity>
+          {/* Post List */}
+          {loading ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color={theme.colors.primary} />
+              <Text style={styles.loadingText}>Loading posts...</Text>
+            </View>
+          ) : (
+            <FlatList
+              data={posts}
+              renderItem={renderPost}
+              keyExtractor={(item) => item._id}
+              contentContainerStyle={styles.listContent}
+              refreshControl={
+                <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+              }
+              ListEmptyComponent={
+                <View style={styles.emptyContainer}>
+                  <Ionicons name="chatbubbles" size={64} color={theme.colors.text.secondary} />
+                  <Text style={styles.emptyText}>No posts found</Text>
+                  <Text style={styles.emptySubtext}>Try adjusting your filters</Text>
+                </View>
+              }
+            />
+          )}
 
-          <Text style={styles.pageText}>
-            Page {pagination.currentPage} of {pagination.totalPages}
-          </Text>
+          {/* Pagination Controls */}
+          {pagination && pagination.totalPages > 1 && (
+            <View style={styles.paginationControls}>
+              <TouchableOpacity
+                style={[styles.pageButton, !pagination.hasPrevPage && styles.pageButtonDisabled]}
+                onPress={() => setPage(prev => Math.max(1, prev - 1))}
+                disabled={!pagination.hasPrevPage}
+              >
+                <Ionicons name="chevron-back" size={24} color={pagination.hasPrevPage ? theme.colors.primary : theme.colors.text.secondary} />
+              </TouchableOpacity>
 
-          <TouchableOpacity
-            style={[styles.pageButton, !pagination.hasNextPage && styles.pageButtonDisabled]}
-            onPress={() => setPage(prev => prev + 1)}
-            disabled={!pagination.hasNextPage}
-          >
-            <Ionicons name="chevron-forward" size={24} color={pagination.hasNextPage ? theme.colors.primary : theme.colors.text.secondary} />
-          </TouchableOpacity>
-        </View>
+              <Text style={styles.pageText}>
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </Text>
+
+              <TouchableOpacity
+                style={[styles.pageButton, !pagination.hasNextPage && styles.pageButtonDisabled]}
+                onPress={() => setPage(prev => prev + 1)}
+                disabled={!pagination.hasNextPage}
+              >
+                <Ionicons name="chevron-forward" size={24} color={pagination.hasNextPage ? theme.colors.primary : theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+          )}
+        </>
       )}
 
       <ActionsModal />
       <FilterModal />
+      <ReportDetailModal />
     </SafeAreaView>
   );
 };
@@ -1090,6 +1394,82 @@ const styles = StyleSheet.create({
   filterOptionTextActive: {
     color: theme.colors.primary,
   },
+  tabBar: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 16,
+  },
+  tab: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  tabActive: {
+    backgroundColor: '#fff',
+  },
+  tabText: {
+    fontSize: 14,
+    fontFamily: 'Poppins_500Medium',
+    color: '#fff',
+  },
+  tabTextActive: {
+    color: theme.colors.primary,
+  },
+  reportStatusBar: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  reportHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  reportCountText: {
+    color: '#F44336',
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 12,
+  },
+  reasonChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#F4433610',
+  },
+  reasonChipText: {
+    fontSize: 11,
+    fontFamily: 'Poppins_500Medium',
+    color: '#F44336',
+    textTransform: 'capitalize',
+  },
+  reportList: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  reportItem: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  reportReason: {
+    fontSize: 13,
+    fontFamily: 'Poppins_600SemiBold',
+    color: '#F44336',
+    textTransform: 'capitalize',
+    marginBottom: 4,
+  },
   applyButton: {
     marginTop: 8,
     borderRadius: 12,
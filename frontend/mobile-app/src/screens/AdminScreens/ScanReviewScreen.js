@@ -0,0 +1,846 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  RefreshControl,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Image,
+  ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { adminService } from '../../services';
+import { theme } from '../../styles';
+
+const QUEUE_FILTERS = [
+  { label: 'All', value: 'all' },
+  { label: 'Conflicts', value: 'conflict' },
+  { label: 'Low Confidence', value: 'low_confidence' },
+];
+
+const VARIETIES = ['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'];
+
+const GENDERS = [
+  { label: 'Female', value: 'female', icon: 'female' },
+  { label: 'Male', value: 'male', icon: 'male' },
+  { label: 'Not a flower', value: 'not_flower', icon: 'close-circle-outline' },
+];
+
+const REASON_LABELS = {
+  conflict: { label: 'Models disagree', color: '#F44336' },
+  low_confidence: { label: 'Low confidence', color: '#9C27B0' },
+};
+
+const formatPrediction = (variety, gender) => {
+  if (!gender) return 'No prediction';
+  if (gender === 'not_flower') return 'Not a flower';
+  return `${gender.charAt(0).toUpperCase() + gender.slice(1)} ${variety || ''}`.trim();
+};
+
+const formatConfidence = (confidence) => (
+  confidence === undefined || confidence === null ? '—' : `${Math.round(confidence)}%`
+);
+
+export const ScanReviewScreen = ({ navigation, route }) => {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [type, setType] = useState(route.params?.filter || 'all');
+  const [includeResolved, setIncludeResolved] = useState(!!route.params?.includeResolved);
+  const [selectedScan, setSelectedScan] = useState(null);
+  const [label, setLabel] = useState({ gender: null, variety: null, notes: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadScans();
+  }, [page, type, includeResolved]);
+
+  useEffect(() => {
+    // Handle route params for filtering
+    if (route.params?.filter) {
+      setType(route.params.filter);
+      setIncludeResolved(!!route.params.includeResolved);
+      setPage(1);
+    }
+  }, [route.params]);
+
+  const loadScans = async () => {
+    try {
+      setLoading(true);
+      const result = await adminService.getScanReviewQueue({
+        page,
+        limit: 20,
+        type,
+        includeResolved,
+      });
+
+      if (result.success) {
+        setScans(result.scans);
+        setPagination(result.pagination);
+      } else {
+        Alert.alert('Error', result.message);
+      }
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+      Alert.alert('Error', 'Failed to load scan review queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    setPage(1);
+    await loadScans();
+    setRefreshing(false);
+  }, [type, includeResolved]);
+
+  const openScan = (scan) => {
+    // Start from the existing label, or the TFLite prediction when unlabeled
+    const source = scan.groundTruth?.gender ? scan.groundTruth : scan.aiPrediction?.tflite || {};
+    setLabel({
+      gender: source.gender || null,
+      variety: source.variety || null,
+      notes: scan.groundTruth?.notes || '',
+    });
+    setSelectedScan(scan);
+  };
+
+  const applyModelPrediction = (prediction) => {
+    if (!prediction?.gender) return;
+    setLabel(prev => ({ ...prev, gender: prediction.gender, variety: prediction.variety || null }));
+  };
+
+  const canSave = label.gender === 'not_flower' || (label.gender && label.variety);
+
+  const handleSaveLabel = async () => {
+    if (!selectedScan || !canSave) return;
+
+    try {
+      setSaving(true);
+      const result = await adminService.labelScan(selectedScan._id, {
+        gender: label.gender,
+        variety: label.gender === 'not_flower' ? null : label.variety,
+        notes: label.notes.trim(),
+      });
+
+      if (result.success) {
+        setSelectedScan(null);
+        if (includeResolved) {
+          setScans(prev => prev.map(scan => (
+            scan._id === result.scan._id ? { ...scan, ...result.scan, reviewReasons: scan.reviewReasons, userId: scan.userId } : scan
+          )));
+        } else {
+          // Labeled scans leave the open queue
+          setScans(prev => prev.filter(scan => scan._id !== result.scan._id));
+          if (pagination) {
+            setPagination(prev => ({
+              ...prev,
+              totalScans: prev.totalScans - 1
+            }));
+          }
+        }
+      } else {
+        Alert.alert('Error', result.message);
+      }
+    } catch (error) {
+      console.error('Label scan error:', error);
+      Alert.alert('Error', 'Failed to save scan label');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const ModelColumn = ({ title, icon, prediction, onUse }) => (
+    <View style={styles.modelColumn}>
+      <View style={styles.modelHeader}>
+        <Ionicons name={icon} size={14} color={theme.colors.text.secondary} />
+        <Text style={styles.modelTitle}>{title}</Text>
+      </View>
+      <Text style={styles.modelPrediction} numberOfLines={2}>
+        {formatPrediction(prediction?.variety, prediction?.gender)}
+      </Text>
+      <Text style={styles.modelConfidence}>{formatConfidence(prediction?.confidence)}</Text>
+      {onUse && prediction?.gender && (
+        <TouchableOpacity style={styles.useButton} onPress={onUse}>
+          <Text style={styles.useButtonText}>Use this</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderScan = ({ item }) => {
+    const tflite = item.aiPrediction?.tflite;
+    const gemini = item.aiPrediction?.gemini;
+
+    return (
+      <TouchableOpacity
+        style={styles.scanCard}
+        onPress={() => openScan(item)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.scanHeader}>
+          <Image source={{ uri: item.imageUrl }} style={styles.scanThumb} resizeMode="cover" />
+          <View style={styles.scanInfo}>
+            <Text style={styles.scanUser}>{item.userId?.username || 'Unknown user'}</Text>
+            <Text style={styles.scanDate}>
+              {new Date(item.date || item.createdAt).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+              })}
+            </Text>
+            <View style={styles.reasonRow}>
+              {(item.reviewReasons || []).map(reason => (
+                <View
+                  key={reason}
+                  style={[styles.reasonBadge, { backgroundColor: REASON_LABELS[reason].color + '20' }]}
+                >
+                  <Text style={[styles.reasonText, { color: REASON_LABELS[reason].color }]}>
+                    {REASON_LABELS[reason].label}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+        </View>
+
+        <View style={styles.modelRow}>
+          <ModelColumn title="TFLite" icon="phone-portrait" prediction={tflite} />
+          <View style={styles.modelDivider} />
+          <ModelColumn title="Gemini" icon="sparkles" prediction={gemini} />
+        </View>
+
+        {item.groundTruth?.source === 'expert' && (
+          <View style={styles.labeledRow}>
+            <Ionicons name="ribbon" size={14} color="#4CAF50" />
+            <Text style={styles.labeledText}>
+              Labeled {formatPrediction(item.groundTruth.variety, item.groundTruth.gender)}
+              {item.groundTruth.labeledBy?.username ? ` by ${item.groundTruth.labeledBy.username}` : ''}
+            </Text>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  // Rendered inline (not as a component) so the notes input keeps focus while typing
+  const renderReviewModal = () => {
+    if (!selectedScan) return null;
+
+    const tflite = selectedScan.aiPrediction?.tflite;
+    const gemini = selectedScan.aiPrediction?.gemini;
+    const comparison = selectedScan.aiPrediction?.comparison;
+
+    return (
+      <Modal
+        visible={!!selectedScan}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setSelectedScan(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Review Scan</Text>
+              <TouchableOpacity onPress={() => setSelectedScan(null)}>
+                <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView showsVerticalScrollIndicator={false}>
+              <Image source={{ uri: selectedScan.imageUrl }} style={styles.reviewImage} resizeMode="cover" />
+
+              <View style={styles.modelRow}>
+                <ModelColumn
+                  title="TFLite"
+                  icon="phone-portrait"
+                  prediction={tflite}
+                  onUse={() => applyModelPrediction(tflite)}
+                />
+                <View style={styles.modelDivider} />
+                <ModelColumn
+                  title="Gemini"
+                  icon="sparkles"
+                  prediction={gemini}
+                  onUse={() => applyModelPrediction(gemini)}
+                />
+              </View>
+
+              {comparison?.confidenceGap !== undefined && comparison?.confidenceGap !== null && (
+                <Text style={styles.comparisonText}>
+                  Confidence gap: {Math.round(comparison.confidenceGap)}%
+                  {comparison.recommendation ? ` · Recommended: ${comparison.recommendation}` : ''}
+                </Text>
+              )}
+
+              {gemini?.reasoning ? (
+                <View style={styles.reasoningBox}>
+                  <Text style={styles.reasoningTitle}>Gemini reasoning</Text>
+                  <Text style={styles.reasoningText}>{gemini.reasoning}</Text>
+                </View>
+              ) : null}
+
+              <View style={styles.filterSection}>
+                <Text style={styles.filterLabel}>Final label</Text>
+                <View style={styles.filterOptions}>
+                  {GENDERS.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.filterOption,
+                        label.gender === option.value && styles.filterOptionActive,
+                      ]}
+                      onPress={() => setLabel(prev => ({ ...prev, gender: option.value }))}
+                    >
+                      <Ionicons
+                        name={option.icon}
+                        size={14}
+                        color={label.gender === option.value ? theme.colors.primary : theme.colors.text.secondary}
+                      />
+                      <Text style={[
+                        styles.filterOptionText,
+                        label.gender === option.value && styles.filterOptionTextActive,
+                      ]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {label.gender && label.gender !== 'not_flower' && (
+                  <View style={[styles.filterOptions, styles.varietyOptions]}>
+                    {VARIETIES.map(variety => (
+                      <TouchableOpacity
+                        key={variety}
+                        style={[
+                          styles.filterOption,
+                          label.variety === variety && styles.filterOptionActive,
+                        ]}
+                        onPress={() => setLabel(prev => ({ ...prev, variety }))}
+                      >
+                        <Text style={[
+                          styles.filterOptionText,
+                          label.variety === variety && styles.filterOptionTextActive,
+                        ]}>
+                          {variety}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </View>
+
+              <TextInput
+                style={styles.notesInput}
+                placeholder="Reviewer notes (optional)"
+                placeholderTextColor={theme.colors.text.secondary}
+                value={label.notes}
+                onChangeText={notes => setLabel(prev => ({ ...prev, notes }))}
+                maxLength={500}
+                multiline
+              />
+
+              <TouchableOpacity
+                style={[styles.applyButton, (!canSave || saving) && styles.applyButtonDisabled]}
+                onPress={handleSaveLabel}
+                disabled={!canSave || saving}
+              >
+                <LinearGradient
+                  colors={[theme.colors.primary, theme.colors.primary + 'DD']}
+                  style={styles.applyButtonGradient}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.applyButtonText}>Save Final Label</Text>
+                  )}
+                </LinearGradient>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <LinearGradient
+        colors={[theme.colors.primary, theme.colors.primary + 'DD']}
+        style={styles.header}
+        start={{ x: 0, y: 0 }}
+        end={{ x: 1, y: 1 }}
+      >
+        <View style={styles.headerContent}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={24} color="#fff" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Scan Review</Text>
+          <TouchableOpacity
+            style={[styles.backButton, includeResolved && styles.toggleActive]}
+            onPress={() => { setIncludeResolved(prev => !prev); setPage(1); }}
+          >
+            <Ionicons name={includeResolved ? 'eye' : 'eye-off'} size={22} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.tabRow}>
+          {QUEUE_FILTERS.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.tab, type === option.value && styles.tabActive]}
+              onPress={() => { setType(option.value); setPage(1); }}
+            >
+              <Text style={[styles.tabText, type === option.value && styles.tabTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </LinearGradient>
+
+      {/* Pagination Info */}
+      {pagination && (
+        <View style={styles.paginationInfo}>
+          <Text style={styles.paginationText}>
+            {pagination.totalScans} {includeResolved ? 'scans' : 'scans awaiting review'}
+          </Text>
+          {pagination.totalPages > 1 && (
+            <Text style={styles.paginationText}>
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </Text>
+          )}
+        </View>
+      )}
+
+      {/* Scan List */}
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+          <Text style={styles.loadingText}>Loading scans...</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={scans}
+          renderItem={renderScan}
+          keyExtractor={(item) => item._id}
+          contentContainerStyle={styles.listContent}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons name="checkmark-done-circle" size={64} color={theme.colors.text.secondary} />
+              <Text style={styles.emptyText}>Nothing to review</Text>
+              <Text style={styles.emptySubtext}>All scans in this queue have been labeled</Text>
+            </View>
+          }
+        />
+      )}
+
+      {/* Pagination Controls */}
+      {pagination && pagination.totalPages > 1 && (
+        <View style={styles.paginationControls}>
+          <TouchableOpacity
+            style={[styles.pageButton, !pagination.hasPrevPage && styles.pageButtonDisabled]}
+            onPress={() => setPage(prev => Math.max(1, prev - 1))}
+            disabled={!pagination.hasPrevPage}
+          >
+            <Ionicons name="chevron-back" size={24} color={pagination.hasPrevPage ? theme.colors.primary : theme.colors.text.secondary} />
+          </TouchableOpacity>
+
+          <Text style={styles.pageText}>
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.pageButton, !pagination.hasNextPage && styles.pageButtonDisabled]}
+            onPress={() => setPage(prev => prev + 1)}
+            disabled={!pagination.hasNextPage}
+          >
+            <Ionicons name="chevron-forward" size={24} color={pagination.hasNextPage ? theme.colors.primary : theme.colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {renderReviewModal()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  toggleActive: {
+    backgroundColor: 'rgba(255, 255, 255, 0.4)',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontFamily: 'Poppins_600SemiBold',
+    color: '#fff',
+  },
+  tabRow: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 12,
+    padding: 4,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  tabActive: {
+    backgroundColor: '#fff',
+  },
+  tabText: {
+    fontSize: 13,
+    fontFamily: 'Poppins_500Medium',
+    color: '#fff',
+  },
+  tabTextActive: {
+    color: theme.colors.primary,
+  },
+  paginationInfo: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  paginationText: {
+    fontSize: 13,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+  },
+  listContent: {
+    padding: 16,
+  },
+  scanCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    ...theme.shadows.medium,
+  },
+  scanHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  scanThumb: {
+    width: 64,
+    height: 64,
+    borderRadius: 12,
+    marginRight: 12,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  scanInfo: {
+    flex: 1,
+  },
+  scanUser: {
+    fontSize: 14,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.primary,
+  },
+  scanDate: {
+    fontSize: 12,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 6,
+  },
+  reasonBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  reasonText: {
+    fontSize: 11,
+    fontFamily: 'Poppins_500Medium',
+  },
+  modelRow: {
+    flexDirection: 'row',
+    backgroundColor: theme.colors.background.secondary,
+    borderRadius: 12,
+    padding: 12,
+  },
+  modelColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  modelDivider: {
+    width: 1,
+    backgroundColor: '#E0E0E0',
+    marginHorizontal: 12,
+  },
+  modelHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 6,
+  },
+  modelTitle: {
+    fontSize: 12,
+    fontFamily: 'Poppins_500Medium',
+    color: theme.colors.text.secondary,
+    textTransform: 'uppercase',
+  },
+  modelPrediction: {
+    fontSize: 14,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.primary,
+    textAlign: 'center',
+  },
+  modelConfidence: {
+    fontSize: 20,
+    fontFamily: 'Poppins_700Bold',
+    color: theme.colors.primary,
+    marginTop: 4,
+  },
+  useButton: {
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  useButtonText: {
+    fontSize: 12,
+    fontFamily: 'Poppins_500Medium',
+    color: theme.colors.primary,
+  },
+  labeledRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  labeledText: {
+    fontSize: 12,
+    fontFamily: 'Poppins_500Medium',
+    color: '#4CAF50',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.primary,
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+    marginTop: 8,
+  },
+  paginationControls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.background.secondary,
+  },
+  pageButton: {
+    padding: 12,
+  },
+  pageButtonDisabled: {
+    opacity: 0.3,
+  },
+  pageText: {
+    fontSize: 14,
+    fontFamily: 'Poppins_500Medium',
+    color: theme.colors.text.primary,
+    marginHorizontal: 20,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.primary,
+  },
+  reviewImage: {
+    width: '100%',
+    height: 220,
+    borderRadius: 16,
+    marginBottom: 16,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  comparisonText: {
+    fontSize: 12,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  reasoningBox: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: theme.colors.background.secondary,
+  },
+  reasoningTitle: {
+    fontSize: 12,
+    fontFamily: 'Poppins_600SemiBold',
+    color: theme.colors.text.secondary,
+    marginBottom: 4,
+  },
+  reasoningText: {
+    fontSize: 13,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.primary,
+    lineHeight: 19,
+  },
+  filterSection: {
+    marginTop: 20,
+    marginBottom: 16,
+  },
+  filterLabel: {
+    fontSize: 14,
+    fontFamily: 'Poppins_500Medium',
+    color: theme.colors.text.secondary,
+    marginBottom: 12,
+  },
+  filterOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  varietyOptions: {
+    marginTop: 8,
+  },
+  filterOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: theme.colors.background.secondary,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+  },
+  filterOptionActive: {
+    backgroundColor: theme.colors.primary + '20',
+    borderColor: theme.colors.primary,
+  },
+  filterOptionText: {
+    fontSize: 14,
+    fontFamily: 'Poppins_500Medium',
+    color: theme.colors.text.secondary,
+  },
+  filterOptionTextActive: {
+    color: theme.colors.primary,
+  },
+  notesInput: {
+    minHeight: 60,
+    borderRadius: 12,
+    padding: 12,
+    backgroundColor: theme.colors.background.secondary,
+    fontSize: 14,
+    fontFamily: 'Poppins_400Regular',
+    color: theme.colors.text.primary,
+    textAlignVertical: 'top',
+  },
+  applyButton: {
+    marginTop: 16,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  applyButtonDisabled: {
+    opacity: 0.5,
+  },
+  applyButtonGradient: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    fontSize: 16,
+    fontFamily: 'Poppins_600SemiBold',
+    color: '#fff',
+  },
+});
@@ -489,9 +489,10 @@ const formatDate = (dateString) => {
   });
 };
 
+// Accuracy is measured over the scans the user confirmed or corrected
 const getAccuracy = (stats) => {
-  if (!stats.totalScans || stats.totalScans === 0) return 0;
-  return Math.round((stats.accurateScans / stats.totalScans) * 100);
+  if (!stats.reviewedScans) return 0;
+  return Math.round((stats.accurateScans / stats.reviewedScans) * 100);
 };
 
 const capitalizeFirst = (str) => {
@@ -2,3 +2,4 @@ export { AdminDashboardScreen } from './AdminDashboardScreen';
 export { UserManagementScreen } from './UserManagementScreen';
 export { UserDetailScreen } from './UserDetailScreen';
 export { ForumManagementScreen } from './ForumManagementScreen';
+export { ScanReviewScreen } from './ScanReviewScreen';
@@ -1,19 +1,49 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, TextInput, RefreshControl, ActivityIndicator, StatusBar, Alert } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Image, TextInput, RefreshControl, ActivityIndicator, StatusBar } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
 import { forumService } from '../../services';
+import { ReportSheet, HighlightedText } from '../../components';
+
+// Queries shorter than this show the regular feed
+const MIN_SEARCH_LENGTH = 2;
+
+const FEEDS = [
+  { id: 'recent', label: 'Latest', icon: 'time-outline', title: 'Recent Posts' },
+  { id: 'forYou', label: 'For you', icon: 'sparkles-outline', title: 'For You' },
+  { id: 'saved', label: 'Saved', icon: 'bookmark-outline', title: 'Saved Posts' },
+];
+
+const DATE_RANGES = [
+  { id: 'any', label: 'Any time', days: null },
+  { id: 'week', label: 'Past week', days: 7 },
+  { id: 'month', label: 'Past month', days: 30 },
+  { id: 'year', label: 'Past year', days: 365 },
+];
 
 const CommunityScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
   const [selectedCategory, setSelectedCategory] = useState('all');
+  const [feed, setFeed] = useState('recent');
+  const [feedInterests, setFeedInterests] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [posts, setPosts] = useState([]);
   const [popularTopics, setPopularTopics] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [reportPostId, setReportPostId] = useState(null);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [searchFilters, setSearchFilters] = useState({ dateRange: 'any', hasImages: false, author: '' });
+  const [showAuthorFilter, setShowAuthorFilter] = useState(false);
+  // Only the newest search may update the results
+  const latestSearchRef = useRef(0);
+
+  const isSearching = searchQuery.trim().length >= MIN_SEARCH_LENGTH;
 
   const categories = [
     { id: 'all', label: 'All Posts', icon: 'apps-outline' },
@@ -36,15 +66,19 @@ const CommunityScreen = ({ navigation }) => {
         params.category = selectedCategory;
       }
 
-      if (searchQuery.trim()) {
-        params.search = searchQuery.trim();
+      let response;
+      if (feed === 'forYou') {
+        response = await forumService.getFeed(params);
+      } else if (feed === 'saved') {
+        response = await forumService.getBookmarks(params);
+      } else {
+        response = await forumService.getAllPosts(params);
       }
 
-      const response = await forumService.getAllPosts(params);
-
       if (response.success) {
         console.log('Fetched posts:', response.data?.slice(0, 2)); // Log first 2 posts
         setPosts(response.data || []);
+        setFeedInterests(response.interests || null);
       } else {
         setError(response.message || 'Failed to load posts');
       }
@@ -73,26 +107,59 @@ const CommunityScreen = ({ navigation }) => {
   useEffect(() => {
     fetchPosts();
     fetchPopularTopics();
-  }, [selectedCategory]);
+  }, [selectedCategory, feed]);
 
-  // Search debounce effect
+  // Search as you type, debounced; the backend rate limits searches
   useEffect(() => {
-    const delaySearch = setTimeout(() => {
-      if (searchQuery.trim()) {
-        fetchPosts();
-      } else if (searchQuery === '') {
-        fetchPosts();
-      }
-    }, 500);
+    if (!isSearching) {
+      latestSearchRef.current += 1;
+      setSearchResults(null);
+      setSearchError(null);
+      setSearching(false);
+      return undefined;
+    }
 
+    const delaySearch = setTimeout(runSearch, 350);
     return () => clearTimeout(delaySearch);
-  }, [searchQuery]);
+  }, [searchQuery, selectedCategory, searchFilters]);
+
+  const runSearch = async () => {
+    const requestId = latestSearchRef.current + 1;
+    latestSearchRef.current = requestId;
+    setSearching(true);
+
+    const range = DATE_RANGES.find(item => item.id === searchFilters.dateRange);
+    const response = await forumService.searchPosts({
+      q: searchQuery.trim(),
+      category: selectedCategory !== 'all' ? selectedCategory : undefined,
+      author: searchFilters.author.trim() || undefined,
+      from: range?.days ? new Date(Date.now() - range.days * 24 * 60 * 60 * 1000).toISOString() : undefined,
+      hasImages: searchFilters.hasImages ? 'true' : undefined,
+      limit: 20,
+    });
+
+    if (requestId !== latestSearchRef.current) return;
+
+    if (response.success) {
+      setSearchResults(response.data || []);
+      setSearchTotal(response.pagination?.totalResults || 0);
+      setSearchError(null);
+    } else {
+      setSearchError(response.message);
+    }
+    setSearching(false);
+  };
+
+  const updateSearchFilter = (key, value) => {
+    setSearchFilters(prev => ({ ...prev, [key]: value }));
+  };
 
   // Pull to refresh
   const onRefresh = () => {
     setRefreshing(true);
     fetchPosts();
     fetchPopularTopics();
+    if (isSearching) runSearch();
   };
 
   // Handle like post
@@ -106,50 +173,37 @@ const CommunityScreen = ({ navigation }) => {
       const response = await forumService.toggleLike(postId);
       if (response.success) {
         // Update post in local state - only update like count and status
-        setPosts(prevPosts =>
-          prevPosts.map(post =>
-            post._id === postId ? {
-              ...post,
-              likeCount: response.data.likes,
-              isLiked: response.data.isLiked,
-            } : post
-          )
+        const updateLike = (list) => list.map(post =>
+          post._id === postId ? {
+            ...post,
+            likeCount: response.data.likes,
+            isLiked: response.data.isLiked,
+          } : post
         );
+        setPosts(updateLike);
+        setSearchResults(prev => (prev ? updateLike(prev) : prev));
       }
     } catch (err) {
       console.error('Error liking post:', err);
     }
   };
 
-  const handleReportPost = (postId) => {
-    Alert.alert(
-      'Report Post',
-      'Report this post for inappropriate content? Our moderators will review it.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Report',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              const response = await forumService.reportPost(postId);
-              if (response.success) {
-                Alert.alert(
-                  'Thank You',
-                  'Your report has been submitted. Our team will review this post shortly.',
-                  [{ text: 'OK' }]
-                );
-              } else {
-                Alert.alert('Error', response.message || 'Failed to report post');
-              }
-            } catch (error) {
-              console.error('Error reporting post:', error);
-              Alert.alert('Error', 'Failed to submit report. Please try again.');
-            }
-          },
-        },
-      ]
+  // Save or unsave a post; unsaving in the Saved feed removes it from the list
+  const handleBookmarkPost = async (post) => {
+    const bookmarked = !post.isBookmarked;
+    const updateBookmark = (list) => list.map(item =>
+      item._id === post._id ? { ...item, isBookmarked: bookmarked } : item
     );
+
+    setPosts(prev => (feed === 'saved' && !bookmarked
+      ? prev.filter(item => item._id !== post._id)
+      : updateBookmark(prev)));
+    setSearchResults(prev => (prev ? updateBookmark(prev) : prev));
+
+    const response = await forumService.setBookmark(post._id, bookmarked);
+    if (!response.success) {
+      fetchPosts();
+    }
   };
 
   const getCategoryColor = (category) => {
@@ -219,6 +273,260 @@ const CommunityScreen = ({ navigation }) => {
     });
   };
 
+  const renderPostCard = (post) => (
+    <TouchableOpacity
+      key={post._id || post.id}
+      style={[
+        styles.postCard,
+        post.isPinned && styles.pinnedPostCard
+      ]}
+      onPress={() => handlePostPress(post)}
+      activeOpacity={0.7}
+    >
+      {/* Why the post is in the For you feed */}
+      {feed === 'forYou' && !isSearching && post.feedReason && (
+        <View style={styles.feedReason}>
+          <Ionicons name="sparkles" size={12} color={theme.colors.primary} />
+          <Text style={styles.feedReasonText}>{post.feedReason}</Text>
+        </View>
+      )}
+
+      {/* Pinned Badge */}
+      {post.isPinned && (
+        <View style={styles.pinnedBadge}>
+          <Ionicons name="pin" size={14} color="#fff" />
+          <Text style={styles.pinnedBadgeText}>Pinned</Text>
+        </View>
+      )}
+
+      {/* Post Header */}
+      <View style={styles.postHeader}>
+        <View style={styles.authorInfo}>
+          <View style={styles.avatarPlaceholder}>
+            <Ionicons name="person" size={20} color={theme.colors.text.secondary} />
+          </View>
+          <View style={styles.authorDetails}>
+            <View style={styles.authorNameRow}>
+              <Text style={styles.authorName}>{post.author?.username || 'Anonymous'}</Text>
+            </View>
+            <Text style={styles.postTimestamp}>{formatDate(post.createdAt)}</Text>
+          </View>
+        </View>
+        <View style={[styles.categoryBadge, { backgroundColor: getCategoryColor(post.category) + '20' }]}>
+          <Text style={[styles.categoryBadgeText, { color: getCategoryColor(post.category) }]}>
+            {categories.find(c => c.id === post.category)?.label.split(' ')[0]}
+          </Text>
+        </View>
+      </View>
+
+      {/* Post Content */}
+      <View style={styles.postContent}>
+        {post.highlights ? (
+          <>
+            <HighlightedText style={styles.postTitle} segments={post.highlights.title} />
+            <HighlightedText style={styles.postText} segments={post.highlights.snippet} numberOfLines={3} />
+          </>
+        ) : (
+          <>
+            <Text style={styles.postTitle}>{post.title}</Text>
+            <Text style={styles.postText} numberOfLines={3}>{post.content}</Text>
+          </>
+        )}
+
+        {/* Post Images */}
+        {post.images && post.images.length > 0 && (
+          <View style={styles.postImagesContainer}>
+            {post.images.slice(0, 2).map((img, index) => (
+              <View key={index} style={styles.imageWrapper}>
+                <Image 
+                  source={{ uri: img.url }} 
+                  style={[
+                    styles.postImage,
+                    post.images.length === 1 && styles.postImageSingle,
+                    post.images.length > 1 && styles.postImageMultiple
+                  ]}
+                  resizeMode="cover"
+                />
+                {index === 1 && post.images.length > 2 && (
+                  <View style={styles.moreImagesOverlay}>
+                    <Text style={styles.moreImagesText}>+{post.images.length - 2}</Text>
+                  </View>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Tags */}
+        {post.tags && post.tags.length > 0 && (
+          <View style={styles.tagsContainer}>
+            {post.tags.slice(0, 3).map((tag, index) => (
+              <View key={index} style={styles.tag}>
+                <Text style={styles.tagText}>#{tag}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* Post Footer */}
+      <View style={styles.postFooter}>
+        <View style={styles.postStats}>
+          <TouchableOpacity 
+            style={styles.statItem}
+            onPress={(e) => {
+              e.stopPropagation();
+              handleLikePost(post._id);
+            }}
+          >
+            <Ionicons 
+              name={post.isLiked ? "heart" : "heart-outline"} 
+              size={18} 
+              color={post.isLiked ? theme.colors.error : theme.colors.text.secondary} 
+            />
+            <Text style={styles.statText}>{post.likeCount || 0}</Text>
+          </TouchableOpacity>
+          <View style={styles.statItem}>
+            <Ionicons name="chatbubble-outline" size={18} color={theme.colors.text.secondary} />
+            <Text style={styles.statText}>{post.commentCount || 0}</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Ionicons name="eye-outline" size={18} color={theme.colors.text.secondary} />
+            <Text style={styles.statText}>{post.views || 0}</Text>
+          </View>
+        </View>
+        <View style={styles.postActions}>
+          <TouchableOpacity
+            style={styles.reportButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              handleBookmarkPost(post);
+            }}
+          >
+            <Ionicons
+              name={post.isBookmarked ? 'bookmark' : 'bookmark-outline'}
+              size={18}
+              color={post.isBookmarked ? theme.colors.primary : theme.colors.text.secondary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.reportButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              setReportPostId(post._id);
+            }}
+          >
+            <Ionicons name="flag-outline" size={18} color={theme.colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderSearchFilters = () => (
+    <View style={styles.searchFilters}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.categoriesContent}>
+        <TouchableOpacity
+          style={[styles.filterChip, searchFilters.hasImages && styles.filterChipActive]}
+          onPress={() => updateSearchFilter('hasImages', !searchFilters.hasImages)}
+        >
+          <Ionicons
+            name="image-outline"
+            size={14}
+            color={searchFilters.hasImages ? '#fff' : theme.colors.text.secondary}
+          />
+          <Text style={[styles.filterChipText, searchFilters.hasImages && styles.filterChipTextActive]}>
+            Has photos
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterChip, (showAuthorFilter || searchFilters.author) && styles.filterChipActive]}
+          onPress={() => setShowAuthorFilter(!showAuthorFilter)}
+        >
+          <Ionicons
+            name="person-outline"
+            size={14}
+            color={showAuthorFilter || searchFilters.author ? '#fff' : theme.colors.text.secondary}
+          />
+          <Text style={[styles.filterChipText, (showAuthorFilter || searchFilters.author) && styles.filterChipTextActive]}>
+            {searchFilters.author ? `@${searchFilters.author}` : 'Author'}
+          </Text>
+        </TouchableOpacity>
+        {DATE_RANGES.map(range => (
+          <TouchableOpacity
+            key={range.id}
+            style={[styles.filterChip, searchFilters.dateRange === range.id && styles.filterChipActive]}
+            onPress={() => updateSearchFilter('dateRange', range.id)}
+          >
+            <Text style={[styles.filterChipText, searchFilters.dateRange === range.id && styles.filterChipTextActive]}>
+              {range.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {showAuthorFilter && (
+        <TextInput
+          style={styles.authorInput}
+          placeholder="Author username"
+          placeholderTextColor={theme.colors.text.secondary}
+          value={searchFilters.author}
+          onChangeText={(text) => updateSearchFilter('author', text)}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      )}
+    </View>
+  );
+
+  // What the For you feed is based on
+  const renderFeedInterests = () => {
+    if (!feedInterests) return null;
+
+    const parts = [
+      ...feedInterests.varieties,
+      ...feedInterests.tags.slice(0, 3).map(tag => `#${tag}`),
+      ...(feedInterests.following > 0
+        ? [`${feedInterests.following} ${feedInterests.following === 1 ? 'person' : 'people'} you follow`]
+        : []),
+    ];
+
+    return (
+      <Text style={styles.feedInterests}>
+        {parts.length > 0
+          ? `Based on ${parts.join(' · ')}`
+          : 'Popular posts for now. Follow growers and like posts to personalize this feed.'}
+      </Text>
+    );
+  };
+
+  const renderSearchResults = () => (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>
+          {searchResults ? `${searchTotal} ${searchTotal === 1 ? 'result' : 'results'}` : 'Searching...'}
+        </Text>
+      </View>
+
+      {searchError ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="alert-circle-outline" size={48} color={theme.colors.error} />
+          <Text style={styles.emptyStateText}>{searchError}</Text>
+        </View>
+      ) : searchResults && searchResults.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="search-outline" size={64} color={theme.colors.text.secondary} />
+          <Text style={styles.emptyStateTitle}>No matching posts</Text>
+          <Text style={styles.emptyStateText}>
+            Try other words or remove some filters.
+          </Text>
+        </View>
+      ) : (
+        (searchResults || []).map(renderPostCard)
+      )}
+    </View>
+  );
+
   const renderContent = () => {
     if (loading) {
       return (
@@ -254,13 +562,42 @@ const CommunityScreen = ({ navigation }) => {
           <Ionicons name="search" size={20} color={theme.colors.text.secondary} style={styles.searchIcon} />
           <TextInput
             style={styles.searchInput}
-            placeholder="Search posts, topics, or users..."
+            placeholder="Search posts and topics..."
             placeholderTextColor={theme.colors.text.secondary}
             value={searchQuery}
             onChangeText={setSearchQuery}
+            returnKeyType="search"
           />
+          {searching ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : searchQuery.length > 0 && (
+            <TouchableOpacity onPress={() => setSearchQuery('')}>
+              <Ionicons name="close-circle" size={20} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          )}
         </View>
 
+        {isSearching ? renderSearchFilters() : (
+          <View style={styles.feedTabs}>
+            {FEEDS.map(item => (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.feedTab, feed === item.id && styles.feedTabActive]}
+                onPress={() => setFeed(item.id)}
+              >
+                <Ionicons
+                  name={item.icon}
+                  size={16}
+                  color={feed === item.id ? theme.colors.primary : theme.colors.text.secondary}
+                />
+                <Text style={[styles.feedTabText, feed === item.id && styles.feedTabTextActive]}>
+                  {item.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Category Filters */}
         <ScrollView 
           horizontal 
@@ -293,7 +630,7 @@ const CommunityScreen = ({ navigation }) => {
         </ScrollView>
 
         {/* Popular Topics */}
-        {popularTopics.length > 0 && (
+        {!isSearching && popularTopics.length > 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Popular Topics</Text>
             <View style={styles.topicsGrid}>
@@ -313,147 +650,51 @@ const CommunityScreen = ({ navigation }) => {
         )}
 
         {/* Forum Posts */}
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>Recent Posts</Text>
-            {posts.length > 10 && (
-              <TouchableOpacity>
-                <Text style={styles.sectionAction}>See All</Text>
-              </TouchableOpacity>
-            )}
-          </View>
-
-          {posts.length === 0 ? (
-            <View style={styles.emptyState}>
-              <Ionicons name="document-text-outline" size={64} color={theme.colors.text.secondary} />
-              <Text style={styles.emptyStateTitle}>No posts yet</Text>
-              <Text style={styles.emptyStateText}>
-                Be the first to share with the community!
-              </Text>
-              <TouchableOpacity style={styles.createFirstButton} onPress={handleCreatePost}>
-                <Text style={styles.createFirstButtonText}>Create Post</Text>
-              </TouchableOpacity>
+        {isSearching ? renderSearchResults() : (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>{FEEDS.find(item => item.id === feed).title}</Text>
+              {feed === 'recent' && posts.length > 10 && (
+                <TouchableOpacity>
+                  <Text style={styles.sectionAction}>See All</Text>
+                </TouchableOpacity>
+              )}
             </View>
-          ) : (
-            posts.map((post) => (
-              <TouchableOpacity
-                key={post._id || post.id}
-                style={[
-                  styles.postCard,
-                  post.isPinned && styles.pinnedPostCard
-                ]}
-                onPress={() => handlePostPress(post)}
-                activeOpacity={0.7}
-              >
-                {/* Pinned Badge */}
-                {post.isPinned && (
-                  <View style={styles.pinnedBadge}>
-                    <Ionicons name="pin" size={14} color="#fff" />
-                    <Text style={styles.pinnedBadgeText}>Pinned</Text>
-                  </View>
-                )}
 
-                {/* Post Header */}
-                <View style={styles.postHeader}>
-                  <View style={styles.authorInfo}>
-                    <View style={styles.avatarPlaceholder}>
-                      <Ionicons name="person" size={20} color={theme.colors.text.secondary} />
-                    </View>
-                    <View style={styles.authorDetails}>
-                      <View style={styles.authorNameRow}>
-                        <Text style={styles.authorName}>{post.author?.username || 'Anonymous'}</Text>
-                      </View>
-                      <Text style={styles.postTimestamp}>{formatDate(post.createdAt)}</Text>
-                    </View>
-                  </View>
-                  <View style={[styles.categoryBadge, { backgroundColor: getCategoryColor(post.category) + '20' }]}>
-                    <Text style={[styles.categoryBadgeText, { color: getCategoryColor(post.category) }]}>
-                      {categories.find(c => c.id === post.category)?.label.split(' ')[0]}
-                    </Text>
-                  </View>
-                </View>
-
-                {/* Post Content */}
-                <View style={styles.postContent}>
-                  <Text style={styles.postTitle}>{post.title}</Text>
-                  <Text style={styles.postText} numberOfLines={3}>{post.content}</Text>
-                  
-                  {/* Post Images */}
-                  {post.images && post.images.length > 0 && (
-                    <View style={styles.postImagesContainer}>
-                      {post.images.slice(0, 2).map((img, index) => (
-                        <View key={index} style={styles.imageWrapper}>
-                          <Image 
-                            source={{ uri: img.url }} 
-                            style={[
-                              styles.postImage,
-                              post.images.length === 1 && styles.postImageSingle,
-                              post.images.length > 1 && styles.postImageMultiple
-                            ]}
-                            resizeMode="cover"
-                          />
-                          {index === 1 && post.images.length > 2 && (
-                            <View style={styles.moreImagesOverlay}>
-                              <Text style={styles.moreImagesText}>+{post.images.length - 2}</Text>
-                            </View>
-                          )}
-                        </View>
-                      ))}
-                    </View>
-                  )}
-                  
-                  {/* Tags */}
-                  {post.tags && post.tags.length > 0 && (
-                    <View style={styles.tagsContainer}>
-                      {post.tags.slice(0, 3).map((tag, index) => (
-                        <View key={index} style={styles.tag}>
-                          <Text style={styles.tagText}>#{tag}</Text>
-                        </View>
-                      ))}
-                    </View>
-                  )}
-                </View>
-
-                {/* Post Footer */}
-                <View style={styles.postFooter}>
-                  <View style={styles.postStats}>
-                    <TouchableOpacity 
-                      style={styles.statItem}
-                      onPress={(e) => {
-                        e.stopPropagation();
-                        handleLikePost(post._id);
-                      }}
-                    >
-                      <Ionicons 
-                        name={post.isLiked ? "heart" : "heart-outline"} 
-                        size={18} 
-                        color={post.isLiked ? theme.colors.error : theme.colors.text.secondary} 
-                      />
-                      <Text style={styles.statText}>{post.likeCount || 0}</Text>
-                    </TouchableOpacity>
-                    <View style={styles.statItem}>
-                      <Ionicons name="chatbubble-outline" size={18} color={theme.colors.text.secondary} />
-                      <Text style={styles.statText}>{post.commentCount || 0}</Text>
-                    </View>
-                    <View style={styles.statItem}>
-                      <Ionicons name="eye-outline" size={18} color={theme.colors.text.secondary} />
-                      <Text style={styles.statText}>{post.views || 0}</Text>
-                    </View>
-                  </View>
-                  <TouchableOpacity
-                    style={styles.reportButton}
-                    onPress={(e) => {
-                      e.stopPropagation();
-                      handleReportPost(post._id);
-                    }}
-                  >
-                    <Ionicons name="flag-outline" size={18} color={theme.colors.text.secondary} />
-                  </TouchableOpacity>
-                </View>
-              </TouchableOpacity>
-            ))
-          )}
-        </View>
+            {feed === 'forYou' && renderFeedInterests()}
+
+            {posts.length === 0 && feed !== 'recent' ? (
+              <View style={styles.emptyState}>
+                <Ionicons
+                  name={feed === 'saved' ? 'bookmark-outline' : 'sparkles-outline'}
+                  size={64}
+                  color={theme.colors.text.secondary}
+                />
+                <Text style={styles.emptyStateTitle}>
+                  {feed === 'saved' ? 'No saved posts' : 'Nothing new for you yet'}
+                </Text>
+                <Text style={styles.emptyStateText}>
+                  {feed === 'saved'
+                    ? 'Tap the bookmark on a post to keep it here.'
+                    : 'Follow growers, like posts and add your plants to personalize this feed.'}
+                </Text>
+              </View>
+            ) : posts.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="document-text-outline" size={64} color={theme.colors.text.secondary} />
+                <Text style={styles.emptyStateTitle}>No posts yet</Text>
+                <Text style={styles.emptyStateText}>
+                  Be the first to share with the community!
+                </Text>
+                <TouchableOpacity style={styles.createFirstButton} onPress={handleCreatePost}>
+                  <Text style={styles.createFirstButtonText}>Create Post</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              posts.map(renderPostCard)
+            )}
+          </View>
+        )}
 
         {/* Community Guidelines */}
         <View style={styles.guidelinesCard}>
@@ -495,6 +736,10 @@ const CommunityScreen = ({ navigation }) => {
           <Ionicons name="add" size={28} color="#fff" />
         </TouchableOpacity>
       )}
+
+      {reportPostId && (
+        <ReportSheet postId={reportPostId} onClose={() => setReportPostId(null)} />
+      )}
     </View>
   );
 };
@@ -647,6 +892,93 @@ const styles = StyleSheet.create({
   categoryChipTextActive: {
     color: '#fff',
   },
+  feedTabs: {
+    flexDirection: 'row',
+    marginTop: -theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  feedTab: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+    gap: theme.spacing.xs,
+  },
+  feedTabActive: {
+    borderBottomColor: theme.colors.primary,
+  },
+  feedTabText: {
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+  },
+  feedTabTextActive: {
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.primary,
+  },
+  feedInterests: {
+    fontSize: 12,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    marginTop: -theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  feedReason: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+    gap: 4,
+  },
+  feedReasonText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.primary,
+  },
+  searchFilters: {
+    marginTop: -theme.spacing.sm,
+    marginBottom: theme.spacing.lg,
+  },
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.large,
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    marginRight: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    gap: 4,
+  },
+  filterChipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  filterChipText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+  },
+  filterChipTextActive: {
+    color: '#fff',
+  },
+  authorInput: {
+    marginTop: theme.spacing.sm,
+    height: 40,
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.medium,
+    paddingHorizontal: theme.spacing.md,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+    fontSize: 14,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.primary,
+  },
   section: {
     marginBottom: theme.spacing.xl,
   },
@@ -871,6 +1203,11 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  postActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.xs,
+  },
   reportButton: {
     padding: theme.spacing.xs,
     borderRadius: theme.borderRadius.small,
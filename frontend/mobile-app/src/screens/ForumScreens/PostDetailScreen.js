@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -17,15 +17,36 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
 import { forumService } from '../../services';
+import { ReportSheet, CommentThread } from '../../components';
+import { useAuth } from '../../contexts/AuthContext';
+
+const COMMENTS_PER_PAGE = 20;
+
+// Apply changes to one comment anywhere in the thread tree
+const updateCommentTree = (comments, commentId, changes) => comments.map(comment => (
+  comment._id === commentId
+    ? { ...comment, ...changes }
+    : { ...comment, replies: updateCommentTree(comment.replies || [], commentId, changes) }
+));
 
 const PostDetailScreen = ({ navigation, route }) => {
   const insets = useSafeAreaInsets();
   const { postId } = route.params;
+  const { userRole } = useAuth();
+  const commentInputRef = useRef(null);
   
   const [post, setPost] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [comments, setComments] = useState([]);
+  const [commentsPagination, setCommentsPagination] = useState(null);
+  const [loadingComments, setLoadingComments] = useState(false);
   const [commentText, setCommentText] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  // Comment being answered or edited from the input bar
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingComment, setEditingComment] = useState(null);
+  // { commentId } of the comment being reported, or {} for the post itself
+  const [reportTarget, setReportTarget] = useState(null);
 
   const categories = [
     { id: 'tips', label: 'Tips & Tricks', color: theme.colors.success },
@@ -36,8 +57,32 @@ const PostDetailScreen = ({ navigation, route }) => {
 
   useEffect(() => {
     fetchPost();
+    fetchComments(1);
   }, [postId]);
 
+  // Follow or unfollow the post's author
+  const handleToggleFollow = async () => {
+    const follow = !post.isFollowing;
+    setPost(prev => ({ ...prev, isFollowing: follow }));
+
+    const response = await forumService.setFollowing(post.author._id, follow);
+    if (!response.success) {
+      setPost(prev => ({ ...prev, isFollowing: !follow }));
+      Alert.alert('Error', response.message);
+    }
+  };
+
+  const handleToggleBookmark = async () => {
+    const bookmarked = !post.isBookmarked;
+    setPost(prev => ({ ...prev, isBookmarked: bookmarked }));
+
+    const response = await forumService.setBookmark(post._id, bookmarked);
+    if (!response.success) {
+      setPost(prev => ({ ...prev, isBookmarked: !bookmarked }));
+      Alert.alert('Error', response.message);
+    }
+  };
+
   const fetchPost = async () => {
     try {
       setLoading(true);
@@ -55,6 +100,21 @@ const PostDetailScreen = ({ navigation, route }) => {
     }
   };
 
+  const fetchComments = async (page) => {
+    try {
+      setLoadingComments(true);
+      const response = await forumService.getComments(postId, { page, limit: COMMENTS_PER_PAGE });
+      if (response.success) {
+        setComments(prev => (page === 1 ? response.data : [...prev, ...response.data]));
+        setCommentsPagination(response.pagination);
+      }
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoadingComments(false);
+    }
+  };
+
   const handleLike = async () => {
     try {
       const response = await forumService.toggleLike(postId);
@@ -70,6 +130,12 @@ const PostDetailScreen = ({ navigation, route }) => {
     }
   };
 
+  const resetCommentInput = () => {
+    setCommentText('');
+    setReplyTo(null);
+    setEditingComment(null);
+  };
+
   const handleAddComment = async () => {
     if (!commentText.trim()) {
       Alert.alert('Empty Comment', 'Please write something');
@@ -78,11 +144,27 @@ const PostDetailScreen = ({ navigation, route }) => {
 
     try {
       setSubmitting(true);
-      const response = await forumService.addComment(postId, commentText.trim());
+
+      if (editingComment) {
+        const response = await forumService.updateComment(postId, editingComment._id, commentText.trim());
+        if (response.success) {
+          setComments(prev => updateCommentTree(prev, editingComment._id, {
+            content: response.data.content,
+            editedAt: response.data.editedAt,
+          }));
+          resetCommentInput();
+        } else {
+          Alert.alert('Unable to Edit', response.message || 'Failed to update comment');
+        }
+        return;
+      }
+
+      const response = await forumService.addComment(postId, commentText.trim(), replyTo?._id);
       
       if (response.success) {
-        setCommentText('');
-        fetchPost(); // Refresh to get updated comments
+        resetCommentInput();
+        setPost(prev => ({ ...prev, commentCount: (prev.commentCount || 0) + 1 }));
+        fetchComments(1); // Refresh to place the new comment in its thread
       } else {
         Alert.alert('Unable to Comment', response.message || 'Failed to add comment');
       }
@@ -91,6 +173,55 @@ const PostDetailScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleReplyComment = (comment) => {
+    setEditingComment(null);
+    setReplyTo(comment);
+    commentInputRef.current?.focus();
+  };
+
+  const handleEditComment = (comment) => {
+    setReplyTo(null);
+    setEditingComment(comment);
+    setCommentText(comment.content);
+    commentInputRef.current?.focus();
+  };
+
+  const handleDeleteComment = (comment) => {
+    Alert.alert(
+      'Delete Comment',
+      'Are you sure you want to delete this comment? Replies to it will stay visible.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const response = await forumService.deleteComment(postId, comment._id);
+            if (response.success) {
+              if (editingComment?._id === comment._id) resetCommentInput();
+              setPost(prev => ({ ...prev, commentCount: response.data.commentCount }));
+              fetchComments(1);
+            } else {
+              Alert.alert('Error', response.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleLikeComment = async (comment) => {
+    const response = await forumService.toggleCommentLike(postId, comment._id);
+    if (response.success) {
+      setComments(prev => updateCommentTree(prev, comment._id, {
+        likes: response.data.likes,
+        isLiked: response.data.isLiked,
+      }));
+    } else {
+      Alert.alert('Error', response.message);
+    }
+  };
+
   const getCategoryColor = (category) => {
     return categories.find(c => c.id === category)?.color || theme.colors.primary;
   };
@@ -202,7 +333,20 @@ const PostDetailScreen = ({ navigation, route }) => {
             <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
           </TouchableOpacity>
           <Text style={styles.headerTitle}>Post Details</Text>
-          <View style={{ width: 40 }} />
+          <View style={styles.headerActions}>
+            {post.isBookmarked !== undefined && (
+              <TouchableOpacity onPress={handleToggleBookmark} style={styles.backButton}>
+                <Ionicons
+                  name={post.isBookmarked ? 'bookmark' : 'bookmark-outline'}
+                  size={22}
+                  color={post.isBookmarked ? theme.colors.primary : theme.colors.text.secondary}
+                />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => setReportTarget({})} style={styles.backButton}>
+              <Ionicons name="flag-outline" size={22} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
         </View>
 
         <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
@@ -215,7 +359,19 @@ const PostDetailScreen = ({ navigation, route }) => {
                   <Ionicons name="person" size={24} color={theme.colors.text.secondary} />
                 </View>
                 <View style={styles.authorDetails}>
-                  <Text style={styles.authorName}>{post.author?.username || 'Anonymous'}</Text>
+                  <View style={styles.authorNameRow}>
+                    <Text style={styles.authorName}>{post.author?.username || 'Anonymous'}</Text>
+                    {post.author?._id && post.isFollowing !== undefined && !post.isAuthor && (
+                      <TouchableOpacity
+                        style={[styles.followButton, post.isFollowing && styles.followButtonActive]}
+                        onPress={handleToggleFollow}
+                      >
+                        <Text style={[styles.followButtonText, post.isFollowing && styles.followButtonTextActive]}>
+                          {post.isFollowing ? 'Following' : 'Follow'}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
                   <Text style={styles.postTime}>{formatDate(post.createdAt)}</Text>
                 </View>
               </View>
@@ -274,7 +430,7 @@ const PostDetailScreen = ({ navigation, route }) => {
               </TouchableOpacity>
               <View style={styles.statButton}>
                 <Ionicons name="chatbubble-outline" size={24} color={theme.colors.text.secondary} />
-                <Text style={styles.statText}>{post.commentCount || post.comments?.length || 0}</Text>
+                <Text style={styles.statText}>{post.commentCount || 0}</Text>
               </View>
               <View style={styles.statButton}>
                 <Ionicons name="eye-outline" size={24} color={theme.colors.text.secondary} />
@@ -286,32 +442,40 @@ const PostDetailScreen = ({ navigation, route }) => {
           {/* Comments Section */}
           <View style={styles.commentsSection}>
             <Text style={styles.commentsTitle}>
-              Comments ({post.comments?.length || 0})
+              Comments ({post.commentCount || 0})
             </Text>
 
-            {post.comments && post.comments.length > 0 ? (
-              post.comments.map((comment, index) => (
-                <View key={comment._id || index} style={styles.commentCard}>
-                  <View style={styles.commentHeader}>
-                    <View style={styles.commentAvatar}>
-                      <Ionicons name="person" size={16} color={theme.colors.text.secondary} />
-                    </View>
-                    <View style={styles.commentAuthorInfo}>
-                      <Text style={styles.commentAuthor}>
-                        {comment.user?.username || 'Anonymous'}
-                      </Text>
-                      <Text style={styles.commentTime}>{formatDate(comment.createdAt)}</Text>
-                    </View>
-                  </View>
-                  <Text style={styles.commentContent}>{comment.content}</Text>
-                  {comment.likes > 0 && (
-                    <View style={styles.commentLikes}>
-                      <Ionicons name="heart" size={14} color={theme.colors.error} />
-                      <Text style={styles.commentLikesText}>{comment.likes}</Text>
-                    </View>
-                  )}
-                </View>
-              ))
+            {comments.length > 0 ? (
+              <>
+                {comments.map(comment => (
+                  <CommentThread
+                    key={comment._id}
+                    comment={comment}
+                    canModerate={userRole === 'admin'}
+                    canReply={!post.isLocked}
+                    onReply={handleReplyComment}
+                    onEdit={handleEditComment}
+                    onDelete={handleDeleteComment}
+                    onLike={handleLikeComment}
+                    onReport={(target) => setReportTarget({ commentId: target._id })}
+                  />
+                ))}
+                {commentsPagination?.hasMore && (
+                  <TouchableOpacity
+                    style={styles.loadMoreButton}
+                    onPress={() => fetchComments(commentsPagination.currentPage + 1)}
+                    disabled={loadingComments}
+                  >
+                    {loadingComments ? (
+                      <ActivityIndicator size="small" color={theme.colors.primary} />
+                    ) : (
+                      <Text style={styles.loadMoreText}>Load more comments</Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </>
+            ) : loadingComments ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} style={styles.commentsLoader} />
             ) : (
               <View style={styles.noComments}>
                 <Ionicons name="chatbubbles-outline" size={48} color={theme.colors.text.secondary} />
@@ -329,30 +493,56 @@ const PostDetailScreen = ({ navigation, route }) => {
             <Text style={styles.lockedCommentText}>This post is locked. No new comments allowed.</Text>
           </View>
         ) : (
-          <View style={styles.commentInputContainer}>
-            <TextInput
-              style={styles.commentInput}
-              placeholder="Write a comment..."
-              placeholderTextColor={theme.colors.text.secondary}
-              value={commentText}
-              onChangeText={setCommentText}
-              multiline
-              maxLength={1000}
-            />
-            <TouchableOpacity
-              style={[styles.sendButton, (!commentText.trim() || submitting) && styles.sendButtonDisabled]}
-              onPress={handleAddComment}
-              disabled={!commentText.trim() || submitting}
-            >
-              {submitting ? (
-                <ActivityIndicator size="small" color="#fff" />
-              ) : (
-                <Ionicons name="send" size={20} color="#fff" />
-              )}
-            </TouchableOpacity>
+          <View>
+            {(replyTo || editingComment) && (
+              <View style={styles.inputContext}>
+                <Ionicons
+                  name={editingComment ? 'create-outline' : 'arrow-undo-outline'}
+                  size={16}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.inputContextText} numberOfLines={1}>
+                  {editingComment ? 'Editing your comment' : `Replying to ${replyTo.user?.username || 'Anonymous'}`}
+                </Text>
+                <TouchableOpacity onPress={resetCommentInput}>
+                  <Ionicons name="close" size={18} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+              </View>
+            )}
+            <View style={styles.commentInputContainer}>
+              <TextInput
+                ref={commentInputRef}
+                style={styles.commentInput}
+                placeholder={replyTo ? 'Write a reply...' : 'Write a comment...'}
+                placeholderTextColor={theme.colors.text.secondary}
+                value={commentText}
+                onChangeText={setCommentText}
+                multiline
+                maxLength={1000}
+              />
+              <TouchableOpacity
+                style={[styles.sendButton, (!commentText.trim() || submitting) && styles.sendButtonDisabled]}
+                onPress={handleAddComment}
+                disabled={!commentText.trim() || submitting}
+              >
+                {submitting ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Ionicons name={editingComment ? 'checkmark' : 'send'} size={20} color="#fff" />
+                )}
+              </TouchableOpacity>
+            </View>
           </View>
         )}
       </KeyboardAvoidingView>
+
+      {reportTarget && (
+        <ReportSheet
+          postId={postId}
+          commentId={reportTarget.commentId}
+          onClose={() => setReportTarget(null)}
+        />
+      )}
     </View>
   );
 };
@@ -387,6 +577,10 @@ const styles = StyleSheet.create({
     borderBottomColor: theme.colors.background.secondary,
     backgroundColor: theme.colors.surface,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   backButton: {
     width: 36,
     height: 36,
@@ -429,6 +623,30 @@ const styles = StyleSheet.create({
   authorDetails: {
     flex: 1,
   },
+  authorNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+  },
+  followButton: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.large,
+    backgroundColor: theme.colors.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  followButtonActive: {
+    backgroundColor: 'transparent',
+  },
+  followButtonText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.semiBold,
+    color: '#fff',
+  },
+  followButtonTextActive: {
+    color: theme.colors.primary,
+  },
   authorName: {
     fontSize: 16,
     fontFamily: theme.fonts.semiBold,
@@ -521,57 +739,17 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     marginBottom: theme.spacing.md,
   },
-  commentCard: {
-    backgroundColor: theme.colors.surface,
-    borderRadius: theme.borderRadius.medium,
-    padding: theme.spacing.md,
-    marginBottom: theme.spacing.md,
-    borderWidth: 1,
-    borderColor: theme.colors.background.secondary,
+  commentsLoader: {
+    marginVertical: theme.spacing.lg,
   },
-  commentHeader: {
-    flexDirection: 'row',
-    marginBottom: theme.spacing.sm,
-  },
-  commentAvatar: {
-    width: 32,
-    height: 32,
-    borderRadius: 16,
-    backgroundColor: theme.colors.background.secondary,
+  loadMoreButton: {
     alignItems: 'center',
-    justifyContent: 'center',
-    marginRight: theme.spacing.sm,
+    paddingVertical: theme.spacing.md,
   },
-  commentAuthorInfo: {
-    flex: 1,
-  },
-  commentAuthor: {
+  loadMoreText: {
     fontSize: 14,
     fontFamily: theme.fonts.semiBold,
-    color: theme.colors.text.primary,
-  },
-  commentTime: {
-    fontSize: 12,
-    fontFamily: theme.fonts.regular,
-    color: theme.colors.text.secondary,
-    marginTop: 2,
-  },
-  commentContent: {
-    fontSize: 14,
-    fontFamily: theme.fonts.regular,
-    color: theme.colors.text.secondary,
-    lineHeight: 20,
-  },
-  commentLikes: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginTop: theme.spacing.sm,
-  },
-  commentLikesText: {
-    fontSize: 12,
-    fontFamily: theme.fonts.medium,
-    color: theme.colors.text.secondary,
-    marginLeft: 4,
+    color: theme.colors.primary,
   },
   noComments: {
     alignItems: 'center',
@@ -589,6 +767,22 @@ const styles = StyleSheet.create({
     color: theme.colors.text.secondary,
     marginTop: 4,
   },
+  inputContext: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    backgroundColor: theme.colors.primary + '10',
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.background.secondary,
+  },
+  inputContextText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.primary,
+  },
   commentInputContainer: {
     flexDirection: 'row',
     padding: theme.spacing.md,
@@ -7,20 +7,58 @@ import {
   ActivityIndicator, 
   RefreshControl,
   TouchableOpacity,
+  ScrollView,
   Image,
   Alert
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
-import { scanService } from '../../services';
-import { RecentScanCard } from '../../components';
+import { scanService, scanOutboxService } from '../../services';
+import { RecentScanCard, ScanFeedback } from '../../components';
+
+const PAGE_SIZE = 20;
+
+const GENDER_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'male', label: 'Male' },
+  { id: 'female', label: 'Female' },
+  { id: 'plant_health', label: 'Leaf & Fruit' },
+];
+
+const VARIETY_FILTERS = [
+  { id: 'all', label: 'All Varieties' },
+  { id: 'Ampalaya Bilog', label: 'Ampalaya Bilog' },
+  { id: 'Patola', label: 'Patola' },
+  { id: 'Upo (Smooth)', label: 'Upo (Smooth)' },
+];
+
+const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest', sortBy: 'date', sortOrder: 'desc' },
+  { id: 'oldest', label: 'Oldest', sortBy: 'date', sortOrder: 'asc' },
+  { id: 'confidence', label: 'Most Confident', sortBy: 'confidence', sortOrder: 'desc' },
+];
+
+// "retrying in 3 min" for a queued scan's next attempt
+const formatNextAttempt = (nextAttemptAt) => {
+  const minutes = Math.ceil((nextAttemptAt - Date.now()) / 60000);
+  if (!nextAttemptAt || minutes <= 1) return 'retrying shortly';
+  return `retrying in ${minutes} min`;
+};
 
 export const HistoryScreen = ({ navigation, route }) => {
   const [scans, setScans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [filter, setFilter] = useState('all'); // 'all', 'male', 'female'
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [totalCount, setTotalCount] = useState(0);
+  const [filter, setFilter] = useState('all'); // 'all', 'male', 'female', 'plant_health'
+  const [varietyFilter, setVarietyFilter] = useState('all');
+  const [sortOption, setSortOption] = useState('newest');
+  const [pendingScans, setPendingScans] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
 
   // If filter is passed via route params (from Home screen stats)
   useEffect(() => {
@@ -31,31 +69,109 @@ export const HistoryScreen = ({ navigation, route }) => {
     }
   }, [route?.params]);
 
-  const fetchHistory = async () => {
+  // Fetch one page of history; page 1 replaces the list, later pages append
+  const fetchHistory = useCallback(async (pageToLoad = 1) => {
     try {
-      const history = await scanService.getScanHistory();
-      setScans(history);
+      const sort = SORT_OPTIONS.find(option => option.id === sortOption);
+      const isHealthFilter = filter === 'plant_health';
+      const { scans: pageScans, pagination } = await scanService.getScanHistory({
+        page: pageToLoad,
+        limit: PAGE_SIZE,
+        sortBy: sort.sortBy,
+        sortOrder: sort.sortOrder,
+        scanType: isHealthFilter ? 'plant_health' : undefined,
+        prediction: filter !== 'all' && !isHealthFilter ? filter : undefined,
+        variety: varietyFilter !== 'all' ? varietyFilter : undefined,
+      });
+
+      setScans(prev => (pageToLoad === 1 ? pageScans : [...prev, ...pageScans]));
+      setPage(pageToLoad);
+      setHasMore(pagination.hasNext);
+      setTotalCount(pagination.totalCount);
     } catch (error) {
       console.error('Error fetching history:', error);
     } finally {
       setLoading(false);
       setRefreshing(false);
+      setLoadingMore(false);
     }
-  };
+  }, [filter, varietyFilter, sortOption]);
+
+  // Scans saved offline that have not reached the server yet
+  const loadPendingScans = useCallback(async () => {
+    setPendingScans(await scanOutboxService.getPendingScans());
+  }, []);
 
-  // Fetch on mount and when focused
+  // Fetch on mount, when focused and whenever filters change
   useFocusEffect(
     useCallback(() => {
-      fetchHistory();
-    }, [])
+      fetchHistory(1);
+      loadPendingScans();
+    }, [fetchHistory, loadPendingScans])
   );
 
+  // Move scans from the pending section into history as they sync
+  useEffect(() => {
+    return scanOutboxService.subscribe(({ synced }) => {
+      loadPendingScans();
+      if (synced) fetchHistory(1);
+    });
+  }, [fetchHistory, loadPendingScans]);
+
+  const handleSyncNow = async () => {
+    setIsSyncing(true);
+    await scanOutboxService.sync({ force: true });
+    setIsSyncing(false);
+  };
+
+  const handleRetryPending = (clientId) => {
+    scanOutboxService.retry(clientId);
+  };
+
+  const handleDiscardPending = (clientId) => {
+    Alert.alert(
+      'Discard Scan',
+      'This scan has not been uploaded yet and will be lost.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => scanOutboxService.discard(clientId),
+        },
+      ]
+    );
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
-    fetchHistory();
+    fetchHistory(1);
+    if (pendingScans.length > 0) {
+      scanOutboxService.sync({ force: true });
+    }
+  };
+
+  const onEndReached = () => {
+    if (loading || loadingMore || refreshing || !hasMore) return;
+    setLoadingMore(true);
+    fetchHistory(page + 1);
+  };
+
+  const changeFilter = (setter) => (value) => {
+    setLoading(true);
+    setter(value);
   };
 
   const handleScanPress = (scan) => {
+    // Plant health scans reopen their saved diagnosis instead of re-running it
+    if (scan.scanType === 'plant_health') {
+      navigation.navigate('Camera', {
+        screen: 'PlantHealthResults',
+        params: { scan },
+      });
+      return;
+    }
+
     // Navigate to details or results screen
     if (navigation) {
       try {
@@ -85,20 +201,139 @@ export const HistoryScreen = ({ navigation, route }) => {
     }
   };
 
-  const filteredScans = scans.filter(scan => {
-    if (filter === 'all') return true;
-    return scan.prediction.toLowerCase() === filter.toLowerCase();
-  });
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipRow}
+    >
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.id}
+          style={[styles.chip, selected === option.id && styles.chipActive]}
+          onPress={() => onSelect(option.id)}
+        >
+          <Text style={[styles.chipText, selected === option.id && styles.chipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderPendingScan = (scan) => {
+    const isFailed = scan.syncStatus === 'failed';
+
+    return (
+      <View key={scan.clientId} style={styles.card}>
+        <RecentScanCard
+          imageUri={scan.imageUrl}
+          result={getScanTitle(scan)}
+          date={scan.date}
+          confidence={scan.confidence}
+          onPress={() => scan.scanType === 'plant_health' && handleScanPress(scan)}
+        />
+        <View style={[styles.syncStatusRow, isFailed && styles.syncStatusRowFailed]}>
+          <Ionicons
+            name={isFailed ? 'alert-circle-outline' : 'cloud-upload-outline'}
+            size={16}
+            color={isFailed ? theme.colors.error : theme.colors.warning}
+          />
+          <Text style={styles.syncStatusText} numberOfLines={2}>
+            {isFailed
+              ? `Couldn't upload: ${scan.syncError}`
+              : `Waiting to sync, ${formatNextAttempt(scan.nextAttemptAt)}`}
+          </Text>
+          {isFailed && (
+            <TouchableOpacity onPress={() => handleRetryPending(scan.clientId)}>
+              <Text style={styles.syncActionText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => handleDiscardPending(scan.clientId)}>
+            <Text style={[styles.syncActionText, styles.syncDiscardText]}>Discard</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderPendingSection = () => {
+    if (pendingScans.length === 0) return null;
+
+    return (
+      <View style={styles.pendingSection}>
+        <View style={styles.pendingHeader}>
+          <Text style={styles.pendingTitle}>
+            Not yet synced ({pendingScans.length})
+          </Text>
+          <TouchableOpacity
+            style={styles.syncNowButton}
+            onPress={handleSyncNow}
+            disabled={isSyncing}
+          >
+            {isSyncing ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <Ionicons name="sync" size={14} color={theme.colors.primary} />
+            )}
+            <Text style={styles.syncNowText}>Sync now</Text>
+          </TouchableOpacity>
+        </View>
+        {pendingScans.map(renderPendingScan)}
+      </View>
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      {renderPendingSection()}
+      {renderChips(GENDER_FILTERS, filter, changeFilter(setFilter))}
+      {renderChips(VARIETY_FILTERS, varietyFilter, changeFilter(setVarietyFilter))}
+      {renderChips(SORT_OPTIONS, sortOption, changeFilter(setSortOption))}
+      <Text style={styles.resultCount}>
+        {totalCount} {totalCount === 1 ? 'scan' : 'scans'}
+      </Text>
+    </View>
+  );
+
+  const renderFooter = () => {
+    if (!loadingMore) return null;
+    return (
+      <View style={styles.footerLoader}>
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      </View>
+    );
+  };
+
+  const handleFeedback = async (scanId, feedback) => {
+    const { scan: updatedScan } = await scanService.submitFeedback(scanId, feedback);
+    setScans(prev => prev.map(scan => (scan._id === scanId ? updatedScan : scan)));
+  };
+
+  const getScanTitle = (scan) => {
+    if (scan.scanType !== 'plant_health') return `${scan.prediction} Flower`;
+    if (scan.diseaseInfo?.isHealthy) return `Healthy ${scan.diseaseInfo.plantPart || 'plant'}`;
+    return scan.diseaseInfo?.conditions?.[0]?.name || 'Plant health check';
+  };
 
   const renderItem = ({ item }) => (
-    <RecentScanCard
-      imageUri={item.imageUrl}
-      result={`${item.prediction} Flower`}
-      date={item.date}
-      confidence={item.confidence}
-      onPress={() => handleScanPress(item)}
-      style={styles.card}
-    />
+    <View style={styles.card}>
+      <RecentScanCard
+        imageUri={item.imageUrl}
+        result={getScanTitle(item)}
+        date={item.date}
+        confidence={item.confidence}
+        onPress={() => handleScanPress(item)}
+      />
+      {item.scanType !== 'plant_health' && (
+        <ScanFeedback
+          compact
+          feedback={item.userFeedback}
+          groundTruth={item.groundTruth}
+          onSubmit={(feedback) => handleFeedback(item._id, feedback)}
+        />
+      )}
+    </View>
   );
 
   const renderEmpty = () => (
@@ -112,7 +347,7 @@ export const HistoryScreen = ({ navigation, route }) => {
     </View>
   );
 
-  if (loading && !refreshing) {
+  if (loading && !refreshing && scans.length === 0) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color={theme.colors.primary} />
@@ -123,7 +358,7 @@ export const HistoryScreen = ({ navigation, route }) => {
   return (
     <View style={styles.container}>
       <FlatList
-        data={filteredScans}
+        data={scans}
         renderItem={renderItem}
         keyExtractor={item => item._id}
         contentContainerStyle={styles.listContent}
@@ -134,7 +369,11 @@ export const HistoryScreen = ({ navigation, route }) => {
             colors={[theme.colors.primary]}
           />
         }
+        ListHeaderComponent={renderHeader}
         ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
+        onEndReached={onEndReached}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
       />
     </View>
@@ -153,10 +392,94 @@ const styles = StyleSheet.create({
     backgroundColor: theme.colors.background.primary,
   },
   header: {
-    paddingHorizontal: theme.spacing.lg,
-    paddingVertical: theme.spacing.md,
+    paddingBottom: theme.spacing.sm,
     backgroundColor: theme.colors.background.primary,
   },
+  chipRow: {
+    paddingBottom: theme.spacing.sm,
+  },
+  chip: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: theme.borderRadius.large,
+    paddingVertical: theme.spacing.xs + 2,
+    paddingHorizontal: theme.spacing.md,
+    marginRight: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.background.secondary,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  resultCount: {
+    fontSize: 12,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+  },
+  pendingSection: {
+    marginBottom: theme.spacing.md,
+  },
+  pendingHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  pendingTitle: {
+    fontSize: 14,
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.text.primary,
+  },
+  syncNowButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+  },
+  syncNowText: {
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.primary,
+  },
+  syncStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.xs,
+    paddingVertical: theme.spacing.xs + 2,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.medium,
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+  },
+  syncStatusRowFailed: {
+    backgroundColor: 'rgba(244, 67, 54, 0.1)',
+  },
+  syncStatusText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+  },
+  syncActionText: {
+    fontSize: 12,
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.primary,
+  },
+  syncDiscardText: {
+    color: theme.colors.error,
+  },
+  footerLoader: {
+    paddingVertical: theme.spacing.md,
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -17,7 +17,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { theme } from '../../styles';
 import chatbotService from '../../services/chatbotService';
 
-export const ChatbotScreen = ({ navigation }) => {
+export const ChatbotScreen = ({ navigation, route }) => {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [loading, setLoading] = useState(false);
@@ -30,6 +30,15 @@ export const ChatbotScreen = ({ navigation }) => {
     addWelcomeMessage();
   }, []);
 
+  // Questions handed over from other screens, e.g. treatment help from a plant health scan
+  useEffect(() => {
+    const initialMessage = route?.params?.initialMessage;
+    if (initialMessage) {
+      handleSend(initialMessage);
+      navigation.setParams({ initialMessage: undefined });
+    }
+  }, [route?.params?.initialMessage]);
+
   const loadSuggestions = async () => {
     const result = await chatbotService.getSuggestions();
     if (result.success) {
@@ -25,6 +25,8 @@ export const HomeScreen = ({ navigation, route }) => {
     readyGourds: 0,
     pollinationsCount: 0,
   });
+  // Harvest yield per variety, from the pollination dashboard stats
+  const [yieldByVariety, setYieldByVariety] = useState([]);
   
   // User state
   const [user, setUser] = useState(null);
@@ -45,7 +47,7 @@ export const HomeScreen = ({ navigation, route }) => {
 
   // Handlers for header buttons
   const handleNotificationPress = () => {
-    Alert.alert('Notifications', 'Notification feature coming soon!');
+    navigation.navigate('Notifications');
   };
 
   const handleMenuPress = () => {
@@ -145,6 +147,8 @@ export const HomeScreen = ({ navigation, route }) => {
           readyGourds: fruitingCount,
           pollinationsCount: pollinatedCount
         }));
+
+        setYieldByVariety((statsData.data.yield?.byVariety || []).filter(variety => variety.harvests > 0));
       }
     } catch (error) {
       console.log('Error fetching pollination stats:', error);
@@ -154,16 +158,16 @@ export const HomeScreen = ({ navigation, route }) => {
   const fetchRecentScans = async () => {
     try {
       setLoadingScans(true);
-      const history = await scanService.getScanHistory();
+      // Only the latest 3 scans are shown; the total comes from pagination
+      const { scans, pagination } = await scanService.getScanHistory({ limit: 3 });
       
       // Update total scans count
       setStats(prev => ({
         ...prev,
-        totalScans: history.length
+        totalScans: pagination.totalCount
       }));
 
-      // Take the last 3 scans
-      setRecentScans(history.slice(0, 3));
+      setRecentScans(scans);
     } catch (error) {
       console.error('Error fetching recent scans:', error);
     } finally {
@@ -418,6 +422,24 @@ export const HomeScreen = ({ navigation, route }) => {
             </View>
           </View>
 
+          {yieldByVariety.length > 0 && (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, styles.sectionTitleStandalone]}>Yield by variety</Text>
+              {yieldByVariety.map(variety => (
+                <View key={variety.name} style={styles.yieldRow}>
+                  <Text style={styles.yieldName}>
+                    {variety.displayName?.english || pollinationService.formatPlantName(variety.name, 'english')}
+                  </Text>
+                  <Text style={styles.yieldValue}>{variety.fruitCount} fruit</Text>
+                  <Text style={styles.yieldValue}>{variety.weightKg > 0 ? `${variety.weightKg} kg` : '—'}</Text>
+                  <Text style={styles.yieldValue}>
+                    {variety.successRate !== null ? `${variety.successRate}% harvested` : '—'}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+
           <View style={styles.section}>
             <View style={styles.sectionHeader}>
               <Text style={styles.sectionTitle}>Latest Update</Text>
@@ -596,6 +618,26 @@ const styles = StyleSheet.create({
     color: theme.colors.text.secondary,
     marginTop: 4,
   },
+  yieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  yieldName: {
+    flex: 1.4,
+    fontSize: 14,
+    fontFamily: theme.fonts.semiBold,
+    color: theme.colors.text.primary,
+  },
+  yieldValue: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+    textAlign: 'right',
+  },
   loadingContainer: {
     padding: theme.spacing.xl,
     alignItems: 'center',
@@ -0,0 +1,350 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  StatusBar,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { notificationService } from '../../services';
+
+const PAGE_SIZE = 20;
+
+// Icon and color for each notification type
+const TYPE_ICONS = {
+  post_liked: { name: 'heart', color: theme.colors.error },
+  comment_liked: { name: 'heart', color: theme.colors.error },
+  post_commented: { name: 'chatbubble', color: theme.colors.info },
+  comment_replied: { name: 'arrow-undo', color: theme.colors.info },
+  post_approved: { name: 'checkmark-circle', color: theme.colors.success },
+  post_rejected: { name: 'close-circle', color: theme.colors.warning },
+  account_suspended: { name: 'alert-circle', color: theme.colors.error },
+  new_follower: { name: 'person-add', color: theme.colors.primary },
+};
+
+// Types that open the post they are about (rejected posts are not public)
+const POST_TYPES = ['post_liked', 'comment_liked', 'post_commented', 'comment_replied', 'post_approved'];
+
+const formatTime = (dateString) => {
+  const date = new Date(dateString);
+  const diffInMinutes = Math.floor((Date.now() - date) / 60000);
+  const diffInHours = Math.floor(diffInMinutes / 60);
+  const diffInDays = Math.floor(diffInHours / 24);
+
+  if (diffInMinutes < 1) return 'Just now';
+  if (diffInMinutes < 60) return `${diffInMinutes}m ago`;
+  if (diffInHours < 24) return `${diffInHours}h ago`;
+  if (diffInDays < 7) return `${diffInDays}d ago`;
+  return date.toLocaleDateString();
+};
+
+export const NotificationsScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadNotifications = async (nextPage = 1) => {
+    try {
+      const data = await notificationService.getNotifications({ page: nextPage, limit: PAGE_SIZE });
+      setNotifications(prev => (nextPage === 1 ? data.notifications : [...prev, ...data.notifications]));
+      setUnreadCount(data.unreadCount);
+      setPage(nextPage);
+      setHasMore(data.pagination.hasMore);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load notifications');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+      setLoadingMore(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadNotifications(1);
+    }, [])
+  );
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadNotifications(1);
+  };
+
+  const onEndReached = () => {
+    if (!hasMore || loadingMore || loading) return;
+    setLoadingMore(true);
+    loadNotifications(page + 1);
+  };
+
+  const markRead = (notificationId) => {
+    setNotifications(prev => prev.map(item => (
+      item._id === notificationId ? { ...item, isRead: true } : item
+    )));
+  };
+
+  const handlePress = (notification) => {
+    if (!notification.isRead) {
+      markRead(notification._id);
+      setUnreadCount(count => Math.max(0, count - 1));
+      notificationService.markAsRead(notification._id)
+        .then(data => setUnreadCount(data.unreadCount))
+        .catch(() => {});
+    }
+
+    if (notification.postId && POST_TYPES.includes(notification.type)) {
+      navigation.navigate('Main', {
+        screen: 'Community',
+        params: { screen: 'PostDetail', params: { postId: notification.postId }, initial: false },
+      });
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      setError(err.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  const renderNotification = ({ item }) => {
+    const icon = TYPE_ICONS[item.type] || { name: 'notifications', color: theme.colors.primary };
+
+    return (
+      <TouchableOpacity
+        style={[styles.item, !item.isRead && styles.itemUnread]}
+        onPress={() => handlePress(item)}
+        activeOpacity={0.7}
+      >
+        <View style={[styles.iconContainer, { backgroundColor: icon.color + '20' }]}>
+          <Ionicons name={icon.name} size={20} color={icon.color} />
+        </View>
+        <View style={styles.itemContent}>
+          <Text style={[styles.itemTitle, !item.isRead && styles.itemTitleUnread]}>{item.title}</Text>
+          {!!item.body && <Text style={styles.itemBody} numberOfLines={2}>{item.body}</Text>}
+          <Text style={styles.itemTime}>{formatTime(item.createdAt)}</Text>
+        </View>
+        {!item.isRead && <View style={styles.unreadDot} />}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (loading) {
+      return (
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.centerContainer}>
+        <Ionicons
+          name={error ? 'alert-circle-outline' : 'notifications-off-outline'}
+          size={56}
+          color={error ? theme.colors.error : theme.colors.text.secondary}
+        />
+        <Text style={styles.emptyTitle}>{error ? 'Something went wrong' : 'No notifications yet'}</Text>
+        <Text style={styles.emptyText}>
+          {error || 'Likes, comments, replies and new followers will show up here.'}
+        </Text>
+        {error && (
+          <TouchableOpacity style={styles.retryButton} onPress={onRefresh}>
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar
+        barStyle="dark-content"
+        backgroundColor="transparent"
+        translucent={true}
+      />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: theme.spacing.md + insets.top }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Notifications</Text>
+        <TouchableOpacity
+          onPress={handleMarkAllRead}
+          style={styles.headerButton}
+          disabled={unreadCount === 0}
+        >
+          <Ionicons
+            name="checkmark-done"
+            size={24}
+            color={unreadCount > 0 ? theme.colors.primary : theme.colors.background.secondary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {unreadCount > 0 && (
+        <Text style={styles.unreadSummary}>
+          {unreadCount} unread {unreadCount === 1 ? 'notification' : 'notifications'}
+        </Text>
+      )}
+
+      <FlatList
+        data={notifications}
+        keyExtractor={item => item._id}
+        renderItem={renderNotification}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={notifications.length === 0 && styles.emptyList}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[theme.colors.primary]} />
+        }
+        onEndReached={onEndReached}
+        onEndReachedThreshold={0.3}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator style={styles.footerLoader} color={theme.colors.primary} />
+        ) : null}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.lg,
+    paddingBottom: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+    backgroundColor: theme.colors.surface,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontFamily: theme.fonts.bold,
+    color: theme.colors.text.primary,
+  },
+  unreadSummary: {
+    fontSize: 13,
+    fontFamily: theme.fonts.medium,
+    color: theme.colors.text.secondary,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.background.secondary,
+  },
+  itemUnread: {
+    backgroundColor: theme.colors.primary + '0D',
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: theme.spacing.md,
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.primary,
+  },
+  itemTitleUnread: {
+    fontFamily: theme.fonts.semiBold,
+  },
+  itemBody: {
+    fontSize: 13,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+    lineHeight: 18,
+  },
+  itemTime: {
+    fontSize: 12,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+    marginTop: 6,
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  centerContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontFamily: theme.fonts.bold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: theme.fonts.regular,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  retryButton: {
+    marginTop: theme.spacing.lg,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.medium,
+    backgroundColor: theme.colors.primary,
+  },
+  retryButtonText: {
+    fontSize: 14,
+    fontFamily: theme.fonts.semiBold,
+    color: '#FFFFFF',
+  },
+  footerLoader: {
+    paddingVertical: theme.spacing.md,
+  },
+});
@@ -5,7 +5,6 @@ import {
   StyleSheet, 
   ScrollView, 
   TouchableOpacity, 
-  Image, 
   Alert,
   ActivityIndicator,
   RefreshControl,
@@ -15,7 +14,7 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Notifications from 'expo-notifications';
 import { theme } from '../../styles';
 import { pollinationService } from '../../services';
-import { Button, ImageCapture } from '../../components';
+import { Button, ImageCapture, FlowerList, HarvestList, PlantTimeline, GrowthGallery, WeatherAdvice } from '../../components';
 import { CustomHeader } from '../../components/CustomComponents/CustomHeader';
 
 export const PlantDetailScreen = ({ navigation, route }) => {
@@ -24,7 +23,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
   const [isLoading, setIsLoading] = useState(!initialPlant);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [showImageCapture, setShowImageCapture] = useState(false);
-  const [selectedImageType, setSelectedImageType] = useState('general');
+  const [selectedImageType, setSelectedImageType] = useState('seedling');
 
   useEffect(() => {
     if (!initialPlant) {
@@ -136,7 +135,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
       `Mark as ${status}`,
       success
         ? 'Are you sure the pollination was successful?'
-        : 'Are you sure the pollination failed? This flower cannot be re-pollinated.',
+        : 'Are you sure the pollination failed? You can pollinate another flower on this plant.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -176,7 +175,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
                 'Success',
                 success
                   ? '🌸 Pollination was successful! Plant advancing to FRUITING stage.'
-                  : '❌ Pollination failed. This flower cannot be re-pollinated.',
+                  : '❌ Pollination failed. Tag another flower on this plant to try again.',
                 [{ text: 'OK', onPress: () => fetchPlantDetails(false) }]
               );
             } catch (error) {
@@ -238,6 +237,36 @@ export const PlantDetailScreen = ({ navigation, route }) => {
     );
   };
 
+  // A plant can end early: it failed (died, no fruit set) or was pulled out
+  const handleEndPlant = () => {
+    const setEndStatus = async (status) => {
+      try {
+        await pollinationService.updateStatus(plantId, status);
+        fetchPlantDetails(false);
+      } catch (error) {
+        console.error('Error ending plant:', error);
+        Alert.alert('Error', error.response?.data?.message || 'Failed to update status.');
+      }
+    };
+
+    Alert.alert(
+      'End This Plant',
+      'What happened to the plant? This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        ...(plant.status !== 'harvested'
+          ? [{ text: 'It failed', onPress: () => setEndStatus('failed') }]
+          : []),
+        { text: 'I removed it', style: 'destructive', onPress: () => setEndStatus('removed') }
+      ]
+    );
+  };
+
+  // Flower changes can move the plant's status, gender and latest pollination date
+  const handlePlantStateChange = (plantState) => {
+    setPlant(prev => ({ ...prev, ...plantState }));
+  };
+
   const handleAddImage = (imageType) => {
     setSelectedImageType(imageType);
     setShowImageCapture(true);
@@ -254,16 +283,6 @@ export const PlantDetailScreen = ({ navigation, route }) => {
     }
   };
 
-  const formatDate = (date) => {
-    if (!date) return 'Not set';
-    return new Date(date).toLocaleDateString('en-US', {
-      weekday: 'short',
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
-  };
-
   const calculateAge = () => {
     if (!plant?.datePlanted) return 0;
     const today = new Date();
@@ -356,38 +375,6 @@ export const PlantDetailScreen = ({ navigation, route }) => {
     );
   };
 
-  const renderImageGallery = () => {
-    // Check if plant has an image (singular)
-    if (!plant?.image || !plant.image.url) {
-      return (
-        <View style={styles.noImages}>
-          <Ionicons name="image-outline" size={48} color={theme.colors.text.secondary} />
-          <Text style={styles.noImagesText}>No photos yet</Text>
-          <Text style={styles.noImagesSubtext}>
-            Add photos to track your plant's progress
-          </Text>
-        </View>
-      );
-    }
-
-    // Display the single image
-    return (
-      <View style={styles.imageContainer}>
-        <Image source={{ uri: plant.image.url }} style={styles.plantImage} />
-        {plant.image.caption && (
-          <Text style={styles.imageCaption} numberOfLines={2}>
-            {plant.image.caption}
-          </Text>
-        )}
-        {plant.image.uploadDate && (
-          <Text style={styles.imageDate}>
-            Added: {formatDate(plant.image.uploadDate)}
-          </Text>
-        )}
-      </View>
-    );
-  };
-
   const headerRight = () => (
     <TouchableOpacity style={styles.headerButton} onPress={handleEdit}>
       <Ionicons name="create-outline" size={24} color={theme.colors.primary} />
@@ -415,12 +402,14 @@ export const PlantDetailScreen = ({ navigation, route }) => {
 
   const pollinationStatus = getPollinationStatus();
   const plantAge = calculateAge();
+  // Plants with tagged flowers are pollinated flower by flower instead of as a whole
+  const hasTaggedFlowers = (plant.flowerSummary?.total ?? plant.flowers?.length ?? 0) > 0;
 
   return (
     <View style={styles.container}>
       <CustomHeader
-        title={pollinationService.formatPlantName(plant.name, 'english')}
-        subtitle={pollinationService.formatPlantName(plant.name, 'tagalog')}
+        title={plant.label || pollinationService.formatPlantName(plant.name, 'english')}
+        subtitle={plant.label ? pollinationService.formatPlantName(plant.name, 'english') : pollinationService.formatPlantName(plant.name, 'tagalog')}
         onBack={() => navigation.goBack()}
         rightComponent={headerRight}
       />
@@ -513,35 +502,44 @@ export const PlantDetailScreen = ({ navigation, route }) => {
           )}
         </View>
 
-        {/* Photo Gallery */}
-        <View style={styles.galleryCard}>
-          <View style={styles.galleryHeader}>
-            <Text style={styles.cardTitle}>Photo Gallery</Text>
-            <TouchableOpacity 
-              style={styles.addPhotoButton}
-              onPress={() => handleAddImage('general')}
-            >
-              <Ionicons name="camera-outline" size={20} color={theme.colors.primary} />
-            </TouchableOpacity>
-          </View>
-          
-          {renderImageGallery()}
-        </View>
+        {/* Rain and heat forecast for the next pollination window */}
+        {['flowering', 'pollinated'].includes(plant.status) && (
+          <WeatherAdvice plant={plant} />
+        )}
+
+        {/* Per-flower pollination tracking */}
+        {plant.gender !== 'male' && (
+          <FlowerList plant={plant} onPlantChange={handlePlantStateChange} />
+        )}
+
+        {/* Harvest records and yield */}
+        {plant.gender !== 'male' && ['pollinated', 'fruiting', 'harvested'].includes(plant.status) && (
+          <HarvestList plant={plant} onPlantChange={handlePlantStateChange} />
+        )}
+
+        {/* Progress photos */}
+        <GrowthGallery
+          plant={plant}
+          onAddPhoto={handleAddImage}
+          onPlantChange={handlePlantStateChange}
+        />
 
         {/* Location Info */}
-        {plant.location && (plant.location.garden || plant.location.plot) && (
+        {plant.plot?.name && (
           <View style={styles.locationCard}>
             <Text style={styles.cardTitle}>Location</Text>
             <View style={styles.locationInfo}>
               <Ionicons name="location-outline" size={16} color={theme.colors.text.secondary} />
               <Text style={styles.locationText}>
-                {plant.location.garden}
-                {plant.location.plot && ` - Plot ${plant.location.plot}`}
+                {pollinationService.formatPlantLocation(plant)}
               </Text>
             </View>
           </View>
         )}
 
+        {/* Status history, notes, photos and scans */}
+        <PlantTimeline plant={plant} refreshKey={plant} />
+
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
           {plant.gender === 'undetermined' && (
@@ -552,7 +550,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
             />
           )}
           
-          {plant.gender !== 'undetermined' && plant.status === 'flowering' && !plant.datePollinated && (
+          {plant.gender !== 'undetermined' && plant.status === 'flowering' && !plant.datePollinated && !hasTaggedFlowers && (
             <Button
               title="Mark Pollinated"
               onPress={handleMarkPollinated}
@@ -561,7 +559,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
           )}
 
           {/* Pollination Success Check - Only show when status is 'pollinated' and decision hasn't been made */}
-          {plant.status === 'pollinated' && !hasPollinationBeenDecided() && (
+          {plant.status === 'pollinated' && !hasPollinationBeenDecided() && !hasTaggedFlowers && (
             <View style={styles.pollinationCheckContainer}>
               <Text style={styles.pollinationCheckTitle}>Was the pollination successful?</Text>
               <View style={styles.checkButtonsRow}>
@@ -580,7 +578,7 @@ export const PlantDetailScreen = ({ navigation, route }) => {
           )}
 
           {/* Show result once decision has been made */}
-          {plant.status === 'pollinated' && hasPollinationBeenDecided() && (
+          {plant.status === 'pollinated' && hasPollinationBeenDecided() && !hasTaggedFlowers && (
             <View style={styles.pollnationResultContainer}>
               {plant.pollinationStatus[plant.pollinationStatus.length - 1].statuspollination === 'Successful' ? (
                 <View style={styles.successResultBanner}>
@@ -612,6 +610,25 @@ export const PlantDetailScreen = ({ navigation, route }) => {
               <Text style={styles.harvestedText}>Harvest Complete! 🎉</Text>
             </View>
           )}
+
+          {/* Show message when the plant ended early */}
+          {['failed', 'removed'].includes(plant.status) && (
+            <View style={styles.endedBanner}>
+              <Ionicons name={plant.status === 'failed' ? 'close-circle' : 'trash'} size={24} color="#757575" />
+              <Text style={styles.endedText}>
+                {plant.status === 'failed' ? 'Plant failed' : 'Plant removed'}
+              </Text>
+            </View>
+          )}
+
+          {!['failed', 'removed'].includes(plant.status) && (
+            <Button
+              title={plant.status === 'harvested' ? 'Remove Plant' : 'Mark Failed or Removed'}
+              variant="outline"
+              onPress={handleEndPlant}
+              style={styles.actionButton}
+            />
+          )}
         </View>
       </ScrollView>
 
@@ -789,66 +806,6 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
 
-  // Gallery
-  galleryCard: {
-    backgroundColor: theme.colors.surface,
-    borderRadius: theme.borderRadius.medium,
-    padding: theme.spacing.md,
-    marginBottom: theme.spacing.md,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 4,
-    elevation: 3,
-  },
-  galleryHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: theme.spacing.md,
-  },
-  addPhotoButton: {
-    padding: theme.spacing.sm,
-    backgroundColor: theme.colors.background.secondary,
-    borderRadius: theme.borderRadius.small,
-  },
-  noImages: {
-    alignItems: 'center',
-    padding: theme.spacing.lg,
-  },
-  noImagesText: {
-    ...theme.typography.bodyMedium,
-    color: theme.colors.text.secondary,
-    marginTop: theme.spacing.sm,
-  },
-  noImagesSubtext: {
-    ...theme.typography.caption,
-    color: theme.colors.text.secondary,
-    textAlign: 'center',
-    marginTop: theme.spacing.xs,
-  },
-  imageContainer: {
-    width: '100%',
-    alignItems: 'center',
-  },
-  plantImage: {
-    width: '100%',
-    height: 200,
-    borderRadius: theme.borderRadius.medium,
-    marginBottom: theme.spacing.sm,
-  },
-  imageCaption: {
-    ...theme.typography.caption,
-    color: theme.colors.text.secondary,
-    textAlign: 'center',
-    marginBottom: theme.spacing.xs,
-  },
-  imageDate: {
-    ...theme.typography.caption,
-    color: theme.colors.text.secondary,
-    fontSize: 11,
-    fontStyle: 'italic',
-  },
   photoActions: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -986,4 +943,23 @@ const styles = StyleSheet.create({
     marginLeft: theme.spacing.md,
     fontWeight: '700',
   },
+
+  // Ended Banner
+  endedBanner: {
+    backgroundColor: '#F5F5F5',
+    borderColor: '#BDBDBD',
+    borderWidth: 2,
+    borderRadius: theme.borderRadius.medium,
+    padding: theme.spacing.lg,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: theme.spacing.md,
+  },
+  endedText: {
+    ...theme.typography.h3,
+    color: '#616161',
+    marginLeft: theme.spacing.md,
+    fontWeight: '700',
+  },
 });
\ No newline at end of file
@@ -19,7 +19,19 @@ export const PlantFormScreen = ({ navigation, route }) => {
   const handleSubmit = async (formData) => {
     setIsLoading(true);
     try {
-      if (mode === 'create') {
+      if (mode === 'create' && formData.count > 1) {
+        const response = await pollinationService.createPollinationBatch(formData);
+        Alert.alert(
+          'Success',
+          `${response.data.plants.length} plants added! Select several plants in the list to update them together.`,
+          [
+            {
+              text: 'OK',
+              onPress: () => navigation.goBack()
+            }
+          ]
+        );
+      } else if (mode === 'create') {
         await pollinationService.createPollination(formData);
         Alert.alert(
           'Success',
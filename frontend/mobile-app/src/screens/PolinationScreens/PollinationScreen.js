@@ -13,7 +13,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { theme } from '../../styles';
 import { pollinationService } from '../../services';
-import { PlantCard, PlantFilter } from '../../components';
+import { PlantCard, PlantFilter, PlotGrid, BulkActionBar, SuccessAnalytics } from '../../components';
 import { CustomHeader } from '../../components/CustomComponents/CustomHeader';
 
 export const PollinationScreen = ({ navigation }) => {
@@ -27,6 +27,18 @@ export const PollinationScreen = ({ navigation }) => {
     sort: 'newest'
   });
   const [showFilter, setShowFilter] = useState(false);
+  const [plantTypes, setPlantTypes] = useState([]);
+  const [viewMode, setViewMode] = useState('list');
+  // Reloads the plot grid and analytics views when the screen regains focus
+  const [gridRefreshKey, setGridRefreshKey] = useState(0);
+  // Multi-select for bulk actions; null when not selecting
+  const [selectedIds, setSelectedIds] = useState(null);
+  const selectionMode = selectedIds !== null;
+
+  // Crop list for the plant type filter
+  useEffect(() => {
+    pollinationService.getPlantTypeOptions().then(setPlantTypes);
+  }, []);
 
   // Fetch plants data
   const fetchPlants = async (showLoader = true) => {
@@ -60,6 +72,7 @@ export const PollinationScreen = ({ navigation }) => {
   useFocusEffect(
     useCallback(() => {
       fetchPlants();
+      setGridRefreshKey(key => key + 1);
     }, [filters])
   );
 
@@ -79,6 +92,27 @@ export const PollinationScreen = ({ navigation }) => {
     navigation.navigate('PlantDetail', { plantId: plant._id, plant });
   };
 
+  // Long press starts selecting; while selecting, a press toggles the plant
+  const toggleSelected = (plant) => {
+    setSelectedIds(prev => {
+      const current = prev || [];
+      return current.includes(plant._id)
+        ? current.filter(id => id !== plant._id)
+        : [...current, plant._id];
+    });
+  };
+
+  const handleSelectAll = () => {
+    const allIds = filteredPlants.map(plant => plant._id);
+    setSelectedIds(selectedIds.length === allIds.length ? [] : allIds);
+  };
+
+  const handleBulkComplete = () => {
+    setSelectedIds(null);
+    fetchPlants(false);
+    setGridRefreshKey(key => key + 1);
+  };
+
   const handleEditPlant = (plant) => {
     navigation.navigate('PlantForm', { 
       plant, 
@@ -129,6 +163,15 @@ export const PollinationScreen = ({ navigation }) => {
     }
   };
 
+  // Add a plant straight into an empty spot on the plot grid
+  const handleEmptyCellPress = (plot, location) => {
+    navigation.navigate('PlantForm', {
+      plant: { plot, location },
+      mode: 'create',
+      title: 'Add New Plant'
+    });
+  };
+
   // Render empty state
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
@@ -148,25 +191,69 @@ export const PollinationScreen = ({ navigation }) => {
   const renderPlantItem = ({ item }) => (
     <PlantCard
       plant={item}
-      onPress={() => handlePlantPress(item)}
+      onPress={() => (selectionMode ? toggleSelected(item) : handlePlantPress(item))}
+      onLongPress={() => toggleSelected(item)}
       onEdit={() => handleEditPlant(item)}
       onDelete={() => handleDeletePlant(item)}
+      selectionMode={selectionMode}
+      isSelected={selectionMode && selectedIds.includes(item._id)}
     />
   );
 
   // Header right component
-  const headerRight = () => (
+  const headerRight = () => selectionMode ? (
     <View style={styles.headerRight}>
-      <TouchableOpacity 
+      <TouchableOpacity style={styles.headerButton} onPress={handleSelectAll}>
+        <Text style={styles.headerButtonText}>
+          {selectedIds.length === filteredPlants.length ? 'None' : 'All'}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.headerButton} onPress={() => setSelectedIds(null)}>
+        <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+      </TouchableOpacity>
+    </View>
+  ) : (
+    <View style={styles.headerRight}>
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={() => setViewMode(viewMode === 'list' ? 'grid' : 'list')}
+      >
+        <Ionicons
+          name={viewMode === 'list' ? 'grid-outline' : 'list-outline'}
+          size={24}
+          color={theme.colors.text.secondary}
+        />
+      </TouchableOpacity>
+      <TouchableOpacity
         style={styles.headerButton}
-        onPress={() => setShowFilter(!showFilter)}
+        onPress={() => setViewMode(viewMode === 'stats' ? 'list' : 'stats')}
       >
-        <Ionicons 
-          name={showFilter ? 'funnel' : 'funnel-outline'} 
-          size={24} 
-          color={showFilter ? theme.colors.primary : theme.colors.text.secondary} 
+        <Ionicons
+          name={viewMode === 'stats' ? 'stats-chart' : 'stats-chart-outline'}
+          size={24}
+          color={viewMode === 'stats' ? theme.colors.primary : theme.colors.text.secondary}
         />
       </TouchableOpacity>
+      {viewMode === 'list' && filteredPlants.length > 0 && (
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => setSelectedIds([])}
+        >
+          <Ionicons name="checkbox-outline" size={24} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+      )}
+      {viewMode === 'list' && (
+        <TouchableOpacity 
+          style={styles.headerButton}
+          onPress={() => setShowFilter(!showFilter)}
+        >
+          <Ionicons 
+            name={showFilter ? 'funnel' : 'funnel-outline'} 
+            size={24} 
+            color={showFilter ? theme.colors.primary : theme.colors.text.secondary} 
+          />
+        </TouchableOpacity>
+      )}
       <TouchableOpacity 
         style={styles.headerButton}
         onPress={handleAddPlant}
@@ -188,20 +275,29 @@ export const PollinationScreen = ({ navigation }) => {
   return (
     <View style={styles.container}>
       <CustomHeader
-        title="Pollination Management"
+        title={selectionMode ? `${selectedIds.length} selected` : 'Pollination Management'}
         rightComponent={headerRight}
       />
 
-      {showFilter && (
+      {viewMode === 'list' && showFilter && (
         <PlantFilter
           filters={filters}
           onFilterChange={handleFilterChange}
+          plantTypes={plantTypes}
           isLoading={isRefreshing}
           onRefresh={handleRefresh}
         />
       )}
 
-      {filteredPlants.length === 0 ? (
+      {viewMode === 'stats' ? (
+        <SuccessAnalytics refreshKey={gridRefreshKey} />
+      ) : viewMode === 'grid' ? (
+        <PlotGrid
+          onPlantPress={handlePlantPress}
+          onEmptyCellPress={handleEmptyCellPress}
+          refreshKey={gridRefreshKey}
+        />
+      ) : filteredPlants.length === 0 ? (
         renderEmptyState()
       ) : (
         <FlatList
@@ -238,14 +334,18 @@ export const PollinationScreen = ({ navigation }) => {
         />
       )}
 
-      {/* Floating Action Button */}
-      <TouchableOpacity 
-        style={styles.fab}
-        onPress={handleAddPlant}
-        activeOpacity={0.8}
-      >
-        <Ionicons name="add" size={28} color="#FFFFFF" />
-      </TouchableOpacity>
+      {selectionMode ? (
+        <BulkActionBar selectedIds={selectedIds} onComplete={handleBulkComplete} />
+      ) : (
+        /* Floating Action Button */
+        <TouchableOpacity 
+          style={styles.fab}
+          onPress={handleAddPlant}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="add" size={28} color="#FFFFFF" />
+        </TouchableOpacity>
+      )}
     </View>
   );
 };
@@ -274,6 +374,11 @@ const styles = StyleSheet.create({
     padding: theme.spacing.sm,
     marginLeft: theme.spacing.xs,
   },
+  headerButtonText: {
+    ...theme.typography.bodyMedium,
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
   listContent: {
     padding: theme.spacing.md,
     paddingBottom: 100, // Space for FAB
@@ -1,7 +1,8 @@
 /**
  * CameraScreenTM - Teachable Machine Scanner
  * Real-time flower classification using TM floating point model
- * Features: Real-time scanning, Capture with Gemini AI analysis
+ * Features: Real-time scanning, Capture with Gemini AI analysis,
+ * Leaf & Fruit mode for Gemini disease/pest checks
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
@@ -26,6 +27,12 @@ const SCAN_INTERVAL = 200; // 200ms between predictions (fast like TM)
 const TOP_N = 3; // Show top 3 predictions
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
+// Flower mode runs the TM classifier live; health mode captures a still for Gemini
+const SCAN_MODES = [
+  { key: 'flower', label: 'Flower', icon: 'flower-outline' },
+  { key: 'health', label: 'Leaf & Fruit', icon: 'medkit-outline' },
+];
+
 export const CameraScreenTM = ({ navigation }) => {
   const [facing, setFacing] = useState('back');
   const [permission, requestPermission] = useCameraPermissions();
@@ -43,6 +50,11 @@ export const CameraScreenTM = ({ navigation }) => {
   // Capture State
   const [isCapturing, setIsCapturing] = useState(false);
 
+  // Scan Mode State
+  const [scanMode, setScanMode] = useState('flower');
+  const [isGeminiReady, setIsGeminiReady] = useState(true);
+  const isHealthMode = scanMode === 'health';
+
   const cameraRef = useRef(null);
   const scanIntervalRef = useRef(null);
 
@@ -99,8 +111,8 @@ export const CameraScreenTM = ({ navigation }) => {
       recentPredictions.current = [];
       lastFrameUri.current = { uri: null, width: 0, height: 0 };
 
-      // Restart scanning if model is ready
-      if (isModelReady && !scanIntervalRef.current) {
+      // Restart scanning if model is ready (flower mode only)
+      if (isModelReady && scanMode === 'flower' && !scanIntervalRef.current) {
         startScanning();
       }
 
@@ -109,15 +121,27 @@ export const CameraScreenTM = ({ navigation }) => {
         console.log('📱 CameraScreenTM unfocused - stopping scanning');
         stopScanning();
       };
-    }, [isModelReady, startScanning, stopScanning])
+    }, [isModelReady, scanMode, startScanning, stopScanning])
   );
 
   // Start scanning when model is ready
   useEffect(() => {
-    if (isModelReady && !isScanning && !isPaused && !isCapturing) {
+    if (isModelReady && scanMode === 'flower' && !isScanning && !isPaused && !isCapturing) {
       startScanning();
     }
-  }, [isModelReady, isCapturing]);
+  }, [isModelReady, isCapturing, scanMode]);
+
+  // Health mode depends on Gemini, so check it is configured before the user shoots
+  useEffect(() => {
+    if (!isHealthMode) return;
+
+    const checkGemini = async () => {
+      await geminiService.initialize();
+      setIsGeminiReady(geminiService.isAvailable());
+    };
+
+    checkGemini();
+  }, [isHealthMode]);
 
   /**
    * Start real-time scanning
@@ -285,12 +309,65 @@ export const CameraScreenTM = ({ navigation }) => {
     return 'unknown';
   };
 
+  /**
+   * Switch between flower classification and leaf/fruit health checks
+   */
+  const handleModeChange = (mode) => {
+    if (mode === scanMode || isCapturing) return;
+
+    if (mode === 'health') {
+      // The TM classifier only knows flowers - stop it and clear its output
+      stopScanning();
+      setPredictions([]);
+      setIsStable(false);
+    }
+
+    bestFrame.current = { uri: null, width: 0, height: 0, label: null, confidence: 0, count: 0 };
+    recentPredictions.current = [];
+    setScanMode(mode);
+  };
+
+  /**
+   * Handle Health Capture - takes a fresh full-quality photo for Gemini
+   */
+  const handleHealthCapture = async () => {
+    if (isCapturing || !cameraRef.current) return;
+
+    setIsCapturing(true);
+
+    try {
+      const photo = await cameraRef.current.takePictureAsync({
+        quality: 0.7,
+        skipProcessing: true,
+        base64: false,
+        exif: false,
+        shutterSound: false,
+      });
+
+      console.log('🩺 Health capture:', photo.uri.slice(-40));
+      navigation.navigate('PlantHealthResults', {
+        imageUri: photo.uri,
+        width: photo.width,
+        height: photo.height,
+      });
+    } catch (error) {
+      console.error('❌ Health capture failed:', error);
+      Alert.alert('Capture Failed', 'Unable to capture image. Please try again.');
+      setIsCapturing(false);
+    }
+  };
+
   /**
    * Handle Capture - Uses the BEST STABLE frame from real-time scanning
    * Prioritizes frames where the prediction was stable
    * Falls back to best recent frame, then last frame
    */
   const handleCapture = async () => {
+    if (isHealthMode) {
+      handleHealthCapture();
+      return;
+    }
+
     if (isCapturing) return;
 
     // Set capturing flag to prevent double-taps
@@ -395,6 +472,8 @@ export const CameraScreenTM = ({ navigation }) => {
     );
   }
 
+  const canCapture = isHealthMode ? isGeminiReady : isModelReady;
+
   const toggleCameraFacing = () => {
     setFacing(current => (current === 'back' ? 'front' : 'back'));
   };
@@ -446,8 +525,23 @@ export const CameraScreenTM = ({ navigation }) => {
         </TouchableOpacity>
 
         <View style={styles.headerCenter}>
-          <View style={[styles.badge, { backgroundColor: '#4CAF50' }]}>
-            <Text style={styles.badgeText}>TM Model</Text>
+          <View style={styles.modeToggle}>
+            {SCAN_MODES.map(mode => {
+              const isActive = scanMode === mode.key;
+              return (
+                <TouchableOpacity
+                  key={mode.key}
+                  style={[styles.modeOption, isActive && styles.modeOptionActive]}
+                  onPress={() => handleModeChange(mode.key)}
+                  disabled={isCapturing}
+                >
+                  <Ionicons name={mode.icon} size={14} color={isActive ? '#FFF' : 'rgba(255,255,255,0.6)'} />
+                  <Text style={[styles.modeOptionText, isActive && styles.modeOptionTextActive]}>
+                    {mode.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
           </View>
         </View>
 
@@ -469,7 +563,30 @@ export const CameraScreenTM = ({ navigation }) => {
 
       {/* 3. Predictions (Fills remaining space) */}
       <View style={styles.predictionsContainer}>
-        {!isModelReady ? (
+        {isHealthMode ? (
+          <View style={styles.healthGuide}>
+            <View style={styles.healthGuideHeader}>
+              <View style={[styles.iconContainer, { backgroundColor: 'rgba(230, 126, 34, 0.2)' }]}>
+                <Ionicons name="medkit" size={28} color="#E67E22" />
+              </View>
+              <View style={styles.mainResultTextContainer}>
+                <Text style={styles.mainResultLabel}>Leaf & Fruit Check</Text>
+                <Text style={styles.healthGuideSubtitle}>Disease and pest detection by Gemini AI</Text>
+              </View>
+            </View>
+            <Text style={styles.healthGuideTip}>• Fill the frame with one leaf or fruit</Text>
+            <Text style={styles.healthGuideTip}>• Show the spots, holes or damage clearly, in daylight</Text>
+            <Text style={styles.healthGuideTip}>• For leaves, a second photo of the underside helps with mildew and pests</Text>
+            {!isGeminiReady && (
+              <View style={styles.healthGuideWarning}>
+                <Ionicons name="cloud-offline-outline" size={16} color="#FF9800" />
+                <Text style={styles.healthGuideWarningText}>
+                  Gemini AI is not available, so health checks cannot run right now.
+                </Text>
+              </View>
+            )}
+          </View>
+        ) : !isModelReady ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color="#FFFFFF" />
             <Text style={styles.loadingText}>Loading model...</Text>
@@ -533,19 +650,20 @@ export const CameraScreenTM = ({ navigation }) => {
             onPress={handleCapture}
             style={[
               styles.captureButton,
-              (!isModelReady || isCapturing) && styles.captureButtonDisabled,
+              (!canCapture || isCapturing) && styles.captureButtonDisabled,
               isStable && styles.captureButtonStable
             ]}
-            disabled={!isModelReady || isCapturing}
+            disabled={!canCapture || isCapturing}
           >
             <View style={[styles.captureInner, isStable && styles.captureInnerStable]}>
               <Ionicons name="camera" size={28} color={isStable ? "#4CAF50" : "#000"} />
             </View>
           </TouchableOpacity>
           <Text style={[styles.captureHint, isStable && styles.captureHintStable]}>
-            {!isModelReady ? 'Loading model...' :
-              isStable ? '✓ Stable detection - Tap to capture!' :
-                'Hold steady for best results'}
+            {isHealthMode ? (isGeminiReady ? 'Tap to check this leaf or fruit' : 'Health check unavailable') :
+              !isModelReady ? 'Loading model...' :
+                isStable ? '✓ Stable detection - Tap to capture!' :
+                  'Hold steady for best results'}
           </Text>
         </View>
       </View>
@@ -573,15 +691,30 @@ const styles = StyleSheet.create({
   headerCenter: {
     alignItems: 'center',
   },
-  badge: {
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderRadius: 16,
+    padding: 3,
+  },
+  modeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
     paddingHorizontal: 12,
-    paddingVertical: 4,
-    borderRadius: 12,
+    paddingVertical: 5,
+    borderRadius: 13,
   },
-  badgeText: {
-    color: '#FFF',
+  modeOptionActive: {
+    backgroundColor: '#4CAF50',
+  },
+  modeOptionText: {
+    color: 'rgba(255, 255, 255, 0.6)',
     fontSize: 12,
-    fontWeight: 'bold',
+    fontWeight: '600',
+  },
+  modeOptionTextActive: {
+    color: '#FFF',
   },
   settingsButton: {
     padding: 8,
@@ -736,6 +869,42 @@ const styles = StyleSheet.create({
     marginTop: 8,
   },
 
+  // Health mode guide
+  healthGuide: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 16,
+    padding: 16,
+  },
+  healthGuideHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  healthGuideSubtitle: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+  },
+  healthGuideTip: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 13,
+    lineHeight: 20,
+    marginBottom: 4,
+  },
+  healthGuideWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+  },
+  healthGuideWarningText: {
+    flex: 1,
+    color: '#FF9800',
+    fontSize: 12,
+  },
+
   // Loading state
   loadingContainer: {
     alignItems: 'center',
@@ -0,0 +1,792 @@
+/**
+ * PlantHealthResultsScreen - Disease & pest check results
+ * Runs the Gemini plant health analysis on a leaf/fruit photo from CameraScreenTM,
+ * shows matched conditions with treatment guidance and saves the result to history.
+ * Also opens saved plant health scans from history (params.scan) without re-analysing.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Dimensions,
+  ActivityIndicator,
+  Animated,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../styles';
+import { geminiService } from '../../services/geminiService';
+import { scanOutboxService } from '../../services/scanOutboxService';
+import {
+  CONDITION_CATEGORIES,
+  SEVERITY_LEVELS,
+  getCondition,
+} from '../../config/diseaseTaxonomy';
+
+const { width } = Dimensions.get('window');
+
+const HEALTHY_COLOR = '#4CAF50';
+
+/**
+ * Rebuild a health result from a saved scan
+ */
+const resultFromScan = (scan) => {
+  const info = scan.diseaseInfo || {};
+  return {
+    plantPart: info.plantPart || 'other',
+    isPlant: info.plantPart !== 'other',
+    isHealthy: !!info.isHealthy,
+    variety: scan.variety,
+    conditions: (info.conditions || []).map(condition => ({
+      ...condition,
+      id: condition.conditionId,
+    })),
+    primaryCondition: info.primaryCondition || null,
+    confidence: scan.confidence,
+    reasoning: info.reasoning || '',
+    modelVersion: info.modelVersion,
+    timestamp: info.analyzedAt || scan.date,
+  };
+};
+
+/**
+ * Bulleted guidance list
+ */
+const GuidanceList = ({ title, icon, items }) => {
+  if (!items?.length) return null;
+
+  return (
+    <View style={styles.guidanceSection}>
+      <View style={styles.guidanceHeader}>
+        <Ionicons name={icon} size={16} color={theme.colors.primary} />
+        <Text style={styles.guidanceTitle}>{title}</Text>
+      </View>
+      {items.map((item, i) => (
+        <Text key={i} style={styles.guidanceItem}>• {item}</Text>
+      ))}
+    </View>
+  );
+};
+
+/**
+ * One detected condition with expandable treatment guidance
+ */
+const ConditionCard = ({ condition, expanded, onToggle, onAskAssistant }) => {
+  const details = getCondition(condition.id);
+  const category = CONDITION_CATEGORIES[condition.category] || CONDITION_CATEGORIES.disease;
+  const severity = SEVERITY_LEVELS[condition.severity] || SEVERITY_LEVELS.mild;
+
+  return (
+    <View style={[styles.card, styles.conditionCard, { borderLeftColor: severity.color }]}>
+      <TouchableOpacity style={styles.conditionHeader} onPress={onToggle} activeOpacity={0.7}>
+        <View style={[styles.conditionIcon, { backgroundColor: `${category.color}20` }]}>
+          <Ionicons name={category.icon} size={22} color={category.color} />
+        </View>
+        <View style={styles.conditionTitleContainer}>
+          <Text style={styles.conditionName}>{condition.name}</Text>
+          {details?.scientificName && (
+            <Text style={styles.conditionScientific}>{details.scientificName}</Text>
+          )}
+        </View>
+        <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color="rgba(255,255,255,0.6)" />
+      </TouchableOpacity>
+
+      <View style={styles.tagsContainer}>
+        <View style={[styles.tag, { backgroundColor: `${category.color}30` }]}>
+          <Text style={[styles.tagText, { color: category.color }]}>{category.label}</Text>
+        </View>
+        <View style={[styles.tag, { backgroundColor: `${severity.color}30` }]}>
+          <Text style={[styles.tagText, { color: severity.color }]}>{severity.label}</Text>
+        </View>
+        <View style={styles.tag}>
+          <Text style={styles.tagText}>{condition.confidence}% confidence</Text>
+        </View>
+      </View>
+
+      {!!condition.evidence && (
+        <Text style={styles.evidenceText}>{condition.evidence}</Text>
+      )}
+
+      {expanded && details && (
+        <View style={styles.guidanceContainer}>
+          <GuidanceList title="Symptoms" icon="eye-outline" items={details.symptoms} />
+          <GuidanceList title="Treatment" icon="medkit-outline" items={details.treatment} />
+          <GuidanceList title="Prevention" icon="shield-checkmark-outline" items={details.prevention} />
+
+          <TouchableOpacity style={styles.askButton} onPress={onAskAssistant}>
+            <Ionicons name="chatbubbles-outline" size={18} color="#FFF" />
+            <Text style={styles.askButtonText}>Ask the assistant about treatment</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!expanded && (
+        <TouchableOpacity onPress={onToggle}>
+          <Text style={styles.showGuidanceText}>View treatment guidance</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+export const PlantHealthResultsScreen = ({ route, navigation }) => {
+  const { imageUri: capturedUri, scan } = route.params || {};
+  const imageUri = capturedUri || scan?.imageUrl;
+
+  const [result, setResult] = useState(scan ? resultFromScan(scan) : null);
+  const [isAnalyzing, setIsAnalyzing] = useState(!scan);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [imageLoading, setImageLoading] = useState(true);
+  const [savedScan, setSavedScan] = useState(scan || null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fadeAnim = useRef(new Animated.Value(scan ? 1 : 0)).current;
+
+  useEffect(() => {
+    if (!scan) {
+      runAnalysis();
+    }
+  }, []);
+
+  /**
+   * Run the Gemini health check
+   */
+  const runAnalysis = async () => {
+    try {
+      setIsAnalyzing(true);
+      setAnalysisError(null);
+
+      const healthResult = await geminiService.analyzePlantHealth(imageUri);
+      setResult(healthResult);
+      setExpandedId(healthResult.primaryCondition);
+
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 500,
+        useNativeDriver: true,
+      }).start();
+    } catch (error) {
+      console.error('❌ Plant health analysis failed:', error);
+      setAnalysisError(error.message);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  /**
+   * Build the scan payload saved to history
+   */
+  const buildScanData = () => ({
+    scanType: 'plant_health',
+    prediction: result.primaryCondition || 'healthy',
+    confidence: result.confidence,
+    variety: result.variety || null,
+    notes: '',
+    aiPrediction: {
+      finalSource: 'gemini',
+      gemini: {
+        variety: result.variety,
+        confidence: result.confidence,
+        reasoning: result.reasoning,
+        keyFeatures: result.conditions.map(condition => condition.evidence).filter(Boolean),
+        processingTime: result.processingTime,
+        modelVersion: result.modelVersion,
+      },
+    },
+    diseaseInfo: {
+      plantPart: result.plantPart,
+      isHealthy: result.isHealthy,
+      primaryCondition: result.primaryCondition,
+      conditions: result.conditions.map(({ id, name, category, severity, confidence, evidence }) => ({
+        conditionId: id,
+        name,
+        category,
+        severity,
+        confidence,
+        evidence,
+      })),
+      reasoning: result.reasoning,
+      modelVersion: result.modelVersion,
+      analyzedAt: result.timestamp,
+    },
+  });
+
+  // Handler: Save scan to backend
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const { scan: saved, queued } = await scanOutboxService.save(buildScanData(), imageUri);
+      setSavedScan(saved);
+
+      Alert.alert(
+        queued ? 'Saved Offline' : 'Saved',
+        queued
+          ? 'No connection right now. This check will upload to your history automatically once you are back online.'
+          : 'Plant health check saved to your history.',
+        [
+          {
+            text: 'View History',
+            onPress: () => navigation.navigate('Profile', {
+              screen: 'ProfileMain',
+              params: { initialTab: 'history' }
+            })
+          },
+          { text: 'OK' }
+        ]
+      );
+    } catch (error) {
+      console.error('Save error:', error);
+      Alert.alert('Error', error.message || 'Failed to save scan');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Handler: Hand the diagnosis to the chatbot for follow-up questions
+  const handleAskAssistant = (condition) => {
+    const plant = result.variety || 'gourd';
+    const part = result.plantPart !== 'other' ? result.plantPart : 'plant';
+    const severity = SEVERITY_LEVELS[condition.severity]?.label.toLowerCase() || 'mild';
+
+    navigation.navigate('Home', {
+      screen: 'Chatbot',
+      params: {
+        initialMessage: `A scan of my ${plant} ${part} shows ${severity} ${condition.name}. How should I treat it and stop it spreading?`,
+      },
+    });
+  };
+
+  const primary = result?.conditions?.[0];
+  const statusColor = result?.isHealthy
+    ? HEALTHY_COLOR
+    : (SEVERITY_LEVELS[primary?.severity]?.color || '#9E9E9E');
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#FFF" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Plant Health</Text>
+        <View style={styles.headerRight}>
+          {result && !isAnalyzing && (
+            <View style={styles.aiBadge}>
+              <Ionicons name="sparkles" size={14} color="#FFD700" />
+              <Text style={styles.aiBadgeText}>Gemini AI</Text>
+            </View>
+          )}
+        </View>
+      </View>
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        {/* Image Preview */}
+        <View style={styles.imageContainer}>
+          {imageLoading && (
+            <ActivityIndicator size="large" color="#FFF" style={styles.imageLoader} />
+          )}
+          <Image
+            source={{ uri: imageUri }}
+            style={styles.image}
+            onLoadEnd={() => setImageLoading(false)}
+          />
+
+          {isAnalyzing && (
+            <View style={styles.loadingOverlay}>
+              <ActivityIndicator size="large" color="#FFF" />
+              <Text style={styles.loadingText}>Checking for diseases and pests...</Text>
+            </View>
+          )}
+        </View>
+
+        {/* Error State */}
+        {analysisError && !isAnalyzing && (
+          <View style={styles.errorCard}>
+            <Ionicons name="alert-circle" size={48} color="#F44336" />
+            <Text style={styles.errorTitle}>Analysis Failed</Text>
+            <Text style={styles.errorText}>{analysisError}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={runAnalysis}>
+              <Ionicons name="refresh" size={20} color="#FFF" />
+              <Text style={styles.retryText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Results */}
+        {!isAnalyzing && !analysisError && result && (
+          <Animated.View style={{ opacity: fadeAnim }}>
+            <View style={[styles.mainResultCard, { borderLeftColor: statusColor }]}>
+              {!result.isPlant ? (
+                <View style={styles.centeredResult}>
+                  <Ionicons name="close-circle" size={64} color="#F44336" />
+                  <Text style={[styles.statusText, { color: '#F44336' }]}>No Gourd Leaf or Fruit Found</Text>
+                  <Text style={styles.statusSubtext}>
+                    Try again with a closer photo of a single leaf or fruit.
+                  </Text>
+                </View>
+              ) : result.isHealthy ? (
+                <View style={styles.centeredResult}>
+                  <Ionicons name="checkmark-circle" size={64} color={HEALTHY_COLOR} />
+                  <Text style={[styles.statusText, { color: HEALTHY_COLOR }]}>Looks Healthy</Text>
+                  <Text style={styles.statusSubtext}>
+                    No signs of common gourd diseases or pests on this {result.plantPart}
+                    {result.confidence ? ` (${result.confidence}% confidence)` : ''}.
+                  </Text>
+                </View>
+              ) : (
+                <View>
+                  <Text style={styles.summaryLabel}>
+                    {result.conditions.length === 1 ? 'Possible problem' : `${result.conditions.length} possible problems`}
+                  </Text>
+                  <Text style={styles.summaryTitle}>{primary.name}</Text>
+                  <Text style={[styles.summarySeverity, { color: statusColor }]}>
+                    {SEVERITY_LEVELS[primary.severity]?.label} · {primary.confidence}% confidence
+                  </Text>
+                </View>
+              )}
+
+              {result.isPlant && (
+                <View style={styles.metaRow}>
+                  <View style={styles.metaItem}>
+                    <Ionicons name="leaf-outline" size={14} color="rgba(255,255,255,0.6)" />
+                    <Text style={styles.metaText}>{result.plantPart}</Text>
+                  </View>
+                  {result.variety && (
+                    <View style={styles.metaItem}>
+                      <Ionicons name="flower-outline" size={14} color="rgba(255,255,255,0.6)" />
+                      <Text style={styles.metaText}>{result.variety}</Text>
+                    </View>
+                  )}
+                </View>
+              )}
+            </View>
+
+            {/* Detected Conditions */}
+            {result.conditions.map(condition => (
+              <ConditionCard
+                key={condition.id}
+                condition={condition}
+                expanded={expandedId === condition.id}
+                onToggle={() => setExpandedId(expandedId === condition.id ? null : condition.id)}
+                onAskAssistant={() => handleAskAssistant(condition)}
+              />
+            ))}
+
+            {/* AI Reasoning */}
+            {!!result.reasoning && (
+              <View style={styles.card}>
+                <Text style={styles.sectionTitle}>
+                  <Ionicons name="chatbubble-ellipses" size={18} color="#FFF" /> AI Reasoning
+                </Text>
+                <Text style={styles.reasoningText}>{result.reasoning}</Text>
+              </View>
+            )}
+
+            <View style={styles.disclaimer}>
+              <Ionicons name="information-circle" size={20} color="#FF9800" />
+              <Text style={styles.disclaimerText}>
+                AI diagnosis is a guide only. Confirm serious or spreading problems with your local agriculturist before spraying.
+              </Text>
+            </View>
+          </Animated.View>
+        )}
+
+        {/* Action Buttons */}
+        <View style={styles.actionButtons}>
+          {result?.isPlant && !savedScan && !isAnalyzing && (
+            <TouchableOpacity
+              style={[styles.saveButton, isSaving && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color="#FFF" />
+              ) : (
+                <Ionicons name="bookmark-outline" size={20} color="#FFF" />
+              )}
+              <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Save to History'}</Text>
+            </TouchableOpacity>
+          )}
+
+          {!scan && (
+            <TouchableOpacity
+              style={[styles.scanAgainButton, isAnalyzing && styles.buttonDisabled]}
+              onPress={() => navigation.goBack()}
+              disabled={isAnalyzing}
+            >
+              <Ionicons name="camera" size={20} color="#FFF" />
+              <Text style={styles.buttonText}>Scan Again</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#121212',
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 50,
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+    backgroundColor: '#1E1E1E',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    color: '#FFF',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerRight: {
+    minWidth: 100,
+    alignItems: 'flex-end',
+  },
+  aiBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 215, 0, 0.2)',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    gap: 4,
+  },
+  aiBadgeText: {
+    color: '#FFD700',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  // Image
+  imageContainer: {
+    width: width,
+    height: width * 0.75,
+    backgroundColor: '#000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    position: 'relative',
+  },
+  imageLoader: {
+    position: 'absolute',
+    zIndex: 1,
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+    resizeMode: 'cover',
+  },
+  loadingOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 2,
+  },
+  loadingText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 16,
+  },
+
+  // Error Card
+  errorCard: {
+    backgroundColor: '#1E1E1E',
+    margin: 16,
+    borderRadius: 16,
+    padding: 30,
+    alignItems: 'center',
+    borderLeftWidth: 4,
+    borderLeftColor: '#F44336',
+  },
+  errorTitle: {
+    color: '#F44336',
+    fontSize: 20,
+    fontWeight: '700',
+    marginTop: 16,
+  },
+  errorText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.primary,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 20,
+    gap: 8,
+  },
+  retryText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+
+  // Main Result Card
+  mainResultCard: {
+    backgroundColor: '#1E1E1E',
+    margin: 16,
+    borderRadius: 16,
+    padding: 20,
+    borderLeftWidth: 4,
+  },
+  centeredResult: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  statusText: {
+    fontSize: 24,
+    fontWeight: '700',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  statusSubtext: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+    lineHeight: 20,
+  },
+  summaryLabel: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  summaryTitle: {
+    color: '#FFF',
+    fontSize: 24,
+    fontWeight: '700',
+    marginTop: 4,
+  },
+  summarySeverity: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255,255,255,0.1)',
+  },
+  metaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  metaText: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 13,
+    textTransform: 'capitalize',
+  },
+
+  // Cards
+  card: {
+    backgroundColor: '#1E1E1E',
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 16,
+    padding: 20,
+  },
+  sectionTitle: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 16,
+  },
+  reasoningText: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 14,
+    lineHeight: 22,
+  },
+
+  // Condition Card
+  conditionCard: {
+    borderLeftWidth: 4,
+  },
+  conditionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  conditionIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  conditionTitleContainer: {
+    flex: 1,
+  },
+  conditionName: {
+    color: '#FFF',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  conditionScientific: {
+    color: 'rgba(255,255,255,0.5)',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  tagsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  tag: {
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  tagText: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  evidenceText: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 12,
+  },
+  showGuidanceText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+  },
+
+  // Treatment Guidance
+  guidanceContainer: {
+    marginTop: 16,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255,255,255,0.1)',
+  },
+  guidanceSection: {
+    marginBottom: 14,
+  },
+  guidanceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  guidanceTitle: {
+    color: '#FFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  guidanceItem: {
+    color: 'rgba(255,255,255,0.75)',
+    fontSize: 13,
+    lineHeight: 20,
+    marginLeft: 4,
+  },
+  askButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: 'rgba(76, 175, 80, 0.2)',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    padding: 12,
+    borderRadius: 10,
+    marginTop: 4,
+  },
+  askButtonText: {
+    color: '#FFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+
+  // Disclaimer
+  disclaimer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+    marginHorizontal: 16,
+    padding: 16,
+    borderRadius: 12,
+    gap: 12,
+  },
+  disclaimerText: {
+    flex: 1,
+    color: '#FF9800',
+    fontSize: 13,
+    lineHeight: 18,
+  },
+
+  // Action Buttons
+  actionButtons: {
+    padding: 16,
+    gap: 12,
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#2196F3',
+    padding: 16,
+    borderRadius: 12,
+  },
+  scanAgainButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: theme.colors.primary,
+    padding: 16,
+    borderRadius: 12,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -12,7 +12,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
-import { scanService } from '../../services';
+import { scanService, scanOutboxService } from '../../services';
 
 const { width } = Dimensions.get('window');
 
@@ -240,11 +240,13 @@ export const ResultsScreen = ({ route, navigation }) => {
         }
       };
 
-      await scanService.saveScan(scanData, imageUri);
+      const { queued } = await scanOutboxService.save(scanData, imageUri);
       
       Alert.alert(
-        'Success! 🎉',
-        'Scan saved to your history!',
+        queued ? 'Saved Offline' : 'Success! 🎉',
+        queued
+          ? 'No connection right now. The scan will upload to your history automatically once you are back online.'
+          : 'Scan saved to your history!',
         [
           {
             text: 'View History',
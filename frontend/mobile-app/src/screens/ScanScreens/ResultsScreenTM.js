@@ -20,6 +20,10 @@ import { Ionicons } from '@expo/vector-icons';
 import { theme } from '../../styles';
 import { modelServiceTM } from '../../services/modelServiceTM';
 import { geminiService } from '../../services/geminiService';
+import { scanService } from '../../services/scanService';
+import { scanOutboxService } from '../../services/scanOutboxService';
+import { pollinationService } from '../../services/pollinationService';
+import { ScanFeedback } from '../../components';
 
 const { width } = Dimensions.get('window');
 
@@ -260,6 +264,136 @@ const ObservationsCard = ({ observations }) => {
   );
 };
 
+/**
+ * Attach to Plant Component
+ * Links the scan to one of the user's tracked plants; a confident scan updates the plant's gender and status
+ */
+const AttachToPlantCard = ({ onLoadSuggestions, onAttach, onViewPlant }) => {
+  const [step, setStep] = useState('idle'); // 'idle', 'loading', 'choosing', 'attaching', 'attached'
+  const [suggestions, setSuggestions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadSuggestions = async () => {
+    try {
+      setStep('loading');
+      setError(null);
+      const data = await onLoadSuggestions();
+      setSuggestions(data.suggestions || []);
+      setStep('choosing');
+    } catch (err) {
+      setError(err.message || 'Could not load your plants');
+      setStep('idle');
+    }
+  };
+
+  const attach = async (plant) => {
+    try {
+      setSelectedId(plant._id);
+      setStep('attaching');
+      setError(null);
+      setResult(await onAttach(plant._id));
+      setStep('attached');
+    } catch (err) {
+      setError(err.message || 'Could not attach the scan');
+      setStep('choosing');
+    }
+  };
+
+  if (step === 'attached' && result) {
+    return (
+      <View style={styles.card}>
+        <View style={styles.attachResultRow}>
+          <Ionicons
+            name={result.update?.applied ? 'checkmark-circle' : 'information-circle'}
+            size={22}
+            color={result.update?.applied ? '#4CAF50' : '#FF9800'}
+          />
+          <Text style={styles.attachResultText}>{result.message}</Text>
+        </View>
+        <TouchableOpacity style={styles.attachLink} onPress={() => onViewPlant(result.plant)}>
+          <Text style={styles.attachLinkText}>View plant</Text>
+          <Ionicons name="chevron-forward" size={16} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const isChoosing = step === 'choosing' || step === 'attaching';
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.sectionTitle}>
+        <Ionicons name="leaf" size={18} color="#FFF" /> Attach to Plant
+      </Text>
+
+      {!isChoosing ? (
+        <>
+          <Text style={styles.attachDescription}>
+            Link this flower to a plant you are tracking. A confident scan updates the plant's gender and status for you.
+          </Text>
+          <TouchableOpacity
+            style={[styles.attachButton, step === 'loading' && styles.buttonDisabled]}
+            onPress={loadSuggestions}
+            disabled={step === 'loading'}
+          >
+            {step === 'loading' ? (
+              <ActivityIndicator size="small" color="#FFF" />
+            ) : (
+              <>
+                <Ionicons name="link" size={18} color="#FFF" />
+                <Text style={styles.attachButtonText}>Choose Plant</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </>
+      ) : suggestions.length === 0 ? (
+        <Text style={styles.attachDescription}>
+          No matching plants yet. Add this plant in the Pollination tab, then attach the scan from here.
+        </Text>
+      ) : (
+        suggestions.map(plant => (
+          <TouchableOpacity
+            key={plant._id}
+            style={[styles.plantOption, step === 'attaching' && styles.buttonDisabled]}
+            onPress={() => attach(plant)}
+            disabled={step === 'attaching'}
+          >
+            <View style={[styles.plantStatusDot, { backgroundColor: pollinationService.getStatusColor(plant.status) }]} />
+            <View style={styles.plantOptionInfo}>
+              <Text style={styles.plantOptionName}>
+                {pollinationService.formatPlantName(plant.name, 'tagalog')} ({pollinationService.formatPlantName(plant.name)})
+              </Text>
+              <Text style={styles.plantOptionMeta}>
+                Planted {new Date(plant.datePlanted).toLocaleDateString()} · {plant.status} · {plant.gender}
+              </Text>
+              {!plant.genderMatches && (
+                <Text style={styles.plantOptionWarning}>
+                  Recorded as {plant.gender} - the scan will be linked but will not change it
+                </Text>
+              )}
+            </View>
+            {step === 'attaching' && selectedId === plant._id ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <Ionicons name="chevron-forward" size={18} color="#888" />
+            )}
+          </TouchableOpacity>
+        ))
+      )}
+
+      {isChoosing && (
+        <TouchableOpacity onPress={() => setStep('idle')} disabled={step === 'attaching'}>
+          <Text style={styles.attachCancelText}>Cancel</Text>
+        </TouchableOpacity>
+      )}
+
+      {error && <Text style={styles.attachErrorText}>{error}</Text>}
+    </View>
+  );
+};
+
 /**
  * Confidence Comparison Component
  */
@@ -334,6 +468,9 @@ export const ResultsScreenTM = ({ route, navigation }) => {
 
   const [imageLoading, setImageLoading] = useState(true);
 
+  // Saved scan (created on first feedback so the answer can be stored)
+  const [savedScan, setSavedScan] = useState(null);
+
   // Animation for loading
   const spinAnim = useRef(new Animated.Value(0)).current;
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -492,6 +629,103 @@ export const ResultsScreenTM = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Build the scan payload saved to history from the current analysis
+   */
+  const buildScanData = () => {
+    const notFlower = prediction?.isNotFlower || tmPrediction?.isNotFlower;
+
+    return {
+      prediction: notFlower ? 'not_flower' : prediction.gender,
+      confidence: prediction.confidence,
+      notes: '',
+      variety: notFlower ? null : prediction.variety || null,
+      validationStatus: comparisonResult
+        ? (comparisonResult.agree ? 'validated' : 'conflict')
+        : 'tflite_only',
+      aiPrediction: {
+        finalSource: geminiPrediction ? 'gemini' : 'tflite',
+        tflite: tmPrediction ? {
+          variety: tmPrediction.variety,
+          gender: tmPrediction.gender,
+          confidence: tmPrediction.confidence,
+          modelVersion: '3.0.0-float-only',
+          processingTime: tmPrediction.processingTime,
+          modelType: tmPrediction.modelType
+        } : null,
+        gemini: geminiPrediction ? {
+          variety: geminiPrediction.variety,
+          gender: geminiPrediction.gender,
+          confidence: geminiPrediction.confidence,
+          reasoning: geminiPrediction.geminiData?.reasoning,
+          keyFeatures: geminiPrediction.geminiData?.keyFeatures || [],
+          processingTime: geminiPrediction.processingTime,
+          modelVersion: geminiPrediction.modelVersion
+        } : null,
+        comparison: comparisonResult ? {
+          modelsAgree: comparisonResult.agree,
+          varietyMatch: comparisonResult.varietyMatch,
+          genderMatch: comparisonResult.genderMatch,
+          confidenceGap: comparisonResult.confidenceGap,
+          recommendation: comparisonResult.recommendation
+        } : null
+      }
+    };
+  };
+
+  /**
+   * Save the scan to history once, the first time it is needed
+   */
+  const ensureSavedScan = async () => {
+    if (savedScan) return savedScan;
+    const { scan } = await scanOutboxService.save(buildScanData(), imageUri);
+    setSavedScan(scan);
+    return scan;
+  };
+
+  /**
+   * Handler: "Was this right?" answer - saves the scan first if needed
+   */
+  const handleFeedback = async (feedback) => {
+    const scan = await ensureSavedScan();
+
+    // Offline: the answer is sent once the queued scan uploads
+    if (scan.syncStatus) {
+      setSavedScan(await scanOutboxService.attachFeedback(scan.clientId, feedback));
+      return;
+    }
+
+    const result = await scanService.submitFeedback(scan._id, feedback);
+    setSavedScan(result.scan);
+  };
+
+  /**
+   * Handler: "Attach to plant" - saves the scan first if needed, then loads matching plants
+   */
+  const handleLoadPlantSuggestions = async () => {
+    const scan = await ensureSavedScan();
+
+    // Plants live on the server, so a scan waiting in the offline queue cannot be linked yet
+    if (scan.syncStatus) {
+      throw new Error('This scan was saved offline. Attach it to a plant once you are back online.');
+    }
+
+    return scanService.getPlantSuggestions(scan._id);
+  };
+
+  const handleAttachToPlant = async (plantId) => {
+    const result = await scanService.attachToPlant(savedScan._id, plantId);
+    setSavedScan(result.scan);
+    return result;
+  };
+
+  const handleViewPlant = (plant) => {
+    navigation.navigate('Pollination', {
+      screen: 'PlantDetail',
+      params: { plantId: plant._id, plant },
+    });
+  };
+
   const geminiData = geminiPrediction?.geminiData;
   const hasGeminiData = !!geminiData;
 
@@ -618,6 +852,23 @@ export const ResultsScreenTM = ({ route, navigation }) => {
               )}
             </View>
 
+            {/* User feedback on the prediction */}
+            <ScanFeedback
+              dark
+              feedback={savedScan?.userFeedback}
+              groundTruth={savedScan?.groundTruth}
+              onSubmit={handleFeedback}
+            />
+
+            {/* Link the flower to a tracked plant */}
+            {!isNotFlower && ['male', 'female'].includes(displayGender) && (
+              <AttachToPlantCard
+                onLoadSuggestions={handleLoadPlantSuggestions}
+                onAttach={handleAttachToPlant}
+                onViewPlant={handleViewPlant}
+              />
+            )}
+
             {/* Gemini Enhanced Data (only show if flower detected) */}
             {hasGeminiData && !isNotFlower && (
               <>
@@ -966,6 +1217,95 @@ const styles = StyleSheet.create({
     marginBottom: 16,
   },
 
+  // Attach to plant
+  attachDescription: {
+    color: '#B0B0B0',
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  attachButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary,
+    paddingVertical: 12,
+    borderRadius: 12,
+    gap: 8,
+  },
+  attachButtonText: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  plantOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  plantStatusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 12,
+  },
+  plantOptionInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  plantOptionName: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  plantOptionMeta: {
+    color: '#B0B0B0',
+    fontSize: 12,
+    marginTop: 2,
+    textTransform: 'capitalize',
+  },
+  plantOptionWarning: {
+    color: '#FF9800',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  attachCancelText: {
+    color: '#B0B0B0',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  attachErrorText: {
+    color: '#F44336',
+    fontSize: 13,
+    marginTop: 10,
+  },
+  attachResultRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 10,
+  },
+  attachResultText: {
+    flex: 1,
+    color: '#FFF',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  attachLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    marginTop: 12,
+  },
+  attachLinkText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+
   // Timeline
   timeline: {
     flexDirection: 'row',
@@ -10,6 +10,7 @@ export { CameraScreen } from './ScanScreens/CameraScreen';
 export { CameraScreenTM } from './ScanScreens/CameraScreenTM';
 export { ResultsScreen } from './ScanScreens/ResultsScreen';
 export { ResultsScreenTM } from './ScanScreens/ResultsScreenTM';
+export { PlantHealthResultsScreen } from './ScanScreens/PlantHealthResultsScreen';
 
 // History Screens
 export { HistoryScreen } from './HistoryScreens/HistoryScreen';
@@ -19,6 +20,9 @@ export { LoginScreen } from './AccountScreens/LoginScreen';
 export { SignUpScreen } from './AccountScreens/SignUpScreen';
 export { ProfileScreen } from './AccountScreens/ProfileScreen';
 
+// Notification Screens
+export { NotificationsScreen } from './NotificationScreens/NotificationsScreen';
+
 // Pollination Screens
 export { PollinationScreen } from './PolinationScreens/PollinationScreen';
 export { PlantFormScreen } from './PolinationScreens/PlantFormScreen';
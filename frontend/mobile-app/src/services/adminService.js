@@ -31,6 +31,75 @@ class AdminService {
     }
   }
 
+  /**
+   * Get TFLite accuracy and latency analytics per model version
+   */
+  async getModelAnalytics(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (params.startDate) queryParams.append('startDate', params.startDate);
+      if (params.endDate) queryParams.append('endDate', params.endDate);
+
+      const response = await fetch(`${API_BASE_URL}/admin/analytics/models?${queryParams}`, {
+        method: 'GET',
+        headers: authService.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch model analytics');
+      }
+
+      return {
+        success: true,
+        models: data.data.models,
+      };
+    } catch (error) {
+      console.error('Model analytics error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch model analytics',
+      };
+    }
+  }
+
+  /**
+   * Get anonymized community pollination success rates
+   */
+  async getPollinationBenchmark(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (params.variety) queryParams.append('variety', params.variety);
+      if (params.startDate) queryParams.append('startDate', params.startDate);
+      if (params.endDate) queryParams.append('endDate', params.endDate);
+
+      const response = await fetch(`${API_BASE_URL}/admin/analytics/pollination?${queryParams}`, {
+        method: 'GET',
+        headers: authService.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch pollination benchmark');
+      }
+
+      return {
+        success: true,
+        data: data.data,
+      };
+    } catch (error) {
+      console.error('Pollination benchmark error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch pollination benchmark',
+      };
+    }
+  }
+
   /**
    * Get all users with pagination and filters
    */
@@ -585,6 +654,178 @@ class AdminService {
       };
     }
   }
+
+  /**
+   * Get forum reports grouped by reported post or comment
+   */
+  async getForumReports(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (params.status) queryParams.append('status', params.status);
+      if (params.targetType) queryParams.append('targetType', params.targetType);
+      if (params.page) queryParams.append('page', params.page);
+      if (params.limit) queryParams.append('limit', params.limit);
+
+      const response = await fetch(`${API_BASE_URL}/admin/forum/reports?${queryParams}`, {
+        method: 'GET',
+        headers: authService.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch forum reports');
+      }
+
+      return {
+        success: true,
+        groups: data.data.groups,
+        flagThreshold: data.data.flagThreshold,
+        pagination: data.data.pagination,
+      };
+    } catch (error) {
+      console.error('Get forum reports error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch forum reports',
+      };
+    }
+  }
+
+  /**
+   * Resolve the open reports on a post or comment
+   * @param {string} action - 'dismiss' keeps the content, 'remove' takes it down
+   */
+  async resolveForumReports(postId, commentId, action, note = '') {
+    try {
+      const path = commentId
+        ? `forum/posts/${postId}/comments/${commentId}/reports/resolve`
+        : `forum/posts/${postId}/reports/resolve`;
+
+      const response = await fetch(`${API_BASE_URL}/admin/${path}`, {
+        method: 'PATCH',
+        headers: authService.getAuthHeaders(),
+        body: JSON.stringify({ action, note }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to resolve reports');
+      }
+
+      return {
+        success: true,
+        message: data.message,
+        resolvedReports: data.data.resolvedReports,
+      };
+    } catch (error) {
+      console.error('Resolve forum reports error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to resolve reports',
+      };
+    }
+  }
+
+  /**
+   * Get scans needing expert review (model conflicts and low confidence)
+   */
+  async getScanReviewQueue(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (params.page) queryParams.append('page', params.page);
+      if (params.limit) queryParams.append('limit', params.limit);
+      if (params.type) queryParams.append('type', params.type);
+      if (params.maxConfidence !== undefined) queryParams.append('maxConfidence', params.maxConfidence);
+      if (params.includeResolved !== undefined) queryParams.append('includeResolved', params.includeResolved);
+      if (params.sortOrder) queryParams.append('sortOrder', params.sortOrder);
+
+      const response = await fetch(`${API_BASE_URL}/admin/scans/review?${queryParams}`, {
+        method: 'GET',
+        headers: authService.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch scan review queue');
+      }
+
+      return {
+        success: true,
+        scans: data.data.scans,
+        pagination: data.data.pagination,
+      };
+    } catch (error) {
+      console.error('Get scan review queue error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch scan review queue',
+      };
+    }
+  }
+
+  /**
+   * Get a scan with both model outputs for review
+   */
+  async getScanForReview(scanId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/scans/${scanId}`, {
+        method: 'GET',
+        headers: authService.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch scan');
+      }
+
+      return {
+        success: true,
+        scan: data.data.scan,
+      };
+    } catch (error) {
+      console.error('Get scan for review error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch scan',
+      };
+    }
+  }
+
+  /**
+   * Assign the final expert label to a scan
+   */
+  async labelScan(scanId, label) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/scans/${scanId}/label`, {
+        method: 'PATCH',
+        headers: authService.getAuthHeaders(),
+        body: JSON.stringify(label),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.errors?.[0]?.message || data.message || 'Failed to save scan label');
+      }
+
+      return {
+        success: true,
+        scan: data.data.scan,
+      };
+    } catch (error) {
+      console.error('Label scan error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to save scan label',
+      };
+    }
+  }
 }
 
 // Create and export singleton instance
@@ -109,6 +109,8 @@ class AuthService {
             message: data.message || 'Your account has been deactivated',
             accountDeactivated: true,
             deactivationReason: data.deactivationReason,
+            accountSuspended: !!data.accountSuspended,
+            suspension: data.suspension || null,
           };
         }
 
@@ -229,6 +231,8 @@ class AuthService {
             message: data.message || 'Your account has been deactivated',
             accountDeactivated: true,
             deactivationReason: data.deactivationReason,
+            accountSuspended: !!data.accountSuspended,
+            suspension: data.suspension || null,
           };
         }
 
@@ -39,8 +39,11 @@ export const getAllPosts = async (params = {}) => {
     if (limit) queryParams.append('limit', limit);
     if (isPinned !== undefined) queryParams.append('isPinned', isPinned);
 
+    // Signed-in users also get isBookmarked on each post
+    const headers = await getAuthHeaders();
     const response = await axios.get(
-      `${API_BASE_URL}/forum/posts?${queryParams.toString()}`
+      `${API_BASE_URL}/forum/posts?${queryParams.toString()}`,
+      { headers }
     );
 
     return {
@@ -58,12 +61,46 @@ export const getAllPosts = async (params = {}) => {
   }
 };
 
+/**
+ * Search posts by relevance; results carry highlighted title and snippet segments
+ * @param {Object} params - { q, category, author, from, to, hasImages, page, limit }
+ */
+export const searchPosts = async (params = {}) => {
+  try {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const response = await axios.get(
+      `${API_BASE_URL}/forum/search?${queryParams.toString()}`
+    );
+
+    return {
+      success: true,
+      data: response.data.data,
+      matchType: response.data.matchType,
+      pagination: response.data.pagination,
+    };
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    return {
+      success: false,
+      message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to search posts',
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Get single post by ID
  */
 export const getPostById = async (postId) => {
   try {
-    const response = await axios.get(`${API_BASE_URL}/forum/posts/${postId}`);
+    const headers = await getAuthHeaders();
+    const response = await axios.get(`${API_BASE_URL}/forum/posts/${postId}`, { headers });
 
     return {
       success: true,
@@ -190,28 +227,271 @@ export const toggleLike = async (postId) => {
 };
 
 /**
- * Add a comment to a post
+ * Get a page of comment threads with nested replies
+ * @param {Object} params - { page, limit, sort: 'oldest' | 'newest' }
+ */
+export const getComments = async (postId, params = {}) => {
+  try {
+    const headers = await getAuthHeaders();
+    const { page, limit, sort } = params;
+
+    const queryParams = new URLSearchParams();
+    if (page) queryParams.append('page', page);
+    if (limit) queryParams.append('limit', limit);
+    if (sort) queryParams.append('sort', sort);
+
+    const response = await axios.get(
+      `${API_BASE_URL}/forum/posts/${postId}/comments?${queryParams.toString()}`,
+      { headers }
+    );
+
+    return {
+      success: true,
+      data: response.data.data,
+      pagination: response.data.pagination,
+    };
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to fetch comments',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Add a comment to a post, or a reply to a comment when parentId is given
  */
-export const addComment = async (postId, content) => {
+export const addComment = async (postId, content, parentId = null) => {
   try {
     const headers = await getAuthHeaders();
     
     const response = await axios.post(
       `${API_BASE_URL}/forum/posts/${postId}/comments`,
-      { content },
+      { content, ...(parentId && { parentId }) },
       { headers }
     );
 
     return {
       success: true,
-      message: 'Comment added successfully',
+      message: response.data.message || 'Comment added successfully',
       data: response.data.data,
     };
   } catch (error) {
     console.error('Error adding comment:', error);
     return {
       success: false,
-      message: error.response?.data?.message || 'Failed to add comment',
+      message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to add comment',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Edit a comment
+ */
+export const updateComment = async (postId, commentId, content) => {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await axios.put(
+      `${API_BASE_URL}/forum/posts/${postId}/comments/${commentId}`,
+      { content },
+      { headers }
+    );
+
+    return {
+      success: true,
+      message: 'Comment updated successfully',
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    return {
+      success: false,
+      message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to update comment',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Delete a comment
+ */
+export const deleteComment = async (postId, commentId) => {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await axios.delete(
+      `${API_BASE_URL}/forum/posts/${postId}/comments/${commentId}`,
+      { headers }
+    );
+
+    return {
+      success: true,
+      message: 'Comment deleted successfully',
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to delete comment',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Like or unlike a comment
+ */
+export const toggleCommentLike = async (postId, commentId) => {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await axios.post(
+      `${API_BASE_URL}/forum/posts/${postId}/comments/${commentId}/like`,
+      {},
+      { headers }
+    );
+
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error toggling comment like:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to toggle like',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the personalized "For you" feed
+ * @param {Object} params - { category, page, limit }
+ * @returns {Promise<Object>} { success, data: posts with feedReason, interests, pagination }
+ */
+export const getFeed = async (params = {}) => {
+  try {
+    const headers = await getAuthHeaders();
+    const { category, page, limit } = params;
+
+    const queryParams = new URLSearchParams();
+    if (category && category !== 'all') queryParams.append('category', category);
+    if (page) queryParams.append('page', page);
+    if (limit) queryParams.append('limit', limit);
+
+    const response = await axios.get(
+      `${API_BASE_URL}/forum/feed?${queryParams.toString()}`,
+      { headers }
+    );
+
+    return {
+      success: true,
+      data: response.data.data,
+      interests: response.data.interests,
+      pagination: response.data.pagination,
+    };
+  } catch (error) {
+    console.error('Error fetching feed:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to fetch your feed',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the user's saved posts, most recently saved first
+ * @param {Object} params - { category, page, limit }
+ */
+export const getBookmarks = async (params = {}) => {
+  try {
+    const headers = await getAuthHeaders();
+    const { category, page, limit } = params;
+
+    const queryParams = new URLSearchParams();
+    if (category && category !== 'all') queryParams.append('category', category);
+    if (page) queryParams.append('page', page);
+    if (limit) queryParams.append('limit', limit);
+
+    const response = await axios.get(
+      `${API_BASE_URL}/forum/bookmarks?${queryParams.toString()}`,
+      { headers }
+    );
+
+    return {
+      success: true,
+      data: response.data.data,
+      pagination: response.data.pagination,
+    };
+  } catch (error) {
+    console.error('Error fetching saved posts:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to fetch saved posts',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save or unsave a post
+ * @param {boolean} bookmarked - Whether the post should end up saved
+ */
+export const setBookmark = async (postId, bookmarked) => {
+  try {
+    const headers = await getAuthHeaders();
+    const url = `${API_BASE_URL}/forum/posts/${postId}/bookmark`;
+
+    const response = bookmarked
+      ? await axios.post(url, {}, { headers })
+      : await axios.delete(url, { headers });
+
+    return {
+      success: true,
+      message: response.data.message,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error updating saved post:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to update saved post',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Follow or unfollow a user
+ * @param {boolean} follow - Whether the user should end up followed
+ * @returns {Promise<Object>} { success, data: { isFollowing, followerCount } }
+ */
+export const setFollowing = async (userId, follow) => {
+  try {
+    const headers = await getAuthHeaders();
+    const url = `${API_BASE_URL}/forum/users/${userId}/follow`;
+
+    const response = follow
+      ? await axios.post(url, {}, { headers })
+      : await axios.delete(url, { headers });
+
+    return {
+      success: true,
+      message: response.data.message,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error('Error updating follow:', error);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to update follow',
       error: error.message,
     };
   }
@@ -275,14 +555,15 @@ export const getMyPosts = async (params = {}) => {
 
 /**
  * Report a post for inappropriate content
+ * @param {Object} report - { reason, details }
  */
-export const reportPost = async (postId) => {
+export const reportPost = async (postId, report) => {
   try {
     const headers = await getAuthHeaders();
     
     const response = await axios.post(
       `${API_BASE_URL}/forum/posts/${postId}/report`,
-      {},
+      report,
       { headers }
     );
 
@@ -294,7 +575,35 @@ export const reportPost = async (postId) => {
     console.error('Error reporting post:', error);
     return {
       success: false,
-      message: error.response?.data?.message || 'Failed to report post',
+      message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to report post',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Report a comment for inappropriate content
+ * @param {Object} report - { reason, details }
+ */
+export const reportComment = async (postId, commentId, report) => {
+  try {
+    const headers = await getAuthHeaders();
+
+    const response = await axios.post(
+      `${API_BASE_URL}/forum/posts/${postId}/comments/${commentId}/report`,
+      report,
+      { headers }
+    );
+
+    return {
+      success: true,
+      message: response.data.message || 'Comment reported successfully',
+    };
+  } catch (error) {
+    console.error('Error reporting comment:', error);
+    return {
+      success: false,
+      message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to report comment',
       error: error.message,
     };
   }
@@ -302,13 +611,23 @@ export const reportPost = async (postId) => {
 
 export default {
   getAllPosts,
+  searchPosts,
   getPostById,
   createPost,
   updatePost,
   deletePost,
   toggleLike,
+  getComments,
   addComment,
+  updateComment,
+  deleteComment,
+  toggleCommentLike,
+  getFeed,
+  getBookmarks,
+  setBookmark,
+  setFollowing,
   getPopularTopics,
   getMyPosts,
   reportPost,
+  reportComment,
 };
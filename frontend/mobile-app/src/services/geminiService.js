@@ -6,6 +6,11 @@
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import * as FileSystem from 'expo-file-system/legacy';
+import {
+  GOURD_VARIETIES,
+  getCondition,
+  getConditionsForVariety,
+} from '../config/diseaseTaxonomy';
 
 // Get API key from environment
 const GEMINI_API_KEY = process.env.EXPO_PUBLIC_GEMINI_API_KEY;
@@ -229,6 +234,145 @@ Respond with ONLY this JSON (keep responses SHORT to avoid truncation):
     }
   }
 
+  /**
+   * Check a leaf or fruit photo for diseases and pests
+   * @param {string} imageUri - Local image URI
+   * @param {Object} options - { varietyKey } to narrow the taxonomy when the variety is known
+   * @returns {Promise<Object>} Health result with conditions mapped to the disease taxonomy
+   */
+  async analyzePlantHealth(imageUri, { varietyKey } = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      if (!this.isAvailable()) {
+        throw new Error('Gemini service not available');
+      }
+
+      console.log('🩺 Gemini checking plant health:', imageUri.slice(-30));
+
+      const base64Image = await FileSystem.readAsStringAsync(imageUri, {
+        encoding: 'base64',
+      });
+
+      // Give Gemini the taxonomy so every answer maps to a known condition
+      const conditionList = getConditionsForVariety(varietyKey)
+        .map(condition => `- ${condition.id}: ${condition.name} (${condition.category}) - ${condition.symptoms.join('; ')}`)
+        .join('\n');
+
+      const varietyHint = varietyKey && GOURD_VARIETIES[varietyKey]
+        ? `The grower says this plant is ${GOURD_VARIETIES[varietyKey]}.`
+        : 'The variety may be ampalaya_bilog (bitter gourd), patola (sponge gourd) or upo_smooth (bottle gourd).';
+
+      const prompt = `Check this gourd leaf or fruit photo for diseases and pests.
+${varietyHint}
+
+**Known conditions (use ONLY these IDs):**
+${conditionList}
+
+**Rules:**
+- Only report a condition when its symptoms are actually visible.
+- If the plant part looks healthy, return an empty "conditions" array and "isHealthy": true.
+- If the photo is not a gourd leaf, fruit, stem or flower, set "plantPart" to "other".
+- List at most 3 conditions, most likely first.
+
+Respond with ONLY this JSON:
+{
+  "plantPart": "leaf" | "fruit" | "stem" | "flower" | "other",
+  "variety": "ampalaya_bilog" | "patola" | "upo_smooth" | "unknown",
+  "isHealthy": true | false,
+  "confidence": 0.0-1.0,
+  "conditions": [{"id": "condition_id", "confidence": 0.0-1.0, "severity": "mild|moderate|severe", "evidence": "What you see, one short sentence"}],
+  "reasoning": "One or two sentences"
+}`;
+
+      const result = await this.model.generateContent([
+        prompt,
+        {
+          inlineData: {
+            mimeType: 'image/jpeg',
+            data: base64Image,
+          },
+        },
+      ]);
+
+      const response = await result.response;
+      const text = response.text();
+
+      console.log('📄 Gemini health response:', text);
+
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('Invalid response format from Gemini');
+      }
+
+      const healthResult = this.formatHealthResult(JSON.parse(jsonMatch[0]), Date.now() - startTime);
+
+      console.log('✅ Gemini health result:', healthResult.primaryCondition || 'healthy');
+
+      return healthResult;
+
+    } catch (error) {
+      console.error('❌ Gemini health analysis error:', error);
+      throw new Error(`Plant health analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a raw Gemini health response onto the disease taxonomy
+   * Conditions with IDs outside the taxonomy are dropped
+   * @param {Object} geminiResult - Parsed Gemini JSON
+   * @param {number} processingTime - Time taken in milliseconds
+   * @returns {Object} Formatted health result
+   */
+  formatHealthResult(geminiResult, processingTime) {
+    const { plantPart, variety, reasoning } = geminiResult;
+    const severities = ['mild', 'moderate', 'severe'];
+
+    const conditions = (Array.isArray(geminiResult.conditions) ? geminiResult.conditions : [])
+      .map(item => {
+        const condition = getCondition(item?.id);
+        if (!condition) return null;
+
+        const rawConfidence = Math.min(Math.max(Number(item.confidence) || 0, 0), 1);
+        return {
+          id: condition.id,
+          name: condition.name,
+          category: condition.category,
+          severity: severities.includes(item.severity) ? item.severity : 'mild',
+          confidence: Math.round(rawConfidence * 100 * 10) / 10,
+          evidence: item.evidence || '',
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const isPlant = plantPart !== 'other';
+    const isHealthy = isPlant && conditions.length === 0;
+    const primary = conditions[0] || null;
+    const overallConfidence = Math.min(Math.max(Number(geminiResult.confidence) || 0, 0), 1);
+
+    return {
+      plantPart: ['leaf', 'fruit', 'stem', 'flower'].includes(plantPart) ? plantPart : 'other',
+      isPlant,
+      isHealthy,
+      variety: GOURD_VARIETIES[variety] || null,
+      conditions,
+      primaryCondition: primary ? primary.id : null,
+      // The top condition's confidence, or Gemini's confidence in a healthy verdict
+      confidence: primary ? primary.confidence : Math.round(overallConfidence * 100 * 10) / 10,
+      reasoning: reasoning || '',
+
+      source: 'gemini',
+      processingTime,
+      timestamp: new Date().toISOString(),
+      modelVersion: GEMINI_CONFIG.model,
+    };
+  }
+
   /**
    * Format Gemini response to match modelService output structure
    * @param {Object} geminiResult - Raw Gemini response
@@ -6,4 +6,6 @@ export { default as forumService } from './forumService';
 export { default as connectionService } from './connectionService';
 export { adminService, AdminService } from './adminService';
 export { default as chatbotService } from './chatbotService';
-export { scanService, ScanService } from './scanService';
\ No newline at end of file
+export { scanService, ScanService } from './scanService';
+export { scanOutboxService, ScanOutboxService } from './scanOutboxService';
+export { notificationService, NotificationService } from './notificationService';
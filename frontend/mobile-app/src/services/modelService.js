@@ -8,6 +8,8 @@
  * - Running inference for flower classification (variety + gender)
  * - Non-flower rejection with confidence threshold
  * - Real-time prediction support with stabilization
+ * - Over-the-air model updates from the backend model registry,
+ *   falling back to the bundled model when anything goes wrong
  * 
  * @module modelService
  * @version 3.0.0-multiclass
@@ -16,7 +18,10 @@
 import { loadTensorflowModel } from 'react-native-fast-tflite';
 import * as ImageManipulator from 'expo-image-manipulator';
 import * as FileSystem from 'expo-file-system/legacy';
+import * as Crypto from 'expo-crypto';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import jpeg from 'jpeg-js';
+import { API_BASE_URL } from '../config/api';
 
 // Model configuration - UPDATE THIS WHEN RETRAINING MODEL
 const MODEL_CONFIG = {
@@ -48,6 +53,28 @@ const MODEL_CONFIG = {
   }
 };
 
+// Over-the-air model updates
+const OTA_CONFIG = {
+  modelDirectory: `${FileSystem.documentDirectory}models/`,
+  manifestKey: '@gourd_model/ota_manifest',
+  deviceIdKey: '@gourd_model/device_id',
+  checkTimeout: 8000 // Don't hold up startup on a slow network
+};
+
+/**
+ * Decode a base64 string into bytes
+ * @private
+ */
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+/**
+ * Hex-encode a digest buffer
+ * @private
+ */
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
 class ModelService {
   constructor() {
     this.model = null;
@@ -85,10 +112,17 @@ class ModelService {
 
     try {
       console.log('🤖 Initializing TFLite model...');
+
+      // Prefer a verified over-the-air model, otherwise use the one bundled with the app
+      const otaManifest = await this.resolveOtaModel();
+      const loadedOta = otaManifest ? await this.loadOtaModel(otaManifest) : false;
+
+      if (!loadedOta) {
+        await this.loadTFLiteModel();
+      }
+
       console.log(`📊 Config version: ${this.config.version}`);
       
-      await this.loadTFLiteModel();
-      
       this.isReady = true;
       this.isInitializing = false;
       
@@ -104,12 +138,201 @@ class ModelService {
     }
   }
 
+  /**
+   * Work out which over-the-air model (if any) this device should run.
+   * Checks the registry for a newer version and downloads it; when the
+   * registry can't be reached the last verified download is reused.
+   * @returns {Promise<Object|null>} Cached manifest, or null to use the bundled model
+   * @private
+   */
+  async resolveOtaModel() {
+    const cached = await this.getCachedManifest();
+
+    let latest;
+    try {
+      latest = await this.checkForModelUpdate(cached?.version || MODEL_CONFIG.version);
+    } catch (error) {
+      console.log('⚠️ Model update check failed, using cached model:', error.message);
+      return cached;
+    }
+
+    // Registry has no model for this device (none active, outside rollout or rolled back)
+    if (!latest.model) {
+      if (cached) {
+        console.log('↩️ OTA model no longer assigned to this device, reverting to bundled model');
+        await this.clearOtaModel();
+      }
+      return null;
+    }
+
+    if (cached?.version === latest.model.version) {
+      return cached;
+    }
+
+    // The bundled model is already the assigned version
+    if (!cached && latest.model.version === MODEL_CONFIG.version) {
+      return null;
+    }
+
+    try {
+      return await this.downloadModel(latest.model);
+    } catch (error) {
+      console.error('❌ Model download failed:', error.message);
+      return cached;
+    }
+  }
+
+  /**
+   * Ask the backend model registry which model this device should run
+   * @param {string} currentVersion - Version currently installed
+   * @returns {Promise<Object>} { model, updateAvailable }
+   */
+  async checkForModelUpdate(currentVersion = this.config.version) {
+    const deviceId = await this.getDeviceId();
+    const params = new URLSearchParams({ currentVersion, deviceId });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), OTA_CONFIG.checkTimeout);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/models/latest?${params}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to check for model updates');
+      }
+
+      return data.data;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Download a model and verify its SHA-256 checksum before caching it
+   * @param {Object} manifest - Manifest returned by the registry
+   * @returns {Promise<Object>} The cached manifest including the local file URI
+   * @private
+   */
+  async downloadModel(manifest) {
+    console.log(`⬇️ Downloading model ${manifest.version}...`);
+
+    await FileSystem.makeDirectoryAsync(OTA_CONFIG.modelDirectory, { intermediates: true }).catch(() => {});
+
+    const fileUri = `${OTA_CONFIG.modelDirectory}gourd_classifier-${manifest.version.replace(/[^a-zA-Z0-9._-]/g, '_')}.tflite`;
+    const tempUri = `${fileUri}.download`;
+
+    try {
+      const result = await FileSystem.downloadAsync(`${API_BASE_URL}${manifest.downloadUrl}`, tempUri);
+      if (result.status !== 200) {
+        throw new Error(`Download failed with status ${result.status}`);
+      }
+
+      const base64 = await FileSystem.readAsStringAsync(tempUri, { encoding: 'base64' });
+      const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, base64ToBytes(base64));
+
+      if (toHex(digest) !== manifest.checksum) {
+        throw new Error('Checksum mismatch - discarding downloaded model');
+      }
+
+      await FileSystem.moveAsync({ from: tempUri, to: fileUri });
+    } catch (error) {
+      await FileSystem.deleteAsync(tempUri, { idempotent: true });
+      throw error;
+    }
+
+    const previous = await this.getCachedManifest();
+    const cached = { ...manifest, fileUri, downloadedAt: new Date().toISOString() };
+    await AsyncStorage.setItem(OTA_CONFIG.manifestKey, JSON.stringify(cached));
+
+    if (previous?.fileUri && previous.fileUri !== fileUri) {
+      await FileSystem.deleteAsync(previous.fileUri, { idempotent: true });
+    }
+
+    console.log(`✅ Model ${manifest.version} downloaded and verified`);
+    return cached;
+  }
+
+  /**
+   * Load a downloaded model, reverting to the bundled model if it won't load
+   * @param {Object} manifest - Cached manifest
+   * @returns {Promise<boolean>} True if the OTA model is now in use
+   * @private
+   */
+  async loadOtaModel(manifest) {
+    try {
+      console.log(`📦 Loading OTA model ${manifest.version}...`);
+      this.model = await loadTensorflowModel({ url: manifest.fileUri });
+      this.isMultiClass = manifest.classes.length > 1;
+      this.config = {
+        ...MODEL_CONFIG,
+        version: manifest.version,
+        inputSize: manifest.inputSize || MODEL_CONFIG.inputSize,
+        classes: manifest.classes,
+        classLabels: manifest.classLabels,
+        confidenceThreshold: manifest.confidenceThreshold,
+        isOta: true
+      };
+      return true;
+    } catch (error) {
+      console.error('❌ OTA model failed to load, using bundled model:', error.message);
+      await this.clearOtaModel();
+      return false;
+    }
+  }
+
+  /**
+   * Read the manifest of the last verified download
+   * @private
+   */
+  async getCachedManifest() {
+    try {
+      const stored = await AsyncStorage.getItem(OTA_CONFIG.manifestKey);
+      if (!stored) return null;
+
+      const manifest = JSON.parse(stored);
+      const info = await FileSystem.getInfoAsync(manifest.fileUri);
+      return info.exists ? manifest : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove any downloaded model so the bundled one is used
+   */
+  async clearOtaModel() {
+    const cached = await this.getCachedManifest();
+    if (cached?.fileUri) {
+      await FileSystem.deleteAsync(cached.fileUri, { idempotent: true });
+    }
+    await AsyncStorage.removeItem(OTA_CONFIG.manifestKey);
+    this.config = MODEL_CONFIG;
+  }
+
+  /**
+   * Stable anonymous ID used to place this device in a rollout bucket
+   * @private
+   */
+  async getDeviceId() {
+    let deviceId = await AsyncStorage.getItem(OTA_CONFIG.deviceIdKey);
+    if (!deviceId) {
+      deviceId = Crypto.randomUUID();
+      await AsyncStorage.setItem(OTA_CONFIG.deviceIdKey, deviceId);
+    }
+    return deviceId;
+  }
+
   /**
    * Load the TensorFlow Lite model using native loader
    * Attempts to load multi-class model first, falls back to binary
    * @private
    */
   async loadTFLiteModel() {
+    this.config = MODEL_CONFIG;
+
     try {
       console.log('📦 Loading TFLite model asset...');
       
@@ -470,7 +693,8 @@ class ModelService {
       confidenceThreshold: this.config.confidenceThreshold * 100,
       backend: 'native-tflite',
       classLabels: this.config.classLabels,
-      isMultiClass: this.isMultiClass
+      isMultiClass: this.isMultiClass,
+      isOta: !!this.config.isOta
     };
   }
 
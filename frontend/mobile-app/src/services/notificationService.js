@@ -0,0 +1,143 @@
+import { API_BASE_URL } from '../config/api';
+import { authService } from './authService';
+
+/**
+ * Notification Service
+ * Registers this device for server-sent push reminders, reports back
+ * when a push notification arrives or is opened, and reads the in-app inbox.
+ */
+class NotificationService {
+  async request(path, { method = 'GET', body } = {}) {
+    const token = authService.getToken();
+    if (!token) {
+      throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.message || 'Notification request failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Register this device's Expo push token
+   * @param {string} pushToken - ExponentPushToken[...]
+   * @param {Object} device - { platform, deviceName }
+   */
+  async registerPushToken(pushToken, { platform, deviceName } = {}) {
+    try {
+      return await this.request('/notifications/push-tokens', {
+        method: 'POST',
+        body: { token: pushToken, platform, deviceName },
+      });
+    } catch (error) {
+      console.error('Error registering push token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop push notifications to this device
+   */
+  async unregisterPushToken(pushToken) {
+    try {
+      return await this.request('/notifications/push-tokens', {
+        method: 'DELETE',
+        body: { token: pushToken },
+      });
+    } catch (error) {
+      console.error('Error unregistering push token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge a server-sent notification
+   * @param {string} deliveryId - data.deliveryId of the push notification
+   * @param {'received'|'opened'} event
+   */
+  async sendDeliveryReceipt(deliveryId, event = 'received') {
+    try {
+      return await this.request(`/notifications/deliveries/${deliveryId}/receipt`, {
+        method: 'POST',
+        body: { event },
+      });
+    } catch (error) {
+      console.error('Error sending notification receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of in-app notifications, newest first
+   * @param {Object} params - { page, limit, unreadOnly }
+   * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+   */
+  async getNotifications({ page = 1, limit = 20, unreadOnly = false } = {}) {
+    try {
+      const query = new URLSearchParams({ page, limit, ...(unreadOnly && { unreadOnly: 'true' }) });
+      const response = await this.request(`/notifications?${query.toString()}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of unread in-app notifications
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount() {
+    try {
+      const response = await this.request('/notifications/unread-count');
+      return response.data.unreadCount;
+    } catch (error) {
+      console.error('Error fetching unread notification count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   * @returns {Promise<Object>} { notification, unreadCount }
+   */
+  async markAsRead(notificationId) {
+    try {
+      const response = await this.request(`/notifications/${notificationId}/read`, { method: 'PATCH' });
+      return response.data;
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every notification as read
+   */
+  async markAllAsRead() {
+    try {
+      return await this.request('/notifications/read-all', { method: 'PATCH' });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      throw error;
+    }
+  }
+}
+
+export const notificationService = new NotificationService();
+export { NotificationService };
@@ -44,9 +44,19 @@ api.interceptors.response.use(
   }
 );
 
+// Shipped crop list, used until the catalog has been fetched (and when offline)
+const DEFAULT_PLANT_TYPES = {
+  ampalaya: { english: 'Bitter Gourd', tagalog: 'Ampalaya' },
+  patola: { english: 'Sponge Gourd', tagalog: 'Patola' },
+  upo: { english: 'Bottle Gourd', tagalog: 'Upo' },
+  kalabasa: { english: 'Squash', tagalog: 'Kalabasa' },
+  kundol: { english: 'Winter Melon', tagalog: 'Kundol' },
+};
+
 class PollinationService {
   constructor() {
     this.baseURL = '/pollination'; // Fixed: removed /api prefix since it's already in API_BASE_URL
+    this.plantTypes = DEFAULT_PLANT_TYPES;
   }
 
   // Get all pollination records
@@ -60,6 +70,8 @@ class PollinationService {
         
         if (filters.status) queryParams.append('status', filters.status);
         if (filters.name) queryParams.append('name', filters.name);
+        if (filters.plot) queryParams.append('plot', filters.plot);
+        if (filters.batch) queryParams.append('batch', filters.batch);
         if (filters.sort) queryParams.append('sort', filters.sort);
         if (filters.page) queryParams.append('page', filters.page.toString());
         if (filters.limit) queryParams.append('limit', filters.limit.toString());
@@ -192,8 +204,37 @@ class PollinationService {
     }
   }
 
+  // Create several plants of one variety sown on the same day
+  // data: { name, count, datePlanted, gender, namingPattern, startNumber, plot, location, notes }
+  async createPollinationBatch(data) {
+    try {
+      const response = await api.post(`${this.baseURL}/batch`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating plant batch:', error);
+      throw error;
+    }
+  }
+
+  // Apply one action to several plants: 'flowering', 'status', 'note' or 'delete'
+  // data holds the action's fields, e.g. { newStatus, reason } or { content, type }
+  async bulkUpdatePollinations(ids, action, data = {}) {
+    try {
+      const response = await api.post(`${this.baseURL}/bulk`, {
+        ids,
+        action,
+        ...data
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating plants:', error);
+      throw error;
+    }
+  }
+
 // Add image to pollination record
-  async addImage(id, imageData, caption, imageType = 'general') {
+  // imageType: seedling, flower, pollination, fruit or harvest (the server picks one from the status when left out)
+  async addImage(id, imageData, caption, imageType, date) {
     try {
       console.log('🖼️ Adding image to plant:', id);
       console.log('🖼️ Image data:', imageData);
@@ -216,6 +257,7 @@ class PollinationService {
       
       if (caption) formData.append('caption', caption);
       if (imageType) formData.append('imageType', imageType);
+      if (date) formData.append('date', date instanceof Date ? date.toISOString() : date);
 
       console.log('🖼️ Uploading to:', `${this.baseURL}/${id}/images`);
 
@@ -238,6 +280,17 @@ class PollinationService {
     }
   }
 
+  // Update a gallery photo's type, caption or date
+  async updateImage(id, imageId, data) {
+    try {
+      const response = await api.put(`${this.baseURL}/${id}/images/${imageId}`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating image:', error);
+      throw error;
+    }
+  }
+
   // Delete image from pollination record
   async deleteImage(id, imageId) {
     try {
@@ -290,6 +343,134 @@ class PollinationService {
     }
   }
 
+  // Get the tagged flowers on a plant
+  async getFlowers(id) {
+    try {
+      const response = await api.get(`${this.baseURL}/${id}/flowers`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching flowers:', error);
+      throw error;
+    }
+  }
+
+  // Tag a new flower (tagId, openDate, pollinationDate, donorPlant, notes)
+  async addFlower(id, flowerData) {
+    try {
+      const response = await api.post(`${this.baseURL}/${id}/flowers`, flowerData);
+      return response.data;
+    } catch (error) {
+      console.error('Error tagging flower:', error);
+      throw error;
+    }
+  }
+
+  // Update a tagged flower (pollination, donor, outcome, fruit, notes)
+  async updateFlower(id, flowerId, flowerData) {
+    try {
+      const response = await api.put(`${this.baseURL}/${id}/flowers/${flowerId}`, flowerData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating flower:', error);
+      throw error;
+    }
+  }
+
+  // Remove a tagged flower
+  async deleteFlower(id, flowerId) {
+    try {
+      const response = await api.delete(`${this.baseURL}/${id}/flowers/${flowerId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing flower:', error);
+      throw error;
+    }
+  }
+
+  // Build a multipart body for a harvest: its fields plus photos ({ uri, type, name })
+  buildHarvestFormData(harvestData, photos = []) {
+    const formData = new FormData();
+
+    Object.entries(harvestData).forEach(([key, value]) => {
+      if (value !== undefined) {
+        formData.append(key, value === null ? '' : String(value));
+      }
+    });
+
+    photos.forEach((photo, index) => {
+      formData.append('photos', {
+        uri: photo.uri,
+        type: photo.type || 'image/jpeg',
+        name: photo.name || `harvest_${Date.now()}_${index}.jpg`,
+      });
+    });
+
+    return formData;
+  }
+
+  // Get the harvests recorded for a plant, with totals
+  async getHarvests(id) {
+    try {
+      const response = await api.get(`${this.baseURL}/${id}/harvests`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching harvests:', error);
+      throw error;
+    }
+  }
+
+  // Record a harvest (date, fruitCount, weightKg, qualityGrade, salePrice, isFinal, notes) with photos
+  async addHarvest(id, harvestData, photos = []) {
+    try {
+      const response = await api.post(
+        `${this.baseURL}/${id}/harvests`,
+        this.buildHarvestFormData(harvestData, photos),
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error recording harvest:', error);
+      throw error;
+    }
+  }
+
+  // Update a harvest; any photos passed are added to the ones already saved
+  async updateHarvest(id, harvestId, harvestData, photos = []) {
+    try {
+      const response = await api.put(
+        `${this.baseURL}/${id}/harvests/${harvestId}`,
+        this.buildHarvestFormData(harvestData, photos),
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error updating harvest:', error);
+      throw error;
+    }
+  }
+
+  // Remove one photo from a harvest
+  async deleteHarvestPhoto(id, harvestId, photoId) {
+    try {
+      const response = await api.delete(`${this.baseURL}/${id}/harvests/${harvestId}/photos/${photoId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing harvest photo:', error);
+      throw error;
+    }
+  }
+
+  // Remove a harvest
+  async deleteHarvest(id, harvestId) {
+    try {
+      const response = await api.delete(`${this.baseURL}/${id}/harvests/${harvestId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing harvest:', error);
+      throw error;
+    }
+  }
+
   // Update pollination status (Successful/Failed)
   async updatePollinationStatus(id, status) {
     try {
@@ -303,11 +484,12 @@ class PollinationService {
     }
   }
 
-  // Update plant status (fruiting to harvested)
-  async updateStatus(id, newStatus) {
+  // Update plant status (e.g. fruiting to harvested, or failed/removed with a reason)
+  async updateStatus(id, newStatus, reason) {
     try {
       const response = await api.post(`${this.baseURL}/${id}/status`, {
-        newStatus
+        newStatus,
+        reason
       });
       return response.data;
     } catch (error) {
@@ -316,6 +498,55 @@ class PollinationService {
     }
   }
 
+  // Get a plant's timeline of status changes, notes, photos and scans
+  // types: e.g. ['status', 'note']; leave empty for everything
+  async getTimeline(id, { types = [], order = 'desc' } = {}) {
+    try {
+      const params = new URLSearchParams({ order });
+      if (types.length > 0) params.append('types', types.join(','));
+
+      const response = await api.get(`${this.baseURL}/${id}/timeline?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching plant timeline:', error);
+      throw error;
+    }
+  }
+
+  // Get the forecast and rain/heat warnings for a plant's next pollination window
+  // data is null until the user sets a farm location
+  async getPlantWeather(id) {
+    try {
+      const response = await api.get(`${this.baseURL}/${id}/weather`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching plant weather:', error);
+      throw error;
+    }
+  }
+
+  // Get the farm location used for weather forecasts
+  async getFarmLocation() {
+    try {
+      const response = await api.get(`${this.baseURL}/weather/location`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching farm location:', error);
+      throw error;
+    }
+  }
+
+  // Set the farm location (name, latitude, longitude)
+  async updateFarmLocation(location) {
+    try {
+      const response = await api.put(`${this.baseURL}/weather/location`, location);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving farm location:', error);
+      throw error;
+    }
+  }
+
   // Get pending pollination notifications
   async getPendingNotifications() {
     try {
@@ -370,6 +601,9 @@ class PollinationService {
       
       const response = await api.get(url);
       console.log('✅ Successfully fetched plant types:', response.data);
+      if (response.data?.data && Object.keys(response.data.data).length > 0) {
+        this.plantTypes = { ...this.plantTypes, ...response.data.data };
+      }
       return response.data;
     } catch (error) {
       console.error('❌ Error fetching plant types:', error.response?.status, error.response?.data || error.message);
@@ -377,6 +611,24 @@ class PollinationService {
     }
   }
 
+  /**
+   * Plant types offered for new plants, as picker options
+   * Falls back to the last known list when the catalog cannot be fetched
+   * @returns {Promise<Array<{value: string, english: string, tagalog: string}>>}
+   */
+  async getPlantTypeOptions() {
+    let plantTypes;
+    try {
+      const response = await this.getPlantTypes();
+      plantTypes = response.data;
+    } catch (error) {
+      plantTypes = null;
+    }
+
+    return Object.entries(plantTypes && Object.keys(plantTypes).length > 0 ? plantTypes : this.plantTypes)
+      .map(([value, names]) => ({ value, ...names }));
+  }
+
   // Get dashboard statistics
   async getDashboardStats() {
     try {
@@ -388,6 +640,79 @@ class PollinationService {
     }
   }
 
+  // Get pollination success rates by variety, time of day, days after planting and month
+  // filters: { variety, startDate, endDate }
+  async getSuccessAnalytics(filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await api.get(`${this.baseURL}/analytics/success?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching success analytics:', error);
+      throw error;
+    }
+  }
+
+  // Get the garden plots with how many plants each holds
+  async getPlots() {
+    try {
+      const response = await api.get(`${this.baseURL}/plots`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching plots:', error);
+      throw error;
+    }
+  }
+
+  // Get a plot with its plants placed by row and position
+  async getPlotLayout(plotId, includeInactive = false) {
+    try {
+      const query = includeInactive ? '?includeInactive=true' : '';
+      const response = await api.get(`${this.baseURL}/plots/${plotId}${query}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching plot layout:', error);
+      throw error;
+    }
+  }
+
+  // Create a plot (name, dimensions: { rows, positionsPerRow, widthMeters, lengthMeters }, boundary)
+  async createPlot(plotData) {
+    try {
+      const response = await api.post(`${this.baseURL}/plots`, plotData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating plot:', error);
+      throw error;
+    }
+  }
+
+  // Update a plot
+  async updatePlot(plotId, plotData) {
+    try {
+      const response = await api.put(`${this.baseURL}/plots/${plotId}`, plotData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating plot:', error);
+      throw error;
+    }
+  }
+
+  // Delete a plot; its plants are kept but unplaced
+  async deletePlot(plotId) {
+    try {
+      const response = await api.delete(`${this.baseURL}/plots/${plotId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting plot:', error);
+      throw error;
+    }
+  }
+
   // Helper method to format dates for API
   formatDate(date) {
     if (!date) return null;
@@ -405,15 +730,37 @@ class PollinationService {
 
   // Helper method to format plant names for display
   formatPlantName(name, language = 'english') {
-    const plantNames = {
-      ampalaya: { english: 'Bitter Gourd', tagalog: 'Ampalaya' },
-      patola: { english: 'Sponge Gourd', tagalog: 'Patola' },
-      upo: { english: 'Bottle Gourd', tagalog: 'Upo' },
-      kalabasa: { english: 'Squash', tagalog: 'Kalabasa' },
-      kundol: { english: 'Winter Melon', tagalog: 'Kundol' },
+    return this.plantTypes[name]?.[language] || name;
+  }
+
+  // Helper method to build a batch plant's label, matching the server: {n} is the number, {variety} the crop
+  formatBatchLabel(pattern, number, variety) {
+    let template = pattern || '{variety} #{n}';
+    if (!template.includes('{n}')) template = `${template} #{n}`;
+    return template
+      .replace(/\{n\}/g, String(number))
+      .replace(/\{variety\}/g, variety || '')
+      .trim();
+  }
+
+  // Helper method to label where a plant grows, e.g. "Bed A · Row 2, #3"
+  formatPlantLocation(plant) {
+    if (!plant?.plot?.name) return null;
+    const { row, position } = plant.location || {};
+    return row && position ? `${plant.plot.name} · Row ${row}, #${position}` : plant.plot.name;
+  }
+
+  // Helper method to suggest a gallery photo type for a plant status
+  getImageTypeForStatus(status) {
+    const statusImageTypes = {
+      planted: 'seedling',
+      flowering: 'flower',
+      pollinated: 'pollination',
+      fruiting: 'fruit',
+      harvested: 'harvest',
     };
 
-    return plantNames[name]?.[language] || name;
+    return statusImageTypes[status] || 'seedling';
   }
 
   // Helper method to get status color
@@ -424,6 +771,8 @@ class PollinationService {
       pollinated: '#2196F3',
       fruiting: '#4CAF50',
       harvested: '#8BC34A',
+      failed: '#F44336',
+      removed: '#9E9E9E',
     };
 
     return statusColors[status] || '#757575';
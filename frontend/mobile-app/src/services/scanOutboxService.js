@@ -0,0 +1,384 @@
+/**
+ * Scan Outbox Service
+ * Persistent queue for scans saved while the backend is unreachable.
+ * Each entry keeps the scan payload (including the on-device TFLite result)
+ * and a copy of the image, and is retried with exponential backoff until
+ * it uploads. Entries carry a client-generated ID so the backend saves a
+ * retried scan only once.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Crypto from 'expo-crypto';
+import { AppState } from 'react-native';
+import { authService } from './authService';
+import { scanService } from './scanService';
+import { checkBackendConnection } from './connectionService';
+
+const OUTBOX_CONFIG = {
+  storageKey: '@gourd_scan/outbox',
+  imageDirectory: `${FileSystem.documentDirectory}scan-outbox/`,
+  baseRetryDelay: 30 * 1000, // 30s after the first failure
+  maxRetryDelay: 30 * 60 * 1000, // never wait more than 30 minutes
+  minScheduleDelay: 1000,
+};
+
+/**
+ * Whether a failed save is worth retrying later
+ * Network failures have no status; 4xx rejections will fail the same way again
+ */
+const isRetryableError = (error) => {
+  if (!error?.status) return true;
+  return error.status >= 500 || [401, 408, 429].includes(error.status);
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(OUTBOX_CONFIG.baseRetryDelay * 2 ** Math.max(attempts - 1, 0), OUTBOX_CONFIG.maxRetryDelay);
+
+const getCurrentUserId = () => {
+  const user = authService.getCurrentUser();
+  return user?.id || user?._id || null;
+};
+
+class ScanOutboxService {
+  constructor() {
+    this.writeChain = Promise.resolve();
+    this.syncPromise = null;
+    this.syncTimer = null;
+    this.appStateSubscription = null;
+    this.listeners = new Set();
+    this.isStarted = false;
+  }
+
+  /**
+   * Start background syncing: now, on a backoff timer and whenever the app returns to the foreground
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    this.appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.sync({ force: true });
+      }
+    });
+
+    this.sync();
+  }
+
+  /**
+   * Stop background syncing (queued scans stay on the device)
+   */
+  stop() {
+    this.isStarted = false;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  /**
+   * Save a scan, queueing it when the backend cannot be reached
+   * @param {Object} scanData - Payload for scanService.saveScan
+   * @param {string} imageUri - Local image URI
+   * @returns {Promise<{scan: Object, queued: boolean}>} The saved scan, or a pending placeholder when queued
+   */
+  async save(scanData, imageUri) {
+    if (!authService.getToken()) {
+      throw new Error('User not authenticated');
+    }
+
+    const payload = {
+      ...scanData,
+      clientId: scanData.clientId || Crypto.randomUUID(),
+      date: scanData.date || new Date().toISOString(),
+    };
+
+    try {
+      const scan = await scanService.saveScan(payload, imageUri);
+      return { scan, queued: false };
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+
+      console.log('📥 Scan queued for sync:', error.message);
+      const entry = await this.enqueue(payload, imageUri, error.message);
+      return { scan: this.toPendingScan(entry), queued: true };
+    }
+  }
+
+  /**
+   * Add a scan to the outbox
+   * The image is copied out of the camera cache so it survives until upload
+   */
+  async enqueue(scanData, imageUri, lastError = null) {
+    let imagePath = imageUri;
+    try {
+      await FileSystem.makeDirectoryAsync(OUTBOX_CONFIG.imageDirectory, { intermediates: true });
+      const extension = /\.(\w+)$/.exec(imageUri)?.[1] || 'jpg';
+      imagePath = `${OUTBOX_CONFIG.imageDirectory}${scanData.clientId}.${extension}`;
+      await FileSystem.copyAsync({ from: imageUri, to: imagePath });
+    } catch (error) {
+      console.warn('⚠️ Could not copy scan image to the outbox, keeping original:', error.message);
+      imagePath = imageUri;
+    }
+
+    const entry = {
+      clientId: scanData.clientId,
+      userId: getCurrentUserId(),
+      scanData,
+      imagePath,
+      imageUrl: null,
+      feedback: null,
+      status: 'pending',
+      attempts: 1,
+      lastError,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + getRetryDelay(1),
+    };
+
+    await this.mutate(entries => [...entries.filter(item => item.clientId !== entry.clientId), entry]);
+    this.notify();
+    this.scheduleSync();
+
+    return entry;
+  }
+
+  /**
+   * Attach "Was this right?" feedback to a queued scan; it is sent after the scan uploads
+   * @returns {Promise<Object|null>} Updated pending scan
+   */
+  async attachFeedback(clientId, feedback) {
+    let updated = null;
+    await this.mutate(entries => entries.map(entry => {
+      if (entry.clientId !== clientId) return entry;
+      updated = { ...entry, feedback };
+      return updated;
+    }));
+    this.notify();
+    return updated ? this.toPendingScan(updated) : null;
+  }
+
+  /**
+   * Upload every due entry for the signed-in user
+   * Concurrent calls share the same run
+   * @param {Object} options - { force } ignores backoff timers
+   * @returns {Promise<{synced: number, remaining: number}>}
+   */
+  sync({ force = false } = {}) {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync(force)
+        .catch(error => {
+          console.error('Scan outbox sync error:', error);
+          return { synced: 0, remaining: 0 };
+        })
+        .finally(() => {
+          this.syncPromise = null;
+          this.scheduleSync();
+        });
+    }
+    return this.syncPromise;
+  }
+
+  async runSync(force) {
+    if (!authService.getToken()) return { synced: 0, remaining: 0 };
+
+    const entries = await this.getEntries();
+    const now = Date.now();
+    const due = entries.filter(entry =>
+      entry.status === 'pending' && (force || entry.nextAttemptAt <= now)
+    );
+
+    if (due.length === 0) return { synced: 0, remaining: entries.length };
+
+    // One cheap health check instead of failing every upload in turn
+    const connection = await checkBackendConnection();
+    if (!connection.connected) {
+      await this.mutate(items => items.map(item =>
+        due.some(entry => entry.clientId === item.clientId) ? this.withFailure(item, connection.message) : item
+      ));
+      this.notify();
+      return { synced: 0, remaining: entries.length };
+    }
+
+    let synced = 0;
+    for (const entry of due) {
+      try {
+        await this.uploadEntry(entry);
+        synced++;
+      } catch (error) {
+        console.warn(`⚠️ Queued scan ${entry.clientId} failed to sync:`, error.message);
+        const retryable = isRetryableError(error);
+        await this.mutate(items => items.map(item => {
+          if (item.clientId !== entry.clientId) return item;
+          return retryable ? this.withFailure(item, error.message) : { ...item, status: 'failed', lastError: error.message };
+        }));
+      }
+    }
+
+    const remaining = (await this.getEntries()).length;
+    console.log(`🔄 Scan outbox: ${synced} synced, ${remaining} remaining`);
+    this.notify({ synced });
+
+    return { synced, remaining };
+  }
+
+  /**
+   * Upload one entry: image first (remembered so a retry does not re-upload it), then the scan
+   */
+  async uploadEntry(entry) {
+    let { imageUrl } = entry;
+    if (!imageUrl) {
+      imageUrl = await scanService.uploadImage(entry.imagePath);
+      await this.mutate(items => items.map(item => (item.clientId === entry.clientId ? { ...item, imageUrl } : item)));
+    }
+
+    const scan = await scanService.saveScan({ ...entry.scanData, imageUrl });
+
+    if (entry.feedback) {
+      try {
+        await scanService.submitFeedback(scan._id, entry.feedback);
+      } catch (error) {
+        // The scan itself is safe; feedback can be given again from history
+        console.warn('⚠️ Could not send queued feedback:', error.message);
+      }
+    }
+
+    await this.removeEntry(entry);
+    return scan;
+  }
+
+  withFailure(entry, message) {
+    const attempts = (entry.attempts || 0) + 1;
+    return {
+      ...entry,
+      attempts,
+      lastError: message,
+      nextAttemptAt: Date.now() + getRetryDelay(attempts),
+    };
+  }
+
+  /**
+   * Retry a failed or waiting entry right away
+   */
+  async retry(clientId) {
+    await this.mutate(entries => entries.map(entry =>
+      entry.clientId === clientId ? { ...entry, status: 'pending', nextAttemptAt: Date.now() } : entry
+    ));
+    return this.sync({ force: true });
+  }
+
+  /**
+   * Remove an entry without uploading it
+   */
+  async discard(clientId) {
+    const entry = (await this.getAllEntries()).find(item => item.clientId === clientId);
+    if (entry) {
+      await this.removeEntry(entry);
+      this.notify();
+    }
+  }
+
+  async removeEntry(entry) {
+    await this.mutate(entries => entries.filter(item => item.clientId !== entry.clientId));
+    if (entry.imagePath?.startsWith(OUTBOX_CONFIG.imageDirectory)) {
+      await FileSystem.deleteAsync(entry.imagePath, { idempotent: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Queued scans for the signed-in user, shaped like history scans
+   */
+  async getPendingScans() {
+    const entries = await this.getEntries();
+    return entries
+      .map(entry => this.toPendingScan(entry))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  toPendingScan(entry) {
+    const { scanData, feedback } = entry;
+    return {
+      ...scanData,
+      _id: null,
+      clientId: entry.clientId,
+      imageUrl: entry.imagePath,
+      date: scanData.date || entry.createdAt,
+      userFeedback: feedback ? { ...feedback, submittedAt: entry.createdAt } : undefined,
+      groundTruth: feedback && !feedback.isCorrect ? { variety: feedback.variety, gender: feedback.gender } : undefined,
+      syncStatus: entry.status,
+      syncError: entry.lastError,
+      nextAttemptAt: entry.nextAttemptAt,
+    };
+  }
+
+  /**
+   * Subscribe to outbox changes
+   * @param {Function} listener - Called with { synced } after each change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event = {}) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Scan outbox listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Arm a timer for the next entry whose backoff expires
+   */
+  async scheduleSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    if (!this.isStarted) return;
+
+    const pending = (await this.getEntries()).filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return;
+
+    const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+    const delay = Math.max(nextAttemptAt - Date.now(), OUTBOX_CONFIG.minScheduleDelay);
+    this.syncTimer = setTimeout(() => this.sync(), delay);
+  }
+
+  /**
+   * Entries belonging to the signed-in user
+   */
+  async getEntries() {
+    const userId = getCurrentUserId();
+    const entries = await this.getAllEntries();
+    return entries.filter(entry => !entry.userId || entry.userId === userId);
+  }
+
+  async getAllEntries() {
+    try {
+      const stored = await AsyncStorage.getItem(OUTBOX_CONFIG.storageKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading scan outbox:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read-modify-write the stored entries, one write at a time
+   */
+  mutate(updater) {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const entries = await this.getAllEntries();
+        await AsyncStorage.setItem(OUTBOX_CONFIG.storageKey, JSON.stringify(updater(entries)));
+      });
+    return this.writeChain;
+  }
+}
+
+export const scanOutboxService = new ScanOutboxService();
+export { ScanOutboxService };
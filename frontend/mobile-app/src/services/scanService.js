@@ -37,7 +37,9 @@ class ScanService {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Failed to upload image');
+        const error = new Error(data.message || 'Failed to upload image');
+        error.status = response.status;
+        throw error;
       }
 
       return data.url;
@@ -49,23 +51,15 @@ class ScanService {
 
   /**
    * Save a new scan
-   * @param {Object} scanData - The scan data to save
+   * Screens should go through scanOutboxService.save so scans survive having no signal
+   * @param {Object} scanData - The scan data to save (clientId makes retries idempotent)
    * @param {string} imageUri - Optional local image URI to upload
    * @returns {Promise<Object>} The saved scan object
+   * @throws {Error} With a `status` property when the server rejected the request
    */
   async saveScan(scanData, imageUri = null) {
     try {
-      let user = authService.getCurrentUser();
-      
-      // If user is not loaded but we might have a token, try to fetch profile
-      if (!user && authService.getToken()) {
-        const result = await authService.fetchProfile();
-        if (result.success) {
-          user = result.user;
-        }
-      }
-
-      if (!user) {
+      if (!authService.getToken()) {
         throw new Error('User not authenticated');
       }
 
@@ -79,7 +73,6 @@ class ScanService {
       const payload = {
         ...scanData,
         imageUrl,
-        userId: user.id || user._id, // Handle different ID formats
         // Include validation data if present
         variety: scanData.variety || null,
         validationStatus: scanData.validationStatus || 'tflite_only',
@@ -94,7 +87,9 @@ class ScanService {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Failed to save scan');
+        const error = new Error(data.message || 'Failed to save scan');
+        error.status = response.status;
+        throw error;
       }
 
       return data.scan;
@@ -105,27 +100,42 @@ class ScanService {
   }
 
   /**
-   * Get scan history for the current user
-   * @returns {Promise<Array>} List of scans
+   * Get a page of scan history for the current user
+   * @param {Object} params - Pagination, sort and filter options
+   * @param {number} params.page - Page number (1-based)
+   * @param {number} params.limit - Scans per page
+   * @param {string} params.sortBy - 'date', 'confidence' or 'createdAt'
+   * @param {string} params.sortOrder - 'asc' or 'desc'
+   * @param {string} params.scanType - 'flower' or 'plant_health'
+   * @param {string} params.variety - Filter by variety
+   * @param {string} params.prediction - Filter by predicted gender
+   * @param {string} params.validationStatus - Filter by validation status
+   * @param {string} params.finalSource - Filter by final prediction source
+   * @param {number} params.minConfidence - Minimum confidence (0-100)
+   * @param {number} params.maxConfidence - Maximum confidence (0-100)
+   * @param {string} params.startDate - ISO date lower bound
+   * @param {string} params.endDate - ISO date upper bound
+   * @returns {Promise<{scans: Array, pagination: Object}>} Scans and pagination metadata
    */
-  async getScanHistory() {
+  async getScanHistory(params = {}) {
     try {
-      let user = authService.getCurrentUser();
-      
-      // If user is not loaded but we might have a token, try to fetch profile
-      if (!user && authService.getToken()) {
-        const result = await authService.fetchProfile();
-        if (result.success) {
-          user = result.user;
-        }
-      }
+      const queryParams = new URLSearchParams();
 
-      if (!user) {
-        throw new Error('User not authenticated');
-      }
+      if (params.page) queryParams.append('page', params.page);
+      if (params.limit) queryParams.append('limit', params.limit);
+      if (params.sortBy) queryParams.append('sortBy', params.sortBy);
+      if (params.sortOrder) queryParams.append('sortOrder', params.sortOrder);
+      if (params.scanType) queryParams.append('scanType', params.scanType);
+      if (params.variety) queryParams.append('variety', params.variety);
+      if (params.prediction) queryParams.append('prediction', params.prediction);
+      if (params.validationStatus) queryParams.append('validationStatus', params.validationStatus);
+      if (params.finalSource) queryParams.append('finalSource', params.finalSource);
+      if (params.minConfidence !== undefined) queryParams.append('minConfidence', params.minConfidence);
+      if (params.maxConfidence !== undefined) queryParams.append('maxConfidence', params.maxConfidence);
+      if (params.startDate) queryParams.append('startDate', params.startDate);
+      if (params.endDate) queryParams.append('endDate', params.endDate);
 
-      const userId = user.id || user._id;
-      const response = await authService.authenticatedRequest(`/scans/history/${userId}`, {
+      const response = await authService.authenticatedRequest(`/scans/history?${queryParams}`, {
         method: 'GET',
       });
 
@@ -166,6 +176,83 @@ class ScanService {
     }
   }
 
+  /**
+   * Confirm or correct a scan prediction
+   * @param {string} scanId - The ID of the scan
+   * @param {Object} feedback - { isCorrect, variety, gender, notes }
+   * @returns {Promise<{scan: Object, stats: Object}>} Updated scan and accuracy stats
+   */
+  async submitFeedback(scanId, feedback) {
+    try {
+      const response = await authService.authenticatedRequest(`/scans/${scanId}/feedback`, {
+        method: 'POST',
+        body: JSON.stringify(feedback),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to submit feedback');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error submitting scan feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's plants a flower scan could belong to, best matches first
+   * @param {string} scanId - The ID of the scan
+   * @returns {Promise<{plantNames: string[], attachedPlant: string|null, suggestions: Array}>}
+   */
+  async getPlantSuggestions(scanId) {
+    try {
+      const response = await authService.authenticatedRequest(`/scans/${scanId}/plant-suggestions`, {
+        method: 'GET',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch plant suggestions');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error fetching plant suggestions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a flower scan to a tracked plant
+   * A confident scan also updates the plant's gender and status
+   * @param {string} scanId - The ID of the scan
+   * @param {string} plantId - The ID of the pollination plant
+   * @returns {Promise<{message: string, scan: Object, plant: Object, update: Object}>}
+   */
+  async attachToPlant(scanId, plantId) {
+    try {
+      const response = await authService.authenticatedRequest(`/scans/${scanId}/attach`, {
+        method: 'POST',
+        body: JSON.stringify({ plantId }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to attach scan to plant');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error attaching scan to plant:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a scan
    * @param {string} scanId - The ID of the scan to delete
@@ -1,10 +1,16 @@
 import * as Notifications from 'expo-notifications';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { pollinationService } from '../services';
+import { pollinationService, notificationService } from '../services';
+
+const PUSH_TOKEN_KEY = '@gourd/pushToken';
 
 /**
  * Pollination Notification Helper
- * Handles scheduling and managing push notifications for pollination windows
+ * Handles scheduling and managing push notifications for pollination windows.
+ * Devices with an Expo push token get reminders from the server; otherwise
+ * pending reminders are polled and scheduled as local notifications.
  */
 
 // Set notification handler for when app is in foreground
@@ -19,6 +25,7 @@ Notifications.setNotificationHandler({
 class PollinationNotificationHelper {
   constructor() {
     this.scheduledNotifications = new Map();
+    this.pushToken = null;
   }
 
   /**
@@ -66,6 +73,64 @@ class PollinationNotificationHelper {
     }
   }
 
+  /**
+   * Register this device for server-sent reminders
+   * @returns {Promise<boolean>} Whether the server will push reminders to this device
+   */
+  async registerForPushNotifications() {
+    try {
+      const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+      if (!projectId) {
+        console.warn('⚠️ No EAS project ID configured; using local reminders');
+        return false;
+      }
+
+      const { data: pushToken } = await Notifications.getExpoPushTokenAsync({ projectId });
+      await notificationService.registerPushToken(pushToken, {
+        platform: Platform.OS,
+        deviceName: Constants.deviceName,
+      });
+
+      this.pushToken = pushToken;
+      await AsyncStorage.setItem(PUSH_TOKEN_KEY, pushToken);
+      console.log('✅ Registered for push reminders');
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Push registration failed, using local reminders:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stop server-sent reminders to this device (call before logging out)
+   */
+  async unregisterPushToken() {
+    try {
+      const pushToken = this.pushToken || await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+      if (!pushToken) return;
+
+      await notificationService.unregisterPushToken(pushToken);
+      await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+      this.pushToken = null;
+    } catch (error) {
+      console.warn('⚠️ Could not unregister push token:', error.message);
+    }
+  }
+
+  /**
+   * Tell the server a pushed reminder arrived or was opened
+   */
+  async acknowledgeNotification(notification, event) {
+    const { deliveryId } = notification.request.content.data || {};
+    if (!deliveryId) return;
+
+    try {
+      await notificationService.sendDeliveryReceipt(deliveryId, event);
+    } catch (error) {
+      console.warn(`Failed to acknowledge notification: ${error.message}`);
+    }
+  }
+
   /**
    * Schedule a local notification
    */
@@ -175,6 +240,7 @@ class PollinationNotificationHelper {
       this.notificationReceivedListener = Notifications.addNotificationReceivedListener(
         (notification) => {
           console.log('📬 Notification received:', notification);
+          this.acknowledgeNotification(notification, 'received');
         }
       );
 
@@ -183,6 +249,7 @@ class PollinationNotificationHelper {
         (response) => {
           const { plantId, plantName, type } = response.notification.request.content.data;
           console.log('🔔 Notification tapped:', { plantId, plantName, type });
+          this.acknowledgeNotification(response.notification, 'opened');
 
           // You can navigate to plant detail or show an alert here
           return {
@@ -273,8 +340,12 @@ class PollinationNotificationHelper {
       // Set up listeners
       this.setupNotificationListeners();
 
-      // Schedule pending notifications
-      await this.schedulePendingNotifications();
+      // Reminders come from the server when this device can receive pushes,
+      // otherwise fall back to polling and scheduling them locally
+      const hasPush = await this.registerForPushNotifications();
+      if (!hasPush) {
+        await this.schedulePendingNotifications();
+      }
 
       console.log('✅ Pollination notification system initialized');
       return true;
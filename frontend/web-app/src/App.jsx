@@ -11,6 +11,8 @@ import Dashboard from './pages/Dashboard';
 import Users from './pages/Users';
 import Forum from './pages/Forum';
 import News from './pages/News';
+import ScanReview from './pages/ScanReview';
+import Crops from './pages/Crops';
 
 function App() {
   return (
@@ -65,6 +67,28 @@ function App() {
             }
           />
 
+          <Route
+            path="/scan-review"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <ScanReview />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/crops"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <Crops />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+
           {/* Redirect root to dashboard */}
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
 
@@ -6,6 +6,8 @@ import {
   Users, 
   MessageSquare, 
   Newspaper, 
+  ScanSearch,
+  Sprout,
   LogOut,
   User
 } from 'lucide-react';
@@ -25,6 +27,8 @@ const Layout = ({ children }) => {
     { path: '/users', icon: Users, label: 'Users' },
     { path: '/forum', icon: MessageSquare, label: 'Forum' },
     { path: '/news', icon: Newspaper, label: 'News' },
+    { path: '/scan-review', icon: ScanSearch, label: 'Scan Review' },
+    { path: '/crops', icon: Sprout, label: 'Crops' },
   ];
 
   return (
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { adminService } from '../services/api';
+import './ModelAnalyticsPanel.css';
+
+const formatMs = (value) => (value === null || value === undefined ? '—' : `${Math.round(value)} ms`);
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+// Short axis labels for the confusion matrix (e.g. 'patola_female' -> 'Patola ♀')
+const formatClass = (className) => {
+  if (className === 'not_flower') return 'Not flower';
+  const match = /^(.+)_(male|female)$/.exec(className);
+  if (!match) return className;
+  const variety = match[1].split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return `${variety} ${match[2] === 'female' ? '♀' : '♂'}`;
+};
+
+const ModelAnalyticsPanel = () => {
+  const [models, setModels] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, []);
+
+  const fetchAnalytics = async () => {
+    try {
+      const response = await adminService.getModelAnalytics();
+      if (response.success) {
+        setModels(response.data.models);
+        setSelectedVersion(response.data.models[0]?.modelVersion || '');
+      }
+    } catch (err) {
+      setError('Failed to load model analytics');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card chart-card">
+        <h3>Model Performance</h3>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  const model = models.find((item) => item.modelVersion === selectedVersion);
+
+  return (
+    <div className="card chart-card model-analytics">
+      <div className="model-analytics-header">
+        <h3>Model Performance</h3>
+        {models.length > 0 && (
+          <select value={selectedVersion} onChange={(e) => setSelectedVersion(e.target.value)}>
+            {models.map((item) => (
+              <option key={item.modelVersion} value={item.modelVersion}>
+                {item.modelVersion} ({item.scanCount} scans)
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {!model ? (
+        <p className="model-analytics-empty">No scans with TFLite predictions yet</p>
+      ) : (
+        <>
+          <div className="model-metrics">
+            <div className="info-item">
+              <span>Scans</span>
+              <strong>{model.scanCount.toLocaleString()}</strong>
+            </div>
+            <div className="info-item">
+              <span>Accuracy ({model.accuracy.labeled} labeled)</span>
+              <strong className="text-success">{formatRate(model.accuracy.rate)}</strong>
+            </div>
+            <div className="info-item">
+              <span>Gemini agreement</span>
+              <strong>{formatRate(model.geminiAgreement.rate)}</strong>
+            </div>
+            <div className="info-item">
+              <span>Not-flower rejections</span>
+              <strong className="text-warning">{formatRate(model.notFlowerRejection.rate)}</strong>
+            </div>
+            <div className="info-item">
+              <span>Mean inference</span>
+              <strong>{formatMs(model.inferenceTime.mean)}</strong>
+            </div>
+            <div className="info-item">
+              <span>p50 / p95 / p99</span>
+              <strong className="model-metric-small">
+                {formatMs(model.inferenceTime.p50)} / {formatMs(model.inferenceTime.p95)} / {formatMs(model.inferenceTime.p99)}
+              </strong>
+            </div>
+          </div>
+
+          <div className="charts-grid">
+            <div>
+              <h4>Confidence distribution (mean {formatRate(model.confidence.mean)})</h4>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={model.confidence.buckets}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="range" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Bar dataKey="count" fill="#4CAF50" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h4>Confusion matrix (rows: actual, columns: predicted)</h4>
+              {model.accuracy.labeled === 0 ? (
+                <p className="model-analytics-empty">No labeled scans for this version yet</p>
+              ) : (
+                <div className="confusion-matrix-wrapper">
+                  <table className="confusion-matrix">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {model.confusionMatrix.classes.map((className) => (
+                          <th key={className}>{formatClass(className)}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {model.confusionMatrix.matrix.map((row, rowIndex) => (
+                        <tr key={model.confusionMatrix.classes[rowIndex]}>
+                          <th>{formatClass(model.confusionMatrix.classes[rowIndex])}</th>
+                          {row.map((count, colIndex) => (
+                            <td
+                              key={colIndex}
+                              className={`${rowIndex === colIndex ? 'cell-correct' : ''} ${count === 0 ? 'cell-empty' : ''}`}
+                            >
+                              {count}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ModelAnalyticsPanel;
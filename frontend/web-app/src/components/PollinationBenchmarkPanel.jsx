@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { adminService } from '../services/api';
+import './PollinationBenchmarkPanel.css';
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const DIMENSIONS = [
+  { id: 'byVariety', label: 'Variety' },
+  { id: 'byTimeOfDay', label: 'Time of day' },
+  { id: 'byDaysAfterPlanting', label: 'Days after planting' },
+  { id: 'byMonth', label: 'Month' },
+];
+
+const BenchmarkTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const bucket = payload[0].payload;
+  return (
+    <div className="benchmark-tooltip">
+      <strong>{bucket.label}</strong>
+      <div>Success rate: {formatRate(bucket.successRate)}</div>
+      <div>{bucket.successful} successful / {bucket.failed} failed / {bucket.pending} pending</div>
+      <div>{bucket.growers} growers</div>
+    </div>
+  );
+};
+
+const PollinationBenchmarkPanel = () => {
+  const [benchmark, setBenchmark] = useState(null);
+  const [dimension, setDimension] = useState('byVariety');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchBenchmark();
+  }, []);
+
+  const fetchBenchmark = async () => {
+    try {
+      const response = await adminService.getPollinationBenchmark();
+      if (response.success) {
+        setBenchmark(response.data);
+      }
+    } catch (err) {
+      setError('Failed to load pollination benchmark');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card chart-card">
+        <h3>Pollination Benchmark</h3>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  const spread = benchmark?.growerSuccessRates;
+  const buckets = (benchmark?.[dimension] || []).filter((bucket) => bucket.successRate !== null);
+
+  return (
+    <div className="card chart-card pollination-benchmark">
+      <div className="pollination-benchmark-header">
+        <h3>Pollination Benchmark</h3>
+        <select value={dimension} onChange={(e) => setDimension(e.target.value)}>
+          {DIMENSIONS.map((item) => (
+            <option key={item.id} value={item.id}>{item.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {!benchmark || benchmark.totals.attempts === 0 ? (
+        <p className="pollination-benchmark-empty">No pollination results recorded yet</p>
+      ) : (
+        <>
+          <div className="pollination-benchmark-metrics">
+            <div className="info-item">
+              <span>Community success rate</span>
+              <strong className="text-success">{formatRate(benchmark.totals.successRate)}</strong>
+            </div>
+            <div className="info-item">
+              <span>Growers / pollinations</span>
+              <strong>{benchmark.totals.growers} / {benchmark.totals.attempts.toLocaleString()}</strong>
+            </div>
+            <div className="info-item">
+              <span>Grower median ({spread.growers} with {spread.minAttempts}+ results)</span>
+              <strong>{formatRate(spread.median)}</strong>
+            </div>
+            <div className="info-item">
+              <span>Middle half of growers</span>
+              <strong>{spread.p25 === null ? '—' : `${spread.p25}–${spread.p75}%`}</strong>
+            </div>
+          </div>
+
+          {buckets.length === 0 ? (
+            <p className="pollination-benchmark-empty">
+              Not enough growers yet to show this breakdown
+            </p>
+          ) : (
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={buckets}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip content={<BenchmarkTooltip />} />
+                <Bar dataKey="successRate" fill="#4CAF50" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+
+          <p className="pollination-benchmark-note">
+            Anonymized across all growers. Groups with fewer than {benchmark.minGrowersPerBucket} growers are hidden.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PollinationBenchmarkPanel;
@@ -0,0 +1,363 @@
+import React, { useEffect, useState } from 'react';
+import { adminService } from '../services/api';
+import { Plus, Edit, Trash2, Eye, EyeOff } from 'lucide-react';
+import { toast } from 'react-toastify';
+import './Crops.css';
+
+const SCAN_VARIETIES = ['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'];
+
+const DAY_RANGES = [
+  { field: 'maleFlowering', label: 'Male flowers (days after planting)' },
+  { field: 'femaleFlowering', label: 'Female flowers (days after planting)' },
+  { field: 'pollination', label: 'Pollination (days after planting)' },
+  { field: 'harvest', label: 'Harvest (days after pollination)' },
+];
+
+const emptyForm = {
+  key: '',
+  displayName: { english: '', tagalog: '' },
+  scanVariety: '',
+  maleFlowering: { min: '', max: '' },
+  femaleFlowering: { min: '', max: '' },
+  pollination: { min: '', max: '' },
+  harvest: { min: '', max: '' },
+  pollinationWindow: { startHour: 6, endHour: 9 },
+  isActive: true,
+};
+
+const formatHour = (hour) => {
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${displayHour}:00 ${period}`;
+};
+
+const formatRange = (range) => (range ? `${range.min}–${range.max}` : '—');
+
+const Crops = () => {
+  const [crops, setCrops] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCrop, setEditingCrop] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchCrops();
+  }, []);
+
+  const fetchCrops = async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getCropVarieties();
+      if (response.success) {
+        setCrops(response.data.crops);
+      }
+    } catch (error) {
+      toast.error('Failed to load crop catalog');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setNested = (field, subField, value) => {
+    setFormData({ ...formData, [field]: { ...formData[field], [subField]: value } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { key, ...fields } = formData;
+    const payload = { ...fields, scanVariety: formData.scanVariety || null };
+
+    try {
+      if (editingCrop) {
+        await adminService.updateCropVariety(editingCrop._id, payload);
+        toast.success('Crop updated successfully');
+      } else {
+        await adminService.createCropVariety({ key, ...payload });
+        toast.success('Crop added successfully');
+      }
+
+      setShowModal(false);
+      resetForm();
+      fetchCrops();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save crop');
+      console.error(error);
+    }
+  };
+
+  const handleEdit = (crop) => {
+    setEditingCrop(crop);
+    setFormData({
+      key: crop.key,
+      displayName: { ...crop.displayName },
+      scanVariety: crop.scanVariety || '',
+      maleFlowering: { ...crop.maleFlowering },
+      femaleFlowering: { ...crop.femaleFlowering },
+      pollination: { ...crop.pollination },
+      harvest: { ...crop.harvest },
+      pollinationWindow: { ...crop.pollinationWindow },
+      isActive: crop.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const handleToggleActive = async (crop) => {
+    try {
+      await adminService.updateCropVariety(crop._id, { isActive: !crop.isActive });
+      toast.success(crop.isActive ? 'Crop hidden from new plants' : 'Crop available for new plants');
+      fetchCrops();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update crop');
+    }
+  };
+
+  const handleDelete = async (crop) => {
+    if (!window.confirm(`Delete ${crop.displayName.tagalog} from the crop catalog?`)) return;
+
+    try {
+      await adminService.deleteCropVariety(crop._id);
+      toast.success('Crop deleted successfully');
+      fetchCrops();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete crop');
+    }
+  };
+
+  const resetForm = () => {
+    setEditingCrop(null);
+    setFormData(emptyForm);
+  };
+
+  return (
+    <div className="crops-page">
+      <div className="page-header">
+        <div>
+          <h1>Crop Catalog</h1>
+          <p>Flowering, pollination and harvest calendar for each crop</p>
+        </div>
+        <button
+          onClick={() => { resetForm(); setShowModal(true); }}
+          className="btn btn-primary"
+        >
+          <Plus size={18} />
+          Add Crop
+        </button>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading crops...</p>
+          </div>
+        ) : (
+          <div className="table-responsive">
+            <table className="crops-table">
+              <thead>
+                <tr>
+                  <th>Crop</th>
+                  <th>Male flowers</th>
+                  <th>Female flowers</th>
+                  <th>Pollination</th>
+                  <th>Window</th>
+                  <th>Harvest</th>
+                  <th>Plants</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {crops.map((crop) => (
+                  <tr key={crop._id} className={crop.isActive ? '' : 'crop-inactive'}>
+                    <td>
+                      <div className="crop-name">{crop.displayName.tagalog}</div>
+                      <div className="crop-subtitle">
+                        {crop.displayName.english} · <code>{crop.key}</code>
+                        {crop.scanVariety && ` · scans as ${crop.scanVariety}`}
+                      </div>
+                    </td>
+                    <td>{formatRange(crop.maleFlowering)} days</td>
+                    <td>{formatRange(crop.femaleFlowering)} days</td>
+                    <td>{formatRange(crop.pollination)} days</td>
+                    <td>
+                      {formatHour(crop.pollinationWindow.startHour)} – {formatHour(crop.pollinationWindow.endHour)}
+                    </td>
+                    <td>{formatRange(crop.harvest)} days</td>
+                    <td>{crop.plantCount}</td>
+                    <td>
+                      <span className={`status-badge ${crop.isActive ? 'status-active' : 'status-inactive'}`}>
+                        {crop.isActive ? 'Active' : 'Hidden'}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="crop-actions">
+                        <button onClick={() => handleEdit(crop)} className="btn btn-outline btn-sm" title="Edit">
+                          <Edit size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(crop)}
+                          className="btn btn-outline btn-sm"
+                          title={crop.isActive ? 'Hide from new plants' : 'Offer for new plants'}
+                        >
+                          {crop.isActive ? <EyeOff size={16} /> : <Eye size={16} />}
+                        </button>
+                        <button
+                          onClick={() => handleDelete(crop)}
+                          className="btn btn-danger btn-sm"
+                          title={crop.plantCount > 0 ? 'In use — hide it instead' : 'Delete'}
+                          disabled={crop.plantCount > 0}
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create/Edit Modal */}
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{editingCrop ? `Edit ${editingCrop.displayName.tagalog}` : 'Add Crop'}</h2>
+              <button className="modal-close" onClick={() => setShowModal(false)}>×</button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="crop-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Key *</label>
+                  <input
+                    type="text"
+                    value={formData.key}
+                    onChange={(e) => setFormData({ ...formData, key: e.target.value.toLowerCase() })}
+                    required
+                    disabled={!!editingCrop}
+                    pattern="[a-z0-9_\-]{2,40}"
+                    placeholder="e.g. sikwa"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Scan variety</label>
+                  <select
+                    value={formData.scanVariety}
+                    onChange={(e) => setFormData({ ...formData, scanVariety: e.target.value })}
+                  >
+                    <option value="">Not recognised by the scanner</option>
+                    {SCAN_VARIETIES.map((variety) => (
+                      <option key={variety} value={variety}>{variety}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>English name *</label>
+                  <input
+                    type="text"
+                    value={formData.displayName.english}
+                    onChange={(e) => setNested('displayName', 'english', e.target.value)}
+                    required
+                    placeholder="e.g. Angled Luffa"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Tagalog name *</label>
+                  <input
+                    type="text"
+                    value={formData.displayName.tagalog}
+                    onChange={(e) => setNested('displayName', 'tagalog', e.target.value)}
+                    required
+                    placeholder="e.g. Sikwa"
+                  />
+                </div>
+              </div>
+
+              {DAY_RANGES.map(({ field, label }) => (
+                <div className="form-group" key={field}>
+                  <label>{label} *</label>
+                  <div className="range-inputs">
+                    <input
+                      type="number"
+                      min="0"
+                      max="365"
+                      value={formData[field].min}
+                      onChange={(e) => setNested(field, 'min', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                      required
+                      placeholder="Min"
+                    />
+                    <span>to</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="365"
+                      value={formData[field].max}
+                      onChange={(e) => setNested(field, 'max', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                      required
+                      placeholder="Max"
+                    />
+                  </div>
+                </div>
+              ))}
+
+              <div className="form-group">
+                <label>Pollination window *</label>
+                <div className="range-inputs">
+                  <select
+                    value={formData.pollinationWindow.startHour}
+                    onChange={(e) => setNested('pollinationWindow', 'startHour', parseInt(e.target.value, 10))}
+                  >
+                    {Array.from({ length: 24 }, (_, hour) => (
+                      <option key={hour} value={hour}>{formatHour(hour)}</option>
+                    ))}
+                  </select>
+                  <span>to</span>
+                  <select
+                    value={formData.pollinationWindow.endHour}
+                    onChange={(e) => setNested('pollinationWindow', 'endHour', parseInt(e.target.value, 10))}
+                  >
+                    {Array.from({ length: 24 }, (_, hour) => (
+                      <option key={hour} value={hour}>{formatHour(hour)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  />
+                  {' '}Offer for new plants
+                </label>
+              </div>
+
+              <div className="modal-footer">
+                <button type="button" onClick={() => setShowModal(false)} className="btn btn-outline">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {editingCrop ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Crops;
@@ -3,6 +3,8 @@ import { adminService } from '../services/api';
 import { Users, UserCheck, UserX, MessageSquare, TrendingUp } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { toast } from 'react-toastify';
+import ModelAnalyticsPanel from '../components/ModelAnalyticsPanel';
+import PollinationBenchmarkPanel from '../components/PollinationBenchmarkPanel';
 import './Dashboard.css';
 
 const Dashboard = () => {
@@ -40,7 +42,7 @@ const Dashboard = () => {
     return <div className="error-message">Failed to load dashboard data</div>;
   }
 
-  const { overview = {}, usersByRole = {}, usersByProvider = {}, forumStats = {}, newsStats = {}, verificationStats = {} } = dashboard;
+  const { overview = {}, usersByRole = {}, usersByProvider = {}, forumStats = {}, newsStats = {}, scanStats = {}, verificationStats = {} } = dashboard;
 
   const statCards = [
     {
@@ -146,6 +148,12 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Model Performance */}
+      <ModelAnalyticsPanel />
+
+      {/* Pollination Benchmark */}
+      <PollinationBenchmarkPanel />
+
       {/* Additional Stats */}
       <div className="info-grid">
         <div className="card info-card">
@@ -198,6 +206,28 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <div className="card info-card">
+          <h3>Scan Review</h3>
+          <div className="info-items">
+            <div className="info-item">
+              <span>Needs review</span>
+              <strong className="text-warning">{scanStats.pendingReviewScans || 0}</strong>
+            </div>
+            <div className="info-item">
+              <span>Model conflicts</span>
+              <strong className="text-danger">{scanStats.conflictScans || 0}</strong>
+            </div>
+            <div className="info-item">
+              <span>Low confidence</span>
+              <strong className="text-warning">{scanStats.lowConfidenceScans || 0}</strong>
+            </div>
+            <div className="info-item">
+              <span>Expert labeled</span>
+              <strong className="text-success">{scanStats.expertLabeledScans || 0}</strong>
+            </div>
+          </div>
+        </div>
+
         <div className="card info-card">
           <h3>News Articles</h3>
           <div className="info-items">
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { adminService } from '../services/api';
-import { Search, CheckCircle, XCircle, Pin, Lock, Trash2 } from 'lucide-react';
+import { Search, CheckCircle, XCircle, Pin, Lock, Trash2, Flag } from 'lucide-react';
 import { toast } from 'react-toastify';
 import './Forum.css';
 
@@ -10,10 +10,18 @@ const Forum = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [page, setPage] = useState(1);
   const [pagination, setPagination] = useState(null);
+  const [view, setView] = useState('posts');
+  const [reportGroups, setReportGroups] = useState([]);
+  const [reportStatus, setReportStatus] = useState('open');
+  const [flagThreshold, setFlagThreshold] = useState(null);
 
   useEffect(() => {
-    fetchPosts();
-  }, [page, statusFilter]);
+    if (view === 'reports') {
+      fetchReports();
+    } else {
+      fetchPosts();
+    }
+  }, [page, statusFilter, view, reportStatus]);
 
   const fetchPosts = async () => {
     try {
@@ -37,6 +45,36 @@ const Forum = () => {
     }
   };
 
+  const fetchReports = async () => {
+    try {
+      setLoading(true);
+      const response = await adminService.getForumReports({ page, limit: 20, status: reportStatus });
+      if (response.success) {
+        setReportGroups(response.data.groups);
+        setFlagThreshold(response.data.flagThreshold);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      toast.error('Failed to load forum reports');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResolveReports = async (group, action) => {
+    const target = group.targetType === 'comment' ? 'comment' : 'post';
+    if (action === 'remove' && !window.confirm(`Remove this ${target} from the community?`)) return;
+
+    try {
+      const response = await adminService.resolveForumReports(group.postId, group.commentId, action);
+      toast.success(response.message);
+      fetchReports();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve reports');
+    }
+  };
+
   const handleApprove = async (postId) => {
     try {
       await adminService.approvePost(postId);
@@ -99,6 +137,28 @@ const Forum = () => {
     });
   };
 
+  const renderPagination = () => pagination && (
+    <div className="pagination">
+      <button
+        onClick={() => setPage(page - 1)}
+        disabled={!pagination.hasPrevPage}
+        className="btn btn-outline"
+      >
+        Previous
+      </button>
+      <span className="pagination-info">
+        Page {pagination.currentPage} of {pagination.totalPages}
+      </span>
+      <button
+        onClick={() => setPage(page + 1)}
+        disabled={!pagination.hasNextPage}
+        className="btn btn-outline"
+      >
+        Next
+      </button>
+    </div>
+  );
+
   return (
     <div className="forum-page">
       <div className="page-header">
@@ -112,138 +172,237 @@ const Forum = () => {
       <div className="card filters-card">
         <div className="filters">
           <div className="filter-group">
-            <label>Status:</label>
-            <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
-              <option value="all">All Posts</option>
-              <option value="active">Active</option>
-              <option value="pending">Pending</option>
-              <option value="flagged">Flagged</option>
-              <option value="archived">Archived</option>
+            <label>View:</label>
+            <select value={view} onChange={(e) => { setView(e.target.value); setPage(1); }}>
+              <option value="posts">Posts</option>
+              <option value="reports">Reports Queue</option>
             </select>
           </div>
+          {view === 'reports' ? (
+            <div className="filter-group">
+              <label>Reports:</label>
+              <select value={reportStatus} onChange={(e) => { setReportStatus(e.target.value); setPage(1); }}>
+                <option value="open">Open</option>
+                <option value="dismissed">Dismissed</option>
+                <option value="actioned">Actioned</option>
+                <option value="all">All</option>
+              </select>
+            </div>
+          ) : (
+            <div className="filter-group">
+              <label>Status:</label>
+              <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+                <option value="all">All Posts</option>
+                <option value="active">Active</option>
+                <option value="pending">Pending</option>
+                <option value="flagged">Flagged</option>
+                <option value="archived">Archived</option>
+              </select>
+            </div>
+          )}
         </div>
       </div>
 
-      {/* Posts List */}
-      <div className="card">
-        {loading ? (
-          <div className="loading-container">
-            <div className="spinner"></div>
-            <p>Loading posts...</p>
-          </div>
-        ) : (
-          <>
+      {/* Reports Queue */}
+      {view === 'reports' && (
+        <div className="card">
+          {loading ? (
+            <div className="loading-container">
+              <div className="spinner"></div>
+              <p>Loading reports...</p>
+            </div>
+          ) : (
             <div className="posts-list">
-              {posts.map((post) => (
-                <div key={post._id} className="post-card">
-                  <div className="post-header">
-                    <div className="post-title-section">
-                      <h3>{post.title}</h3>
-                      <div className="post-meta">
-                        <span className="post-author">by {post.author?.username || 'Unknown'}</span>
-                        <span className="post-date">{formatDate(post.createdAt)}</span>
-                        <span className={`post-status status-${post.status}`}>
-                          {post.status}
-                        </span>
-                        {post.isPinned && <Pin size={14} className="pin-icon" />}
-                        {post.isLocked && <Lock size={14} className="lock-icon" />}
-                      </div>
-                    </div>
-                    <div className="post-stats">
-                      <div className="stat-item">
-                        <span className="stat-value">{post.likes?.length || 0}</span>
-                        <span className="stat-label">Likes</span>
+              {reportGroups.map((group) => {
+                const target = group.targetType === 'comment' ? group.comment : group.post;
+                const hasOpenReports = group.reports.some((report) => report.status === 'open');
+
+                return (
+                  <div key={`${group.postId}-${group.commentId || 'post'}`} className="post-card">
+                    <div className="post-header">
+                      <div className="post-title-section">
+                        <h3>
+                          {group.targetType === 'comment' ? `Comment on: ${group.post?.title || 'deleted post'}` : group.post?.title || 'Deleted post'}
+                        </h3>
+                        <div className="post-meta">
+                          {target && <span className="post-author">by {target.author}</span>}
+                          <span className="post-date">Last reported {formatDate(group.latestReportAt)}</span>
+                          {target && (
+                            <span className={`post-status status-${target.status || 'active'}`}>
+                              {target.status || 'active'}
+                            </span>
+                          )}
+                        </div>
                       </div>
-                      <div className="stat-item">
-                        <span className="stat-value">{post.comments?.length || 0}</span>
-                        <span className="stat-label">Comments</span>
+                      <div className="post-stats">
+                        <div className="stat-item">
+                          <span className="stat-value">
+                            {group.reportCount}{flagThreshold ? ` / ${flagThreshold}` : ''}
+                          </span>
+                          <span className="stat-label">Reports</span>
+                        </div>
                       </div>
                     </div>
-                  </div>
 
-                  <div className="post-content">
-                    <p>{post.content.substring(0, 200)}...</p>
-                  </div>
+                    <div className="post-content">
+                      <p>{target ? target.content.substring(0, 200) : 'This content no longer exists'}</p>
+                    </div>
+
+                    <div className="report-reasons">
+                      {Object.entries(group.reasonCounts).map(([reason, count]) => (
+                        <span key={reason} className="report-reason">
+                          {reason.replace('_', ' ')} × {count}
+                        </span>
+                      ))}
+                    </div>
+
+                    <ul className="report-list">
+                      {group.reports.map((report) => (
+                        <li key={report._id}>
+                          <Flag size={12} />
+                          <strong>{report.reporter}</strong>
+                          <span className="report-list-reason">{report.reason.replace('_', ' ')}</span>
+                          {report.details && <span>“{report.details}”</span>}
+                          <span className="post-date">{formatDate(report.createdAt)}</span>
+                        </li>
+                      ))}
+                    </ul>
 
-                  <div className="post-actions">
-                    {post.status === 'pending' && (
-                      <>
+                    {hasOpenReports && (
+                      <div className="post-actions">
                         <button
-                          onClick={() => handleApprove(post._id)}
+                          onClick={() => handleResolveReports(group, 'dismiss')}
                           className="btn btn-success btn-sm"
                         >
                           <CheckCircle size={16} />
-                          Approve
+                          Dismiss
                         </button>
                         <button
-                          onClick={() => handleReject(post._id)}
+                          onClick={() => handleResolveReports(group, 'remove')}
                           className="btn btn-danger btn-sm"
                         >
-                          <XCircle size={16} />
-                          Reject
+                          <Trash2 size={16} />
+                          Remove {group.targetType}
                         </button>
-                      </>
+                      </div>
                     )}
-
-                    <button
-                      onClick={() => handleTogglePin(post._id)}
-                      className={`btn btn-outline btn-sm ${post.isPinned ? 'active' : ''}`}
-                    >
-                      <Pin size={16} />
-                      {post.isPinned ? 'Unpin' : 'Pin'}
-                    </button>
-
-                    <button
-                      onClick={() => handleToggleLock(post._id)}
-                      className={`btn btn-outline btn-sm ${post.isLocked ? 'active' : ''}`}
-                    >
-                      <Lock size={16} />
-                      {post.isLocked ? 'Unlock' : 'Lock'}
-                    </button>
-
-                    <button
-                      onClick={() => handleDelete(post._id)}
-                      className="btn btn-danger btn-sm"
-                    >
-                      <Trash2 size={16} />
-                      Delete
-                    </button>
                   </div>
-                </div>
-              ))}
+                );
+              })}
 
-              {posts.length === 0 && (
+              {reportGroups.length === 0 && (
                 <div className="no-data">
-                  <p>No forum posts found</p>
+                  <p>No reports found</p>
                 </div>
               )}
             </div>
+          )}
+          {!loading && renderPagination()}
+        </div>
+      )}
+
+      {/* Posts List */}
+      {view === 'posts' && (
+        <div className="card">
+          {loading ? (
+            <div className="loading-container">
+              <div className="spinner"></div>
+              <p>Loading posts...</p>
+            </div>
+          ) : (
+            <>
+              <div className="posts-list">
+                {posts.map((post) => (
+                  <div key={post._id} className="post-card">
+                    <div className="post-header">
+                      <div className="post-title-section">
+                        <h3>{post.title}</h3>
+                        <div className="post-meta">
+                          <span className="post-author">by {post.author?.username || 'Unknown'}</span>
+                          <span className="post-date">{formatDate(post.createdAt)}</span>
+                          <span className={`post-status status-${post.status}`}>
+                            {post.status}
+                          </span>
+                          {post.isPinned && <Pin size={14} className="pin-icon" />}
+                          {post.isLocked && <Lock size={14} className="lock-icon" />}
+                        </div>
+                      </div>
+                      <div className="post-stats">
+                        <div className="stat-item">
+                          <span className="stat-value">{post.likes?.length || 0}</span>
+                          <span className="stat-label">Likes</span>
+                        </div>
+                        <div className="stat-item">
+                          <span className="stat-value">{post.commentCount || 0}</span>
+                          <span className="stat-label">Comments</span>
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="post-content">
+                      <p>{post.content.substring(0, 200)}...</p>
+                    </div>
+
+                    <div className="post-actions">
+                      {post.status === 'pending' && (
+                        <>
+                          <button
+                            onClick={() => handleApprove(post._id)}
+                            className="btn btn-success btn-sm"
+                          >
+                            <CheckCircle size={16} />
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => handleReject(post._id)}
+                            className="btn btn-danger btn-sm"
+                          >
+                            <XCircle size={16} />
+                            Reject
+                          </button>
+                        </>
+                      )}
+
+                      <button
+                        onClick={() => handleTogglePin(post._id)}
+                        className={`btn btn-outline btn-sm ${post.isPinned ? 'active' : ''}`}
+                      >
+                        <Pin size={16} />
+                        {post.isPinned ? 'Unpin' : 'Pin'}
+                      </button>
+
+                      <button
+                        onClick={() => handleToggleLock(post._id)}
+                        className={`btn btn-outline btn-sm ${post.isLocked ? 'active' : ''}`}
+                      >
+                        <Lock size={16} />
+                        {post.isLocked ? 'Unlock' : 'Lock'}
+                      </button>
 
-            {/* Pagination */}
-            {pagination && (
-              <div className="pagination">
-                <button
-                  onClick={() => setPage(page - 1)}
-                  disabled={!pagination.hasPrevPage}
-                  className="btn btn-outline"
-                >
-                  Previous
-                </button>
-                <span className="pagination-info">
-                  Page {pagination.currentPage} of {pagination.totalPages}
-                </span>
-                <button
-                  onClick={() => setPage(page + 1)}
-                  disabled={!pagination.hasNextPage}
-                  className="btn btn-outline"
-                >
-                  Next
-                </button>
+                      <button
+                        onClick={() => handleDelete(post._id)}
+                        className="btn btn-danger btn-sm"
+                      >
+                        <Trash2 size={16} />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+
+                {posts.length === 0 && (
+                  <div className="no-data">
+                    <p>No forum posts found</p>
+                  </div>
+                )}
               </div>
-            )}
-          </>
-        )}
-      </div>
+
+              {/* Pagination */}
+              {renderPagination()}
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
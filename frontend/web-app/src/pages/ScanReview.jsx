@@ -0,0 +1,314 @@
+import React, { useEffect, useState } from 'react';
+import { adminService } from '../services/api';
+import { Smartphone, Sparkles, CheckCircle, Award } from 'lucide-react';
+import { toast } from 'react-toastify';
+import './ScanReview.css';
+
+const VARIETIES = ['Ampalaya Bilog', 'Patola', 'Upo (Smooth)'];
+
+const GENDERS = [
+  { value: 'female', label: 'Female' },
+  { value: 'male', label: 'Male' },
+  { value: 'not_flower', label: 'Not a flower' },
+];
+
+const REASON_LABELS = {
+  conflict: 'Models disagree',
+  low_confidence: 'Low confidence',
+};
+
+const formatPrediction = (variety, gender) => {
+  if (!gender) return 'No prediction';
+  if (gender === 'not_flower') return 'Not a flower';
+  return `${gender.charAt(0).toUpperCase() + gender.slice(1)} ${variety || ''}`.trim();
+};
+
+const formatConfidence = (confidence) =>
+  confidence === undefined || confidence === null ? '—' : `${Math.round(confidence)}%`;
+
+const ModelOutput = ({ title, icon: Icon, prediction, onUse }) => (
+  <div className="model-output">
+    <div className="model-output-title">
+      <Icon size={14} />
+      {title}
+    </div>
+    <div className="model-output-label">{formatPrediction(prediction?.variety, prediction?.gender)}</div>
+    <div className="model-output-confidence">{formatConfidence(prediction?.confidence)}</div>
+    {prediction?.modelVersion && <div className="model-output-version">{prediction.modelVersion}</div>}
+    {prediction?.reasoning && <p className="model-output-reasoning">{prediction.reasoning}</p>}
+    {onUse && prediction?.gender && (
+      <button onClick={onUse} className="btn btn-outline btn-sm">
+        Use this
+      </button>
+    )}
+  </div>
+);
+
+const ScanReview = () => {
+  const [scans, setScans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [includeResolved, setIncludeResolved] = useState(false);
+  const [maxConfidence, setMaxConfidence] = useState(65);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [labels, setLabels] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    fetchScans();
+  }, [page, typeFilter, includeResolved, maxConfidence]);
+
+  const fetchScans = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page,
+        limit: 20,
+        type: typeFilter,
+        includeResolved,
+        maxConfidence,
+      };
+
+      const response = await adminService.getScanReviewQueue(params);
+      if (response.success) {
+        setScans(response.data.scans);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      toast.error('Failed to load scan review queue');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Draft label per scan, starting from the existing label or the TFLite prediction
+  const getLabel = (scan) => {
+    if (labels[scan._id]) return labels[scan._id];
+    const source = scan.groundTruth?.gender ? scan.groundTruth : scan.aiPrediction?.tflite || {};
+    return {
+      gender: source.gender || '',
+      variety: source.variety || '',
+      notes: scan.groundTruth?.notes || '',
+    };
+  };
+
+  const updateLabel = (scan, changes) => {
+    setLabels((prev) => ({ ...prev, [scan._id]: { ...getLabel(scan), ...changes } }));
+  };
+
+  const handleSaveLabel = async (scan) => {
+    const label = getLabel(scan);
+    const isFlower = label.gender !== 'not_flower';
+
+    if (!label.gender || (isFlower && !label.variety)) {
+      toast.error('Choose a gender and variety before saving');
+      return;
+    }
+
+    try {
+      setSavingId(scan._id);
+      await adminService.labelScan(scan._id, {
+        gender: label.gender,
+        variety: isFlower ? label.variety : null,
+        notes: label.notes.trim(),
+      });
+      toast.success('Final label saved');
+      setLabels((prev) => {
+        const { [scan._id]: _saved, ...rest } = prev;
+        return rest;
+      });
+      fetchScans();
+    } catch (error) {
+      toast.error(error?.errors?.[0]?.message || error?.message || 'Failed to save label');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="scan-review-page">
+      <div className="page-header">
+        <div>
+          <h1>Scan Review</h1>
+          <p>Resolve model disagreements and low-confidence scans with an expert label</p>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card filters-card">
+        <div className="filters">
+          <div className="filter-group">
+            <label>Queue:</label>
+            <select value={typeFilter} onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}>
+              <option value="all">All</option>
+              <option value="conflict">Model conflicts</option>
+              <option value="low_confidence">Low confidence</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label>Confidence at or below:</label>
+            <select value={maxConfidence} onChange={(e) => { setMaxConfidence(Number(e.target.value)); setPage(1); }}>
+              <option value={50}>50%</option>
+              <option value={65}>65%</option>
+              <option value={80}>80%</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={includeResolved}
+                onChange={(e) => { setIncludeResolved(e.target.checked); setPage(1); }}
+              />
+              {' '}Show expert-labeled
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {/* Scan List */}
+      <div className="card">
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading scans...</p>
+          </div>
+        ) : (
+          <>
+            <div className="review-list">
+              {scans.map((scan) => {
+                const label = getLabel(scan);
+
+                return (
+                  <div key={scan._id} className="review-card">
+                    <img src={scan.imageUrl} alt="Scan" className="review-image" />
+
+                    <div className="review-body">
+                      <div className="review-meta">
+                        <span className="post-author">{scan.userId?.username || 'Unknown user'}</span>
+                        <span>{formatDate(scan.date || scan.createdAt)}</span>
+                        {(scan.reviewReasons || []).map((reason) => (
+                          <span key={reason} className={`review-reason reason-${reason}`}>
+                            {REASON_LABELS[reason]}
+                          </span>
+                        ))}
+                        {scan.groundTruth?.source === 'expert' && (
+                          <span className="review-labeled">
+                            <Award size={14} />
+                            {formatPrediction(scan.groundTruth.variety, scan.groundTruth.gender)}
+                            {scan.groundTruth.labeledBy?.username && ` by ${scan.groundTruth.labeledBy.username}`}
+                          </span>
+                        )}
+                      </div>
+
+                      <div className="model-outputs">
+                        <ModelOutput
+                          title="TFLite"
+                          icon={Smartphone}
+                          prediction={scan.aiPrediction?.tflite}
+                          onUse={() => updateLabel(scan, {
+                            gender: scan.aiPrediction.tflite.gender,
+                            variety: scan.aiPrediction.tflite.variety || '',
+                          })}
+                        />
+                        <ModelOutput
+                          title="Gemini"
+                          icon={Sparkles}
+                          prediction={scan.aiPrediction?.gemini}
+                          onUse={() => updateLabel(scan, {
+                            gender: scan.aiPrediction.gemini.gender,
+                            variety: scan.aiPrediction.gemini.variety || '',
+                          })}
+                        />
+                      </div>
+
+                      <div className="label-form">
+                        <select
+                          value={label.gender}
+                          onChange={(e) => updateLabel(scan, { gender: e.target.value })}
+                        >
+                          <option value="">Gender...</option>
+                          {GENDERS.map((gender) => (
+                            <option key={gender.value} value={gender.value}>{gender.label}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={label.variety}
+                          onChange={(e) => updateLabel(scan, { variety: e.target.value })}
+                          disabled={label.gender === 'not_flower'}
+                        >
+                          <option value="">Variety...</option>
+                          {VARIETIES.map((variety) => (
+                            <option key={variety} value={variety}>{variety}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="Reviewer notes (optional)"
+                          value={label.notes}
+                          maxLength={500}
+                          onChange={(e) => updateLabel(scan, { notes: e.target.value })}
+                        />
+                        <button
+                          onClick={() => handleSaveLabel(scan)}
+                          className="btn btn-success btn-sm"
+                          disabled={savingId === scan._id}
+                        >
+                          <CheckCircle size={16} />
+                          {savingId === scan._id ? 'Saving...' : 'Save Label'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+
+              {scans.length === 0 && (
+                <div className="no-data">
+                  <p>No scans need review</p>
+                </div>
+              )}
+            </div>
+
+            {/* Pagination */}
+            {pagination && (
+              <div className="pagination">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrevPage}
+                  className="btn btn-outline"
+                >
+                  Previous
+                </button>
+                <span className="pagination-info">
+                  Page {pagination.currentPage} of {pagination.totalPages || 1}
+                </span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNextPage}
+                  className="btn btn-outline"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScanReview;
@@ -68,6 +68,16 @@ export const adminService = {
     return await api.get('/admin/dashboard');
   },
 
+  getModelAnalytics: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return await api.get(`/admin/analytics/models?${query}`);
+  },
+
+  getPollinationBenchmark: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return await api.get(`/admin/analytics/pollination?${query}`);
+  },
+
   // User Management
   getAllUsers: async (params = {}) => {
     const query = new URLSearchParams(params).toString();
@@ -143,6 +153,49 @@ export const adminService = {
   rejectPost: async (postId) => {
     return await api.patch(`/admin/forum/posts/${postId}/reject`);
   },
+
+  getForumReports: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return await api.get(`/admin/forum/reports?${query}`);
+  },
+
+  resolveForumReports: async (postId, commentId, action, note = '') => {
+    const path = commentId
+      ? `/admin/forum/posts/${postId}/comments/${commentId}/reports/resolve`
+      : `/admin/forum/posts/${postId}/reports/resolve`;
+    return await api.patch(path, { action, note });
+  },
+
+  // Scan Review
+  getScanReviewQueue: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return await api.get(`/admin/scans/review?${query}`);
+  },
+
+  getScanForReview: async (scanId) => {
+    return await api.get(`/admin/scans/${scanId}`);
+  },
+
+  labelScan: async (scanId, label) => {
+    return await api.patch(`/admin/scans/${scanId}/label`, label);
+  },
+
+  // Crop Catalog
+  getCropVarieties: async () => {
+    return await api.get('/admin/crops');
+  },
+
+  createCropVariety: async (cropData) => {
+    return await api.post('/admin/crops', cropData);
+  },
+
+  updateCropVariety: async (cropId, cropData) => {
+    return await api.put(`/admin/crops/${cropId}`, cropData);
+  },
+
+  deleteCropVariety: async (cropId) => {
+    return await api.delete(`/admin/crops/${cropId}`);
+  },
 };
 
 // News Service